@@ -16,11 +16,11 @@ const API_BASE_URL = {
   production: 'https://api.yourgame.com/api'
 }[ENV];
 
-// WebSocket URL
+// WebSocket URL（Socket.IO 服务地址，使用默认命名空间）
 const WS_BASE_URL = {
-  development: 'ws://localhost:3000/game',
-  test: 'wss://test-api.yourgame.com/game',
-  production: 'wss://api.yourgame.com/game'
+  development: 'http://localhost:3000',
+  test: 'https://test-api.yourgame.com',
+  production: 'https://api.yourgame.com'
 }[ENV];
 
 // 资源URL
@@ -76,8 +76,6 @@ const SECURITY_CONFIG = {
     reconnectInterval: 5000,
     // 最大重连次数
     maxReconnectAttempts: 10,
-    // 心跳间隔（毫秒）
-    pingInterval: 30000,
     // 消息超时时间（毫秒）
     messageTimeout: 10000
   },
@@ -263,6 +261,12 @@ const THIRD_PARTY_CONFIG = {
     defaultMethod: 'alipay',
     // 可用支付方式
     availableMethods: ['alipay', 'wechat', 'card']
+  },
+  
+  // 人机验证（CDK兑换风控）
+  captcha: {
+    // 验证组件脚本，站点密钥由服务端在要求验证时下发
+    scriptUrl: import.meta.env.VITE_CAPTCHA_SCRIPT_URL || 'https://js.hcaptcha.com/1/api.js?render=explicit'
   }
 };
 
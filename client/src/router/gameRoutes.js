@@ -44,6 +44,12 @@ export default {
           name: 'BattleHistory',
           component: () => import('@/views/game/battle/History.vue'),
           meta: { title: '战斗记录' }
+        },
+        {
+          path: 'replay/:replayId',
+          name: 'BattleReplay',
+          component: () => import('@/views/game/battle/Replay.vue'),
+          meta: { title: '战斗回放' }
         }
       ]
     },
@@ -135,6 +141,27 @@ export default {
       component: () => import('@/views/game/chat/Index.vue'),
       meta: { title: '聊天' }
     },
+    // 好友
+    {
+      path: 'friends',
+      name: 'FriendList',
+      component: () => import('@/views/game/friends/Index.vue'),
+      meta: { title: '好友' }
+    },
+    // 邮件
+    {
+      path: 'mail',
+      name: 'Mailbox',
+      component: () => import('@/views/game/mail/Index.vue'),
+      meta: { title: '邮件' }
+    },
+    // 兑换码
+    {
+      path: 'cdk',
+      name: 'RedeemCDK',
+      component: () => import('@/views/game/cdk/Index.vue'),
+      meta: { title: '兑换码' }
+    },
     // 排行榜
     {
       path: 'leaderboard',
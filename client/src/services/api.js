@@ -121,7 +121,19 @@ export default {
     
     // 道具
     getItems: () => api.get('/game/items'),
-    useItem: (itemId, data) => api.post(`/game/item/${itemId}/use`, data)
+    useItem: (itemId, data) => api.post(`/game/item/${itemId}/use`, data),
+    
+    // CDK兑换
+    redeemCDK: (data) => api.post('/cdk/redeem', data)
+  },
+  
+  // 装备养成相关
+  equipment: {
+    enhance: (instanceId, data) => api.post(`/equipment/${instanceId}/enhance`, data),
+    refine: (instanceId) => api.post(`/equipment/${instanceId}/refine`),
+    socketGem: (instanceId, socketIndex, gemId) => api.post(`/equipment/${instanceId}/sockets/${socketIndex}`, { gemId }),
+    unsocketGem: (instanceId, socketIndex) => api.delete(`/equipment/${instanceId}/sockets/${socketIndex}`),
+    getHistory: (params) => api.get('/equipment/history', { params })
   },
   
   // 公会相关
@@ -133,6 +145,82 @@ export default {
     leaveGuild: (guildId) => api.post(`/guild/${guildId}/leave`)
   },
   
+  // 公会金库相关
+  guildTreasury: {
+    getTreasury: () => api.get('/guild-treasury'),
+    getLogs: (params) => api.get('/guild-treasury/logs', { params }),
+    donate: (currencyType, amount) => api.post('/guild-treasury/donate', { currencyType, amount }),
+    purchaseBuff: (buffId) => api.post(`/guild-treasury/buffs/${buffId}`)
+  },
+  
+  // 公会战相关
+  guildWar: {
+    getSeason: () => api.get('/guild-war/season'),
+    getMyStatus: () => api.get('/guild-war/me'),
+    signUp: () => api.post('/guild-war/signup')
+  },
+  
+  // 排位赛相关（排队和对局操作通过 Socket.io 进行）
+  ranked: {
+    getSeason: () => api.get('/ranked/season'),
+    getMyRank: () => api.get('/ranked/me'),
+    getQueueStatus: () => api.get('/ranked/queue')
+  },
+  
+  // 排行榜相关
+  leaderboard: {
+    getLeaderboard: (params) => api.get('/leaderboard', { params }),
+    getMyRank: (params) => api.get('/leaderboard/me', { params })
+  },
+  
+  // 战斗记录与回放
+  battleHistory: {
+    getHistory: (params) => api.get('/battles/history', { params }),
+    getReplay: (replayId) => api.get(`/battles/replays/${replayId}`)
+  },
+  
+  // 聊天相关（加入频道和发送消息通过 Socket.io 进行）
+  chat: {
+    getHistory: (params) => api.get('/chat/history', { params }),
+    getBlockList: () => api.get('/chat/blocks'),
+    blockUser: (userId) => api.post(`/chat/blocks/${userId}`),
+    unblockUser: (userId) => api.delete(`/chat/blocks/${userId}`),
+    getMuteStatus: () => api.get('/chat/mute'),
+    deleteMessage: (messageId, reason) => api.delete(`/chat/moderation/messages/${messageId}`, { data: { reason } }),
+    muteUser: (userId, data) => api.post(`/chat/moderation/mutes/${userId}`, data),
+    unmuteUser: (userId) => api.delete(`/chat/moderation/mutes/${userId}`)
+  },
+  
+  // 好友相关（在线状态和对战邀请通过 Socket.io 进行）
+  friends: {
+    getFriends: () => api.get('/friends'),
+    getRequests: () => api.get('/friends/requests'),
+    sendRequest: (data) => api.post('/friends/requests', data),
+    acceptRequest: (requestId) => api.post(`/friends/requests/${requestId}/accept`),
+    declineRequest: (requestId) => api.post(`/friends/requests/${requestId}/decline`),
+    cancelRequest: (requestId) => api.delete(`/friends/requests/${requestId}`),
+    removeFriend: (friendId) => api.delete(`/friends/${friendId}`),
+    blockUser: (userId) => api.post(`/friends/blocks/${userId}`),
+    unblockUser: (userId) => api.delete(`/friends/blocks/${userId}`)
+  },
+  
+  // 任务相关
+  quests: {
+    getQuests: () => api.get('/quests'),
+    claimQuest: (questId) => api.post(`/quests/${questId}/claim`),
+    claimChest: (chestId) => api.post(`/quests/chests/${chestId}/claim`)
+  },
+  
+  // 邮件相关
+  mail: {
+    getMails: (params) => api.get('/mail', { params }),
+    getSummary: () => api.get('/mail/summary'),
+    readMail: (mailId) => api.get(`/mail/${mailId}`),
+    claimAttachments: (mailId) => api.post(`/mail/${mailId}/claim`),
+    claimAll: () => api.post('/mail/claim-all'),
+    deleteMail: (mailId) => api.delete(`/mail/${mailId}`)
+  },
+  
   // 支付相关
   payment: {
     getProducts: () => api.get('/payment/products'),
@@ -1,53 +1,58 @@
 /**
  * WebSocket服务
- * 用于实时游戏通信
+ * 基于 Socket.IO 的实时游戏通信，协议定义见 ./socketProtocol.js
  */
 
-import { getToken } from '../utils/auth';
-import { signWebSocketMessage, generateNonce } from '../utils/security/signature';
+import { io } from 'socket.io-client';
 import EventEmitter from 'events';
+import config from '../config';
+import { getToken } from '../utils/auth';
+import { signWebSocketMessage } from '../utils/security/signature';
+import {
+  PROTOCOL_VERSION,
+  HANDSHAKE_EVENT,
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+  REPLAYABLE_BATTLE_EVENTS
+} from './socketProtocol';
 
 class GameSocket extends EventEmitter {
   constructor(options = {}) {
     super();
-    
+
     // 基础配置
-    this.baseUrl = options.baseUrl || 'wss://api.yourgame.com/game';
-    this.autoReconnect = options.autoReconnect !== false;
-    this.reconnectInterval = options.reconnectInterval || 5000;
-    this.maxReconnectAttempts = options.maxReconnectAttempts || 10;
-    this.pingInterval = options.pingInterval || 30000;
-    
+    this.baseUrl = options.baseUrl || config.WS_BASE_URL;
+    this.autoReconnect = options.autoReconnect ?? config.websocket.autoReconnect;
+    this.reconnectInterval = options.reconnectInterval || config.websocket.reconnectInterval;
+    this.maxReconnectAttempts = options.maxReconnectAttempts || config.websocket.maxReconnectAttempts;
+    this.requestTimeout = options.requestTimeout || config.websocket.messageTimeout;
+
     // 状态变量
     this.socket = null;
     this.connected = false;
-    this.connecting = false;
-    this.reconnectAttempts = 0;
-    this.pingTimer = null;
-    this.messageQueue = [];
-    this.pendingResponses = new Map();
+    this.session = null;
+    this.timeOffset = 0;
     this.lastMessageId = 0;
-    
+    // 会话建立前发起的请求，连接后按顺序发送
+    this.messageQueue = [];
+    // 已加入的战斗及最后收到的事件序号，用于重连后补发：battleId -> seq
+    this.battleSeqs = new Map();
+    // 已加入的聊天频道，重连后重新加入：channel -> { channelType, channelId }
+    this.chatChannels = new Map();
+
     // 绑定方法
     this.connect = this.connect.bind(this);
     this.disconnect = this.disconnect.bind(this);
-    this.send = this.send.bind(this);
-    this._handleOpen = this._handleOpen.bind(this);
-    this._handleMessage = this._handleMessage.bind(this);
-    this._handleError = this._handleError.bind(this);
-    this._handleClose = this._handleClose.bind(this);
-    this._ping = this._ping.bind(this);
-    this._reconnect = this._reconnect.bind(this);
-    this._processQueue = this._processQueue.bind(this);
-    
+    this.request = this.request.bind(this);
+
     // 自动连接
     if (options.autoConnect !== false) {
-      this.connect();
+      this.connect().catch(() => {});
     }
   }
-  
+
   /**
-   * 连接到WebSocket服务器
+   * 连接到WebSocket服务器，收到服务端会话信息后视为连接完成
    * @returns {Promise<void>} 连接完成的Promise
    */
   connect() {
@@ -56,425 +61,423 @@ class GameSocket extends EventEmitter {
         resolve();
         return;
       }
-      
-      if (this.connecting) {
-        this.once('connected', resolve);
-        this.once('connect_error', reject);
-        return;
-      }
-      
-      this.connecting = true;
-      
-      // 获取认证Token
-      const token = getToken();
-      if (!token) {
-        const error = new Error('未授权：缺少认证Token');
-        this.emit('error', error);
-        this.connecting = false;
+
+      const onConnected = () => {
+        this.off('connect_error', onError);
+        resolve();
+      };
+      const onError = (error) => {
+        this.off('connected', onConnected);
         reject(error);
+      };
+      this.once('connected', onConnected);
+      this.once('connect_error', onError);
+
+      if (this.socket) {
+        this.socket.connect();
         return;
       }
-      
-      // 构建连接URL
-      const nonce = generateNonce();
-      const timestamp = Date.now();
-      const url = `${this.baseUrl}?token=${token}&nonce=${nonce}&timestamp=${timestamp}`;
-      
-      try {
-        this.socket = new WebSocket(url);
-        
-        this.socket.onopen = (event) => {
-          this._handleOpen(event);
-          resolve();
-        };
-        
-        this.socket.onmessage = this._handleMessage;
-        this.socket.onerror = (error) => {
-          this._handleError(error);
-          reject(error);
-        };
-        
-        this.socket.onclose = this._handleClose;
-      } catch (error) {
-        this.connecting = false;
-        this.emit('error', error);
-        reject(error);
+
+      if (!getToken()) {
+        this.emit('connect_error', new Error('未授权：缺少认证Token'));
+        return;
       }
+
+      this.socket = io(this.baseUrl, {
+        transports: ['websocket'],
+        reconnection: this.autoReconnect,
+        reconnectionAttempts: this.maxReconnectAttempts,
+        reconnectionDelay: this.reconnectInterval,
+        reconnectionDelayMax: 30000,
+        // 每次（重新）连接都生成新的握手签名，并带上断线前的会话ID以便恢复
+        auth: (callback) => callback(this._createHandshake())
+      });
+
+      this._bindSocketEvents();
     });
   }
-  
+
   /**
-   * 断开WebSocket连接
-   * @param {number} [code=1000] - 关闭代码
-   * @param {string} [reason=''] - 关闭原因
+   * 断开WebSocket连接，主动断开不会保留会话
    */
-  disconnect(code = 1000, reason = '') {
+  disconnect() {
     if (this.socket) {
-      // 清理定时器
-      if (this.pingTimer) {
-        clearInterval(this.pingTimer);
-        this.pingTimer = null;
-      }
-      
-      // 标记为不自动重连
-      this.autoReconnect = false;
-      
-      // 关闭连接
-      try {
-        this.socket.close(code, reason);
-      } catch (error) {
-        console.error('关闭WebSocket连接失败', error);
-      }
-      
+      this.socket.disconnect();
+      this.socket.removeAllListeners();
       this.socket = null;
-      this.connected = false;
-      this.connecting = false;
     }
+
+    this.connected = false;
+    this.session = null;
+    this.battleSeqs.clear();
+    this.chatChannels.clear();
+
+    for (const { reject } of this.messageQueue) {
+      reject(new Error('WebSocket连接已关闭'));
+    }
+    this.messageQueue = [];
   }
-  
+
   /**
-   * 发送消息到服务器
-   * @param {string} type - 消息类型
-   * @param {Object} data - 消息数据
-   * @param {Object} [options] - 发送选项
-   * @param {boolean} [options.queue=true] - 是否在断开连接时加入队列
-   * @param {boolean} [options.requireResponse=false] - 是否需要等待响应
-   * @param {number} [options.timeout=10000] - 等待响应超时时间(ms)
-   * @returns {Promise<any>} 如果requireResponse为true，返回响应数据
+   * 发送请求并等待服务端响应
+   * @param {string} event - 请求事件，见 CLIENT_EVENTS
+   * @param {Object} [data={}] - 请求数据
+   * @param {Object} [options] - 请求选项
+   * @param {number} [options.timeout] - 等待响应超时时间(ms)
+   * @returns {Promise<Object>} 响应数据；失败时抛出带 code 的错误
    */
-  send(type, data = {}, options = {}) {
-    const { queue = true, requireResponse = false, timeout = 10000 } = options;
-    
-    // 生成消息ID
-    const messageId = ++this.lastMessageId;
-    
-    // 构建消息对象
-    const message = {
-      id: messageId,
-      type,
-      data
-    };
-    
-    // 添加签名
-    const signedMessage = signWebSocketMessage(message);
-    
-    // 如果需要响应，创建Promise
-    let responsePromise = null;
-    if (requireResponse) {
-      responsePromise = new Promise((resolve, reject) => {
-        // 设置超时
-        const timeoutId = setTimeout(() => {
-          this.pendingResponses.delete(messageId);
-          reject(new Error(`WebSocket请求 ${type} 超时`));
-        }, timeout);
-        
-        // 存储响应处理函数
-        this.pendingResponses.set(messageId, {
-          resolve,
-          reject,
-          timeoutId
-        });
-      });
-    }
-    
-    // 如果已连接，直接发送
-    if (this.connected) {
-      try {
-        this.socket.send(JSON.stringify(signedMessage));
-      } catch (error) {
-        if (queue) {
-          // 发送失败，加入队列
-          this.messageQueue.push(signedMessage);
-        }
-        
-        if (requireResponse) {
-          const pending = this.pendingResponses.get(messageId);
-          if (pending) {
-            clearTimeout(pending.timeoutId);
-            this.pendingResponses.delete(messageId);
-            pending.reject(error);
-          }
-          return Promise.reject(error);
+  request(event, data = {}, options = {}) {
+    const timeout = options.timeout || this.requestTimeout;
+
+    return new Promise((resolve, reject) => {
+      const pending = { event, data, timeout, resolve, reject };
+
+      if (this.connected) {
+        this._sendRequest(pending);
+      } else {
+        this.messageQueue.push(pending);
+        if (!this.socket) {
+          this.connect().catch(() => {});
         }
       }
-    } else if (queue) {
-      // 未连接，加入队列
-      this.messageQueue.push(signedMessage);
-      
-      // 尝试重连
-      if (!this.connecting && this.autoReconnect) {
-        this._reconnect();
-      }
-    } else if (requireResponse) {
-      // 未连接且不加入队列，直接拒绝Promise
-      return Promise.reject(new Error('WebSocket未连接'));
-    }
-    
-    return requireResponse ? responsePromise : Promise.resolve();
+    });
   }
-  
+
   /**
-   * 请求服务器动作
-   * @param {string} action - 动作名称
-   * @param {Object} params - 动作参数
-   * @param {number} [timeout=10000] - 超时时间(ms)
-   * @returns {Promise<any>} 服务器响应
+   * 加入战斗
+   * @param {string} battleId - 战斗ID
+   * @returns {Promise<Object>} 战斗信息 { state, seq }
    */
-  request(action, params = {}, timeout = 10000) {
-    return this.send('request', { action, params }, {
-      requireResponse: true,
-      timeout
-    });
+  async joinBattle(battleId) {
+    const result = await this.request(CLIENT_EVENTS.BATTLE_JOIN, { battleId });
+    this.battleSeqs.set(battleId, result.seq || 0);
+    return result;
   }
-  
+
   /**
    * 发送战斗动作
    * @param {string} battleId - 战斗ID
    * @param {string} actionType - 动作类型
    * @param {Object} actionData - 动作数据
-   * @returns {Promise<any>} 服务器确认
+   * @returns {Promise<Object>} 服务器确认
    */
   sendBattleAction(battleId, actionType, actionData = {}) {
-    return this.send('battle_action', {
-      battleId,
-      action: actionType,
-      ...actionData
-    }, { requireResponse: true });
+    return this.request(CLIENT_EVENTS.BATTLE_ACTION, { battleId, actionType, actionData });
   }
-  
+
   /**
-   * 加入战斗
+   * 离开战斗
    * @param {string} battleId - 战斗ID
-   * @returns {Promise<any>} 战斗信息
+   * @returns {Promise<Object>} 确认离开
    */
-  joinBattle(battleId) {
-    return this.send('join_battle', { battleId }, { requireResponse: true });
+  async leaveBattle(battleId) {
+    this.battleSeqs.delete(battleId);
+    return this.request(CLIENT_EVENTS.BATTLE_LEAVE, { battleId });
   }
-  
+
   /**
-   * 离开战斗
-   * @param {string} battleId - 战斗ID
-   * @returns {Promise<void>} 确认离开
+   * 加入排位匹配队列
+   * @returns {Promise<Object>} 排队状态
+   */
+  joinMatchmaking() {
+    return this.request(CLIENT_EVENTS.MATCHMAKING_JOIN);
+  }
+
+  /**
+   * 退出排位匹配队列
+   * @returns {Promise<Object>} 确认退出
    */
-  leaveBattle(battleId) {
-    return this.send('leave_battle', { battleId }, { requireResponse: true });
+  leaveMatchmaking() {
+    return this.request(CLIENT_EVENTS.MATCHMAKING_LEAVE);
   }
-  
+
+  /**
+   * 自走棋对局内操作
+   * @param {string} action - 操作名称，如 buy_hero、deploy_unit
+   * @param {Object} [payload={}] - 操作参数
+   * @returns {Promise<Object>} 操作结果
+   */
+  sendMatchAction(action, payload = {}) {
+    return this.request(CLIENT_EVENTS.MATCH_ACTION, { action, payload });
+  }
+
   /**
    * 加入聊天频道
-   * @param {string} channelId - 频道ID
-   * @returns {Promise<any>} 频道信息
+   * @param {string} channelType - 频道类型：world、guild、battle、private
+   * @param {string} [channelId] - 频道ID：公会ID、战斗ID或私聊对象的用户ID，世界频道不需要
+   * @returns {Promise<Object>} 频道信息 { channel: { channel, channelType, room } }
    */
-  joinChannel(channelId) {
-    return this.send('join_channel', { channelId }, { requireResponse: true });
+  async joinChannel(channelType, channelId) {
+    const result = await this.request(CLIENT_EVENTS.CHAT_JOIN, { channelType, channelId });
+    this.chatChannels.set(result.channel.channel, { channelType, channelId });
+    return result;
   }
-  
+
+  /**
+   * 离开聊天频道
+   * @param {string} channel - 加入时返回的频道标识
+   * @returns {Promise<Object>} 确认离开
+   */
+  leaveChannel(channel) {
+    this.chatChannels.delete(channel);
+    return this.request(CLIENT_EVENTS.CHAT_LEAVE, { channel });
+  }
+
   /**
    * 发送聊天消息
-   * @param {string} channelId - 频道ID
+   * @param {string} channelType - 频道类型
+   * @param {string} [channelId] - 频道ID
    * @param {string} content - 消息内容
-   * @param {Object} [extra={}] - 额外数据
-   * @returns {Promise<any>} 消息确认
+   * @returns {Promise<Object>} 已保存的消息 { message }
    */
-  sendChatMessage(channelId, content, extra = {}) {
-    return this.send('chat_message', {
-      channelId,
-      content,
-      ...extra
-    });
+  sendChatMessage(channelType, channelId, content) {
+    return this.request(CLIENT_EVENTS.CHAT_SEND, { channelType, channelId, content });
+  }
+
+  /**
+   * 邀请在线好友进入私人战斗房间
+   * @param {string} friendId - 好友ID
+   * @returns {Promise<Object>} 邀请信息 { invite }
+   */
+  inviteToBattle(friendId) {
+    return this.request(CLIENT_EVENTS.BATTLE_INVITE, { friendId });
+  }
+
+  /**
+   * 接受或拒绝好友对战邀请，接受后返回新战斗，随后通过 joinBattle 加入
+   * @param {string} inviteId - 邀请ID
+   * @param {boolean} accept - 是否接受
+   * @returns {Promise<Object>} 接受时为 { battleId, state }
+   */
+  respondBattleInvite(inviteId, accept) {
+    return this.request(CLIENT_EVENTS.BATTLE_INVITE_RESPOND, { inviteId, accept: !!accept });
   }
-  
+
   /**
-   * 处理连接打开事件
+   * 撤回好友对战邀请
+   * @param {string} inviteId - 邀请ID
+   * @returns {Promise<Object>} 确认撤回
+   */
+  cancelBattleInvite(inviteId) {
+    return this.request(CLIENT_EVENTS.BATTLE_INVITE_CANCEL, { inviteId });
+  }
+
+  /**
+   * 生成握手签名
    * @private
    */
-  _handleOpen(event) {
-    this.connected = true;
-    this.connecting = false;
-    this.reconnectAttempts = 0;
-    
-    // 发送队列中的消息
-    this._processQueue();
-    
-    // 启动ping定时器
-    this._startPing();
-    
-    // 触发连接事件
-    this.emit('connected', event);
+  _createHandshake() {
+    const handshake = signWebSocketMessage({
+      v: PROTOCOL_VERSION,
+      event: HANDSHAKE_EVENT,
+      sessionId: this.session ? this.session.sessionId : undefined
+    });
+
+    return { ...handshake, token: getToken() };
   }
-  
+
   /**
-   * 处理接收消息事件
+   * 绑定Socket.IO事件
    * @private
    */
-  _handleMessage(event) {
-    try {
-      const message = JSON.parse(event.data);
-      
-      // 检查是否是响应消息
-      if (message.id && this.pendingResponses.has(message.id)) {
-        const { resolve, reject, timeoutId } = this.pendingResponses.get(message.id);
-        
-        // 清除超时定时器
-        clearTimeout(timeoutId);
-        this.pendingResponses.delete(message.id);
-        
-        // 处理响应
-        if (message.error) {
-          reject(new Error(message.error));
-        } else {
-          resolve(message.data);
-        }
-        return;
-      }
-      
-      // 检查是否是服务器事件
-      if (message.type === 'event') {
-        this.emit(message.event, message.data);
-        return;
-      }
-      
-      // 检查是否是心跳响应
-      if (message.type === 'pong') {
-        this.emit('pong', message.data);
-        return;
+  _bindSocketEvents() {
+    this.socket.on(SERVER_EVENTS.SESSION, (data) => this._handleSession(data));
+
+    this.socket.on('connect_error', (error) => {
+      this.emit('connect_error', error);
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.connected = false;
+      this.emit('disconnected', { reason });
+    });
+
+    this.socket.io.on('reconnect_attempt', (attempts) => {
+      this.emit('reconnecting', { attempts });
+    });
+
+    this.socket.io.on('reconnect_failed', () => {
+      this.emit('reconnect_failed', { attempts: this.maxReconnectAttempts });
+    });
+
+    // 战斗房间事件按序号去重，重连补发的事件与实时事件走同一路径
+    for (const event of REPLAYABLE_BATTLE_EVENTS) {
+      this.socket.on(event, (data) => this._handleBattleEvent(event, data));
+    }
+
+    this.socket.on(SERVER_EVENTS.BATTLE_STATE, (data) => {
+      if (data && data.battleId && this.battleSeqs.has(data.battleId) && data.seq !== undefined) {
+        this.battleSeqs.set(data.battleId, data.seq);
       }
-      
-      // 其他消息类型
-      this.emit('message', message);
-      
-      // 特定消息类型的事件
-      if (message.type) {
-        this.emit(`message:${message.type}`, message.data);
+      this.emit(SERVER_EVENTS.BATTLE_STATE, data);
+    });
+
+    // 其余服务端事件直接转发
+    const handled = new Set([SERVER_EVENTS.SESSION, SERVER_EVENTS.BATTLE_STATE, ...REPLAYABLE_BATTLE_EVENTS]);
+    for (const event of Object.values(SERVER_EVENTS)) {
+      if (!handled.has(event)) {
+        this.socket.on(event, (data) => this.emit(event, data));
       }
-    } catch (error) {
-      console.error('处理WebSocket消息失败', error);
-      this.emit('error', error);
     }
   }
-  
+
   /**
-   * 处理错误事件
+   * 处理服务端下发的会话信息：保存会话密钥，恢复战斗和聊天频道，发送排队的请求
    * @private
    */
-  _handleError(event) {
-    this.emit('error', event);
+  async _handleSession(data) {
+    const isReconnect = !!this.session;
+
+    this.session = { sessionId: data.sessionId, sessionKey: data.sessionKey };
+    this.timeOffset = data.serverTime - Date.now();
+    this.connected = true;
+
+    if (this.battleSeqs.size > 0) {
+      await this._resumeBattles();
+    }
+
+    if (isReconnect && this.chatChannels.size > 0) {
+      await this._rejoinChannels();
+    }
+
+    this._processQueue();
+    this.emit('connected', { resumed: data.resumed });
+    if (isReconnect) {
+      this.emit('reconnected', { resumed: data.resumed });
+    }
   }
-  
+
   /**
-   * 处理连接关闭事件
+   * 重新加入战斗并请求补发断线期间错过的事件
    * @private
    */
-  _handleClose(event) {
-    this.connected = false;
-    this.connecting = false;
-    
-    // 清理定时器
-    if (this.pingTimer) {
-      clearInterval(this.pingTimer);
-      this.pingTimer = null;
-    }
-    
-    // 拒绝所有待处理的响应
-    for (const [id, { reject, timeoutId }] of this.pendingResponses.entries()) {
-      clearTimeout(timeoutId);
-      reject(new Error('WebSocket连接已关闭'));
-      this.pendingResponses.delete(id);
-    }
-    
-    // 触发关闭事件
-    this.emit('disconnected', event);
-    
-    // 如果需要自动重连
-    if (this.autoReconnect) {
-      this._reconnect();
+  async _resumeBattles() {
+    try {
+      const result = await this._sendRequest({
+        event: CLIENT_EVENTS.SESSION_RESUME,
+        data: { battles: Object.fromEntries(this.battleSeqs) },
+        timeout: this.requestTimeout
+      });
+
+      for (const [battleId, battle] of Object.entries(result.battles || {})) {
+        if (!battle.success) {
+          this.battleSeqs.delete(battleId);
+        }
+      }
+
+      this.emit('resumed', result);
+    } catch (error) {
+      this.emit('resume_failed', error);
     }
   }
-  
+
   /**
-   * 开始发送ping
+   * 重新加入断线前的聊天频道，已无权限的频道不再保留
    * @private
    */
-  _startPing() {
-    if (this.pingTimer) {
-      clearInterval(this.pingTimer);
-    }
-    
-    this.pingTimer = setInterval(this._ping, this.pingInterval);
+  async _rejoinChannels() {
+    const channels = Array.from(this.chatChannels.entries());
+
+    await Promise.all(channels.map(async ([channel, { channelType, channelId }]) => {
+      try {
+        await this._sendRequest({
+          event: CLIENT_EVENTS.CHAT_JOIN,
+          data: { channelType, channelId },
+          timeout: this.requestTimeout
+        });
+      } catch (error) {
+        this.chatChannels.delete(channel);
+      }
+    }));
   }
-  
+
   /**
-   * 发送ping消息
+   * 处理带序号的战斗事件，已收到过的序号不再重复分发
    * @private
    */
-  _ping() {
-    if (this.connected) {
-      this.send('ping', { time: Date.now() }, { queue: false });
+  _handleBattleEvent(event, data) {
+    const battleId = data && data.battleId;
+
+    if (battleId && this.battleSeqs.has(battleId)) {
+      if (data.seq <= this.battleSeqs.get(battleId)) {
+        return;
+      }
+      this.battleSeqs.set(battleId, data.seq);
     }
+
+    this.emit(event, data);
   }
-  
+
   /**
-   * 重新连接
+   * 签名并发送请求，通过 ack 接收同一请求ID的响应
    * @private
+   * @returns {Promise<Object>} 响应数据
    */
-  _reconnect() {
-    if (this.connecting || this.connected) {
-      return;
-    }
-    
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      this.emit('reconnect_failed', { attempts: this.reconnectAttempts });
-      return;
-    }
-    
-    this.reconnectAttempts++;
-    
-    // 触发重连事件
-    this.emit('reconnecting', { attempts: this.reconnectAttempts });
-    
-    // 延迟重连，使用指数退避
-    const delay = Math.min(
-      this.reconnectInterval * Math.pow(1.5, this.reconnectAttempts - 1),
-      30000 // 最大30秒
+  _sendRequest(pending) {
+    const { event, data = {}, timeout } = pending;
+    const id = ++this.lastMessageId;
+
+    const envelope = signWebSocketMessage(
+      { v: PROTOCOL_VERSION, id, event, data },
+      { secret: this.session.sessionKey, timeOffset: this.timeOffset }
     );
-    
-    setTimeout(() => {
-      if (!this.connected && !this.connecting) {
-        this.connect()
-          .catch(error => {
-            this.emit('reconnect_error', error);
-          });
-      }
-    }, delay);
+
+    const promise = new Promise((resolve, reject) => {
+      this.socket.timeout(timeout).emit(event, envelope, (error, response) => {
+        if (error) {
+          reject(new Error(`WebSocket请求 ${event} 超时`));
+          return;
+        }
+
+        if (!response || response.id !== id) {
+          reject(new Error(`WebSocket请求 ${event} 响应无效`));
+          return;
+        }
+
+        if (!response.success) {
+          if (response.reason === 'SESSION_EXPIRED') {
+            this._renewSession();
+          }
+
+          const requestError = new Error(response.reason);
+          requestError.code = response.reason;
+          reject(requestError);
+          return;
+        }
+
+        resolve(response.data);
+      });
+    });
+
+    if (pending.resolve) {
+      promise.then(pending.resolve, pending.reject);
+    }
+
+    return promise;
+  }
+
+  /**
+   * 会话已过期或已在其他连接上恢复时重新连接，由服务端恢复或重新创建会话
+   * @private
+   */
+  _renewSession() {
+    if (!this.socket || !this.connected) return;
+
+    this.connected = false;
+    this.socket.disconnect();
+    this.socket.connect();
   }
-  
+
   /**
    * 处理消息队列
    * @private
    */
   _processQueue() {
-    if (!this.connected || this.messageQueue.length === 0) {
-      return;
-    }
-    
-    // 获取队列的副本并清空原队列
     const queue = [...this.messageQueue];
     this.messageQueue = [];
-    
-    // 发送队列中的消息
-    for (const message of queue) {
-      try {
-        this.socket.send(JSON.stringify(message));
-      } catch (error) {
-        // 如果发送失败，重新加入队列
-        this.messageQueue.push(message);
-        console.error('从队列发送消息失败', error);
-        
-        // 如果连接已关闭，停止处理
-        if (!this.connected) {
-          break;
-        }
-      }
+
+    for (const pending of queue) {
+      this._sendRequest(pending).catch(() => {});
     }
   }
 }
@@ -508,4 +511,4 @@ export function resetGameSocket() {
 export default {
   getGameSocket,
   resetGameSocket
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,75 @@
+/**
+ * 实时通信协议
+ * 与服务端 server/src/game/socket/protocol.js 保持一致，修改时需同步并提升协议版本
+ */
+
+// 协议版本，与服务端不一致时握手会被拒绝
+export const PROTOCOL_VERSION = 1;
+
+// 客户端请求事件：发送签名信封，服务端通过 ack 回复同一 id 的响应
+export const CLIENT_EVENTS = {
+  SESSION_RESUME: 'session_resume',
+  MATCHMAKING_JOIN: 'matchmaking_join',
+  MATCHMAKING_LEAVE: 'matchmaking_leave',
+  MATCH_ACTION: 'match_action',
+  BATTLE_JOIN: 'join_battle',
+  BATTLE_ACTION: 'battle_action',
+  BATTLE_LEAVE: 'leave_battle',
+  CHAT_JOIN: 'join_channel',
+  CHAT_LEAVE: 'leave_channel',
+  CHAT_SEND: 'chat_message',
+  BATTLE_INVITE: 'battle_invite',
+  BATTLE_INVITE_RESPOND: 'battle_invite_respond',
+  BATTLE_INVITE_CANCEL: 'battle_invite_cancel'
+};
+
+// 服务端推送事件
+export const SERVER_EVENTS = {
+  SESSION: 'session',
+  FORCED_DISCONNECT: 'forced_disconnect',
+  MATCHMAKING_STATUS: 'matchmaking_status',
+  MATCH_FOUND: 'match_found',
+  MATCH_STATE: 'match_state',
+  MATCH_PHASE: 'match_phase',
+  MATCH_ROUND_STARTED: 'match_round_started',
+  MATCH_COMBAT: 'match_combat',
+  MATCH_PLAYER_ELIMINATED: 'match_player_eliminated',
+  MATCH_PLAYER_UPDATE: 'match_player_update',
+  MATCH_FINISHED: 'match_finished',
+  MATCH_SETTLED: 'match_settled',
+  BATTLE_STATE: 'battle_state',
+  BATTLE_UPDATE: 'battle_update',
+  BATTLE_ENDED: 'battle_ended',
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  RESOURCE_UPDATE: 'resource_update',
+  GAME_NOTIFICATION: 'game_notification',
+  CHAT_MESSAGE: 'chat_message',
+  CHAT_MESSAGE_DELETED: 'chat_message_deleted',
+  CHAT_MUTED: 'chat_muted',
+  FRIEND_PRESENCE: 'friend_presence',
+  FRIEND_REQUEST: 'friend_request',
+  FRIEND_UPDATE: 'friend_update',
+  BATTLE_INVITE: 'battle_invite',
+  BATTLE_INVITE_UPDATE: 'battle_invite_update',
+  MAIL_RECEIVED: 'mail_received'
+};
+
+// 带序号、断线后可补发的战斗房间事件
+export const REPLAYABLE_BATTLE_EVENTS = [
+  SERVER_EVENTS.BATTLE_UPDATE,
+  SERVER_EVENTS.BATTLE_ENDED,
+  SERVER_EVENTS.PLAYER_JOINED,
+  SERVER_EVENTS.PLAYER_LEFT
+];
+
+// 握手签名使用的事件名
+export const HANDSHAKE_EVENT = 'handshake';
+
+export default {
+  PROTOCOL_VERSION,
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+  REPLAYABLE_BATTLE_EVENTS,
+  HANDSHAKE_EVENT
+};
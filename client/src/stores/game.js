@@ -7,6 +7,9 @@ import api from '@/services/api';
 import { handleError } from '@/utils/errorHandler';
 import { useNotificationStore } from './notification';
 
+// CDK兑换风控要求额外验证时的错误码
+const REDEEM_CHALLENGE_CODES = ['CAPTCHA_REQUIRED', 'TWO_FACTOR_REQUIRED'];
+
 export const useGameStore = defineStore('game', () => {
   // 获取通知存储
   const notificationStore = useNotificationStore();
@@ -47,6 +50,12 @@ export const useGameStore = defineStore('game', () => {
     result: ''
   });
   
+  // 任务状态：每日和每周任务及活跃度宝箱
+  const quests = reactive({
+    daily: null,
+    weekly: null
+  });
+  
   // 计算属性
   // 当前角色
   const currentCharacter = computed(() => {
@@ -228,6 +237,21 @@ export const useGameStore = defineStore('game', () => {
     }
   }
   
+  // 强化装备
+  async function enhanceEquipment(instanceId, useProtection = false) {
+    try {
+      const response = await api.equipment.enhance(instanceId, { useProtection });
+      
+      // 强化消耗金币，刷新资源
+      await loadResources();
+      
+      return response.data;
+    } catch (error) {
+      handleError(error);
+      throw error;
+    }
+  }
+  
   // 开始战斗
   async function startBattle(battleType, opponentIds) {
     try {
@@ -341,14 +365,56 @@ export const useGameStore = defineStore('game', () => {
   }
   
   // 兑换CDK
-  async function redeemCDK(code) {
+  async function redeemCDK(code, verification = {}) {
     try {
-      const response = await api.game.redeemCDK({ code });
+      // verification 为风控要求的 captchaToken 或 twoFactorCode
+      const response = await api.game.redeemCDK({ code, ...verification });
       
-      // 更新资源
-      if (response.data.rewards) {
-        updatePlayerResources(response.data.rewards);
+      // 奖励已由服务端发放，重新加载资源
+      await loadResources();
+      
+      return response.data;
+    } catch (error) {
+      // 风控要求的验证由兑换页面处理，不作为错误提示
+      if (!REDEEM_CHALLENGE_CODES.includes(error.response?.data?.code)) {
+        handleError(error);
       }
+      throw error;
+    }
+  }
+  
+  // 加载任务
+  async function loadQuests() {
+    try {
+      const response = await api.quests.getQuests();
+      quests.daily = response.data.daily;
+      quests.weekly = response.data.weekly;
+    } catch (error) {
+      handleError(error);
+    }
+  }
+  
+  // 领取任务奖励
+  async function claimQuestReward(questId) {
+    try {
+      const response = await api.quests.claimQuest(questId);
+      
+      // 奖励已由服务端入账，刷新资源和活跃度
+      await Promise.all([loadResources(), loadQuests()]);
+      
+      return response.data;
+    } catch (error) {
+      handleError(error);
+      throw error;
+    }
+  }
+  
+  // 领取活跃度宝箱
+  async function claimActivityChest(chestId) {
+    try {
+      const response = await api.quests.claimChest(chestId);
+      
+      await Promise.all([loadResources(), loadQuests()]);
       
       return response.data;
     } catch (error) {
@@ -391,6 +457,7 @@ export const useGameStore = defineStore('game', () => {
     battleActive,
     currentBattleId,
     battleData,
+    quests,
     
     // 计算属性
     currentCharacter,
@@ -406,12 +473,16 @@ export const useGameStore = defineStore('game', () => {
     loadEquipments,
     equipItem,
     unequipItem,
+    enhanceEquipment,
     startBattle,
     setBattleActive,
     endBattle,
     updatePlayerResources,
     createPaymentOrder,
     redeemCDK,
+    loadQuests,
+    claimQuestReward,
+    claimActivityChest,
     initialize
   };
 }); 
\ No newline at end of file
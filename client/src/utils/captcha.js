@@ -0,0 +1,75 @@
+/**
+ * 人机验证组件工具
+ * 按需加载验证脚本并渲染验证组件，兼容 hCaptcha、Turnstile 和 reCAPTCHA 的显式渲染接口
+ */
+import config from '@/config';
+
+let scriptPromise = null;
+
+/**
+ * 获取已加载的验证组件接口
+ * @private
+ * @returns {Object|null} 验证组件全局对象
+ */
+function getWidgetApi() {
+  return window.hcaptcha || window.turnstile || window.grecaptcha || null;
+}
+
+/**
+ * 加载验证组件脚本，多次调用只加载一次
+ * @returns {Promise<Object>} 验证组件全局对象
+ */
+export function loadCaptchaScript() {
+  if (getWidgetApi()) {
+    return Promise.resolve(getWidgetApi());
+  }
+
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = config.THIRD_PARTY_CONFIG.captcha.scriptUrl;
+      script.async = true;
+      script.onload = () => {
+        const widgetApi = getWidgetApi();
+        if (widgetApi) {
+          resolve(widgetApi);
+        } else {
+          reject(new Error('人机验证组件加载失败'));
+        }
+      };
+      script.onerror = () => reject(new Error('人机验证组件加载失败'));
+      document.head.appendChild(script);
+    }).catch(error => {
+      // 加载失败时允许下次重试
+      scriptPromise = null;
+      throw error;
+    });
+  }
+
+  return scriptPromise;
+}
+
+/**
+ * 在指定元素中渲染验证组件
+ * @param {HTMLElement} container - 组件容器
+ * @param {string} siteKey - 服务端下发的站点密钥
+ * @param {Object} callbacks - 回调
+ * @param {Function} callbacks.onVerify - 验证通过时以令牌调用
+ * @param {Function} callbacks.onExpire - 令牌过期时调用
+ * @returns {Promise<void>}
+ */
+export async function renderCaptcha(container, siteKey, { onVerify, onExpire } = {}) {
+  const widgetApi = await loadCaptchaScript();
+
+  container.innerHTML = '';
+  widgetApi.render(container, {
+    sitekey: siteKey,
+    callback: onVerify,
+    'expired-callback': onExpire
+  });
+}
+
+export default {
+  loadCaptchaScript,
+  renderCaptcha
+};
@@ -0,0 +1,310 @@
+/**
+ * 战斗回放播放器
+ * 根据服务端保存的战斗记录逐帧还原战斗，支持播放、暂停、倍速和跳转
+ * 自走棋回放按 tick 重放模拟事件，回合制回放按行动日志逐步播放
+ */
+
+// 战斗记录来源，与服务端 BattleRecord.RECORD_SOURCE 一致
+export const REPLAY_SOURCE = {
+  AUTO_CHESS: 'auto_chess',
+  TURN_BASED: 'turn_based'
+};
+
+// 可选播放倍速
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// 自走棋模拟器每秒 tick 数
+const TICKS_PER_SECOND = 10;
+// 回合制回放每步间隔（毫秒）
+const STEP_INTERVAL = 1000;
+// 自走棋回放关键帧间隔（tick），跳转时从最近的关键帧开始重放
+const KEYFRAME_INTERVAL = 50;
+
+/**
+ * 复制对象，避免帧数据被外部修改
+ * @param {*} value - 任意可序列化的值
+ * @returns {*} 副本
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+export default class ReplayPlayer {
+  /**
+   * @param {Object} replay - 服务端返回的回放数据
+   * @param {Object} [options] - 回调
+   * @param {Function} [options.onFrame] - 每帧回调 (frame)
+   * @param {Function} [options.onEnd] - 播放结束回调
+   */
+  constructor(replay, { onFrame, onEnd } = {}) {
+    this.replay = replay;
+    this.onFrame = onFrame || (() => {});
+    this.onEnd = onEnd || (() => {});
+    this.isAutoChess = replay.source === REPLAY_SOURCE.AUTO_CHESS;
+
+    this.position = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.timer = null;
+
+    if (this.isAutoChess) {
+      this.length = replay.duration || 0;
+      this.eventsByTick = this.groupEventsByTick(replay.events || []);
+      this.keyframes = new Map([[0, this.createInitialUnits()]]);
+    } else {
+      this.length = (replay.events || []).length;
+    }
+  }
+
+  /**
+   * 开始或继续播放，已播放到结尾时从头开始
+   */
+  play() {
+    if (this.playing) return;
+    if (this.position >= this.length) {
+      this.position = 0;
+    }
+
+    this.playing = true;
+    this.startTimer();
+    this.emitFrame();
+  }
+
+  /**
+   * 暂停播放
+   */
+  pause() {
+    this.playing = false;
+    this.stopTimer();
+  }
+
+  /**
+   * 切换播放/暂停
+   */
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * 设置播放倍速
+   * @param {number} speed - 倍速
+   */
+  setSpeed(speed) {
+    this.speed = speed > 0 ? speed : 1;
+    if (this.playing) {
+      this.stopTimer();
+      this.startTimer();
+    }
+  }
+
+  /**
+   * 跳转到指定位置（自走棋为 tick，回合制为行动步数）
+   * @param {number} position - 目标位置
+   */
+  seek(position) {
+    this.position = Math.min(this.length, Math.max(0, Math.floor(position) || 0));
+    this.emitFrame();
+  }
+
+  /**
+   * 前进或后退一步
+   * @param {number} [delta=1] - 步数
+   */
+  step(delta = 1) {
+    this.pause();
+    this.seek(this.position + delta);
+  }
+
+  /**
+   * 获取当前帧
+   * @returns {Object} 帧数据 { position, length, units, events, entry }
+   */
+  getFrame() {
+    if (this.isAutoChess) {
+      return {
+        position: this.position,
+        length: this.length,
+        units: Object.values(this.getUnitsAt(this.position)),
+        events: this.eventsByTick.get(this.position) || [],
+        entry: null
+      };
+    }
+
+    const log = this.replay.events || [];
+    const entry = this.position > 0 ? log[this.position - 1] : null;
+    const entities = entry && entry.entities ? entry.entities : this.replay.boards || {};
+
+    return {
+      position: this.position,
+      length: this.length,
+      units: Object.entries(entities).map(([playerId, entity]) => ({ playerId, ...entity })),
+      events: entry ? entry.statusEvents || [] : [],
+      entry
+    };
+  }
+
+  /**
+   * 当前位置对应的战斗时间（秒），回合制为当前回合数
+   * @returns {number}
+   */
+  getTime() {
+    if (this.isAutoChess) {
+      return this.position / TICKS_PER_SECOND;
+    }
+
+    const log = this.replay.events || [];
+    const entry = this.position > 0 ? log[this.position - 1] : null;
+    return entry ? entry.round : 1;
+  }
+
+  /**
+   * 停止播放并释放定时器，组件卸载时调用
+   */
+  destroy() {
+    this.pause();
+    this.keyframes = null;
+  }
+
+  /**
+   * 启动播放定时器
+   * @private
+   */
+  startTimer() {
+    const interval = (this.isAutoChess ? 1000 / TICKS_PER_SECOND : STEP_INTERVAL) / this.speed;
+
+    this.timer = setInterval(() => {
+      if (this.position >= this.length) {
+        this.pause();
+        this.onEnd();
+        return;
+      }
+
+      this.position += 1;
+      this.emitFrame();
+    }, interval);
+  }
+
+  /**
+   * 停止播放定时器
+   * @private
+   */
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 推送当前帧
+   * @private
+   */
+  emitFrame() {
+    this.onFrame(this.getFrame());
+  }
+
+  /**
+   * 按 tick 分组模拟事件
+   * @private
+   */
+  groupEventsByTick(events) {
+    const groups = new Map();
+    for (const event of events) {
+      const tick = event[0];
+      if (!groups.has(tick)) groups.set(tick, []);
+      groups.get(tick).push(event);
+    }
+    return groups;
+  }
+
+  /**
+   * 根据模拟器初始快照创建单位状态
+   * @private
+   */
+  createInitialUnits() {
+    const units = {};
+    for (const unit of this.replay.units || []) {
+      units[unit.uid] = {
+        ...unit,
+        hp: unit.maxHp,
+        alive: true,
+        statuses: []
+      };
+    }
+    return units;
+  }
+
+  /**
+   * 计算指定 tick 结束时的单位状态
+   * 从不晚于该 tick 的最近关键帧开始重放事件，并缓存途经的关键帧
+   * @private
+   */
+  getUnitsAt(tick) {
+    let start = Math.floor(tick / KEYFRAME_INTERVAL) * KEYFRAME_INTERVAL;
+    while (!this.keyframes.has(start)) {
+      start -= KEYFRAME_INTERVAL;
+    }
+
+    const units = clone(this.keyframes.get(start));
+    for (let t = start + 1; t <= tick; t++) {
+      this.applyTick(units, t);
+      if (t % KEYFRAME_INTERVAL === 0 && !this.keyframes.has(t)) {
+        this.keyframes.set(t, clone(units));
+      }
+    }
+
+    return units;
+  }
+
+  /**
+   * 应用一个 tick 的事件
+   * 事件格式见服务端 AutoBattleSimulator.EVENTS
+   * @private
+   */
+  applyTick(units, tick) {
+    // 状态效果每个 tick 递减
+    for (const unit of Object.values(units)) {
+      unit.statuses = unit.statuses
+        .map(status => ({ ...status, remaining: status.remaining - 1 }))
+        .filter(status => status.remaining > 0);
+    }
+
+    for (const event of this.eventsByTick.get(tick) || []) {
+      const [, type, uid] = event;
+      const unit = units[uid];
+      if (!unit) continue;
+
+      switch (type) {
+        case 'mv':
+          unit.x = event[3];
+          unit.y = event[4];
+          break;
+        case 'at': {
+          const target = units[event[3]];
+          if (target) target.hp = Math.max(0, target.hp - event[4]);
+          break;
+        }
+        case 'cs':
+          unit.mana = 0;
+          break;
+        case 'dm':
+          unit.hp = Math.max(0, unit.hp - event[3]);
+          break;
+        case 'hl':
+          unit.hp = Math.min(unit.maxHp, unit.hp + event[3]);
+          break;
+        case 'st':
+          unit.statuses.push({ type: event[3], value: event[4], remaining: event[5] });
+          break;
+        case 'dd':
+          unit.alive = false;
+          unit.hp = 0;
+          break;
+      }
+    }
+  }
+}
@@ -138,11 +138,35 @@ export function generateRequestHeaders(additionalParams = {}) {
 
 /**
  * 生成WebSocket消息签名
- * @param {Object} message - WebSocket消息对象
- * @returns {Object} 包含签名的WebSocket消息
+ * 算法与服务端 game/socket/protocol.js 的 createSignature 一致：
+ * HMAC-SHA256(JSON(键排序后的 { ...message, timestamp, nonce, token }))，timestamp 为毫秒
+ * @param {Object} message - WebSocket消息对象 { v, id, event, data }
+ * @param {Object} [options] - 签名选项
+ * @param {string} [options.secret] - 签名密钥，握手使用默认密钥，之后使用服务端下发的会话密钥
+ * @param {number} [options.timeOffset=0] - 与服务器的时钟偏差（毫秒）
+ * @returns {Object} 包含 timestamp、nonce 和 signature 的WebSocket消息
  */
-export function signWebSocketMessage(message) {
-  return generateSignature(message);
+export function signWebSocketMessage(message, options = {}) {
+  const { secret = DEFAULT_SECRET, timeOffset = 0 } = options;
+  const timestamp = Date.now() + timeOffset;
+  const nonce = generateNonce();
+  const token = getToken();
+  
+  const normalizedData = normalizeObject({
+    ...message,
+    timestamp,
+    nonce,
+    token: token || ''
+  });
+  
+  const signature = CryptoJS.HmacSHA256(JSON.stringify(normalizedData), secret).toString(CryptoJS.enc.Hex);
+  
+  return {
+    ...message,
+    timestamp,
+    nonce,
+    signature
+  };
 }
 
 /**
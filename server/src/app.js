@@ -21,11 +21,29 @@ const gameRoutes = require('./routes/game.routes');
 const shopRoutes = require('./routes/shop.routes');
 const cdkRoutes = require('./cdk/routes/cdkRoutes');
 const adminRoutes = require('./routes/admin.routes');
+const auctionRoutes = require('./routes/auction.routes');
+const inventoryRoutes = require('./routes/inventory.routes');
+const equipmentRoutes = require('./routes/equipment.routes');
+const contentRoutes = require('./routes/content.routes');
+const guildWarRoutes = require('./routes/guildWar.routes');
+const guildTreasuryRoutes = require('./routes/guildTreasury.routes');
+const rankedRoutes = require('./routes/ranked.routes');
+const leaderboardRoutes = require('./routes/leaderboard.routes');
+const battleHistoryRoutes = require('./routes/battleHistory.routes');
+const chatRoutes = require('./routes/chat.routes');
+const friendRoutes = require('./routes/friend.routes');
+const mailRoutes = require('./routes/mail.routes');
+const questRoutes = require('./routes/quest.routes');
+
+// 导入对局管理器和排位匹配
+const MatchManager = require('./game/match/matchManager');
+const MatchmakingService = require('./game/match/matchmakingService');
 
 // 导入中间件
-const { verifyToken } = require('./middlewares/auth.middleware');
+const { verifyToken, checkAdmin } = require('./middlewares/auth.middleware');
 const { errorHandler, notFound } = require('./middlewares/error.middleware');
 const logger = require('./utils/logger');
+const scheduler = require('./utils/scheduler');
 
 // 导入Socket.io控制器
 const socketController = require('./controllers/socket.controller');
@@ -60,6 +78,9 @@ mongoose.connect(config.database.uri, config.database.options)
   .then(() => {
     const maskedUri = maskMongoUri(config.database.uri);
     logger.info('数据库连接成功', { uri: maskedUri });
+    
+    // 拍卖结算、账本审计、赛季切换等计划任务依赖数据库，连接成功后再启动
+    scheduler.initScheduledTasks();
   })
   .catch(err => {
     logger.error('数据库连接失败', { error: err.message });
@@ -105,6 +126,19 @@ app.use('/api/game', verifyToken, gameRoutes);  // 游戏数据相关路由
 app.use('/api/shop', verifyToken, shopRoutes);  // 商城相关路由
 app.use('/api/cdk', cdkRoutes);  // CDK相关路由
 app.use('/api/admin', verifyToken, adminRoutes);  // 管理员相关路由
+app.use('/api/auction', verifyToken, auctionRoutes);  // 拍卖行路由
+app.use('/api/inventory', verifyToken, inventoryRoutes);  // 背包路由
+app.use('/api/equipment', verifyToken, equipmentRoutes);  // 装备养成路由
+app.use('/api/content', verifyToken, checkAdmin, contentRoutes);  // 游戏内容管理路由
+app.use('/api/guild-war', verifyToken, guildWarRoutes);  // 公会战路由
+app.use('/api/guild-treasury', verifyToken, guildTreasuryRoutes);  // 公会金库路由
+app.use('/api/ranked', verifyToken, rankedRoutes);  // 排位赛路由
+app.use('/api/leaderboard', verifyToken, leaderboardRoutes);  // 排行榜路由
+app.use('/api/battles', verifyToken, battleHistoryRoutes);  // 战斗记录与回放路由
+app.use('/api/chat', verifyToken, chatRoutes);  // 聊天路由
+app.use('/api/friends', verifyToken, friendRoutes);  // 好友路由
+app.use('/api/mail', verifyToken, mailRoutes);  // 邮件路由
+app.use('/api/quests', verifyToken, questRoutes);  // 任务路由
 
 // 初始化支付模块
 const paymentModule = initPaymentModule(app);
@@ -156,6 +190,13 @@ async function gracefulShutdown(signal) {
     });
     logger.info('HTTP服务器已关闭');
     
+    // 停止计划任务
+    scheduler.stopAllTasks();
+    
+    // 清空匹配队列，停止进行中的对局计时器
+    MatchmakingService.clearQueue();
+    MatchManager.disposeAll();
+    
     // 关闭数据库连接
     await mongoose.connection.close();
     logger.info('数据库连接已关闭');
@@ -6,12 +6,131 @@
 const { CDK, CDK_STATUS, CDK_TYPES, CDK_MODES } = require('../models/CDK');
 const CDKBatch = require('../models/CDKBatch');
 const cdkGenerator = require('../services/cdkGenerator');
+const cdkService = require('../services/cdkService');
 const excelExporter = require('../services/excelExporter');
+const batchExporter = require('../services/batchExporter');
 const twoFactorAuth = require('../services/twoFactorAuth');
 const auditService = require('../services/auditService');
+const abuseDetection = require('../services/abuseDetection');
+const captchaVerifier = require('../services/captchaVerifier');
 const logger = require('../../utils/logger');
 const config = require('../../config');
 
+// 兑换失败码对应的HTTP状态
+const REDEEM_FAILURE_STATUS = {
+  CDK_NOT_FOUND: 404,
+  CDK_LOCKED: 409,
+  CDK_REQUIRES_2FA: 401,
+  CDK_ALREADY_REDEEMED: 409,
+  CDK_NOT_STARTED: 403,
+  CDK_CHANNEL_NOT_ALLOWED: 403,
+  CDK_NEW_ACCOUNTS_ONLY: 403,
+  CDK_LEVEL_TOO_LOW: 403,
+  CDK_VIP_TOO_LOW: 403,
+  CDK_CAMPAIGN_LIMIT_REACHED: 409,
+  CDK_ENUMERATION_BLOCKED: 429,
+  CDK_DEVICE_ACCOUNT_LIMIT: 403,
+  CDK_BATCH_FROZEN: 423,
+  CDK_BATCH_THROTTLED: 429
+};
+
+// 兑换风控验证失败的HTTP状态，要求验证时使用428而不是401，401会被客户端当作登录失效
+const CHALLENGE_FAILURE_STATUS = {
+  CAPTCHA_REQUIRED: 428,
+  TWO_FACTOR_REQUIRED: 428,
+  CAPTCHA_UNAVAILABLE: 503
+};
+
+/**
+ * 按兑换码查找CDK，原样找不到时再按大写查找（共享码等人工设定的兑换码不区分大小写）
+ * @param {string} code - 兑换码
+ * @returns {Promise<Object|null>} CDK文档
+ */
+async function findCDKByCode(code) {
+  const cdk = await CDK.validateCDK(code);
+  const upperCode = code.trim().toUpperCase();
+  
+  if (cdk || upperCode === code) {
+    return cdk;
+  }
+  
+  return CDK.validateCDK(upperCode);
+}
+
+/**
+ * 校验风控要求的兑换验证，2FA验证仅对已开启2FA的账号生效，其他账号改为人机验证
+ * 未配置人机验证时不放行：已开启2FA的账号改为2FA验证，其他账号返回 CAPTCHA_UNAVAILABLE
+ * @param {Object} req - 请求对象
+ * @param {string} challenge - 需要完成的验证，见 abuseDetection.CHALLENGES
+ * @param {Object} verification - 客户端提交的验证 { twoFactorCode, captchaToken }
+ * @returns {Promise<Object|null>} 验证未通过时返回响应内容，状态码见 CHALLENGE_FAILURE_STATUS，通过时返回 null
+ */
+async function verifyAbuseChallenge(req, challenge, { twoFactorCode, captchaToken } = {}) {
+  const captchaEnabled = captchaVerifier.isCaptchaEnabled();
+  
+  if (challenge === abuseDetection.CHALLENGES.TWO_FACTOR || !captchaEnabled) {
+    const user = await req.user.populate('twoFactorAuth');
+    const twoFactor = user.twoFactorAuth;
+    
+    if (twoFactor && twoFactor.activated && twoFactor.secretKey) {
+      if (twoFactorAuth.verifyTwoFactorCode(twoFactor.secretKey, twoFactorCode)) {
+        return null;
+      }
+      
+      return {
+        success: false,
+        message: '兑换失败次数过多，请输入双因素认证验证码',
+        code: 'TWO_FACTOR_REQUIRED',
+        requires2FA: true
+      };
+    }
+  }
+  
+  if (!captchaEnabled) {
+    logger.error('未配置人机验证密钥，无法完成兑换风控验证', { userId: req.user.id, ip: req.ip });
+    
+    return {
+      success: false,
+      message: '兑换验证暂不可用，请稍后再试',
+      code: 'CAPTCHA_UNAVAILABLE'
+    };
+  }
+  
+  if (await captchaVerifier.verifyCaptcha(captchaToken, req.ip)) {
+    return null;
+  }
+  
+  return {
+    success: false,
+    message: '兑换失败次数过多，请先完成人机验证',
+    code: 'CAPTCHA_REQUIRED',
+    requiresCaptcha: true,
+    captchaSiteKey: config.cdk.abuseDetection.captcha.siteKey
+  };
+}
+
+/**
+ * 返回兑换失败响应，风控拒绝时附带 Retry-After
+ * @param {Object} res - 响应对象
+ * @param {Object} result - 兑换或风控结果
+ */
+function sendRedeemFailure(res, result) {
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+  
+  return res.status(REDEEM_FAILURE_STATUS[result.code] || 400).json({
+    success: false,
+    message: result.message,
+    code: result.code,
+    reason: result.reason,
+    rule: result.rule,
+    details: result.details,
+    requires2FA: result.requires2FA,
+    retryAfter: result.retryAfter
+  });
+}
+
 /**
  * 创建CDK批次
  * @param {Object} req - 请求对象
@@ -528,6 +647,165 @@ async function revokeCDK(req, res) {
   }
 }
 
+/**
+ * 创建共享码（如主播活动码），一个码可被多个账号各兑换一次
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function createSharedCode(req, res) {
+  try {
+    const userId = req.user.id;
+    const result = await cdkService.createSharedCDK(req.body, userId);
+    
+    if (!result.success) {
+      return res.status(result.code === 'CODE_ALREADY_EXISTS' ? 409 : 400).json(result);
+    }
+    
+    await auditService.logBatchAudit(
+      result.batchId,
+      auditService.AUDIT_EVENTS.BATCH_CREATE,
+      userId,
+      {
+        quantity: 1,
+        cdkMode: CDK_MODES.SHARED,
+        cdkType: req.body.cdkType,
+        maxUsageCount: req.body.maxUsageCount,
+        value: JSON.stringify(req.body.value),
+        ip: req.ip
+      }
+    );
+    
+    return res.status(201).json({
+      success: true,
+      message: '共享码创建成功',
+      data: {
+        batchId: result.batchId,
+        cdk: result.cdk
+      }
+    });
+  } catch (error) {
+    logger.error('创建共享码失败', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id
+    });
+    
+    return res.status(500).json({
+      success: false,
+      message: '创建共享码失败',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * 修改批次的活动标识和兑换资格规则，规则整体替换
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function updateBatchRules(req, res) {
+  try {
+    const userId = req.user.id;
+    const { batchId } = req.params;
+    const { campaignId, eligibilityRules = {} } = req.body;
+    
+    const batch = await CDKBatch.findOne({ batchId });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: '未找到批次',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+    
+    if (campaignId !== undefined) {
+      batch.campaignId = campaignId || undefined;
+    }
+    batch.eligibilityRules = eligibilityRules;
+    
+    batch.auditTrail.push({
+      action: 'update_rules',
+      performedBy: userId,
+      timestamp: new Date(),
+      ipAddress: req.ip,
+      details: { campaignId: batch.campaignId, eligibilityRules }
+    });
+    
+    await batch.save();
+    
+    return res.status(200).json({
+      success: true,
+      message: '兑换规则已更新',
+      data: {
+        batchId: batch.batchId,
+        campaignId: batch.campaignId,
+        eligibilityRules: batch.eligibilityRules,
+        descriptions: batch.describeEligibilityRules()
+      }
+    });
+  } catch (error) {
+    logger.error('更新批次兑换规则失败', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id,
+      batchId: req.params.batchId
+    });
+    
+    return res.status(500).json({
+      success: false,
+      message: '更新批次兑换规则失败',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * 解除风控对批次的自动限流和冻结，用于处理误判
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function clearBatchAbuseControl(req, res) {
+  try {
+    const userId = req.user.id;
+    const { batchId } = req.params;
+    
+    const found = await abuseDetection.clearBatchAbuseControl(batchId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: '未找到批次',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+    
+    await auditService.logBatchAudit(
+      batchId,
+      auditService.AUDIT_EVENTS.BATCH_ABUSE_CLEAR,
+      userId,
+      { ip: req.ip }
+    );
+    
+    return res.status(200).json({
+      success: true,
+      message: '已解除批次的限流和冻结',
+      data: { batchId }
+    });
+  } catch (error) {
+    logger.error('解除批次风控限制失败', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?.id,
+      batchId: req.params.batchId
+    });
+    
+    return res.status(500).json({
+      success: false,
+      message: '解除批次风控限制失败',
+      error: error.message
+    });
+  }
+}
+
 /**
  * 作废整个批次
  * @param {Object} req - 请求对象
@@ -664,7 +942,7 @@ async function exportBatchToExcel(req, res) {
       includeExpired = false,
       includeRevoked = false,
       showSensitiveInfo = false,
-      password
+      hashCodes = false
     } = req.body;
     
     // 查询批次是否存在
@@ -683,7 +961,7 @@ async function exportBatchToExcel(req, res) {
       includeExpired: includeExpired === 'true' || includeExpired === true,
       includeRevoked: includeRevoked === 'true' || includeRevoked === true,
       showSensitiveInfo: showSensitiveInfo === 'true' || showSensitiveInfo === true,
-      password,
+      hashCodes: hashCodes === 'true' || hashCodes === true,
       adminId: userId
     });
     
@@ -699,7 +977,7 @@ async function exportBatchToExcel(req, res) {
         includeUsed,
         includeExpired,
         includeRevoked,
-        hasPassword: !!password
+        hashCodes
       }
     );
     
@@ -710,6 +988,7 @@ async function exportBatchToExcel(req, res) {
       data: {
         fileName: result.fileName,
         recordCount: result.recordCount,
+        hashSalt: result.hashSalt,
         expiresIn: result.expiresIn
       }
     });
@@ -729,6 +1008,105 @@ async function exportBatchToExcel(req, res) {
   }
 }
 
+/**
+ * 下载批次导出文件，CDK逐条流式写入响应，不在服务器上落盘
+ * 支持 xlsx、csv 和带签名清单的 jsonl，hashCodes 时只导出兑换码的单向哈希，盐值通过 X-CDK-Hash-Salt 响应头返回
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+async function downloadBatchExport(req, res) {
+  const { batchId } = req.params;
+  const userId = req.user.id;
+  const isTrue = value => value === 'true' || value === true;
+  const options = {
+    format: req.query.format || batchExporter.EXPORT_FORMATS.XLSX,
+    includeUsed: isTrue(req.query.includeUsed),
+    includeExpired: isTrue(req.query.includeExpired),
+    includeRevoked: isTrue(req.query.includeRevoked),
+    showSensitiveInfo: isTrue(req.query.showSensitiveInfo),
+    hashCodes: isTrue(req.query.hashCodes)
+  };
+  
+  try {
+    const batch = await CDKBatch.findOne({ batchId });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: '未找到批次',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+    
+    if (options.format === batchExporter.EXPORT_FORMATS.JSONL && !batchExporter.canSignManifest()) {
+      return res.status(503).json({
+        success: false,
+        message: '未配置导出签名密钥，无法导出 JSON Lines',
+        code: 'EXPORT_SIGNING_KEY_MISSING'
+      });
+    }
+    
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+/g, '');
+    const fileName = `cdk_${batch.batchId}_${timestamp}.${options.format}`;
+    const hashSalt = options.hashCodes ? batchExporter.createHashSalt() : undefined;
+    
+    // 开始输出前先记录审计，下载中断时也能追溯到这次导出
+    const auditEntry = await auditService.logBatchAudit(
+      batchId,
+      auditService.AUDIT_EVENTS.EXPORT,
+      userId,
+      {
+        ip: req.ip,
+        fileName,
+        format: options.format,
+        includeUsed: options.includeUsed,
+        includeExpired: options.includeExpired,
+        includeRevoked: options.includeRevoked,
+        showSensitiveInfo: options.showSensitiveInfo,
+        hashCodes: options.hashCodes,
+        completed: false
+      }
+    );
+    
+    res.setHeader('Content-Type', batchExporter.CONTENT_TYPES[options.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    if (hashSalt) {
+      res.setHeader('X-CDK-Hash-Salt', hashSalt);
+    }
+    
+    let result = null;
+    try {
+      result = await batchExporter.streamBatchExport(batch, res, { ...options, hashSalt });
+    } finally {
+      await auditService.updateBatchAudit(batchId, auditEntry, result
+        ? { completed: true, recordCount: result.recordCount }
+        : { completed: false, aborted: true });
+    }
+  } catch (error) {
+    logger.error('下载批次导出失败', {
+      error: error.message,
+      stack: error.stack,
+      userId,
+      batchId,
+      format: options.format
+    });
+    
+    // 已开始输出文件时无法再返回错误信息，直接中断连接，客户端会得到不完整的下载
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('X-CDK-Hash-Salt');
+    return res.status(500).json({
+      success: false,
+      message: '下载批次导出失败',
+      error: error.message
+    });
+  }
+}
+
 /**
  * 验证并使用CDK（给用户使用）
  * @param {Object} req - 请求对象
@@ -747,10 +1125,27 @@ async function redeemCDK(req, res) {
       });
     }
     
+    // 兑换风控：枚举中的IP或设备直接拒绝，失败次数过多时要求先完成人机验证或2FA
+    const actor = { ip: req.ip, deviceId: req.headers['x-device-id'], userId };
+    const assessment = await abuseDetection.assessRequest(actor);
+    
+    if (assessment.blocked) {
+      return sendRedeemFailure(res, assessment);
+    }
+    
+    if (assessment.challenge) {
+      const challengeFailure = await verifyAbuseChallenge(req, assessment.challenge, req.body);
+      if (challengeFailure) {
+        return res.status(CHALLENGE_FAILURE_STATUS[challengeFailure.code]).json(challengeFailure);
+      }
+    }
+    
     // 查找CDK
-    const cdk = await CDK.validateCDK(code);
+    const cdk = await findCDKByCode(code);
     
     if (!cdk) {
+      await abuseDetection.recordFailure(actor, 'INVALID_CDK');
+      
       return res.status(404).json({
         success: false,
         message: 'CDK不存在或无效',
@@ -758,12 +1153,28 @@ async function redeemCDK(req, res) {
       });
     }
     
+    // 共享码的兑换记录单独存储，不在CDK文档上追加审计，避免数组随兑换人数无限增长
+    const recordAudit = cdk.mode !== CDK_MODES.SHARED;
+    const target = { cdkId: recordAudit ? cdk._id : null, batchId: cdk.batchId };
+    
     // 准备额外信息
     const extraData = {
       ip: req.ip,
-      deviceInfo: req.headers['user-agent'] || '未知设备'
+      deviceInfo: req.headers['user-agent'] || '未知设备',
+      channel: req.user.channel
     };
     
+    // 同一设备兑换的账号过多时拒绝新账号
+    const deviceCheck = await abuseDetection.checkDeviceAccounts(actor, target);
+    
+    if (deviceCheck.blocked) {
+      if (recordAudit) {
+        await auditService.logAccessDenied(cdk._id, userId, deviceCheck.message, { ...extraData, code: deviceCheck.code });
+      }
+      
+      return sendRedeemFailure(res, deviceCheck);
+    }
+    
     // 检查CDK是否需要2FA验证
     if (cdk.requires2FA) {
       try {
@@ -773,7 +1184,9 @@ async function redeemCDK(req, res) {
         await twoFactorAuth.validateSecureCDKUsage(user, cdk, twoFactorCode);
       } catch (error) {
         // 记录访问拒绝
-        await auditService.logAccessDenied(cdk._id, userId, error.message, extraData);
+        if (recordAudit) {
+          await auditService.logAccessDenied(cdk._id, userId, error.message, extraData);
+        }
         
         return res.status(401).json({
           success: false,
@@ -784,43 +1197,45 @@ async function redeemCDK(req, res) {
       }
     }
     
-    // 尝试使用CDK
-    try {
-      const value = await cdk.redeem(userId, extraData);
+    // 核销CDK并在同一事务中发放奖励，需要2FA的CDK已在上方完成验证
+    const result = await cdkService.redeemCDK(cdk.code, userId, {
+      ...extraData,
+      twoFactorVerified: true
+    });
+    
+    if (!result.success) {
+      // 记录访问拒绝，失败码用于批次分析中的资格规则拒绝统计
+      if (recordAudit) {
+        await auditService.logAccessDenied(cdk._id, userId, result.message, { ...extraData, code: result.code });
+      }
       
-      // 记录审计
+      await abuseDetection.recordFailure(actor, result.code, target);
+      
+      return sendRedeemFailure(res, result);
+    }
+    
+    await abuseDetection.recordRedemption(actor, target);
+    
+    // 记录审计
+    if (recordAudit) {
       await auditService.logCDKAudit(
         cdk._id,
         auditService.AUDIT_EVENTS.USE,
         userId,
         extraData
       );
-      
-      // 更新批次状态计数
-      const batch = await CDKBatch.findOne({ batchId: cdk.batchId });
-      if (batch) {
-        batch.usedCount += 1;
-        await batch.save();
-      }
-      
-      return res.status(200).json({
-        success: true,
-        message: 'CDK使用成功',
-        data: {
-          cdkType: cdk.type,
-          value
-        }
-      });
-    } catch (error) {
-      // 记录访问拒绝
-      await auditService.logAccessDenied(cdk._id, userId, error.message, extraData);
-      
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-        code: 'REDEMPTION_FAILED'
-      });
     }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'CDK使用成功',
+      data: {
+        cdkType: result.type,
+        value: result.value,
+        rewards: result.rewards,
+        remainingUses: result.remainingUses
+      }
+    });
   } catch (error) {
     logger.error('使用CDK失败', {
       error: error.message,
@@ -838,7 +1253,7 @@ async function redeemCDK(req, res) {
 }
 
 /**
- * 检查CDK状态（无需认证，供前端验证用）
+ * 检查CDK状态（供前端验证用，需登录并受兑换风控约束）
  * @param {Object} req - 请求对象
  * @param {Object} res - 响应对象
  */
@@ -854,10 +1269,27 @@ async function checkCDKStatus(req, res) {
       });
     }
     
+    // 与兑换共用风控计数，避免通过状态查询枚举兑换码
+    const actor = { ip: req.ip, deviceId: req.headers['x-device-id'], userId: req.user.id };
+    const assessment = await abuseDetection.assessRequest(actor);
+    
+    if (assessment.blocked) {
+      return sendRedeemFailure(res, assessment);
+    }
+    
+    if (assessment.challenge) {
+      const challengeFailure = await verifyAbuseChallenge(req, assessment.challenge, req.query);
+      if (challengeFailure) {
+        return res.status(CHALLENGE_FAILURE_STATUS[challengeFailure.code]).json(challengeFailure);
+      }
+    }
+    
     // 查找CDK
-    const cdk = await CDK.validateCDK(code);
+    const cdk = await findCDKByCode(code);
     
     if (!cdk) {
+      await abuseDetection.recordFailure(actor, 'INVALID_CDK');
+      
       return res.status(404).json({
         success: false,
         message: 'CDK不存在或无效',
@@ -865,15 +1297,21 @@ async function checkCDKStatus(req, res) {
       });
     }
     
+    const isShared = cdk.mode === CDK_MODES.SHARED;
+    const remainingUses = isShared ? Math.max(cdk.maxUsageCount - cdk.usageCount, 0) : undefined;
+    
     // 返回基本状态（不包含敏感信息）
     return res.status(200).json({
       success: true,
       data: {
-        valid: cdk.status === CDK_STATUS.GENERATED || cdk.status === CDK_STATUS.ACTIVATED,
+        valid: (cdk.status === CDK_STATUS.GENERATED || cdk.status === CDK_STATUS.ACTIVATED) &&
+          (!isShared || remainingUses > 0),
         status: cdk.status,
         type: cdk.type,
+        mode: cdk.mode,
         requires2FA: cdk.requires2FA,
-        expiresAt: cdk.expiresAt
+        expiresAt: cdk.expiresAt,
+        remainingUses
       }
     });
   } catch (error) {
@@ -986,11 +1424,15 @@ module.exports = {
   getBatchList,
   getBatchDetail,
   getBatchCDKs,
+  createSharedCode,
+  updateBatchRules,
+  clearBatchAbuseControl,
   activateCDK,
   revokeCDK,
   revokeBatch,
   getCDKDetail,
   exportBatchToExcel,
+  downloadBatchExport,
   redeemCDK,
   checkCDKStatus,
   getBatchAnalytics,
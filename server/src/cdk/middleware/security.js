@@ -8,6 +8,7 @@ const { body, param, query, validationResult } = require('express-validator');
 const { sanitize } = require('express-validator/filter');
 const mongoose = require('mongoose');
 const { CDK_TYPES, CDK_MODES, CDK_STATUS } = require('../models/CDK');
+const { EXPORT_FORMATS } = require('../services/batchExporter');
 const logger = require('../../utils/logger');
 const config = require('../../config');
 
@@ -209,6 +210,49 @@ function sanitizeMongoObject(obj) {
 }
 
 // 创建批次验证规则
+// 活动标识和兑换资格规则验证（创建批次和修改规则共用）
+const eligibilityRuleFields = [
+  body('campaignId')
+    .optional()
+    .isString().withMessage('活动标识必须是字符串')
+    .trim()
+    .isLength({ max: 64 }).withMessage('活动标识长度不能超过64个字符'),
+  
+  body('eligibilityRules')
+    .optional()
+    .isObject().withMessage('兑换资格规则必须是对象'),
+  
+  body('eligibilityRules.onePerAccount')
+    .optional()
+    .isBoolean().withMessage('onePerAccount必须是布尔值'),
+  
+  body('eligibilityRules.accountCreatedAfter')
+    .optional()
+    .isISO8601().withMessage('注册时间限制必须是有效的ISO日期格式'),
+  
+  body('eligibilityRules.minLevel')
+    .optional()
+    .isInt({ min: 1 }).withMessage('最低玩家等级必须是正整数'),
+  
+  body('eligibilityRules.minVipLevel')
+    .optional()
+    .isInt({ min: 0 }).withMessage('最低VIP等级必须是非负整数'),
+  
+  body('eligibilityRules.channels')
+    .optional()
+    .isArray().withMessage('渠道限制必须是数组'),
+  
+  body('eligibilityRules.channels.*')
+    .optional()
+    .isString().withMessage('渠道标识必须是字符串')
+    .trim()
+    .notEmpty().withMessage('渠道标识不能为空'),
+  
+  body('eligibilityRules.notBefore')
+    .optional()
+    .isISO8601().withMessage('活动开始时间必须是有效的ISO日期格式')
+];
+
 const batchCreationRules = [
   body('name')
     .notEmpty().withMessage('批次名称不能为空')
@@ -286,9 +330,56 @@ const batchCreationRules = [
   
   body('requires2FA')
     .optional()
-    .isBoolean().withMessage('requires2FA必须是布尔值')
+    .isBoolean().withMessage('requires2FA必须是布尔值'),
+  
+  ...eligibilityRuleFields
+];
+
+// 共享码创建验证规则
+const sharedCodeRules = [
+  body('code')
+    .notEmpty().withMessage('兑换码不能为空')
+    .trim()
+    .matches(/^[A-Za-z0-9]{5,32}$/).withMessage('兑换码只能包含字母和数字，长度5-32位'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 }).withMessage('名称长度应在3-100字符之间'),
+  
+  body('cdkType')
+    .notEmpty().withMessage('CDK类型不能为空')
+    .isIn(Object.values(CDK_TYPES)).withMessage('无效的CDK类型'),
+  
+  body('value')
+    .notEmpty().withMessage('CDK价值不能为空'),
+  
+  body('maxUsageCount')
+    .notEmpty().withMessage('兑换名额不能为空')
+    .isInt({ min: 1, max: 10000000 }).withMessage('兑换名额必须在1-10,000,000之间'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601().withMessage('过期时间必须是有效的ISO日期格式'),
+  
+  body('validityDays')
+    .optional()
+    .isInt({ min: 1, max: 3650 }).withMessage('有效期天数必须在1-3650之间'),
+  
+  body('securityLevel')
+    .optional()
+    .isInt({ min: 1, max: 3 }).withMessage('安全级别必须在1-3之间'),
+  
+  body('requires2FA')
+    .optional()
+    .isBoolean().withMessage('requires2FA必须是布尔值'),
+  
+  ...eligibilityRuleFields
 ];
 
+// 批次兑换规则修改验证规则
+const batchRulesUpdateRules = [...eligibilityRuleFields];
+
 // CDK兑换验证规则
 const redeemRules = [
   body('code')
@@ -299,7 +390,12 @@ const redeemRules = [
   body('twoFactorCode')
     .optional()
     .isString().withMessage('验证码必须是字符串')
-    .matches(/^\d{6}$/).withMessage('验证码必须是6位数字')
+    .matches(/^\d{6}$/).withMessage('验证码必须是6位数字'),
+  
+  body('captchaToken')
+    .optional()
+    .isString().withMessage('人机验证令牌必须是字符串')
+    .isLength({ max: 4096 }).withMessage('人机验证令牌过长')
 ];
 
 // 批次ID验证规则
@@ -362,10 +458,22 @@ const exportRules = [
     .optional()
     .isBoolean().withMessage('showSensitiveInfo必须是布尔值'),
   
-  body('password')
+  body('hashCodes')
     .optional()
-    .isString().withMessage('密码必须是字符串')
-    .isLength({ min: 8 }).withMessage('密码长度不能少于8个字符')
+    .isBoolean().withMessage('hashCodes必须是布尔值')
+];
+
+// 流式下载导出验证规则
+const exportDownloadRules = [
+  query('format')
+    .optional()
+    .isIn(Object.values(EXPORT_FORMATS)).withMessage('导出格式必须是xlsx、csv或jsonl'),
+  
+  ...['includeUsed', 'includeExpired', 'includeRevoked', 'showSensitiveInfo', 'hashCodes'].map(field =>
+    query(field)
+      .optional()
+      .isBoolean().withMessage(`${field}必须是布尔值`)
+  )
 ];
 
 // 2FA验证规则
@@ -539,11 +647,14 @@ module.exports = {
   
   // 验证规则
   batchCreationRules,
+  batchRulesUpdateRules,
+  sharedCodeRules,
   redeemRules,
   batchIdRules,
   cdkIdRules,
   cdkListRules,
   exportRules,
+  exportDownloadRules,
   twoFactorRules,
   
   // 验证中间件
@@ -28,7 +28,8 @@ const CDK_STATUS = {
 const CDK_MODES = {
   SINGLE_USE: 'single_use', // 一次性使用
   MULTI_USE: 'multi_use', // 多次使用(有使用次数限制)
-  UNLIMITED: 'unlimited' // 无限制使用(通常用于活动码)
+  UNLIMITED: 'unlimited', // 无限制使用(通常用于活动码)
+  SHARED: 'shared' // 共享码：同一个码可被多个账号各兑换一次，总次数受 maxUsageCount 限制
 };
 
 // CDK Schema定义
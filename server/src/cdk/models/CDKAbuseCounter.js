@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// 兑换风控计数对象
+const ABUSE_SCOPES = {
+  IP: 'ip',                 // 客户端IP的失败次数
+  DEVICE: 'device',         // 设备的失败次数和兑换账号
+  USER: 'user',             // 账号的失败次数
+  USER_BATCH: 'user_batch', // 账号在某批次的最近兑换时间
+  BATCH: 'batch',           // 批次可疑事件涉及的请求方
+  BATCH_RATE: 'batch_rate'  // 批次限流期间每分钟的兑换次数
+};
+
+// 兑换风控计数：按固定时间窗口计数，每个窗口一条记录，窗口结束后由TTL索引自动删除
+// 多个服务实例共享同一份计数，重启后不会丢失
+const CDKAbuseCounterSchema = new mongoose.Schema({
+  // 计数对象
+  scope: {
+    type: String,
+    enum: Object.values(ABUSE_SCOPES),
+    required: true
+  },
+  // 对象标识，如IP、设备ID、用户ID或批次ID
+  key: {
+    type: String,
+    required: true
+  },
+  // 窗口开始时间
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  // 失败的兑换尝试
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // 其中输入不存在的兑换码的次数
+  unknownCodes: {
+    type: Number,
+    default: 0
+  },
+  // 兑换次数
+  events: {
+    type: Number,
+    default: 0
+  },
+  // 在该批次触发可疑事件的不同请求方（按IP，无IP时按设备或账号）
+  actors: [{
+    type: String
+  }],
+  // 在该设备上兑换过的账号
+  userIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 最近一次兑换时间
+  lastRedeemedAt: {
+    type: Date
+  },
+  // 过期时间
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+CDKAbuseCounterSchema.index({ scope: 1, key: 1, windowStart: 1 }, { unique: true });
+CDKAbuseCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CDKAbuseCounter = mongoose.model('CDKAbuseCounter', CDKAbuseCounterSchema);
+
+module.exports = {
+  CDKAbuseCounter,
+  ABUSE_SCOPES
+};
@@ -165,6 +165,58 @@ const CDKBatchSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // 活动标识，同一活动可包含多个批次，用于“每个账号限兑一次”等跨批次规则
+  campaignId: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  // 兑换资格规则，兑换时在锁定CDK之前校验，未设置的规则不生效
+  eligibilityRules: {
+    // 每个账号在本活动（未设置活动时为本批次）只能兑换一次
+    onePerAccount: {
+      type: Boolean,
+      default: false
+    },
+    // 仅限新账号：注册时间不早于该时间
+    accountCreatedAfter: {
+      type: Date
+    },
+    // 最低玩家等级
+    minLevel: {
+      type: Number,
+      min: 1
+    },
+    // 最低VIP等级
+    minVipLevel: {
+      type: Number,
+      min: 0
+    },
+    // 允许兑换的客户端渠道，为空时不限
+    channels: [{
+      type: String,
+      trim: true
+    }],
+    // 活动开始时间，之前不可兑换
+    notBefore: {
+      type: Date
+    }
+  },
+  // 滥用防护状态，由兑换风控在可疑事件过多时自动设置，到期后自动失效
+  abuseControl: {
+    // 限流截止时间，期间每分钟兑换次数受限
+    throttledUntil: {
+      type: Date
+    },
+    // 冻结截止时间，期间拒绝所有兑换
+    frozenUntil: {
+      type: Date
+    },
+    // 最近一次触发的原因
+    reason: {
+      type: String
+    }
+  },
   // CDK的价值内容
   value: {
     type: mongoose.Schema.Types.Mixed,
@@ -358,6 +410,33 @@ CDKBatchSchema.methods.revokeBatch = async function(adminId, reason) {
   return this.updateStatusCounts();
 };
 
+// 兑换资格规则的可读描述，用于导出和分析
+CDKBatchSchema.methods.describeEligibilityRules = function() {
+  const rules = this.eligibilityRules || {};
+  const descriptions = [];
+  
+  if (rules.onePerAccount) {
+    descriptions.push(this.campaignId ? `每个账号在活动${this.campaignId}中限兑一次` : '每个账号限兑一次');
+  }
+  if (rules.accountCreatedAfter) {
+    descriptions.push(`仅限${rules.accountCreatedAfter.toISOString()}之后注册的账号`);
+  }
+  if (rules.minLevel) {
+    descriptions.push(`玩家等级不低于${rules.minLevel}`);
+  }
+  if (rules.minVipLevel) {
+    descriptions.push(`VIP等级不低于${rules.minVipLevel}`);
+  }
+  if (rules.channels && rules.channels.length > 0) {
+    descriptions.push(`仅限渠道${rules.channels.join('、')}`);
+  }
+  if (rules.notBefore) {
+    descriptions.push(`${rules.notBefore.toISOString()}之后开放兑换`);
+  }
+  
+  return descriptions;
+};
+
 // 导出Excel的批次信息
 CDKBatchSchema.methods.getExportInfo = function() {
   return {
@@ -375,6 +454,8 @@ CDKBatchSchema.methods.getExportInfo = function() {
     createdAt: this.createdAt,
     expiresAt: this.expiresAt,
     securityLevel: this.securityLevel,
+    campaignId: this.campaignId,
+    eligibilityRules: this.describeEligibilityRules().join('；'),
     value: typeof this.value === 'object' ? JSON.stringify(this.value) : this.value
   };
 };
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// 活动兑换名额：启用 onePerAccount 规则的批次，每个账号在同一活动中只有一条记录
+// 在兑换事务中写入，{ campaignKey, userId } 唯一索引保证并发兑换时只有一次成功
+const CDKCampaignClaimSchema = new mongoose.Schema({
+  // 活动键：设置了活动时为 campaign:<campaignId>，否则为 batch:<batchId>
+  campaignKey: {
+    type: String,
+    required: true
+  },
+  // 兑换者ID
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 兑换的批次和CDK
+  batchId: {
+    type: String,
+    required: true
+  },
+  cdkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CDK',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'claimedAt', updatedAt: false }
+});
+
+CDKCampaignClaimSchema.index({ campaignKey: 1, userId: 1 }, { unique: true });
+
+const CDKCampaignClaim = mongoose.model('CDKCampaignClaim', CDKCampaignClaimSchema);
+
+module.exports = CDKCampaignClaim;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// 共享码兑换记录：每个账号对同一个共享码只有一条记录
+// 共享码可能被数万名玩家兑换，兑换记录单独存储，不写入CDK文档的 usageHistory
+const CDKRedemptionSchema = new mongoose.Schema({
+  // 共享码ID
+  cdkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CDK',
+    required: true
+  },
+  // 批次ID
+  batchId: {
+    type: String,
+    required: true
+  },
+  // 兑换者ID
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 兑换时IP
+  ip: {
+    type: String
+  },
+  // 兑换时设备信息
+  deviceInfo: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: 'redeemedAt', updatedAt: false }
+});
+
+// 同一账号对同一个共享码只能兑换一次，并发兑换时由唯一索引兜底
+CDKRedemptionSchema.index({ cdkId: 1, userId: 1 }, { unique: true });
+CDKRedemptionSchema.index({ batchId: 1, userId: 1 });
+CDKRedemptionSchema.index({ cdkId: 1, redeemedAt: -1 });
+
+const CDKRedemption = mongoose.model('CDKRedemption', CDKRedemptionSchema);
+
+module.exports = CDKRedemption;
@@ -40,6 +40,17 @@ router.post(
   cdkController.createBatch
 );
 
+// 创建共享码（一个码可被多个账号各兑换一次，如主播活动码）
+router.post(
+  '/shared',
+  authenticate,
+  checkPermission(CDK_PERMISSIONS.CREATE),
+  security.batchCreateRateLimiter,
+  security.sharedCodeRules,
+  security.validateRequest,
+  cdkController.createSharedCode
+);
+
 // 获取批次列表
 router.get(
   '/batch',
@@ -71,6 +82,29 @@ router.get(
   cdkController.getBatchCDKs
 );
 
+// 修改批次的活动标识和兑换资格规则
+router.put(
+  '/batch/:batchId/rules',
+  authenticate,
+  checkPermission(CDK_PERMISSIONS.CREATE),
+  security.cdkManagementRateLimiter,
+  security.batchIdRules,
+  security.batchRulesUpdateRules,
+  security.validateRequest,
+  cdkController.updateBatchRules
+);
+
+// 解除风控对批次的自动限流和冻结
+router.post(
+  '/batch/:batchId/abuse/clear',
+  authenticate,
+  checkPermission(CDK_PERMISSIONS.CREATE),
+  security.cdkManagementRateLimiter,
+  security.batchIdRules,
+  security.validateRequest,
+  cdkController.clearBatchAbuseControl
+);
+
 // 作废整个批次
 router.post(
   '/batch/:batchId/revoke',
@@ -94,6 +128,18 @@ router.post(
   cdkController.exportBatchToExcel
 );
 
+// 流式下载批次导出（xlsx、csv 或带签名清单的 jsonl）
+router.get(
+  '/batch/:batchId/export/download',
+  authenticate,
+  checkPermission(CDK_PERMISSIONS.EXPORT),
+  security.exportRateLimiter,
+  security.batchIdRules,
+  security.exportDownloadRules,
+  security.validateRequest,
+  cdkController.downloadBatchExport
+);
+
 // 获取批次使用分析
 router.get(
   '/batch/:batchId/analytics',
@@ -163,9 +209,10 @@ router.post(
   cdkController.redeemCDK
 );
 
-// 检查CDK状态（供前端验证）
+// 检查CDK状态（供前端验证），与兑换共用风控计数
 router.get(
   '/check/:code',
+  authenticate,
   security.cdkStatusRateLimiter,
   cdkController.checkCDKStatus
 );
@@ -0,0 +1,401 @@
+/**
+ * CDK兑换风控服务
+ * 在兑换路径上持续统计IP、设备和账号的失败猜测，识别兑换码枚举、单设备多账号和连续快速兑换，
+ * 达到阈值后要求人机验证或2FA，并对相关批次限流或冻结；可疑事件通过 logSuspiciousActivity 记录
+ * 只有枚举和单设备多账号会计入批次，按不同请求方计数：对已知兑换码（已使用、已达上限等）的重复失败
+ * 只影响请求方自身，避免任何人反复提交一个公开的兑换码就能冻结整个批次
+ */
+
+const CDKBatch = require('../models/CDKBatch');
+const { CDKAbuseCounter, ABUSE_SCOPES } = require('../models/CDKAbuseCounter');
+const auditService = require('./auditService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// 风控拒绝码及提示
+const ABUSE_FAILURES = {
+  CDK_ENUMERATION_BLOCKED: '兑换失败次数过多，请稍后再试',
+  CDK_DEVICE_ACCOUNT_LIMIT: '该设备兑换的账号过多，暂时无法兑换',
+  CDK_BATCH_FROZEN: '该批次CDK暂时无法兑换，请稍后再试',
+  CDK_BATCH_THROTTLED: '当前兑换人数过多，请稍后再试'
+};
+
+// 兑换前需要完成的验证
+const CHALLENGES = {
+  CAPTCHA: 'captcha',
+  TWO_FACTOR: 'two_factor'
+};
+
+// 可疑活动类型
+const ABUSE_ACTIVITIES = {
+  REPEATED_FAILURES: 'repeated_failures',
+  CODE_ENUMERATION: 'code_enumeration',
+  MULTI_ACCOUNT_DEVICE: 'multi_account_device',
+  RAPID_REDEMPTION: 'rapid_redemption'
+};
+
+// 计为失败猜测的兑换失败码：兑换码不存在或已不可用，资格规则等其他失败不计入
+const GUESS_FAILURE_CODES = [
+  'INVALID_CDK',
+  'CDK_NOT_FOUND',
+  'CDK_ALREADY_USED',
+  'CDK_EXPIRED',
+  'CDK_REVOKED',
+  'CDK_MAX_USAGE_REACHED'
+];
+
+// 表示兑换码不存在的失败码，用于识别枚举
+const UNKNOWN_CODE_FAILURES = ['INVALID_CDK', 'CDK_NOT_FOUND'];
+
+// 计入批次限流和冻结的可疑活动
+const BATCH_EVENT_ACTIVITIES = [ABUSE_ACTIVITIES.CODE_ENUMERATION, ABUSE_ACTIVITIES.MULTI_ACCOUNT_DEVICE];
+
+/**
+ * 评估兑换请求的风险，在查找CDK之前调用
+ * @param {Object} actor - 请求方
+ * @param {string} actor.ip - 客户端IP
+ * @param {string} actor.deviceId - 设备ID，可能为空
+ * @param {string} actor.userId - 兑换者ID
+ * @returns {Promise<Object>} { blocked, code, message, retryAfter, challenge }
+ */
+async function assessRequest(actor) {
+  const settings = config.cdk.abuseDetection;
+  const window = getWindow(settings.windowMinutes * MINUTE_MS);
+
+  const counters = await CDKAbuseCounter.find({
+    windowStart: window.start,
+    $or: actorKeys(actor).map(({ scope, key }) => ({ scope, key }))
+  })
+    .select('scope failures unknownCodes')
+    .lean();
+
+  const byScope = Object.fromEntries(counters.map(counter => [counter.scope, counter]));
+  const retryAfter = Math.ceil((window.end - Date.now()) / 1000);
+
+  const enumerating = [ABUSE_SCOPES.IP, ABUSE_SCOPES.DEVICE]
+    .some(scope => byScope[scope] && byScope[scope].unknownCodes >= settings.enumerationThreshold);
+  if (enumerating) {
+    return block('CDK_ENUMERATION_BLOCKED', retryAfter);
+  }
+
+  const userFailures = byScope[ABUSE_SCOPES.USER] ? byScope[ABUSE_SCOPES.USER].failures : 0;
+  if (userFailures >= settings.twoFactorAfterFailures) {
+    return { blocked: false, challenge: CHALLENGES.TWO_FACTOR };
+  }
+
+  if (counters.some(counter => counter.failures >= settings.captchaAfterFailures)) {
+    return { blocked: false, challenge: CHALLENGES.CAPTCHA };
+  }
+
+  return { blocked: false, challenge: null };
+}
+
+/**
+ * 记录失败的兑换尝试，只统计失败猜测（见 GUESS_FAILURE_CODES）
+ * @param {Object} actor - 请求方 { ip, deviceId, userId }
+ * @param {string} failureCode - 兑换失败码
+ * @param {Object} target - 猜中的CDK，兑换码不存在时为空 { cdkId, batchId }
+ */
+async function recordFailure(actor, failureCode, target = {}) {
+  if (!GUESS_FAILURE_CODES.includes(failureCode)) return;
+
+  const settings = config.cdk.abuseDetection;
+  const windowMs = settings.windowMinutes * MINUTE_MS;
+  const unknownCode = UNKNOWN_CODE_FAILURES.includes(failureCode);
+  const update = { $inc: { failures: 1, unknownCodes: unknownCode ? 1 : 0 } };
+
+  try {
+    for (const { scope, key } of actorKeys(actor)) {
+      const counter = await bumpCounter(scope, key, windowMs, update);
+
+      // 每个计数窗口只在刚达到阈值时记录一次
+      if (unknownCode && counter.unknownCodes === settings.enumerationThreshold && scope !== ABUSE_SCOPES.USER) {
+        await flagSuspicious(actor, ABUSE_ACTIVITIES.CODE_ENUMERATION, {
+          ...target,
+          riskLevel: auditService.RISK_LEVELS.HIGH,
+          details: { scope, unknownCodes: counter.unknownCodes, windowMinutes: settings.windowMinutes }
+        });
+      } else if (counter.failures === settings.captchaAfterFailures) {
+        await flagSuspicious(actor, ABUSE_ACTIVITIES.REPEATED_FAILURES, {
+          ...target,
+          details: { scope, failures: counter.failures, windowMinutes: settings.windowMinutes }
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('记录CDK兑换失败次数出错', { error: error.message, userId: actor.userId, failureCode });
+  }
+}
+
+/**
+ * 检查设备在统计窗口内兑换的账号数，超过上限的新账号不能再从该设备兑换
+ * @param {Object} actor - 请求方 { ip, deviceId, userId }
+ * @param {Object} target - 要兑换的CDK { cdkId, batchId }
+ * @returns {Promise<Object>} { blocked, code, message, retryAfter }
+ */
+async function checkDeviceAccounts(actor, target = {}) {
+  if (!actor.deviceId) {
+    return { blocked: false };
+  }
+
+  const settings = config.cdk.abuseDetection;
+  const windowMs = settings.deviceWindowHours * 60 * MINUTE_MS;
+  const window = getWindow(windowMs);
+  const userId = actor.userId.toString();
+
+  const counter = await bumpCounter(ABUSE_SCOPES.DEVICE, `accounts:${actor.deviceId}`, windowMs, {});
+  const knownUser = counter.userIds.some(id => id.toString() === userId);
+
+  if (!knownUser && counter.userIds.length >= settings.maxAccountsPerDevice) {
+    await flagSuspicious(actor, ABUSE_ACTIVITIES.MULTI_ACCOUNT_DEVICE, {
+      ...target,
+      riskLevel: auditService.RISK_LEVELS.HIGH,
+      details: { accountCount: counter.userIds.length + 1, maxAccountsPerDevice: settings.maxAccountsPerDevice }
+    });
+
+    return block('CDK_DEVICE_ACCOUNT_LIMIT', Math.ceil((window.end - Date.now()) / 1000));
+  }
+
+  if (!knownUser) {
+    await CDKAbuseCounter.updateOne({ _id: counter._id }, { $addToSet: { userIds: actor.userId } });
+  }
+
+  return { blocked: false };
+}
+
+/**
+ * 检查批次是否被冻结或限流，限流期间同时占用本分钟的兑换名额
+ * @param {string} batchId - 批次ID
+ * @returns {Promise<Object>} { blocked, code, message, retryAfter }
+ */
+async function checkBatchGate(batchId) {
+  const batch = await CDKBatch.findOne({ batchId }).select('abuseControl').lean();
+  const control = batch && batch.abuseControl;
+  const now = Date.now();
+
+  if (!control) {
+    return { blocked: false };
+  }
+
+  if (control.frozenUntil && control.frozenUntil > now) {
+    return block('CDK_BATCH_FROZEN', Math.ceil((control.frozenUntil - now) / 1000));
+  }
+
+  if (control.throttledUntil && control.throttledUntil > now) {
+    const counter = await bumpCounter(ABUSE_SCOPES.BATCH_RATE, batchId, MINUTE_MS, { $inc: { events: 1 } });
+
+    if (counter.events > config.cdk.abuseDetection.batchThrottlePerMinute) {
+      return block('CDK_BATCH_THROTTLED', Math.ceil((getWindow(MINUTE_MS).end - now) / 1000));
+    }
+  }
+
+  return { blocked: false };
+}
+
+/**
+ * 记录成功的兑换，同一账号短时间内连续兑换同一批次时记为可疑；
+ * 请求方在本窗口内已输入过多个不存在的兑换码时，说明猜中了该批次的CDK，记为枚举
+ * @param {Object} actor - 请求方 { ip, deviceId, userId }
+ * @param {Object} target - 兑换的CDK { cdkId, batchId }
+ */
+async function recordRedemption(actor, target) {
+  const settings = config.cdk.abuseDetection;
+  const { rapidRedeemSeconds } = settings;
+  const now = new Date();
+
+  try {
+    const enumerating = await CDKAbuseCounter.findOne({
+      windowStart: getWindow(settings.windowMinutes * MINUTE_MS).start,
+      $or: actorKeys(actor)
+        .filter(({ scope }) => scope !== ABUSE_SCOPES.USER)
+        .map(({ scope, key }) => ({ scope, key })),
+      unknownCodes: { $gte: settings.captchaAfterFailures }
+    })
+      .select('scope unknownCodes')
+      .lean();
+
+    if (enumerating) {
+      await flagSuspicious(actor, ABUSE_ACTIVITIES.CODE_ENUMERATION, {
+        ...target,
+        riskLevel: auditService.RISK_LEVELS.HIGH,
+        details: { scope: enumerating.scope, unknownCodes: enumerating.unknownCodes, redeemed: true }
+      });
+    }
+
+    const previous = await CDKAbuseCounter.findOneAndUpdate(
+      { scope: ABUSE_SCOPES.USER_BATCH, key: `${actor.userId}:${target.batchId}`, windowStart: new Date(0) },
+      { $set: { lastRedeemedAt: now, expiresAt: new Date(now.getTime() + rapidRedeemSeconds * 1000) } },
+      { upsert: true, new: false }
+    ).lean();
+
+    const interval = previous && previous.lastRedeemedAt && now - previous.lastRedeemedAt;
+    if (interval && interval < rapidRedeemSeconds * 1000) {
+      await flagSuspicious(actor, ABUSE_ACTIVITIES.RAPID_REDEMPTION, {
+        ...target,
+        details: { intervalSeconds: Math.round(interval / 1000) }
+      });
+    }
+  } catch (error) {
+    // 并发兑换时 upsert 可能冲突，只影响一次快速兑换判断
+    logger.error('记录CDK兑换时间出错', { error: error.message, userId: actor.userId, batchId: target.batchId });
+  }
+}
+
+/**
+ * 解除批次的限流和冻结
+ * @param {string} batchId - 批次ID
+ * @returns {Promise<boolean>} 批次是否存在
+ */
+async function clearBatchAbuseControl(batchId) {
+  const result = await CDKBatch.updateOne({ batchId }, { $unset: { abuseControl: 1 } });
+  return result.matchedCount > 0;
+}
+
+/**
+ * 记录可疑活动，枚举和单设备多账号关联到批次时累计批次的可疑请求方
+ * @private
+ */
+async function flagSuspicious(actor, activityType, { cdkId = null, batchId, riskLevel, details = {} }) {
+  await auditService.logSuspiciousActivity(
+    cdkId,
+    actor.userId,
+    activityType,
+    { ...details, ip: actor.ip, deviceId: actor.deviceId, batchId },
+    riskLevel || auditService.RISK_LEVELS.MEDIUM
+  );
+
+  if (batchId && BATCH_EVENT_ACTIVITIES.includes(activityType)) {
+    await recordBatchEvent(batchId, activityType, actor);
+  }
+}
+
+/**
+ * 累计批次的可疑请求方，不同请求方数达到阈值时限流或冻结批次
+ * 同一请求方重复触发只计一次
+ * @private
+ */
+async function recordBatchEvent(batchId, activityType, actor) {
+  const settings = config.cdk.abuseDetection;
+  const counter = await bumpCounter(
+    ABUSE_SCOPES.BATCH,
+    batchId,
+    settings.batchEventWindowMinutes * MINUTE_MS,
+    { $addToSet: { actors: actorIdentity(actor) } }
+  );
+  const actors = counter.actors.length;
+
+  if (actors >= settings.batchFreezeAfterEvents) {
+    await applyBatchControl(batchId, 'frozenUntil', settings.batchFreezeMinutes, activityType, actor, actors);
+  } else if (actors >= settings.batchThrottleAfterEvents) {
+    await applyBatchControl(batchId, 'throttledUntil', settings.batchThrottleMinutes, activityType, actor, actors);
+  }
+}
+
+/**
+ * 设置批次的限流或冻结截止时间，已处于该状态时不重复设置
+ * @private
+ */
+async function applyBatchControl(batchId, field, minutes, activityType, actor, actors) {
+  const now = new Date();
+  const until = new Date(now.getTime() + minutes * MINUTE_MS);
+  const path = `abuseControl.${field}`;
+
+  const result = await CDKBatch.updateOne(
+    { batchId, $or: [{ [path]: null }, { [path]: { $lte: now } }] },
+    { $set: { [path]: until, 'abuseControl.reason': activityType } }
+  );
+
+  if (result.modifiedCount === 0) return;
+
+  const frozen = field === 'frozenUntil';
+  logger.warn(frozen ? 'CDK批次可疑事件过多，已自动冻结' : 'CDK批次可疑事件过多，已自动限流', {
+    batchId,
+    until,
+    reason: activityType,
+    actors
+  });
+
+  await auditService.logBatchAudit(
+    batchId,
+    frozen ? auditService.AUDIT_EVENTS.BATCH_FREEZE : auditService.AUDIT_EVENTS.BATCH_THROTTLE,
+    actor.userId,
+    { ip: actor.ip, until, reason: activityType, actors, automatic: true }
+  );
+}
+
+/**
+ * 请求方各维度的计数键
+ * @private
+ */
+function actorKeys({ ip, deviceId, userId }) {
+  const keys = [{ scope: ABUSE_SCOPES.USER, key: userId.toString() }];
+  if (ip) keys.push({ scope: ABUSE_SCOPES.IP, key: ip });
+  if (deviceId) keys.push({ scope: ABUSE_SCOPES.DEVICE, key: deviceId });
+  return keys;
+}
+
+/**
+ * 批次计数使用的请求方标识：设备ID由客户端提交、容易伪造，优先按IP区分
+ * @private
+ */
+function actorIdentity({ ip, deviceId, userId }) {
+  if (ip) return `ip:${ip}`;
+  if (deviceId) return `device:${deviceId}`;
+  return `user:${userId}`;
+}
+
+/**
+ * 当前固定时间窗口
+ * @private
+ */
+function getWindow(windowMs) {
+  const start = Math.floor(Date.now() / windowMs) * windowMs;
+  return { start: new Date(start), end: new Date(start + windowMs) };
+}
+
+/**
+ * 更新当前窗口的计数，不存在时创建；并发创建时重试一次
+ * @private
+ */
+async function bumpCounter(scope, key, windowMs, update) {
+  const window = getWindow(windowMs);
+  const filter = { scope, key, windowStart: window.start };
+  const options = { new: true, lean: true };
+  const upsertUpdate = { ...update, $setOnInsert: { expiresAt: window.end } };
+
+  try {
+    return await CDKAbuseCounter.findOneAndUpdate(filter, upsertUpdate, { ...options, upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Object.keys(update).length > 0
+      ? CDKAbuseCounter.findOneAndUpdate(filter, update, options)
+      : CDKAbuseCounter.findOne(filter).lean();
+  }
+}
+
+/**
+ * 构造风控拒绝结果
+ * @private
+ */
+function block(code, retryAfter) {
+  return {
+    blocked: true,
+    code,
+    message: ABUSE_FAILURES[code],
+    retryAfter
+  };
+}
+
+module.exports = {
+  ABUSE_FAILURES,
+  CHALLENGES,
+  ABUSE_ACTIVITIES,
+  assessRequest,
+  recordFailure,
+  checkDeviceAccounts,
+  checkBatchGate,
+  recordRedemption,
+  clearBatchAbuseControl
+};
@@ -6,6 +6,7 @@
 const mongoose = require('mongoose');
 const { CDK, CDK_STATUS } = require('../models/CDK');
 const CDKBatch = require('../models/CDKBatch');
+const { ELIGIBILITY_FAILURES } = require('./eligibilityService');
 const logger = require('../../utils/logger');
 
 // 定义审计事件类型
@@ -19,7 +20,10 @@ const AUDIT_EVENTS = {
   BATCH_CREATE: 'batch_create',
   BATCH_REVOKE: 'batch_revoke',
   ACCESS_DENIED: 'access_denied',
-  SUSPICIOUS_ACTIVITY: 'suspicious_activity'
+  SUSPICIOUS_ACTIVITY: 'suspicious_activity',
+  BATCH_THROTTLE: 'batch_throttle',
+  BATCH_FREEZE: 'batch_freeze',
+  BATCH_ABUSE_CLEAR: 'batch_abuse_clear'
 };
 
 // 定义风险级别
@@ -122,8 +126,9 @@ async function logBatchAudit(batchId, eventType, userId, eventDetails = {}) {
   try {
     const { ip } = eventDetails;
     
-    // 创建审计记录
+    // 创建审计记录，预先生成ID以便之后通过 updateBatchAudit 补充结果
     const auditEntry = {
+      _id: new mongoose.Types.ObjectId(),
       action: eventType,
       performedBy: userId,
       timestamp: new Date(),
@@ -168,9 +173,45 @@ async function logBatchAudit(batchId, eventType, userId, eventDetails = {}) {
   }
 }
 
+/**
+ * 更新已记录的批次审计详情，用于先记录、完成后补充结果的操作（如流式导出）
+ * @param {string} batchId - 批次ID
+ * @param {Object} auditEntry - logBatchAudit 返回的审计记录
+ * @param {Object} details - 需要合并到 details 中的字段
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+async function updateBatchAudit(batchId, auditEntry, details = {}) {
+  if (!auditEntry || !auditEntry._id) {
+    return false;
+  }
+  
+  try {
+    const updates = {};
+    for (const [key, value] of Object.entries(details)) {
+      updates[`auditTrail.$.details.${key}`] = value;
+    }
+    
+    const updateResult = await CDKBatch.updateOne(
+      { batchId, 'auditTrail._id': auditEntry._id },
+      { $set: updates }
+    );
+    
+    return updateResult.modifiedCount > 0;
+  } catch (error) {
+    logger.error('更新批次审计失败', {
+      error: error.message,
+      batchId,
+      action: auditEntry.action
+    });
+    
+    return false;
+  }
+}
+
 /**
  * 记录可疑活动
- * @param {string} cdkId - CDK ID
+ * 未关联到具体CDK（如枚举不存在的兑换码）时 cdkId 传 null，只记录系统日志
+ * @param {string|null} cdkId - CDK ID
  * @param {string} userId - 用户ID
  * @param {string} activityType - 活动类型
  * @param {Object} details - 活动详情
@@ -187,12 +228,30 @@ async function logSuspiciousActivity(cdkId, userId, activityType, details = {},
     };
     
     // 记录到审计系统
-    const auditEntry = await logCDKAudit(
-      cdkId,
-      AUDIT_EVENTS.SUSPICIOUS_ACTIVITY,
-      userId,
-      eventDetails
-    );
+    let auditEntry;
+    if (cdkId) {
+      auditEntry = await logCDKAudit(
+        cdkId,
+        AUDIT_EVENTS.SUSPICIOUS_ACTIVITY,
+        userId,
+        eventDetails
+      );
+    } else {
+      auditEntry = {
+        action: AUDIT_EVENTS.SUSPICIOUS_ACTIVITY,
+        performedBy: userId,
+        timestamp: new Date(),
+        ipAddress: details.ip,
+        details: eventDetails
+      };
+      
+      logger.warn('CDK敏感操作', {
+        eventType: AUDIT_EVENTS.SUSPICIOUS_ACTIVITY,
+        userId,
+        ip: details.ip,
+        details: eventDetails
+      });
+    }
     
     // 高风险活动额外处理
     if (riskLevel === RISK_LEVELS.HIGH || riskLevel === RISK_LEVELS.CRITICAL) {
@@ -206,7 +265,7 @@ async function logSuspiciousActivity(cdkId, userId, activityType, details = {},
       });
       
       // 2. 对于关键风险，可能需要自动采取行动
-      if (riskLevel === RISK_LEVELS.CRITICAL) {
+      if (riskLevel === RISK_LEVELS.CRITICAL && cdkId) {
         // 例如自动锁定CDK
         await CDK.updateOne(
           { _id: cdkId },
@@ -419,9 +478,29 @@ async function analyzeBatchUsage(batchId) {
       };
     }
     
+    // 兑换资格规则拒绝次数，按失败码统计
+    const rejectionCounts = await CDK.aggregate([
+      { $match: { batchId } },
+      { $unwind: '$auditTrail' },
+      { $match: {
+        'auditTrail.action': AUDIT_EVENTS.ACCESS_DENIED,
+        'auditTrail.details.code': { $in: Object.keys(ELIGIBILITY_FAILURES) }
+      }},
+      { $group: { _id: '$auditTrail.details.code', count: { $sum: 1 } } }
+    ]);
+    
+    const eligibilityRejections = {};
+    rejectionCounts.forEach(item => {
+      eligibilityRejections[item._id] = item.count;
+    });
+    
     return {
       batchId: batch.batchId,
       name: batch.name,
+      campaignId: batch.campaignId,
+      eligibilityRules: batch.describeEligibilityRules(),
+      eligibilityRejections,
+      abuseControl: batch.abuseControl,
       totalCount: batch.quantity,
       usedCount: batch.usedCount,
       activatedCount: batch.activatedCount,
@@ -536,6 +615,7 @@ module.exports = {
   RISK_LEVELS,
   logCDKAudit,
   logBatchAudit,
+  updateBatchAudit,
   logSuspiciousActivity,
   logAccessDenied,
   getCDKAuditTrail,
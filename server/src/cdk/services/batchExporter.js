@@ -0,0 +1,431 @@
+/**
+ * CDK批次流式导出服务
+ * 以游标逐条读取CDK并写入输出流，支持 xlsx、CSV 和带签名清单的 JSON Lines 三种格式，
+ * 导出大批次时不会把整个批次读入内存
+ */
+
+const ExcelJS = require('exceljs');
+const crypto = require('crypto');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { CDK, CDK_STATUS } = require('../models/CDK');
+const config = require('../../config');
+
+// 导出格式
+const EXPORT_FORMATS = {
+  XLSX: 'xlsx',
+  CSV: 'csv',
+  JSONL: 'jsonl'
+};
+
+// 各格式的响应类型
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMATS.JSONL]: 'application/x-ndjson; charset=utf-8'
+};
+
+// 签名清单版本，清单结构变化时递增
+const MANIFEST_VERSION = 1;
+
+// 导出字段
+const BASE_FIELDS = [
+  { header: 'CDK码', key: 'code', width: 40 },
+  { header: '状态', key: 'status', width: 12 },
+  { header: '创建时间', key: 'createdAt', width: 20 },
+  { header: '激活时间', key: 'activatedAt', width: 20 },
+  { header: '使用时间', key: 'usedAt', width: 20 },
+  { header: '过期时间', key: 'expiresAt', width: 20 }
+];
+
+// 敏感字段，仅在 showSensitiveInfo 时导出
+const SENSITIVE_FIELDS = [
+  { header: '使用者ID', key: 'usedBy', width: 30 },
+  { header: '价值', key: 'value', width: 30 },
+  { header: '使用次数', key: 'usageCount', width: 12 },
+  { header: '最大使用次数', key: 'maxUsageCount', width: 12 }
+];
+
+// 哈希导出时替代明文兑换码的字段
+const HASHED_CODE_FIELD = { header: 'CDK码哈希', key: 'codeHash', width: 70 };
+
+// xlsx 中按状态标记的行颜色
+const STATUS_FILLS = {
+  [CDK_STATUS.USED]: 'FFFFE0E0',      // 浅红色
+  [CDK_STATUS.EXPIRED]: 'FFFFD700',   // 浅黄色
+  [CDK_STATUS.REVOKED]: 'FFD3D3D3',   // 灰色
+  [CDK_STATUS.ACTIVATED]: 'FFE0FFE0'  // 浅绿色
+};
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD3D3D3' } };
+
+/**
+ * 格式化日期时间
+ * @param {Date} date - 日期对象
+ * @returns {string} 格式化的日期时间字符串
+ */
+function formatDateTime(date) {
+  if (!date) return '';
+  return new Date(date).toLocaleString('zh-CN', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+}
+
+/**
+ * 对象值格式化为字符串
+ * @param {any} value - 要格式化的值
+ * @returns {string} 格式化的字符串
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'object') {
+    try {
+      return JSON.stringify(value);
+    } catch (e) {
+      return String(value);
+    }
+  }
+
+  return String(value);
+}
+
+/**
+ * 生成兑换码哈希的盐值，每次导出使用新的盐值，不同合作方拿到的哈希互不相同
+ * @returns {string} 十六进制盐值
+ */
+function createHashSalt() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * 计算兑换码的单向哈希，合作方用同一盐值对玩家输入的兑换码计算后比对
+ * @param {string} code - 兑换码
+ * @param {string} salt - 导出时使用的盐值
+ * @returns {string} HMAC-SHA256 十六进制摘要
+ */
+function hashCode(code, salt) {
+  return crypto.createHmac('sha256', salt).update(code).digest('hex');
+}
+
+/**
+ * 是否已配置清单签名密钥，未配置时不能导出 JSON Lines
+ * @returns {boolean}
+ */
+function canSignManifest() {
+  return !!config.cdk.exportSigningKey;
+}
+
+/**
+ * 对清单内容签名
+ * @param {string} payload - 清单 JSON 字符串
+ * @returns {string} HMAC-SHA256 十六进制签名
+ */
+function signManifest(payload) {
+  if (!canSignManifest()) {
+    throw new Error('未配置 CDK_EXPORT_SIGNING_KEY，无法签名导出清单');
+  }
+
+  return crypto.createHmac('sha256', config.cdk.exportSigningKey).update(payload).digest('hex');
+}
+
+/**
+ * 批次已设置的兑换资格规则，写入导出清单供合作方核对
+ * @private
+ */
+function getEligibilityRules(batch) {
+  const rules = (batch.toObject ? batch.toObject() : batch).eligibilityRules || {};
+
+  return Object.fromEntries(Object.entries(rules).filter(([, value]) =>
+    value !== undefined && value !== null && value !== false &&
+    !(Array.isArray(value) && value.length === 0)
+  ));
+}
+
+/**
+ * 构建导出查询条件
+ * @param {string} batchId - 批次ID
+ * @param {Object} options - 导出选项
+ * @returns {Object} 查询条件
+ */
+function buildExportQuery(batchId, { includeUsed = false, includeExpired = false, includeRevoked = false } = {}) {
+  const query = { batchId };
+
+  // 如果不包括特定状态的CDK，则排除它们
+  const excludeStatuses = [];
+  if (!includeUsed) excludeStatuses.push(CDK_STATUS.USED);
+  if (!includeExpired) excludeStatuses.push(CDK_STATUS.EXPIRED);
+  if (!includeRevoked) excludeStatuses.push(CDK_STATUS.REVOKED);
+
+  if (excludeStatuses.length > 0) {
+    query.status = { $nin: excludeStatuses };
+  }
+
+  return query;
+}
+
+/**
+ * 将批次CDK以流的方式导出到可写流，导出结束后输出流会被关闭
+ * @param {Object} batch - 批次文档
+ * @param {Writable} output - 可写流，如文件流或 HTTP 响应
+ * @param {Object} options - 导出选项
+ * @param {string} options.format - 导出格式，见 EXPORT_FORMATS
+ * @param {boolean} options.includeUsed - 是否包含已使用的CDK
+ * @param {boolean} options.includeExpired - 是否包含已过期的CDK
+ * @param {boolean} options.includeRevoked - 是否包含已作废的CDK
+ * @param {boolean} options.showSensitiveInfo - 是否导出使用者、面值等敏感字段
+ * @param {boolean} options.hashCodes - 是否只导出兑换码的单向哈希
+ * @param {string} options.hashSalt - 哈希盐值，未提供时自动生成
+ * @returns {Promise<Object>} { recordCount, hashSalt, manifest }
+ */
+async function streamBatchExport(batch, output, options = {}) {
+  const {
+    format = EXPORT_FORMATS.XLSX,
+    showSensitiveInfo = false,
+    hashCodes = false
+  } = options;
+
+  if (!Object.values(EXPORT_FORMATS).includes(format)) {
+    throw new Error(`不支持的导出格式: ${format}`);
+  }
+
+  // 未配置签名密钥时在写入任何数据前拒绝，避免输出无法校验的文件
+  if (format === EXPORT_FORMATS.JSONL && !canSignManifest()) {
+    throw new Error('未配置 CDK_EXPORT_SIGNING_KEY，无法导出 JSON Lines');
+  }
+
+  const hashSalt = hashCodes ? (options.hashSalt || createHashSalt()) : null;
+  const fields = [
+    hashCodes ? HASHED_CODE_FIELD : BASE_FIELDS[0],
+    ...BASE_FIELDS.slice(1),
+    ...(showSensitiveInfo ? SENSITIVE_FIELDS : [])
+  ];
+
+  const cursor = CDK.find(buildExportQuery(batch.batchId, options))
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  const context = { batch, output, cursor, fields, showSensitiveInfo, hashSalt };
+
+  try {
+    let result;
+    switch (format) {
+      case EXPORT_FORMATS.CSV:
+        result = await writeCSV(context);
+        break;
+      case EXPORT_FORMATS.JSONL:
+        result = await writeJSONLines(context);
+        break;
+      default:
+        result = await writeXLSX(context);
+    }
+
+    await finished(output);
+    return { ...result, hashSalt };
+  } finally {
+    await cursor.close();
+  }
+}
+
+/**
+ * 将CDK转换为导出行
+ * @private
+ */
+function toRow(cdk, { showSensitiveInfo, hashSalt }) {
+  const row = {};
+
+  if (hashSalt) {
+    row.codeHash = hashCode(cdk.code, hashSalt);
+  } else {
+    row.code = cdk.code;
+  }
+
+  row.status = cdk.status;
+  row.createdAt = formatDateTime(cdk.createdAt);
+  row.activatedAt = formatDateTime(cdk.activatedAt);
+  row.usedAt = formatDateTime(cdk.usedAt);
+  row.expiresAt = formatDateTime(cdk.expiresAt);
+
+  if (showSensitiveInfo) {
+    row.usedBy = cdk.usedBy ? cdk.usedBy.toString() : '';
+    row.value = formatValue(cdk.value);
+    row.usageCount = cdk.usageCount;
+    row.maxUsageCount = cdk.maxUsageCount;
+  }
+
+  return row;
+}
+
+/**
+ * 写入一块数据，输出流缓冲区已满时等待 drain
+ * @private
+ */
+async function writeChunk(output, chunk) {
+  if (output.destroyed) {
+    throw new Error('导出输出流已关闭');
+  }
+
+  if (!output.write(chunk)) {
+    await Promise.race([
+      once(output, 'drain'),
+      once(output, 'close').then(() => {
+        throw new Error('导出输出流已关闭');
+      })
+    ]);
+  }
+}
+
+/**
+ * CSV 单元格转义
+ * @private
+ */
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 导出 CSV，带 BOM 以便 Excel 正确识别中文
+ * @private
+ */
+async function writeCSV({ output, cursor, fields, showSensitiveInfo, hashSalt }) {
+  await writeChunk(output, '\uFEFF' + fields.map(field => escapeCSV(field.header)).join(',') + '\r\n');
+
+  let recordCount = 0;
+  for await (const cdk of cursor) {
+    const row = toRow(cdk, { showSensitiveInfo, hashSalt });
+    await writeChunk(output, fields.map(field => escapeCSV(row[field.key])).join(',') + '\r\n');
+    recordCount++;
+  }
+
+  output.end();
+  return { recordCount };
+}
+
+/**
+ * 导出 JSON Lines：每行一条CDK记录，最后一行为签名清单
+ * 清单 payload 记录前面所有行的 SHA-256 和记录数，hmac 为 payload 的 HMAC-SHA256 签名，
+ * 合作方用共享的签名密钥即可校验文件是否完整、未被篡改
+ * @private
+ */
+async function writeJSONLines({ batch, output, cursor, fields, showSensitiveInfo, hashSalt }) {
+  const digest = crypto.createHash('sha256');
+
+  let recordCount = 0;
+  for await (const cdk of cursor) {
+    const line = JSON.stringify(toRow(cdk, { showSensitiveInfo, hashSalt })) + '\n';
+    digest.update(line);
+    await writeChunk(output, line);
+    recordCount++;
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    batchId: batch.batchId,
+    campaignId: batch.campaignId || null,
+    eligibilityRules: getEligibilityRules(batch),
+    exportedAt: new Date().toISOString(),
+    recordCount,
+    fields: fields.map(field => field.key),
+    codeHash: hashSalt ? { algorithm: 'hmac-sha256', salt: hashSalt } : null,
+    sha256: digest.digest('hex')
+  };
+  const payload = JSON.stringify(manifest);
+
+  await writeChunk(output, JSON.stringify({ type: 'manifest', payload, hmac: signManifest(payload) }) + '\n');
+
+  output.end();
+  return { recordCount, manifest };
+}
+
+/**
+ * 导出 xlsx：批次信息表和CDK列表，CDK行逐行提交，不在内存中保留整个工作表
+ * @private
+ */
+async function writeXLSX({ batch, output, cursor, fields, showSensitiveInfo, hashSalt }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  workbook.creator = '跃升之路-CDK管理系统';
+  workbook.created = new Date();
+
+  // 批次信息工作表
+  const infoSheet = workbook.addWorksheet('批次信息');
+  infoSheet.columns = [
+    { header: '项目', key: 'item', width: 20 },
+    { header: '值', key: 'value', width: 50 }
+  ];
+
+  const batchInfo = [
+    { item: '批次ID', value: batch.batchId },
+    { item: '批次名称', value: batch.name },
+    { item: '批次描述', value: batch.description || '' },
+    { item: 'CDK类型', value: batch.cdkType },
+    { item: 'CDK模式', value: batch.cdkMode },
+    { item: '创建时间', value: formatDateTime(batch.createdAt) },
+    { item: '过期时间', value: formatDateTime(batch.expiresAt) },
+    { item: '总数量', value: batch.quantity },
+    { item: '已生成数量', value: batch.generatedCount },
+    { item: '已使用数量', value: batch.usedCount },
+    { item: '已激活数量', value: batch.activatedCount },
+    { item: '已过期数量', value: batch.expiredCount },
+    { item: '已作废数量', value: batch.revokedCount },
+    { item: '批次状态', value: batch.status },
+    { item: '活动标识', value: batch.campaignId || '' },
+    { item: '兑换规则', value: batch.describeEligibilityRules().join('；') || '无' }
+  ];
+
+  // 添加价值信息（可能敏感）
+  if (showSensitiveInfo) {
+    batchInfo.push({ item: 'CDK价值', value: formatValue(batch.value) });
+  }
+
+  if (hashSalt) {
+    batchInfo.push({ item: '兑换码哈希', value: `HMAC-SHA256，盐值 ${hashSalt}` });
+  }
+
+  infoSheet.getRow(1).font = { bold: true };
+  infoSheet.getRow(1).fill = HEADER_FILL;
+  for (const info of batchInfo) {
+    infoSheet.addRow(info).getCell('item').font = { bold: true };
+  }
+  infoSheet.commit();
+
+  // CDK列表工作表
+  const cdkSheet = workbook.addWorksheet('CDK列表');
+  cdkSheet.columns = fields;
+  cdkSheet.getRow(1).font = { bold: true };
+  cdkSheet.getRow(1).fill = HEADER_FILL;
+
+  let recordCount = 0;
+  for await (const cdk of cursor) {
+    const row = cdkSheet.addRow(toRow(cdk, { showSensitiveInfo, hashSalt }));
+    const fill = STATUS_FILLS[cdk.status];
+    if (fill) {
+      row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fill } };
+    }
+    row.commit();
+    recordCount++;
+  }
+
+  cdkSheet.commit();
+  await workbook.commit();
+  return { recordCount };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  createHashSalt,
+  hashCode,
+  canSignManifest,
+  signManifest,
+  buildExportQuery,
+  streamBatchExport
+};
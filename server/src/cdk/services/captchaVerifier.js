@@ -0,0 +1,87 @@
+/**
+ * 人机验证服务
+ * 调用 siteverify 接口校验客户端提交的验证令牌，兼容 reCAPTCHA、hCaptcha 和 Turnstile
+ */
+
+const https = require('https');
+const querystring = require('querystring');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 校验接口超时时间（毫秒）
+const VERIFY_TIMEOUT = 5000;
+
+/**
+ * 是否已配置人机验证
+ * 未配置 CDK_CAPTCHA_SECRET 时无法完成人机验证，兑换风控改为要求2FA或拒绝兑换
+ * @returns {boolean}
+ */
+function isCaptchaEnabled() {
+  return Boolean(config.cdk.abuseDetection.captcha.secret);
+}
+
+/**
+ * 校验人机验证令牌
+ * @param {string} token - 客户端提交的验证令牌
+ * @param {string} ip - 客户端IP
+ * @returns {Promise<boolean>} 是否通过验证
+ */
+async function verifyCaptcha(token, ip) {
+  const { verifyUrl, secret } = config.cdk.abuseDetection.captcha;
+
+  if (!token) {
+    return false;
+  }
+
+  if (!secret) {
+    logger.warn('未配置人机验证密钥，无法校验人机验证令牌');
+    return false;
+  }
+
+  try {
+    const result = await postForm(verifyUrl, { secret, response: token, remoteip: ip });
+    return result.success === true;
+  } catch (error) {
+    logger.error('人机验证校验失败', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * 以表单格式提交请求并解析 JSON 响应
+ * @private
+ */
+function postForm(url, form) {
+  const body = querystring.stringify(form);
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      timeout: VERIFY_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, (response) => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`人机验证接口返回无效响应: HTTP ${response.statusCode}`));
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('人机验证接口请求超时')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = {
+  isCaptchaEnabled,
+  verifyCaptcha
+};
@@ -4,8 +4,12 @@
  */
 
 const mongoose = require('mongoose');
-const CDK = require('../models/CDK');
+const { CDK, CDK_MODES, CDK_STATUS } = require('../models/CDK');
 const CDKBatch = require('../models/CDKBatch');
+const CDKRedemption = require('../models/CDKRedemption');
+const { fulfillReward } = require('./rewardFulfillment');
+const { checkEligibility, claimCampaign, ELIGIBILITY_FAILURES } = require('./eligibilityService');
+const { checkBatchGate } = require('./abuseDetection');
 const logger = require('../../utils/logger');
 const encryptionUtils = require('../../utils/encryption');
 const config = require('../../config');
@@ -14,18 +18,32 @@ const { v4: uuidv4 } = require('uuid');
 // 分布式锁最大持有时间（秒）
 const LOCK_MAX_HOLD_TIME = 30;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 奖励发放失败原因对应的提示
+const FULFILLMENT_MESSAGES = {
+  BAG_FULL: '背包空间不足，请清理后再兑换',
+  INVALID_REWARD: 'CDK奖励配置无效',
+  EMPTY_REWARD: 'CDK奖励配置无效',
+  USER_NOT_FOUND: '用户不存在'
+};
+
 /**
  * 使用CDK
+ * CDK核销和奖励发放在同一事务中完成，发放失败时整个事务回滚，CDK保持未使用状态
  * @param {string} code - CDK兑换码
  * @param {string} userId - 使用者ID
  * @param {Object} options - 附加选项
- * @returns {Promise<Object>} 使用结果
+ * @param {string} options.ip - 客户端IP
+ * @param {string} options.deviceInfo - 设备信息
+ * @param {boolean} options.twoFactorVerified - 调用方是否已完成二次验证
+ * @returns {Promise<Object>} 使用结果，成功时包含 value 和实际发放的 rewards
  */
 async function redeemCDK(code, userId, options = {}) {
   const { 
     ip, 
     deviceInfo,
-    verificationCode // 用于需要二次验证的CDK
+    twoFactorVerified = false // 需要二次验证的CDK由调用方先完成验证
   } = options;
   
   // 验证参数
@@ -41,8 +59,8 @@ async function redeemCDK(code, userId, options = {}) {
   session.startTransaction();
   
   try {
-    // 先查询CDK
-    const cdk = await CDK.findOne({ code: cleanCode });
+    // 先查询CDK，启用小写字符集的批次需要按原样匹配
+    const cdk = await CDK.findOne({ code: { $in: [cleanCode, code.trim()] } });
     
     // CDK不存在
     if (!cdk) {
@@ -58,6 +76,59 @@ async function redeemCDK(code, userId, options = {}) {
       };
     }
     
+    // 批次因可疑事件过多被风控冻结或限流时拒绝兑换
+    const batchGate = await checkBatchGate(cdk.batchId);
+    
+    if (batchGate.blocked) {
+      logger.info('CDK批次被风控拦截', { 
+        code: code.substring(0, 4) + '***', 
+        userId,
+        batchId: cdk.batchId,
+        reason: batchGate.code
+      });
+      
+      await session.abortTransaction();
+      session.endSession();
+      
+      return {
+        success: false,
+        message: batchGate.message,
+        code: batchGate.code,
+        retryAfter: batchGate.retryAfter
+      };
+    }
+    
+    // 校验批次的兑换资格规则，不满足时不锁定CDK
+    const eligibility = await checkEligibility(cdk.batchId, userId);
+    
+    if (!eligibility.eligible) {
+      logger.info('CDK兑换资格校验未通过', { 
+        code: code.substring(0, 4) + '***', 
+        userId,
+        batchId: cdk.batchId,
+        reason: eligibility.code
+      });
+      
+      await session.abortTransaction();
+      session.endSession();
+      
+      return {
+        success: false,
+        message: eligibility.message,
+        code: eligibility.code,
+        rule: eligibility.rule,
+        details: eligibility.details
+      };
+    }
+    
+    // 共享码不使用锁定标记，走单独的兑换流程
+    if (cdk.mode === CDK_MODES.SHARED) {
+      await session.abortTransaction();
+      session.endSession();
+      
+      return redeemSharedCDK(cdk, userId, { ...options, campaignKey: eligibility.campaignKey });
+    }
+    
     // 尝试锁定CDK，防止并发操作
     // 使用findOneAndUpdate而不是直接操作实例，确保原子性
     const lockedCDK = await CDK.findOneAndUpdate(
@@ -314,7 +385,7 @@ async function redeemCDK(code, userId, options = {}) {
     }
     
     // 检查是否需要二次验证
-    if (lockedCDK.requires2FA && !verificationCode) {
+    if (lockedCDK.requires2FA && !twoFactorVerified) {
       logger.info('CDK需要二次验证', { 
         code: code.substring(0, 4) + '***', 
         userId,
@@ -345,86 +416,62 @@ async function redeemCDK(code, userId, options = {}) {
       };
     }
     
-    // 如果提供了二次验证码，需要验证
-    if (lockedCDK.requires2FA && verificationCode) {
-      // 这里应该调用验证2FA的服务
-      const { twoFactorAuthService } = require('../services/twoFactorAuth');
-      
-      try {
-        const isValid = await twoFactorAuthService.validateSecureCDKUsage(
-          userId, 
-          lockedCDK._id.toString(), 
-          verificationCode
-        );
-        
-        if (!isValid) {
-          logger.security('CDK二次验证失败', { 
-            code: code.substring(0, 4) + '***', 
-            userId,
-            batchId: lockedCDK.batchId
-          });
-          
-          // 记录失败尝试
-          await CDK.updateOne(
-            { _id: lockedCDK._id },
-            { 
-              $set: { 
-                locked: false,
-                lockedAt: null,
-                lockExpiresAt: null
-              },
-              $push: {
-                usageHistory: {
-                  timestamp: new Date(),
-                  userId,
-                  ip,
-                  deviceInfo,
-                  action: 'verify_2fa',
-                  success: false,
-                  reason: '二次验证失败'
-                }
-              }
-            },
-            { session }
-          );
-          
-          await session.commitTransaction();
-          session.endSession();
-          
-          return {
-            success: false,
-            message: '二次验证失败',
-            code: 'CDK_2FA_FAILED'
-          };
-        }
-      } catch (error) {
-        logger.error('验证2FA过程发生错误', { 
-          error: error.message,
-          code: code.substring(0, 4) + '***', 
-          userId
-        });
-        
-        // 解锁CDK
-        await CDK.updateOne(
-          { _id: lockedCDK._id },
-          { 
-            $set: { 
-              locked: false,
-              lockedAt: null,
-              lockExpiresAt: null
-            }
-          },
-          { session }
-        );
-        
+    // 限兑一次的活动在事务中占用名额，并发兑换时由唯一索引拦截
+    if (eligibility.campaignKey) {
+      const claimed = await claimCampaign(eligibility.campaignKey, {
+        batchId: lockedCDK.batchId,
+        userId,
+        cdkId: lockedCDK._id
+      }, session);
+      
+      if (!claimed) {
         await session.abortTransaction();
         session.endSession();
         
-        throw error;
+        return {
+          success: false,
+          message: ELIGIBILITY_FAILURES.CDK_CAMPAIGN_LIMIT_REACHED,
+          code: 'CDK_CAMPAIGN_LIMIT_REACHED',
+          rule: 'onePerAccount'
+        };
       }
     }
     
-    // 所有检查通过，可以使用CDK
+    // 所有检查通过，先在事务中发放奖励
+    const value = resolveCDKValue(lockedCDK);
+    const redemptionKey = (lockedCDK.usageCount || 0) + 1;
+    const fulfillment = await fulfillReward(lockedCDK, value, userId, { session, redemptionKey });
+    
+    // 发放失败时回滚事务（包括锁定），再单独记录失败尝试
+    if (!fulfillment.success) {
+      await session.abortTransaction();
+      session.endSession();
+      
+      await CDK.updateOne(
+        { _id: lockedCDK._id },
+        {
+          $push: {
+            usageHistory: {
+              timestamp: new Date(),
+              userId,
+              ip,
+              deviceInfo,
+              action: 'use',
+              success: false,
+              reason: `奖励发放失败: ${fulfillment.reason}`
+            }
+          }
+        }
+      ).catch(error => logger.error('记录CDK发放失败记录失败', { error: error.message, cdkId: lockedCDK._id }));
+      
+      return {
+        success: false,
+        message: FULFILLMENT_MESSAGES[fulfillment.reason] || '奖励发放失败，CDK未被使用',
+        code: 'CDK_FULFILLMENT_FAILED',
+        reason: fulfillment.reason
+      };
+    }
+    
     const now = new Date();
     
     // 准备更新字段
@@ -507,37 +554,6 @@ async function redeemCDK(code, userId, options = {}) {
     await session.commitTransaction();
     session.endSession();
     
-    // 从CDK解密价值内容（如果已加密）
-    let value = lockedCDK.value;
-    if (lockedCDK.valueEncrypted && lockedCDK.securityLevel >= 2) {
-      try {
-        // 使用加密上下文验证
-        const context = encryptionUtils.createEncryptionContext(
-          'CDK', 
-          lockedCDK._id.toString()
-        );
-        
-        const decrypted = encryptionUtils.decrypt(
-          lockedCDK.valueEncrypted, 
-          { context }
-        );
-        
-        // 尝试解析为JSON对象
-        try {
-          value = JSON.parse(decrypted);
-        } catch {
-          value = decrypted; // 不是有效的JSON，直接返回解密的字符串
-        }
-      } catch (error) {
-        logger.error('解密CDK值失败', { 
-          error: error.message,
-          code: code.substring(0, 4) + '***',
-          userId
-        });
-        // 使用未加密的值作为后备
-      }
-    }
-    
     logger.info('CDK兑换成功', { 
       code: code.substring(0, 4) + '***', 
       userId,
@@ -549,6 +565,7 @@ async function redeemCDK(code, userId, options = {}) {
       success: true,
       message: 'CDK兑换成功',
       value,
+      rewards: fulfillment.rewards,
       type: lockedCDK.type,
       mode: lockedCDK.mode,
       remainingUses: lockedCDK.mode === 'multi_use' ? 
@@ -570,6 +587,309 @@ async function redeemCDK(code, userId, options = {}) {
   }
 }
 
+/**
+ * 兑换共享码
+ * 兑换名额通过对 usageCount 的原子条件自增占用，不使用 locked 标记，也不放在事务中，
+ * 避免大量玩家同时兑换时在同一个CDK文档上产生事务写冲突；
+ * 兑换记录和奖励发放在事务中完成，失败时归还名额
+ * @param {Object} cdk - 共享码文档
+ * @param {string} userId - 兑换者ID
+ * @param {Object} options - 同 redeemCDK
+ * @param {string} options.campaignKey - 限兑一次的活动键，见 checkEligibility
+ * @returns {Promise<Object>} 使用结果
+ */
+async function redeemSharedCDK(cdk, userId, options = {}) {
+  const { ip, deviceInfo, twoFactorVerified = false, campaignKey } = options;
+  const maskedCode = cdk.code.substring(0, 4) + '***';
+  const now = new Date();
+  
+  if (!cdk.verifyIntegrity()) {
+    logger.security('CDK数据完整性验证失败', { code: maskedCode, userId, batchId: cdk.batchId });
+    return { success: false, message: 'CDK数据已损坏', code: 'CDK_INTEGRITY_FAILED' };
+  }
+  
+  if (cdk.status === CDK_STATUS.REVOKED) {
+    return { success: false, message: 'CDK已作废', code: 'CDK_REVOKED' };
+  }
+  
+  if (cdk.status === CDK_STATUS.EXPIRED || cdk.expiresAt < now) {
+    return { success: false, message: 'CDK已过期', code: 'CDK_EXPIRED' };
+  }
+  
+  if (cdk.requires2FA && !twoFactorVerified) {
+    return { success: false, message: 'CDK需要二次验证', code: 'CDK_REQUIRES_2FA', requires2FA: true };
+  }
+  
+  if (await CDKRedemption.exists({ cdkId: cdk._id, userId })) {
+    return { success: false, message: '您已兑换过此CDK', code: 'CDK_ALREADY_REDEEMED' };
+  }
+  
+  // 原子占用一个兑换名额
+  const reserved = await CDK.findOneAndUpdate(
+    {
+      _id: cdk._id,
+      status: { $in: [CDK_STATUS.GENERATED, CDK_STATUS.ACTIVATED] },
+      expiresAt: { $gt: now },
+      $expr: { $lt: ['$usageCount', '$maxUsageCount'] }
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, projection: { usageCount: 1, maxUsageCount: 1 } }
+  );
+  
+  if (!reserved) {
+    logger.info('共享码兑换名额已满', { code: maskedCode, userId, batchId: cdk.batchId });
+    return { success: false, message: 'CDK兑换名额已满', code: 'CDK_MAX_USAGE_REACHED' };
+  }
+  
+  const session = await mongoose.startSession();
+  let fulfillment;
+  
+  try {
+    session.startTransaction();
+    
+    await CDKRedemption.create([{
+      cdkId: cdk._id,
+      batchId: cdk.batchId,
+      userId,
+      ip,
+      deviceInfo
+    }], { session });
+    
+    if (campaignKey && !await claimCampaign(campaignKey, { batchId: cdk.batchId, userId, cdkId: cdk._id }, session)) {
+      await session.abortTransaction();
+      await releaseSharedSlot(cdk._id);
+      
+      return {
+        success: false,
+        message: ELIGIBILITY_FAILURES.CDK_CAMPAIGN_LIMIT_REACHED,
+        code: 'CDK_CAMPAIGN_LIMIT_REACHED',
+        rule: 'onePerAccount'
+      };
+    }
+    
+    fulfillment = await fulfillReward(cdk, resolveCDKValue(cdk), userId, {
+      session,
+      redemptionKey: userId.toString()
+    });
+    
+    if (fulfillment.success) {
+      await session.commitTransaction();
+    } else {
+      await session.abortTransaction();
+    }
+  } catch (error) {
+    await session.abortTransaction();
+    await releaseSharedSlot(cdk._id);
+    
+    // 同一账号并发兑换时由唯一索引拦截
+    if (error.code === 11000) {
+      return { success: false, message: '您已兑换过此CDK', code: 'CDK_ALREADY_REDEEMED' };
+    }
+    
+    logger.error('共享码兑换过程发生错误', { error: error.message, code: maskedCode, userId });
+    throw error;
+  } finally {
+    session.endSession();
+  }
+  
+  if (!fulfillment.success) {
+    await releaseSharedSlot(cdk._id);
+    
+    return {
+      success: false,
+      message: FULFILLMENT_MESSAGES[fulfillment.reason] || '奖励发放失败，CDK未被使用',
+      code: 'CDK_FULFILLMENT_FAILED',
+      reason: fulfillment.reason
+    };
+  }
+  
+  // 名额用完后标记为已使用；批次计数不放在事务中，避免热点写冲突
+  if (reserved.usageCount >= reserved.maxUsageCount) {
+    await CDK.updateOne(
+      { _id: cdk._id, status: { $ne: CDK_STATUS.USED } },
+      { $set: { status: CDK_STATUS.USED, statusChangedAt: new Date(), usedAt: new Date() } }
+    ).catch(error => logger.error('标记共享码已用完失败', { error: error.message, cdkId: cdk._id }));
+  }
+  
+  await CDKBatch.updateOne({ batchId: cdk.batchId }, { $inc: { usedCount: 1 } })
+    .catch(error => logger.error('更新共享码批次计数失败', { error: error.message, batchId: cdk.batchId }));
+  
+  logger.info('共享码兑换成功', {
+    code: maskedCode,
+    userId,
+    batchId: cdk.batchId,
+    usageCount: reserved.usageCount
+  });
+  
+  return {
+    success: true,
+    message: 'CDK兑换成功',
+    value: resolveCDKValue(cdk),
+    rewards: fulfillment.rewards,
+    type: cdk.type,
+    mode: cdk.mode,
+    remainingUses: Math.max(reserved.maxUsageCount - reserved.usageCount, 0)
+  };
+}
+
+/**
+ * 归还共享码名额（兑换失败时）
+ * @param {string} cdkId - 共享码ID
+ */
+async function releaseSharedSlot(cdkId) {
+  try {
+    await CDK.updateOne({ _id: cdkId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+  } catch (error) {
+    logger.error('归还共享码名额失败', { error: error.message, cdkId });
+  }
+}
+
+/**
+ * 创建共享码
+ * 共享码使用人工设定的兑换码（如 YDZY2026），单独占用一个批次，批次上可设置活动标识和兑换资格规则
+ * @param {Object} data - 共享码配置
+ * @param {string} data.code - 兑换码，保存为大写
+ * @param {string} data.cdkType - CDK类型
+ * @param {*} data.value - CDK面值
+ * @param {number} data.maxUsageCount - 全局兑换名额
+ * @param {Date|string} data.expiresAt - 过期时间，与 validityDays 二选一
+ * @param {number} data.validityDays - 有效期天数
+ * @param {string} adminId - 创建者ID
+ * @returns {Promise<Object>} 创建结果
+ */
+async function createSharedCDK(data, adminId) {
+  const code = data.code.trim().toUpperCase();
+  const now = new Date();
+  const expiresAt = data.expiresAt
+    ? new Date(data.expiresAt)
+    : new Date(now.getTime() + Number(data.validityDays) * DAY_MS);
+  
+  if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+    return { success: false, message: '必须设置有效的过期时间或有效期天数', code: 'MISSING_EXPIRY_INFO' };
+  }
+  
+  const batchId = CDKBatch.generateBatchId();
+  const securityLevel = data.securityLevel || 1;
+  const requires2FA = !!data.requires2FA;
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const batch = new CDKBatch({
+      batchId,
+      name: data.name || code,
+      description: data.description,
+      cdkType: data.cdkType,
+      cdkMode: CDK_MODES.SHARED,
+      createdBy: adminId,
+      quantity: 1,
+      generatedCount: 1,
+      activatedCount: 1,
+      status: 'generated',
+      maxUsageCount: data.maxUsageCount,
+      expiresAt,
+      securityLevel,
+      requires2FA,
+      generatedAt: now,
+      generationJobStatus: 'completed',
+      channel: data.channel,
+      campaignId: data.campaignId,
+      eligibilityRules: data.eligibilityRules,
+      value: data.value,
+      auditTrail: [{
+        action: 'create_shared_code',
+        performedBy: adminId,
+        timestamp: now,
+        details: { maxUsageCount: data.maxUsageCount }
+      }]
+    });
+    
+    const cdk = new CDK({
+      code,
+      codeHash: encryptionUtils.generateHash(code, config.security.cdkSalt),
+      type: data.cdkType,
+      mode: CDK_MODES.SHARED,
+      status: CDK_STATUS.ACTIVATED,
+      activatedAt: now,
+      value: data.value,
+      batchId,
+      createdBy: adminId,
+      expiresAt,
+      maxUsageCount: data.maxUsageCount,
+      securityLevel,
+      requires2FA,
+      channel: data.channel,
+      notes: data.description
+    });
+    
+    await batch.save({ session });
+    await cdk.save({ session });
+    
+    await session.commitTransaction();
+    
+    logger.info('共享码创建成功', { batchId, code: code.substring(0, 4) + '***', maxUsageCount: data.maxUsageCount, adminId });
+    
+    return {
+      success: true,
+      batchId,
+      cdk: {
+        id: cdk._id,
+        code,
+        maxUsageCount: cdk.maxUsageCount,
+        expiresAt
+      }
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    
+    if (error.code === 11000) {
+      return { success: false, message: '兑换码已存在', code: 'CODE_ALREADY_EXISTS' };
+    }
+    
+    logger.error('创建共享码失败', { error: error.message, adminId });
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * 读取CDK面值，高安全级别CDK从加密字段解密
+ * @param {Object} cdk - CDK文档
+ * @returns {*} CDK面值
+ */
+function resolveCDKValue(cdk) {
+  if (!cdk.valueEncrypted || cdk.securityLevel < 2) {
+    return cdk.value;
+  }
+  
+  try {
+    // 使用加密上下文验证
+    const context = encryptionUtils.createEncryptionContext(
+      'CDK', 
+      cdk._id.toString()
+    );
+    
+    const decrypted = encryptionUtils.decrypt(cdk.valueEncrypted, { context });
+    
+    // 尝试解析为JSON对象
+    try {
+      return JSON.parse(decrypted);
+    } catch {
+      return decrypted; // 不是有效的JSON，直接返回解密的字符串
+    }
+  } catch (error) {
+    logger.error('解密CDK值失败', { 
+      error: error.message,
+      cdkId: cdk._id,
+      batchId: cdk.batchId
+    });
+    // 使用未加密的值作为后备
+    return cdk.value;
+  }
+}
+
 /**
  * 批量作废CDK
  * @param {Object} filter - 筛选条件
@@ -841,6 +1161,7 @@ setInterval(unlockStalledCDKs, 60 * 1000); // 每分钟检查一次
 
 module.exports = {
   redeemCDK,
+  createSharedCDK,
   revokeCDKs,
   activateCDKs,
   unlockStalledCDKs
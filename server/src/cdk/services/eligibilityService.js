@@ -0,0 +1,144 @@
+/**
+ * CDK兑换资格服务
+ * 按批次上声明的兑换资格规则（eligibilityRules）判断玩家能否兑换，在锁定CDK之前执行
+ */
+
+const CDKBatch = require('../models/CDKBatch');
+const CDKCampaignClaim = require('../models/CDKCampaignClaim');
+const User = require('../../models/user.model');
+
+// 资格校验失败码及提示
+const ELIGIBILITY_FAILURES = {
+  CDK_NOT_STARTED: '活动尚未开始，暂不能兑换',
+  CDK_CHANNEL_NOT_ALLOWED: '当前渠道不能兑换此CDK',
+  CDK_NEW_ACCOUNTS_ONLY: '此CDK仅限新注册账号兑换',
+  CDK_LEVEL_TOO_LOW: '玩家等级不足，无法兑换此CDK',
+  CDK_VIP_TOO_LOW: 'VIP等级不足，无法兑换此CDK',
+  CDK_CAMPAIGN_LIMIT_REACHED: '每个账号在本活动中只能兑换一次',
+  USER_NOT_FOUND: '用户不存在'
+};
+
+/**
+ * 校验玩家是否满足批次的兑换资格规则
+ * 所有规则只使用服务端数据判断，渠道规则按账号的注册渠道（User.channel）判断，不信任客户端声明的渠道
+ * @param {string} batchId - CDK所属批次ID
+ * @param {string} userId - 兑换者ID
+ * @returns {Promise<Object>} { eligible, code, message, rule, campaignKey }
+ *   启用 onePerAccount 时返回 campaignKey，兑换事务中需用 claimCampaign 占用活动名额
+ */
+async function checkEligibility(batchId, userId) {
+  const batch = await CDKBatch.findOne({ batchId })
+    .select('batchId campaignId eligibilityRules')
+    .lean();
+
+  const rules = batch && batch.eligibilityRules;
+  if (!rules) {
+    return { eligible: true };
+  }
+
+  if (rules.notBefore && new Date() < rules.notBefore) {
+    return reject('CDK_NOT_STARTED', 'notBefore', { notBefore: rules.notBefore });
+  }
+
+  const restrictsChannel = rules.channels && rules.channels.length > 0;
+  const needsUser = restrictsChannel || rules.accountCreatedAfter || rules.minLevel || rules.minVipLevel;
+  if (needsUser) {
+    const user = await User.findById(userId)
+      .select('channel createdAt gameProfile.level paymentInfo.vipLevel')
+      .lean();
+
+    if (!user) {
+      return reject('USER_NOT_FOUND');
+    }
+
+    if (restrictsChannel && !rules.channels.includes(user.channel)) {
+      return reject('CDK_CHANNEL_NOT_ALLOWED', 'channels');
+    }
+
+    if (rules.accountCreatedAfter && user.createdAt < rules.accountCreatedAfter) {
+      return reject('CDK_NEW_ACCOUNTS_ONLY', 'accountCreatedAfter');
+    }
+
+    const level = (user.gameProfile && user.gameProfile.level) || 1;
+    if (rules.minLevel && level < rules.minLevel) {
+      return reject('CDK_LEVEL_TOO_LOW', 'minLevel', { minLevel: rules.minLevel, level });
+    }
+
+    const vipLevel = (user.paymentInfo && user.paymentInfo.vipLevel) || 0;
+    if (rules.minVipLevel && vipLevel < rules.minVipLevel) {
+      return reject('CDK_VIP_TOO_LOW', 'minVipLevel', { minVipLevel: rules.minVipLevel, vipLevel });
+    }
+  }
+
+  if (rules.onePerAccount) {
+    const campaignKey = getCampaignKey(batch);
+
+    // 提前拒绝已兑换过的账号；并发兑换由兑换事务中的 claimCampaign 兜底
+    if (await hasRedeemedInCampaign(batch, userId)) {
+      return reject('CDK_CAMPAIGN_LIMIT_REACHED', 'onePerAccount');
+    }
+
+    return { eligible: true, campaignKey };
+  }
+
+  return { eligible: true };
+}
+
+/**
+ * 玩家是否已兑换过同一活动（未设置活动时为同一批次）的CDK
+ * @param {Object} batch - 批次，包含 batchId 和 campaignId
+ * @param {string} userId - 玩家ID
+ * @returns {Promise<boolean>}
+ */
+async function hasRedeemedInCampaign(batch, userId) {
+  return !!(await CDKCampaignClaim.exists({ campaignKey: getCampaignKey(batch), userId }));
+}
+
+/**
+ * 在兑换事务中占用活动名额，同一账号已占用时返回 false
+ * 名额记录随事务提交，兑换失败回滚时一并撤销
+ * @param {string} campaignKey - checkEligibility 返回的活动键
+ * @param {Object} claim - { batchId, userId, cdkId }
+ * @param {Object} session - 兑换事务会话
+ * @returns {Promise<boolean>} 是否占用成功
+ */
+async function claimCampaign(campaignKey, { batchId, userId, cdkId }, session) {
+  try {
+    await CDKCampaignClaim.create([{ campaignKey, userId, batchId, cdkId }], { session });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 活动键：设置了活动时按活动计，否则按批次计
+ * @private
+ */
+function getCampaignKey(batch) {
+  return batch.campaignId ? `campaign:${batch.campaignId}` : `batch:${batch.batchId}`;
+}
+
+/**
+ * 构造资格校验失败结果
+ * @private
+ */
+function reject(code, rule, details) {
+  return {
+    eligible: false,
+    code,
+    message: ELIGIBILITY_FAILURES[code],
+    rule,
+    details
+  };
+}
+
+module.exports = {
+  ELIGIBILITY_FAILURES,
+  checkEligibility,
+  hasRedeemedInCampaign,
+  claimCampaign
+};
@@ -0,0 +1,282 @@
+/**
+ * CDK奖励发放服务
+ * 将CDK面值转换为玩家实际获得的货币、物品、英雄、皮肤和VIP时长
+ * 必须在兑换事务中调用，发放失败时由调用方回滚事务，CDK保持未使用状态
+ */
+
+const mongoose = require('mongoose');
+const { CDK_TYPES } = require('../models/CDK');
+const User = require('../../models/user.model');
+const EconomyService = require('../../game/economy/economyService');
+const InventoryService = require('../../game/inventory/inventoryService');
+const ContentStore = require('../../game/content/contentStore');
+const logger = require('../../utils/logger');
+
+// VIP面值只给出天数时默认授予的VIP等级
+const DEFAULT_VIP_LEVEL = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 奖励发放错误，reason 为返回给调用方的错误码
+ */
+class FulfillmentError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 将CDK面值规范化为统一的奖励结构
+ *
+ * 各类型支持的面值写法：
+ * - diamond: 数量，或 { amount }
+ * - currency: 金币数量，或 { currencyType, amount }，或 { currencies: { gold: 100 } }
+ * - vip: 天数，或 { level, days }
+ * - item: 物品模板ID，或 { itemId, quantity }，或 { items: [...] }
+ * - hero: 英雄ID，或 { heroId }，或 { heroes: [...] }
+ * - skin: 皮肤ID，或 { skinId }，或 { skins: [...] }
+ * - special / event: 礼包 { currencies, items, heroes, skins, vip }
+ * 所有对象写法都可以额外携带礼包字段
+ *
+ * @param {string} type - CDK类型
+ * @param {*} value - CDK面值（已解密）
+ * @returns {Object} { currencies, items, heroes, skins, vip }
+ * @throws {FulfillmentError} 面值无效时抛出 INVALID_REWARD
+ */
+function normalizeReward(type, value) {
+  const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+  const data = isObject ? value : {};
+  const scalar = isObject ? undefined : value;
+  const reward = readBundle(data);
+
+  switch (type) {
+    case CDK_TYPES.DIAMOND: {
+      const amount = scalar !== undefined ? scalar : data.amount;
+      if (amount !== undefined) {
+        reward.currencies.push({ currencyType: EconomyService.CURRENCY_TYPES.DIAMOND, amount: Number(amount) });
+      }
+      break;
+    }
+    case CDK_TYPES.CURRENCY: {
+      const amount = scalar !== undefined ? scalar : data.amount;
+      if (amount !== undefined) {
+        reward.currencies.push({
+          currencyType: data.currencyType || EconomyService.CURRENCY_TYPES.GOLD,
+          amount: Number(amount)
+        });
+      }
+      break;
+    }
+    case CDK_TYPES.VIP: {
+      const days = scalar !== undefined ? scalar : data.days;
+      if (days !== undefined) {
+        reward.vip = { level: Number(data.level || DEFAULT_VIP_LEVEL), days: Number(days) };
+      }
+      break;
+    }
+    case CDK_TYPES.ITEM: {
+      const itemId = scalar !== undefined ? scalar : data.itemId;
+      if (itemId !== undefined) {
+        reward.items.push({ itemId: String(itemId), quantity: Number(data.quantity || 1) });
+      }
+      break;
+    }
+    case CDK_TYPES.HERO: {
+      const heroId = scalar !== undefined ? scalar : data.heroId;
+      if (heroId !== undefined) {
+        reward.heroes.push(String(heroId));
+      }
+      break;
+    }
+    case CDK_TYPES.SKIN: {
+      const skinId = scalar !== undefined ? scalar : data.skinId;
+      if (skinId !== undefined) {
+        reward.skins.push(String(skinId));
+      }
+      break;
+    }
+    case CDK_TYPES.SPECIAL:
+    case CDK_TYPES.EVENT:
+      break;
+    default:
+      throw new FulfillmentError('INVALID_REWARD');
+  }
+
+  validateReward(reward);
+  return reward;
+}
+
+/**
+ * 发放CDK奖励
+ * @param {Object} cdk - 正在兑换的CDK文档
+ * @param {*} value - CDK面值（已解密）
+ * @param {string} userId - 兑换者ID
+ * @param {Object} options - 选项
+ * @param {Object} options.session - 兑换事务会话，由调用方负责提交或回滚
+ * @param {string|number} options.redemptionKey - 本次兑换的标识，单码为第几次兑换，共享码为兑换者ID，用于货币发放幂等
+ * @returns {Promise<Object>} { success, reason, rewards }
+ */
+async function fulfillReward(cdk, value, userId, { session, redemptionKey = 1 } = {}) {
+  try {
+    const reward = normalizeReward(cdk.type, value);
+    const cdkId = cdk._id.toString();
+
+    const user = await User.findById(userId).select('paymentInfo').session(session);
+    if (!user) {
+      throw new FulfillmentError('USER_NOT_FOUND');
+    }
+
+    // 事务重试或重复提交时使用同一幂等键，货币不会重复入账
+    for (const { currencyType, amount } of reward.currencies) {
+      const result = await EconomyService.updateBalance(
+        userId,
+        currencyType,
+        amount,
+        EconomyService.TRANSACTION_TYPES.CDK_REWARD,
+        { cdkId, batchId: cdk.batchId, cdkType: cdk.type },
+        { session, idempotencyKey: `cdk:${cdkId}:${redemptionKey}:${currencyType}` }
+      );
+
+      if (!result.success) {
+        throw new FulfillmentError(result.reason);
+      }
+    }
+
+    if (reward.items.length > 0) {
+      const result = await InventoryService.grantItems(userId, reward.items, { source: 'cdk', session });
+      if (!result.success) {
+        throw new FulfillmentError(result.reason);
+      }
+    }
+
+    const update = {};
+
+    if (reward.heroes.length > 0 || reward.skins.length > 0) {
+      update.$addToSet = {
+        'gameProfile.heroes': { $each: reward.heroes },
+        'gameProfile.skins': { $each: reward.skins }
+      };
+    }
+
+    // VIP时长在未过期时顺延，已过期则从现在开始计算；等级取较高值
+    if (reward.vip) {
+      const now = new Date();
+      const paymentInfo = user.paymentInfo || {};
+      const startsAt = paymentInfo.vipExpiry && paymentInfo.vipExpiry > now ? paymentInfo.vipExpiry : now;
+
+      update.$set = {
+        'paymentInfo.vipLevel': Math.max(paymentInfo.vipLevel || 0, reward.vip.level),
+        'paymentInfo.vipExpiry': new Date(startsAt.getTime() + reward.vip.days * DAY_MS)
+      };
+    }
+
+    if (Object.keys(update).length > 0) {
+      await User.updateOne({ _id: userId }, update, { session });
+    }
+
+    return { success: true, rewards: reward };
+  } catch (error) {
+    if (error instanceof FulfillmentError) {
+      logger.warn('CDK奖励发放失败', {
+        cdkId: cdk._id,
+        batchId: cdk.batchId,
+        userId,
+        reason: error.reason
+      });
+      return { success: false, reason: error.reason };
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * 读取礼包字段
+ * @private
+ */
+function readBundle(data) {
+  const reward = { currencies: [], items: [], heroes: [], skins: [], vip: null };
+
+  if (Array.isArray(data.currencies)) {
+    for (const entry of data.currencies) {
+      reward.currencies.push({ currencyType: entry.currencyType, amount: Number(entry.amount) });
+    }
+  } else if (data.currencies && typeof data.currencies === 'object') {
+    for (const [currencyType, amount] of Object.entries(data.currencies)) {
+      reward.currencies.push({ currencyType, amount: Number(amount) });
+    }
+  }
+
+  for (const entry of toArray(data.items)) {
+    const itemId = typeof entry === 'object' ? entry.itemId : entry;
+    reward.items.push({ itemId: String(itemId), quantity: Number(entry.quantity || 1) });
+  }
+
+  for (const entry of toArray(data.heroes)) {
+    reward.heroes.push(String(typeof entry === 'object' ? entry.heroId : entry));
+  }
+
+  for (const entry of toArray(data.skins)) {
+    reward.skins.push(String(typeof entry === 'object' ? entry.skinId : entry));
+  }
+
+  if (data.vip && typeof data.vip === 'object') {
+    reward.vip = { level: Number(data.vip.level || DEFAULT_VIP_LEVEL), days: Number(data.vip.days) };
+  }
+
+  return reward;
+}
+
+/**
+ * 校验奖励内容，同时规范化货币类型
+ * @private
+ */
+function validateReward(reward) {
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+  for (const entry of reward.currencies) {
+    entry.currencyType = EconomyService.normalizeCurrencyType(entry.currencyType);
+    if (!entry.currencyType || !isPositiveInteger(entry.amount)) {
+      throw new FulfillmentError('INVALID_REWARD');
+    }
+  }
+
+  for (const item of reward.items) {
+    if (!ContentStore.getItemTemplate(item.itemId) || !isPositiveInteger(item.quantity)) {
+      throw new FulfillmentError('INVALID_REWARD');
+    }
+  }
+
+  if (reward.heroes.some(heroId => !mongoose.Types.ObjectId.isValid(heroId))) {
+    throw new FulfillmentError('INVALID_REWARD');
+  }
+
+  if (reward.skins.some(skinId => !ContentStore.getSkin(skinId))) {
+    throw new FulfillmentError('INVALID_REWARD');
+  }
+
+  if (reward.vip && (!isPositiveInteger(reward.vip.level) || !isPositiveInteger(reward.vip.days))) {
+    throw new FulfillmentError('INVALID_REWARD');
+  }
+
+  const isEmpty = reward.currencies.length === 0 && reward.items.length === 0 &&
+    reward.heroes.length === 0 && reward.skins.length === 0 && !reward.vip;
+  if (isEmpty) {
+    throw new FulfillmentError('EMPTY_REWARD');
+  }
+}
+
+/**
+ * @private
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  normalizeReward,
+  fulfillReward
+};
@@ -105,6 +105,13 @@ const config = {
       : parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10),
   },
   
+  // 账号配置
+  account: {
+    // 注册渠道，注册时不在列表中的渠道记为默认渠道；CDK批次的渠道规则按账号的注册渠道判断
+    channels: (process.env.ACCOUNT_CHANNELS || 'official,tt,weapp,alipay').split(',').filter(Boolean),
+    defaultChannel: process.env.ACCOUNT_DEFAULT_CHANNEL || 'official'
+  },
+  
   // 支付网关配置
   payment: {
     apiKey: process.env.PAYMENT_GATEWAY_API_KEY,
@@ -161,6 +168,290 @@ const config = {
       7: 9,
       8: 9,
       9: 9
+    },
+    // 每局最多玩家数
+    maxPlayers: 8,
+    // 备战席格子数
+    benchSize: 9,
+    // 各阶段时长（秒），购物阶段时长为 roundTime，战斗阶段按战斗回放时长计算且不超过 combat
+    phaseDurations: {
+      preparation: 5,
+      combat: 45,
+      result: 5
+    },
+    // 每回合金币收入
+    income: {
+      // 基础收入
+      base: 5,
+      // 上回合胜利额外收入
+      winBonus: 1,
+      // 每持有多少金币获得1利息，以及利息上限
+      interestStep: 10,
+      maxInterest: 5,
+      // 连胜/连败奖励：达到 streak 场时获得 gold，取满足条件的最高档
+      streakBonus: [
+        { streak: 2, gold: 1 },
+        { streak: 4, gold: 2 },
+        { streak: 5, gold: 3 }
+      ]
+    },
+    // 购买经验：花费 cost 金币获得 amount 经验；每回合自动获得 passive 经验
+    experience: {
+      cost: 4,
+      amount: 4,
+      passive: 2
+    },
+    // 战败扣血：基础伤害 + 每 stageRounds 回合增加1点 + 对方存活单位的星级之和
+    damage: {
+      base: 2,
+      stageRounds: 5
+    },
+    // 对局商店
+    shop: {
+      // 每次刷新的英雄数量
+      size: 5,
+      // 手动刷新花费的金币
+      refreshCost: 2,
+      // 公共卡池中每个英雄的数量，按费用段区分
+      poolSizes: { 1: 29, 2: 22, 3: 18, 4: 12, 5: 10 },
+      // 各等级刷出1-5费英雄的概率
+      odds: {
+        1: [1, 0, 0, 0, 0],
+        2: [1, 0, 0, 0, 0],
+        3: [0.75, 0.25, 0, 0, 0],
+        4: [0.55, 0.3, 0.15, 0, 0],
+        5: [0.45, 0.33, 0.2, 0.02, 0],
+        6: [0.25, 0.4, 0.3, 0.05, 0],
+        7: [0.19, 0.3, 0.35, 0.15, 0.01],
+        8: [0.16, 0.2, 0.35, 0.25, 0.04],
+        9: [0.09, 0.15, 0.3, 0.3, 0.16]
+      }
+    },
+    // 最终名次对应的排位积分
+    placementRankPoints: {
+      1: 40,
+      2: 30,
+      3: 20,
+      4: 10,
+      5: -10,
+      6: -20,
+      7: -30,
+      8: -40
+    }
+  },
+
+  // 排位赛配置
+  ranked: {
+    // 隐藏分（MMR）：多人对局按名次两两比较计算 Elo 变化
+    mmr: {
+      initial: 1000,
+      kFactor: 32,
+      min: 0
+    },
+    // 匹配：可接受的MMR差距从 initialRange 开始，每等待1秒扩大 rangeGrowthPerSecond，最大 maxRange
+    // 等待超过 relaxAfterSeconds 后，凑够 minMatchSize 人即可开局
+    matchmaking: {
+      matchSize: 8,
+      minMatchSize: 4,
+      initialRange: 100,
+      rangeGrowthPerSecond: 10,
+      maxRange: 1000,
+      relaxAfterSeconds: 90,
+      // 匹配队列处理间隔（毫秒）
+      tickInterval: 2000
+    },
+    // 段位及进入该段位所需的排位积分，必须与 User.stats.rankTier 的枚举一致
+    tiers: [
+      { name: '铁', minPoints: 0 },
+      { name: '铜', minPoints: 400 },
+      { name: '银', minPoints: 800 },
+      { name: '金', minPoints: 1200 },
+      { name: '铂金', minPoints: 1600 },
+      { name: '钻石', minPoints: 2000 },
+      { name: '大师', minPoints: 2400 },
+      { name: '宗师', minPoints: 2800 },
+      { name: '王者', minPoints: 3200 }
+    ],
+    // 晋级赛：积分达到下一段位门槛后进行 games 场，名次不低于 topPlacement 记为胜场，
+    // 取得 winsRequired 胜晋级；失败则扣除 failPenalty 积分
+    promotion: {
+      games: 3,
+      winsRequired: 2,
+      topPlacement: 4,
+      failPenalty: 50
+    },
+    // 降级保护：晋级后的前 games 场对局积分不会跌出当前段位
+    demotionProtection: {
+      games: 3
+    },
+    // 赛季：从 epoch 开始每 lengthDays 天为一个赛季
+    // 新赛季软重置：MMR向初始值回归 mmrRetention 比例，段位下降 tierDrop 档并重置为该段位的起始积分
+    season: {
+      epoch: process.env.RANKED_SEASON_EPOCH || '2026-01-05',
+      lengthDays: 56,
+      softReset: {
+        mmrRetention: 0.5,
+        tierDrop: 2
+      }
+    }
+  },
+
+  // 排行榜配置
+  leaderboard: {
+    defaultPageSize: 20,
+    maxPageSize: 100,
+    // 进入胜率榜的最少对局数
+    minGamesForWinRate: 20,
+    // 每日快照保留天数，用于显示排名升降
+    snapshotRetentionDays: 8,
+    // 赛季结束奖励：按赛季最终段位发放 tiers，赛季积分排名前列额外发放 topRanks（取满足条件的第一档）
+    seasonRewards: {
+      tiers: {
+        '铁': { gold: 500 },
+        '铜': { gold: 1000 },
+        '银': { gold: 2000 },
+        '金': { gold: 3000, diamond: 20 },
+        '铂金': { gold: 4000, diamond: 50 },
+        '钻石': { gold: 5000, diamond: 100 },
+        '大师': { gold: 6000, diamond: 200 },
+        '宗师': { gold: 8000, diamond: 300 },
+        '王者': { gold: 10000, diamond: 500 }
+      },
+      topRanks: [
+        { maxRank: 1, diamond: 1000 },
+        { maxRank: 10, diamond: 500 },
+        { maxRank: 100, diamond: 200 }
+      ]
+    }
+  },
+
+  // 战斗记录与回放配置
+  battleHistory: {
+    defaultPageSize: 20,
+    maxPageSize: 50,
+    // 战斗记录保留天数，过期后回放不可再查看
+    retentionDays: parseInt(process.env.BATTLE_HISTORY_RETENTION_DAYS || '30', 10)
+  },
+
+  // 实时通信配置
+  realtime: {
+    // 断线后可恢复会话的时间（秒）
+    resumeWindowSeconds: 120,
+    // 每场战斗保留的可补发事件数
+    battleEventBufferSize: 200,
+    // 会话和已结束战斗事件的清理间隔（毫秒）
+    cleanupInterval: 60 * 1000
+  },
+
+  // 聊天配置
+  chat: {
+    // 单条消息最大长度（字符）
+    maxMessageLength: 200,
+    defaultPageSize: 30,
+    maxPageSize: 100,
+    // 聊天记录保留天数
+    retentionDays: parseInt(process.env.CHAT_RETENTION_DAYS || '30', 10),
+    // 屏蔽词，命中部分替换为 *，可通过环境变量追加（逗号分隔）
+    profanityWords: [
+      '傻逼', '操你', '草泥马', '妈的', '滚蛋', '去死', '智障', '脑残',
+      'fuck', 'shit', 'bitch', 'asshole', 'dick', 'cunt'
+    ].concat((process.env.CHAT_PROFANITY_WORDS || '').split(',').map(word => word.trim()).filter(Boolean)),
+    // 禁言时长（分钟）
+    defaultMuteMinutes: 60,
+    maxMuteMinutes: 30 * 24 * 60,
+    // 每个玩家最多屏蔽的用户数
+    maxBlockedUsers: 200
+  },
+
+  // 好友与在线状态配置
+  social: {
+    // 好友数量上限
+    maxFriends: 200,
+    // 同时等待对方处理的好友申请上限
+    maxPendingRequests: 50,
+    // 好友申请有效期（天）
+    requestExpiryDays: 7,
+    // 对战邀请有效期（秒）
+    inviteExpirySeconds: 60
+  },
+
+  // 每日/每周任务配置
+  quests: {
+    // 每日任务和活跃度在该整点（服务器时间）重置
+    resetHour: parseInt(process.env.QUEST_RESET_HOUR || '5', 10),
+    // 每周任务在该日的 resetHour 重置，0 为周日，1 为周一
+    weeklyResetDay: 1
+  },
+
+  // 邮件配置
+  mail: {
+    // 邮件默认保留天数，管理员发送时可在 maxTtlDays 以内指定
+    defaultTtlDays: 30,
+    maxTtlDays: 90,
+    defaultPageSize: 20,
+    maxPageSize: 50,
+    // 单封邮件每类附件最多条目数
+    maxAttachmentEntries: 10
+  },
+
+  // 拍卖行配置
+  auction: {
+    // 成交税率
+    taxRate: parseFloat(process.env.AUCTION_TAX_RATE || '0.05'),
+    // 上架时长范围（小时）
+    minDurationHours: 2,
+    maxDurationHours: 48,
+    // 每名玩家同时在售的最大数量
+    maxActiveListings: 20,
+    // 每次加价的最小比例
+    minBidIncrementRate: 0.05,
+    // 标价相对物品参考价的最大倍数，超出视为可疑交易
+    maxPriceMultiplier: 10,
+    // 结算连续失败达到该次数后标记为结算失败，不再自动重试
+    maxSettlementAttempts: 5,
+    // 允许使用的货币
+    currencies: ['gold', 'diamond']
+  },
+  
+  // 背包配置
+  inventory: {
+    // 初始背包格子数
+    defaultBagCapacity: 60,
+    // 背包格子数上限
+    maxBagCapacity: 200
+  },
+  
+  // 公会金库配置
+  guildTreasury: {
+    // 捐献规则：minAmount 单次最少捐献，dailyCap 每人每日上限，
+    // fundsRate / experienceRate / contributionRate 为每单位货币转换的公会资金、公会经验和个人贡献
+    donation: {
+      gold: { minAmount: 100, dailyCap: 10000, fundsRate: 1, experienceRate: 0.1, contributionRate: 0.01 },
+      diamond: { minAmount: 10, dailyCap: 200, fundsRate: 10, experienceRate: 2, contributionRate: 0.5 }
+    }
+  },
+  
+  // 公会战配置（时间均为相对每周一 00:00 的小时数）
+  guildWar: {
+    // 报名截止时间：周五 00:00
+    signupEndHour: 96,
+    // 战斗时段：周六 00:00 至周日 22:00
+    warStartHour: 120,
+    warEndHour: 166,
+    // 参赛门槛
+    minGuildLevel: 2,
+    minMembers: 5,
+    // 每场PVP胜利为公会增加的积分
+    pointsPerWin: 10,
+    // 计分的战斗类型
+    battleTypes: ['pvp', 'guild_war'],
+    // 结算奖励：funds 发放到公会资金，contribution 发放给获得过胜场的成员
+    rewards: {
+      win: { funds: 5000, contribution: 300 },
+      draw: { funds: 3000, contribution: 200 },
+      loss: { funds: 1000, contribution: 100 },
+      // 轮空按胜利结算资金，但没有对手可打，成员不发贡献
+      bye: { funds: 5000, contribution: 0 }
     }
   },
   
@@ -174,6 +465,31 @@ const config = {
       ACTIVATION: 'activation', // 激活码
       VIP: 'vip',          // VIP码
       EVENT: 'event'       // 活动码
+    },
+    // 签名 JSON Lines 导出清单的 HMAC 密钥，需与合作方共享；未配置时拒绝 JSON Lines 导出
+    exportSigningKey: process.env.CDK_EXPORT_SIGNING_KEY || null,
+    // 兑换风控：按IP、设备、账号统计失败猜测，达到阈值后要求人机验证或2FA，并对批次限流或冻结
+    abuseDetection: {
+      windowMinutes: 15,            // 失败计数窗口
+      captchaAfterFailures: 5,      // IP、设备或账号在窗口内失败次数达到后要求人机验证
+      twoFactorAfterFailures: 10,   // 账号在窗口内失败次数达到后要求2FA（未开启2FA的账号仍要求人机验证）
+      enumerationThreshold: 20,     // IP或设备在窗口内输入不存在的兑换码次数达到后视为枚举，窗口结束前拒绝兑换
+      deviceWindowHours: 24,        // 设备账号数统计窗口
+      maxAccountsPerDevice: 3,      // 同一设备在窗口内可兑换的账号数
+      rapidRedeemSeconds: 60,       // 同一账号连续兑换同一批次的最短间隔，低于该间隔记为可疑
+      batchEventWindowMinutes: 60,  // 批次可疑事件计数窗口
+      batchThrottleAfterEvents: 5,  // 批次在窗口内触发枚举或单设备多账号的不同请求方达到后限流
+      batchFreezeAfterEvents: 20,   // 批次在窗口内触发枚举或单设备多账号的不同请求方达到后冻结
+      batchThrottleMinutes: 30,     // 限流时长
+      batchThrottlePerMinute: 10,   // 限流期间批次每分钟可兑换次数
+      batchFreezeMinutes: 60,       // 冻结时长
+      captcha: {
+        // 兼容 reCAPTCHA / hCaptcha / Turnstile 的 siteverify 接口
+        verifyUrl: process.env.CDK_CAPTCHA_VERIFY_URL || 'https://hcaptcha.com/siteverify',
+        secret: process.env.CDK_CAPTCHA_SECRET,
+        // 下发给客户端渲染验证组件的站点密钥
+        siteKey: process.env.CDK_CAPTCHA_SITE_KEY
+      }
     }
   },
   
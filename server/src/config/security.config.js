@@ -49,7 +49,10 @@ const securityConfig = {
       pingTimeout: parseInt(process.env.WEBSOCKET_PING_TIMEOUT || '20000', 10),
       
       // 消息队列处理速率（毫秒）
-      messageProcessInterval: parseInt(process.env.WEBSOCKET_MESSAGE_PROCESS_INTERVAL || '50', 10)
+      messageProcessInterval: parseInt(process.env.WEBSOCKET_MESSAGE_PROCESS_INTERVAL || '50', 10),
+      
+      // 握手签名密钥，须与客户端 signature.js 的默认签名密钥一致；握手后的请求改用服务端下发的会话密钥签名
+      handshakeSecretKey: process.env.WEBSOCKET_HANDSHAKE_SECRET || 'game-security-signature-key'
     },
     
     // 签名排除路径
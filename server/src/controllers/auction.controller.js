@@ -0,0 +1,136 @@
+/**
+ * 拍卖行控制器
+ * 处理物品上架、出价、一口价和查询
+ */
+
+const AuctionService = require('../game/economy/auctionService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '拍卖操作失败',
+  messages: {
+    INVALID_CURRENCY_TYPE: '不支持的货币类型',
+    INVALID_PRICE: '起拍价无效',
+    INVALID_BUYOUT_PRICE: '一口价不能低于起拍价',
+    INVALID_DURATION: '上架时长超出允许范围',
+    INVALID_AMOUNT: '出价金额无效',
+    ITEM_NOT_OWNED: '背包中没有足够的该物品',
+    ITEM_NOT_TRADEABLE: '该物品不可交易',
+    TOO_MANY_LISTINGS: '在售物品数量已达上限',
+    AUCTION_NOT_FOUND: '拍卖不存在',
+    AUCTION_NOT_ACTIVE: '拍卖已结束',
+    CANNOT_BID_OWN_AUCTION: '不能对自己的拍卖出价',
+    ALREADY_HIGHEST_BIDDER: '您已是最高出价者',
+    BID_TOO_LOW: '出价低于最低加价',
+    BID_CONFLICT: '出价已被他人抢先，请刷新后重试',
+    BUYOUT_NOT_AVAILABLE: '该拍卖不支持一口价',
+    CANNOT_CANCEL: '已有出价或拍卖已结束，无法撤销',
+    SUSPICIOUS_TRANSACTION: '交易价格异常，已被风控拦截',
+    RESOURCE_ANOMALY: '交易异常，已被风控拦截'
+  },
+  statuses: {
+    AUCTION_NOT_FOUND: 404
+  }
+});
+
+/**
+ * 获取请求元数据
+ * @param {Object} req - 请求对象
+ * @returns {Object} 元数据
+ */
+function getRequestMetadata(req) {
+  return {
+    ip: req.ip,
+    deviceId: req.headers['x-device-id']
+  };
+}
+
+/**
+ * 上架物品
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.createListing = async (req, res) => {
+  const { itemId, quantity, currencyType, startPrice, buyoutPrice, durationHours } = req.body;
+
+  if (!itemId || !currencyType || startPrice === undefined || durationHours === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: '缺少必要参数',
+      code: 'MISSING_REQUIRED_FIELDS'
+    });
+  }
+
+  const result = await AuctionService.createListing(
+    req.user._id,
+    { itemId, quantity, currencyType, startPrice, buyoutPrice, durationHours },
+    getRequestMetadata(req)
+  );
+
+  return sendResult(res, result, 201);
+};
+
+/**
+ * 出价
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.placeBid = async (req, res) => {
+  const result = await AuctionService.placeBid(
+    req.user._id,
+    req.params.auctionId,
+    req.body.amount,
+    getRequestMetadata(req)
+  );
+
+  return sendResult(res, result);
+};
+
+/**
+ * 一口价购买
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.buyout = async (req, res) => {
+  const result = await AuctionService.buyout(req.user._id, req.params.auctionId, getRequestMetadata(req));
+  return sendResult(res, result);
+};
+
+/**
+ * 撤销拍卖
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.cancelListing = async (req, res) => {
+  const result = await AuctionService.cancelListing(req.user._id, req.params.auctionId);
+  return sendResult(res, result);
+};
+
+/**
+ * 搜索在售拍卖
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.searchListings = async (req, res) => {
+  try {
+    const result = await AuctionService.searchListings(req.query);
+    return sendResult(res, result);
+  } catch (error) {
+    return sendResult(res, { success: false, reason: 'INTERNAL_ERROR' });
+  }
+};
+
+/**
+ * 获取我的拍卖
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getMyAuctions = async (req, res) => {
+  try {
+    const result = await AuctionService.getPlayerAuctions(req.user._id, req.query.role);
+    return sendResult(res, result);
+  } catch (error) {
+    return sendResult(res, { success: false, reason: 'INTERNAL_ERROR' });
+  }
+};
@@ -6,7 +6,7 @@
 const User = require('../models/user.model');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
-const bcrypt = require('bcrypt');
+const bcrypt = require('bcryptjs');
 const { generateAccessToken, generateRefreshToken, revokeToken } = require('../middlewares/auth.middleware');
 const { sanitizeUserForClient } = require('../utils/sanitize');
 
@@ -17,7 +17,7 @@ const { sanitizeUserForClient } = require('../utils/sanitize');
  */
 exports.register = async (req, res) => {
   try {
-    const { username, email, password, nickname } = req.body;
+    const { username, email, password, nickname, channel } = req.body;
 
     // 输入验证
     if (!username || !email || !password) {
@@ -57,6 +57,8 @@ exports.register = async (req, res) => {
       password, // 密码将在模型的pre-save钩子中进行哈希处理
       nickname: nickname || username,
       registeredAt: new Date(),
+      // 只接受配置中的渠道，其他值记为默认渠道
+      channel: config.account.channels.includes(channel) ? channel : config.account.defaultChannel,
       lastLoginAt: new Date(),
       status: 'active'
     });
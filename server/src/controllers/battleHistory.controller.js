@@ -0,0 +1,50 @@
+/**
+ * 战斗记录控制器
+ * 处理战绩列表查询和战斗回放获取
+ */
+
+const BattleHistoryService = require('../game/battle/battleHistoryService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '获取战斗记录失败',
+  messages: {
+    INVALID_SOURCE: '战斗来源无效',
+    INVALID_RESULT: '战斗结果筛选无效',
+    INVALID_DATE_RANGE: '时间范围无效',
+    REPLAY_NOT_FOUND: '回放不存在或已过期'
+  },
+  statuses: {
+    REPLAY_NOT_FOUND: 404
+  }
+});
+
+/**
+ * 获取自己的战斗记录
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getHistory = async (req, res) => {
+  const { source, battleType, result: battleResult, from, to, page, pageSize } = req.query;
+  const result = await BattleHistoryService.getHistory(req.user._id, {
+    source,
+    battleType,
+    result: battleResult,
+    from,
+    to,
+    page,
+    pageSize
+  });
+  return sendResult(res, result);
+};
+
+/**
+ * 获取战斗回放
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getReplay = async (req, res) => {
+  const result = await BattleHistoryService.getReplay(req.params.replayId);
+  return sendResult(res, result);
+};
@@ -7,6 +7,7 @@ const CDK = require('../models/cdk.model');
 const User = require('../models/user.model');
 const config = require('../config');
 const mongoose = require('mongoose');
+const InventoryService = require('../game/inventory/inventoryService');
 
 /**
  * 兑换CDK码
@@ -64,11 +65,30 @@ exports.redeemCDK = async (req, res) => {
     session.startTransaction();
     
     try {
+      const rewards = cdk.rewards;
+      
+      // 先发放物品奖励，背包空间不足时不消耗CDK
+      if (rewards.items && rewards.items.length > 0) {
+        const grantResult = await InventoryService.grantItems(
+          userId,
+          rewards.items.map(item => ({ itemId: item.itemId, quantity: item.quantity })),
+          { source: 'cdk', session }
+        );
+        
+        if (!grantResult.success) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: grantResult.reason === 'BAG_FULL' ? '背包空间不足，请清理后再兑换' : '物品奖励发放失败',
+            code: grantResult.reason
+          });
+        }
+      }
+      
       // 记录CDK使用
       await cdk.useByUser(userId, req.ip);
       
       // 给用户添加奖励
-      const rewards = cdk.rewards;
       
       // 添加金币奖励
       if (rewards.gold > 0) {
@@ -80,14 +100,6 @@ exports.redeemCDK = async (req, res) => {
         user.gameProfile.diamond += rewards.diamond;
       }
       
-      // 添加物品奖励
-      if (rewards.items && rewards.items.length > 0) {
-        for (const item of rewards.items) {
-          // 将物品ID添加到用户物品列表中
-          user.gameProfile.items.push(item.itemId);
-        }
-      }
-      
       // 添加英雄奖励
       if (rewards.heroes && rewards.heroes.length > 0) {
         for (const hero of rewards.heroes) {
@@ -132,7 +144,7 @@ exports.redeemCDK = async (req, res) => {
         rewards: {
           gold: rewards.gold || 0,
           diamond: rewards.diamond || 0,
-          items: rewards.items ? rewards.items.length : 0,
+          items: rewards.items ? rewards.items.map(item => ({ itemId: item.itemId, quantity: item.quantity })) : [],
           heroes: rewards.heroes ? rewards.heroes.length : 0,
           vip: rewards.vip ? {
             level: rewards.vip.level,
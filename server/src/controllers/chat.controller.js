@@ -0,0 +1,131 @@
+/**
+ * 聊天控制器
+ * 处理聊天记录查询、屏蔽名单和版主管理（删除消息、禁言）
+ * 消息发送和频道加入通过 WebSocket 完成
+ */
+
+const ChatService = require('../game/chat/chatService');
+const FriendService = require('../game/social/friendService');
+const { emitChatEvent, sendToUser } = require('../game/socket');
+const { SERVER_EVENTS } = require('../game/socket/protocol');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '聊天操作失败',
+  messages: {
+    INVALID_CHANNEL: '聊天频道无效',
+    INVALID_CURSOR: '分页参数无效',
+    INVALID_DURATION: '禁言时长无效',
+    NOT_IN_GUILD: '您不在该公会中',
+    NOT_IN_BATTLE: '您不在该战斗中',
+    NOT_MUTED: '该玩家未被禁言',
+    MESSAGE_NOT_FOUND: '消息不存在或已删除'
+  },
+  statuses: {
+    NOT_IN_GUILD: 403,
+    NOT_IN_BATTLE: 403,
+    NOT_BLOCKED: 404,
+    NOT_MUTED: 404,
+    MESSAGE_NOT_FOUND: 404
+  }
+});
+
+/**
+ * 获取频道历史消息
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getHistory = async (req, res) => {
+  const { channelType, channelId, before, pageSize } = req.query;
+  const result = await ChatService.getHistory(req.user._id, { channelType, channelId, before, pageSize });
+  return sendResult(res, result);
+};
+
+/**
+ * 获取屏蔽名单
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getBlockList = async (req, res) => {
+  const result = await ChatService.getBlockList(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 屏蔽玩家，屏蔽名单与好友系统共用，是好友时同时解除好友关系
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.blockUser = async (req, res) => {
+  const result = await FriendService.blockUser(req.user._id, req.params.userId);
+  if (result.success && result.wasFriend) {
+    sendToUser(req.params.userId, SERVER_EVENTS.FRIEND_UPDATE, { type: 'removed', userId: req.user._id.toString() });
+  }
+  return sendResult(res, result.success ? { success: true } : result);
+};
+
+/**
+ * 取消屏蔽玩家
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.unblockUser = async (req, res) => {
+  const result = await ChatService.unblockUser(req.user._id, req.params.userId);
+  return sendResult(res, result);
+};
+
+/**
+ * 获取自己的禁言状态
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getMuteStatus = async (req, res) => {
+  const result = await ChatService.getMuteStatus(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 版主删除消息，并通知频道内的玩家移除该消息
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.deleteMessage = async (req, res) => {
+  const result = await ChatService.deleteMessage(req.user._id, req.params.messageId, req.body.reason);
+
+  if (result.success) {
+    const { id, channel, channelType } = result.message;
+    await emitChatEvent(result.message, SERVER_EVENTS.CHAT_MESSAGE_DELETED, { id, channel, channelType });
+  }
+
+  return sendResult(res, result);
+};
+
+/**
+ * 版主禁言玩家，并通知被禁言的玩家
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.muteUser = async (req, res) => {
+  const { minutes, reason } = req.body;
+  const result = await ChatService.muteUser(req.user._id, req.params.userId, { minutes, reason });
+
+  if (result.success) {
+    sendToUser(req.params.userId, SERVER_EVENTS.CHAT_MUTED, {
+      mutedUntil: result.mute.mutedUntil,
+      reason: result.mute.reason
+    });
+  }
+
+  return sendResult(res, result);
+};
+
+/**
+ * 版主解除禁言
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.unmuteUser = async (req, res) => {
+  const result = await ChatService.unmuteUser(req.user._id, req.params.userId);
+  return sendResult(res, result);
+};
@@ -0,0 +1,105 @@
+/**
+ * 游戏内容管理控制器
+ * 处理物品、套装和皮肤定义的草稿编辑、校验与发布
+ */
+
+const ContentStore = require('../game/content/contentStore');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '内容操作失败',
+  messages: {
+    INVALID_VERSION: '版本号无效',
+    VERSION_NOT_FOUND: '版本不存在',
+    VERSION_CONFLICT: '版本号冲突，请重试',
+    NOT_A_DRAFT: '只能修改草稿版本',
+    ALREADY_PUBLISHED: '该版本已是当前发布版本',
+    INVALID_CONTENT: '内容校验未通过'
+  },
+  statuses: {
+    VERSION_NOT_FOUND: 404,
+    VERSION_CONFLICT: 409
+  }
+});
+
+/**
+ * 解析路径中的版本号
+ * @param {Object} req - 请求对象
+ * @returns {number|null} 版本号
+ */
+function parseVersion(req) {
+  const version = Number(req.params.version);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * 包装控制器，统一处理版本号校验和异常
+ * @param {Function} handler - 处理函数 (req, res, version)
+ * @param {boolean} needsVersion - 是否需要路径中的版本号
+ */
+function withErrorHandling(handler, needsVersion = true) {
+  return async (req, res) => {
+    const version = needsVersion ? parseVersion(req) : null;
+    if (needsVersion && !version) {
+      return sendResult(res, { success: false, reason: 'INVALID_VERSION' });
+    }
+
+    try {
+      return await handler(req, res, version);
+    } catch (error) {
+      return sendResult(res, { success: false, reason: 'INTERNAL_ERROR' });
+    }
+  };
+}
+
+/**
+ * 版本列表
+ */
+exports.listVersions = withErrorHandling(async (req, res) => {
+  return sendResult(res, await ContentStore.listVersions(req.query));
+}, false);
+
+/**
+ * 当前生效版本
+ */
+exports.getCurrentVersion = withErrorHandling(async (req, res) => {
+  return sendResult(res, { success: true, ...ContentStore.getCurrentVersion() });
+}, false);
+
+/**
+ * 版本详情
+ */
+exports.getVersion = withErrorHandling(async (req, res, version) => {
+  return sendResult(res, await ContentStore.getVersion(version));
+});
+
+/**
+ * 创建草稿，未提交内容时复制当前生效版本
+ */
+exports.createDraft = withErrorHandling(async (req, res) => {
+  const { content, notes } = req.body;
+  return sendResult(res, await ContentStore.createDraft(content, req.user._id, notes), 201);
+}, false);
+
+/**
+ * 更新草稿
+ */
+exports.updateDraft = withErrorHandling(async (req, res, version) => {
+  const { content, notes } = req.body;
+  return sendResult(res, await ContentStore.updateDraft(version, content, notes));
+});
+
+/**
+ * 校验版本
+ */
+exports.validateVersion = withErrorHandling(async (req, res, version) => {
+  return sendResult(res, await ContentStore.validateVersion(version));
+});
+
+/**
+ * 发布版本
+ */
+exports.publishVersion = withErrorHandling(async (req, res, version) => {
+  return sendResult(res, await ContentStore.publish(version, req.user._id));
+});
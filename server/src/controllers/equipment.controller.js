@@ -0,0 +1,150 @@
+/**
+ * 装备养成控制器
+ * 处理装备强化、精炼、宝石镶嵌和养成记录查询
+ */
+
+const mongoose = require('mongoose');
+const EquipmentUpgradeService = require('../game/character/equipmentUpgradeService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '装备养成失败',
+  messages: {
+    INVALID_ITEM_ID: '装备ID无效',
+    ITEM_NOT_OWNED: '装备不存在',
+    NOT_EQUIPMENT: '该物品不是装备',
+    MAX_LEVEL_REACHED: '已达到最高等级',
+    PROTECTION_NOT_NEEDED: '当前等级强化失败不会降级，无需使用保护卷轴',
+    INSUFFICIENT_BALANCE: '金币不足',
+    INSUFFICIENT_MATERIALS: '材料不足',
+    INVALID_SOCKET: '宝石孔不存在',
+    SOCKET_OCCUPIED: '该宝石孔已镶嵌宝石',
+    SOCKET_EMPTY: '该宝石孔没有宝石',
+    INVALID_GEM: '宝石无效',
+    UPGRADE_CONFLICT: '装备状态已变化，请刷新后重试'
+  },
+  statuses: {
+    ITEM_NOT_OWNED: 404
+  }
+});
+
+/**
+ * 校验装备实例ID
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @returns {boolean} 是否有效
+ */
+function validateInstanceId(req, res) {
+  if (mongoose.Types.ObjectId.isValid(req.params.instanceId)) {
+    return true;
+  }
+
+  sendResult(res, { success: false, reason: 'INVALID_ITEM_ID' });
+  return false;
+}
+
+/**
+ * 获取请求元数据
+ * @param {Object} req - 请求对象
+ * @returns {Object} 元数据
+ */
+function getRequestMetadata(req) {
+  return {
+    ip: req.ip,
+    deviceId: req.headers['x-device-id']
+  };
+}
+
+/**
+ * 强化装备
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.enhance = async (req, res) => {
+  if (!validateInstanceId(req, res)) return;
+
+  const result = await EquipmentUpgradeService.enhance(
+    req.user._id,
+    req.params.instanceId,
+    { useProtection: req.body.useProtection === true },
+    getRequestMetadata(req)
+  );
+
+  return sendResult(res, result);
+};
+
+/**
+ * 精炼装备
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.refine = async (req, res) => {
+  if (!validateInstanceId(req, res)) return;
+
+  const result = await EquipmentUpgradeService.refine(req.user._id, req.params.instanceId, getRequestMetadata(req));
+  return sendResult(res, result);
+};
+
+/**
+ * 镶嵌宝石
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.socketGem = async (req, res) => {
+  if (!validateInstanceId(req, res)) return;
+
+  const { gemId } = req.body;
+  if (!gemId) {
+    return res.status(400).json({
+      success: false,
+      message: '缺少必要参数',
+      code: 'MISSING_REQUIRED_FIELDS'
+    });
+  }
+
+  const result = await EquipmentUpgradeService.socketGem(
+    req.user._id,
+    req.params.instanceId,
+    parseInt(req.params.socketIndex, 10),
+    gemId
+  );
+
+  return sendResult(res, result);
+};
+
+/**
+ * 拆除宝石
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.unsocketGem = async (req, res) => {
+  if (!validateInstanceId(req, res)) return;
+
+  const result = await EquipmentUpgradeService.unsocketGem(
+    req.user._id,
+    req.params.instanceId,
+    parseInt(req.params.socketIndex, 10),
+    getRequestMetadata(req)
+  );
+
+  return sendResult(res, result);
+};
+
+/**
+ * 获取养成记录
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getHistory = async (req, res) => {
+  if (req.query.itemId && !mongoose.Types.ObjectId.isValid(req.query.itemId)) {
+    return sendResult(res, { success: false, reason: 'INVALID_ITEM_ID' });
+  }
+
+  try {
+    const result = await EquipmentUpgradeService.getHistory(req.user._id, req.query);
+    return sendResult(res, result);
+  } catch (error) {
+    return sendResult(res, { success: false, reason: 'INTERNAL_ERROR' });
+  }
+};
@@ -0,0 +1,149 @@
+/**
+ * 好友控制器
+ * 处理好友列表、好友申请、删除和屏蔽，变化通过 WebSocket 实时通知对方
+ * 好友对战邀请通过 WebSocket 完成
+ */
+
+const FriendService = require('../game/social/friendService');
+const { sendToUser } = require('../game/socket');
+const { SERVER_EVENTS } = require('../game/socket/protocol');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '好友操作失败',
+  messages: {
+    CANNOT_ADD_SELF: '不能添加自己为好友',
+    ALREADY_FRIENDS: '你们已经是好友了',
+    BLOCKED: '你们之间存在屏蔽关系',
+    TOO_MANY_REQUESTS: '待处理的好友申请过多',
+    REQUEST_EXISTS: '已发送过好友申请，请等待对方处理',
+    REQUEST_NOT_FOUND: '好友申请不存在或已过期',
+    FRIEND_LIMIT_REACHED: '好友数量已达上限',
+    NOT_FRIENDS: '对方不是您的好友'
+  },
+  statuses: {
+    REQUEST_NOT_FOUND: 404,
+    NOT_FRIENDS: 404,
+    NOT_BLOCKED: 404,
+    REQUEST_EXISTS: 409,
+    ALREADY_FRIENDS: 409
+  }
+});
+
+/**
+ * 通知双方新增了好友
+ * @param {Object} result - acceptRequest 的结果 { friend, requester }
+ */
+function notifyFriendAdded({ friend, requester }) {
+  sendToUser(requester.userId, SERVER_EVENTS.FRIEND_UPDATE, { type: 'added', friend });
+  sendToUser(friend.userId, SERVER_EVENTS.FRIEND_UPDATE, { type: 'added', friend: requester });
+}
+
+/**
+ * 获取好友列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getFriends = async (req, res) => {
+  const result = await FriendService.getFriends(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 获取待处理的好友申请
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getRequests = async (req, res) => {
+  const result = await FriendService.getRequests(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 发送好友申请
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.sendRequest = async (req, res) => {
+  const { userId, username, message } = req.body;
+  const result = await FriendService.sendRequest(req.user._id, { targetId: userId, username, message });
+
+  if (result.success && result.accepted) {
+    notifyFriendAdded(result);
+  } else if (result.success) {
+    const { toId, ...request } = result.request;
+    sendToUser(toId, SERVER_EVENTS.FRIEND_REQUEST, request);
+  }
+
+  return sendResult(res, result);
+};
+
+/**
+ * 同意好友申请
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.acceptRequest = async (req, res) => {
+  const result = await FriendService.acceptRequest(req.user._id, req.params.requestId);
+  if (result.success) {
+    notifyFriendAdded(result);
+  }
+  return sendResult(res, result);
+};
+
+/**
+ * 拒绝好友申请
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.declineRequest = async (req, res) => {
+  const result = await FriendService.declineRequest(req.user._id, req.params.requestId);
+  return sendResult(res, result.success ? { success: true } : result);
+};
+
+/**
+ * 撤回好友申请
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.cancelRequest = async (req, res) => {
+  const result = await FriendService.cancelRequest(req.user._id, req.params.requestId);
+  return sendResult(res, result.success ? { success: true } : result);
+};
+
+/**
+ * 删除好友
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.removeFriend = async (req, res) => {
+  const result = await FriendService.removeFriend(req.user._id, req.params.friendId);
+  if (result.success) {
+    sendToUser(req.params.friendId, SERVER_EVENTS.FRIEND_UPDATE, { type: 'removed', userId: req.user._id.toString() });
+  }
+  return sendResult(res, result);
+};
+
+/**
+ * 屏蔽玩家，是好友时同时解除好友关系
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.blockUser = async (req, res) => {
+  const result = await FriendService.blockUser(req.user._id, req.params.userId);
+  if (result.success && result.wasFriend) {
+    sendToUser(req.params.userId, SERVER_EVENTS.FRIEND_UPDATE, { type: 'removed', userId: req.user._id.toString() });
+  }
+  return sendResult(res, result);
+};
+
+/**
+ * 取消屏蔽玩家
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.unblockUser = async (req, res) => {
+  const result = await FriendService.unblockUser(req.user._id, req.params.userId);
+  return sendResult(res, result);
+};
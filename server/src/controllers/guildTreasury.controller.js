@@ -0,0 +1,73 @@
+/**
+ * 公会金库控制器
+ * 处理金库概览、成员捐献、开启公会增益和金库流水查询
+ */
+
+const GuildTreasuryService = require('../game/guild/guildTreasuryService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '公会金库操作失败',
+  messages: {
+    NO_PERMISSION: '只有公会会长和干部才能使用公会资金',
+    INVALID_CURRENCY_TYPE: '只能捐献金币或钻石',
+    INVALID_AMOUNT: '捐献数量无效',
+    DAILY_CAP_REACHED: '已达到今日捐献上限',
+    BUFF_NOT_FOUND: '公会增益不存在',
+    GUILD_LEVEL_TOO_LOW: '公会等级不足，尚未解锁该增益',
+    BUFF_ALREADY_ACTIVE: '该增益正在生效中',
+    INSUFFICIENT_FUNDS: '公会资金不足'
+  },
+  statuses: {
+    NO_PERMISSION: 403,
+    BUFF_NOT_FOUND: 404,
+    BUFF_ALREADY_ACTIVE: 409
+  }
+});
+
+/**
+ * 获取金库概览
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getTreasury = async (req, res) => {
+  const result = await GuildTreasuryService.getTreasury(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 捐献
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.donate = async (req, res) => {
+  const { currencyType, amount } = req.body;
+
+  const result = await GuildTreasuryService.donate(req.user._id, currencyType, amount, {
+    ip: req.ip,
+    deviceId: req.headers['x-device-id']
+  });
+
+  return sendResult(res, result);
+};
+
+/**
+ * 开启公会增益
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.purchaseBuff = async (req, res) => {
+  const result = await GuildTreasuryService.purchaseBuff(req.user._id, req.params.buffId);
+  return sendResult(res, result);
+};
+
+/**
+ * 金库流水
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getLogs = async (req, res) => {
+  const result = await GuildTreasuryService.getLogs(req.user._id, req.query);
+  return sendResult(res, result);
+};
@@ -0,0 +1,53 @@
+/**
+ * 公会战控制器
+ * 处理赛季查询、公会状态查询和报名
+ */
+
+const GuildWarService = require('../game/guild/guildWarService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '公会战操作失败',
+  messages: {
+    NO_PERMISSION: '只有公会会长和干部才能报名公会战',
+    GUILD_LEVEL_TOO_LOW: '公会等级不足，无法报名',
+    NOT_ENOUGH_MEMBERS: '公会成员数量不足，无法报名',
+    ALREADY_SIGNED_UP: '公会已报名本周公会战',
+    SIGNUP_CLOSED: '本周公会战报名已截止'
+  },
+  statuses: {
+    NO_PERMISSION: 403,
+    ALREADY_SIGNED_UP: 409
+  }
+});
+
+/**
+ * 获取本周赛季
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getCurrentSeason = async (req, res) => {
+  const result = await GuildWarService.getCurrentSeason();
+  return sendResult(res, result);
+};
+
+/**
+ * 获取所在公会的公会战状态
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getMyStatus = async (req, res) => {
+  const result = await GuildWarService.getGuildStatus(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 报名本周公会战
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.signUp = async (req, res) => {
+  const result = await GuildWarService.signUp(req.user._id);
+  return sendResult(res, result);
+};
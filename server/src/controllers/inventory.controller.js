@@ -0,0 +1,98 @@
+/**
+ * 背包控制器
+ * 处理背包查询以及物品的使用、出售和丢弃
+ */
+
+const mongoose = require('mongoose');
+const InventoryService = require('../game/inventory/inventoryService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '背包操作失败',
+  messages: {
+    PLAYER_NOT_FOUND: '玩家不存在',
+    INVALID_ITEM_ID: '物品ID无效',
+    ITEM_NOT_OWNED: '背包中没有该物品',
+    INSUFFICIENT_QUANTITY: '物品数量不足',
+    ITEM_NOT_USABLE: '该物品无法使用',
+    ITEM_NOT_SELLABLE: '该物品无法出售',
+    ITEM_EQUIPPED: '请先卸下该装备',
+    INVENTORY_CONFLICT: '背包已变化，请刷新后重试',
+    SUSPICIOUS_TRANSACTION: '交易异常，已被风控拦截'
+  },
+  statuses: {
+    PLAYER_NOT_FOUND: 404,
+    ITEM_NOT_OWNED: 404
+  }
+});
+
+/**
+ * 校验物品实例ID
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @returns {boolean} 是否有效
+ */
+function validateInstanceId(req, res) {
+  if (mongoose.Types.ObjectId.isValid(req.params.instanceId)) {
+    return true;
+  }
+
+  sendResult(res, { success: false, reason: 'INVALID_ITEM_ID' });
+  return false;
+}
+
+/**
+ * 获取背包
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getInventory = async (req, res) => {
+  try {
+    const result = await InventoryService.getInventory(req.user._id);
+    return sendResult(res, result);
+  } catch (error) {
+    return sendResult(res, { success: false, reason: 'INTERNAL_ERROR' });
+  }
+};
+
+/**
+ * 使用物品
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.useItem = async (req, res) => {
+  if (!validateInstanceId(req, res)) return;
+
+  const { quantity = 1 } = req.body;
+  const result = await InventoryService.useItem(req.user._id, req.params.instanceId, quantity);
+  return sendResult(res, result);
+};
+
+/**
+ * 出售物品
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.sellItem = async (req, res) => {
+  if (!validateInstanceId(req, res)) return;
+
+  const { quantity = 1 } = req.body;
+  const result = await InventoryService.sellItem(req.user._id, req.params.instanceId, quantity, {
+    ip: req.ip,
+    deviceId: req.headers['x-device-id']
+  });
+  return sendResult(res, result);
+};
+
+/**
+ * 丢弃物品
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.discardItem = async (req, res) => {
+  if (!validateInstanceId(req, res)) return;
+
+  const result = await InventoryService.discardItem(req.user._id, req.params.instanceId, req.body.quantity);
+  return sendResult(res, result);
+};
@@ -0,0 +1,39 @@
+/**
+ * 排行榜控制器
+ * 处理排行榜分页查询和个人排名查询
+ */
+
+const LeaderboardService = require('../game/leaderboard/leaderboardService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '获取排行榜失败',
+  messages: {
+    INVALID_BOARD: '排行榜类型无效',
+    INVALID_SCOPE: '排行榜范围无效',
+    INVALID_TIER: '段位无效'
+  }
+});
+
+/**
+ * 获取排行榜
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getLeaderboard = async (req, res) => {
+  const { type, scope, tier, page, pageSize } = req.query;
+  const result = await LeaderboardService.getLeaderboard(req.user._id, { type, scope, tier, page, pageSize });
+  return sendResult(res, result);
+};
+
+/**
+ * 获取自己的排名
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getMyRank = async (req, res) => {
+  const { type, scope, tier } = req.query;
+  const result = await LeaderboardService.getMyRank(req.user._id, { type, scope, tier });
+  return sendResult(res, result);
+};
@@ -0,0 +1,116 @@
+/**
+ * 邮件控制器
+ * 处理邮箱列表、阅读、附件领取和删除，以及管理员发送邮件
+ * 新邮件通过 WebSocket 实时通知
+ */
+
+const MailService = require('../game/mail/mailService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '邮件操作失败',
+  messages: {
+    MAIL_NOT_FOUND: '邮件不存在',
+    MAIL_EXPIRED: '邮件已过期',
+    ALREADY_CLAIMED: '附件已领取',
+    NO_ATTACHMENTS: '该邮件没有附件',
+    UNCLAIMED_ATTACHMENTS: '请先领取附件再删除邮件',
+    BAG_FULL: '背包已满，请清理背包后再领取',
+    INVALID_RECIPIENT: '收件人无效',
+    INVALID_TITLE: '邮件标题不能为空',
+    INVALID_EXPIRY: '邮件有效期无效',
+    INVALID_ATTACHMENTS: '附件格式无效',
+    TOO_MANY_ATTACHMENTS: '附件数量过多',
+    INVALID_CURRENCY_TYPE: '货币类型无效',
+    INVALID_AMOUNT: '货币数量无效',
+    HERO_NOT_FOUND: '英雄不存在',
+    SKIN_NOT_FOUND: '皮肤不存在',
+    INVALID_SEGMENT: '分群条件无效',
+    GUILD_NOT_FOUND: '公会不存在'
+  },
+  statuses: {
+    MAIL_NOT_FOUND: 404,
+    GUILD_NOT_FOUND: 404,
+    ALREADY_CLAIMED: 409
+  }
+});
+
+/**
+ * 获取邮箱列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getMails = async (req, res) => {
+  const { page, pageSize } = req.query;
+  const result = await MailService.getMails(req.user._id, { page, pageSize });
+  return sendResult(res, result);
+};
+
+/**
+ * 获取未读和未领取附件的邮件数
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getSummary = async (req, res) => {
+  const result = await MailService.getSummary(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 阅读邮件
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.readMail = async (req, res) => {
+  const result = await MailService.readMail(req.user._id, req.params.mailId);
+  return sendResult(res, result);
+};
+
+/**
+ * 领取邮件附件
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.claimAttachments = async (req, res) => {
+  const result = await MailService.claimAttachments(req.user._id, req.params.mailId);
+  return sendResult(res, result);
+};
+
+/**
+ * 一键领取所有附件
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.claimAll = async (req, res) => {
+  const result = await MailService.claimAll(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 删除邮件
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.deleteMail = async (req, res) => {
+  const result = await MailService.deleteMail(req.user._id, req.params.mailId);
+  return sendResult(res, result);
+};
+
+/**
+ * 管理员发送邮件（指定玩家、分群或全服）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.sendMail = async (req, res) => {
+  const { recipientIds, segment, title, content, attachments, ttlDays } = req.body;
+  const result = await MailService.sendAdminMail(req.user._id, {
+    recipientIds,
+    segment,
+    title,
+    content,
+    attachments,
+    ttlDays
+  });
+  return sendResult(res, result);
+};
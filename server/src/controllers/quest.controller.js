@@ -0,0 +1,56 @@
+/**
+ * 任务控制器
+ * 处理每日/每周任务列表、任务奖励和活跃度宝箱的领取
+ * 任务进度由服务端游戏事件推进，客户端不能直接上报
+ */
+
+const QuestService = require('../game/quest/questService');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '任务操作失败',
+  messages: {
+    QUEST_NOT_FOUND: '任务不存在',
+    QUEST_NOT_COMPLETED: '任务尚未完成',
+    CHEST_NOT_FOUND: '宝箱不存在',
+    CHEST_LOCKED: '活跃度不足，无法领取宝箱',
+    ALREADY_CLAIMED: '奖励已领取',
+    SUSPICIOUS_TRANSACTION: '奖励发放异常，请联系客服'
+  },
+  statuses: {
+    QUEST_NOT_FOUND: 404,
+    CHEST_NOT_FOUND: 404,
+    ALREADY_CLAIMED: 409
+  }
+});
+
+/**
+ * 获取当前的每日和每周任务
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getQuests = async (req, res) => {
+  const result = await QuestService.getQuests(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 领取任务奖励
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.claimQuest = async (req, res) => {
+  const result = await QuestService.claimQuest(req.user._id, req.params.questId);
+  return sendResult(res, result);
+};
+
+/**
+ * 领取活跃度宝箱
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.claimChest = async (req, res) => {
+  const result = await QuestService.claimChest(req.user._id, req.params.chestId);
+  return sendResult(res, result);
+};
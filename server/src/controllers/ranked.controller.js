@@ -0,0 +1,48 @@
+/**
+ * 排位赛控制器
+ * 处理赛季、个人段位和匹配状态查询；排队和对局操作通过 Socket.io 进行
+ */
+
+const RankedService = require('../game/match/rankedService');
+const MatchmakingService = require('../game/match/matchmakingService');
+const MatchManager = require('../game/match/matchManager');
+const { createResultSender } = require('../utils/serviceResult');
+
+// 错误码对应的提示信息和状态码，通用错误码见 utils/serviceResult
+const sendResult = createResultSender({
+  fallbackMessage: '排位操作失败'
+});
+
+/**
+ * 获取当前赛季
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getSeason = async (req, res) => {
+  return sendResult(res, { success: true, season: RankedService.getSeasonInfo() });
+};
+
+/**
+ * 获取自己的段位、积分、晋级赛和降级保护状态
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getMyRank = async (req, res) => {
+  const result = await RankedService.getRankInfo(req.user._id);
+  return sendResult(res, result);
+};
+
+/**
+ * 获取自己的匹配状态和进行中的对局
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+exports.getQueueStatus = async (req, res) => {
+  const match = MatchManager.getPlayerMatch(req.user._id);
+
+  return sendResult(res, {
+    success: true,
+    queue: MatchmakingService.getQueueStatus(req.user._id),
+    matchId: match ? match.matchId : null
+  });
+};
@@ -1,6 +1,13 @@
 const AttributeCalculator = require('../character/attributeCalculator');
 const EquipmentEngine = require('../character/equipmentEngine');
+const BattleStateStore = require('./battleStateStore');
+const StatusEffects = require('./statusEffects');
+const GuildWarService = require('../guild/guildWarService');
+const BattleHistoryService = require('./battleHistoryService');
+const QuestService = require('../quest/questService');
+const { SKILL_TARGET, DAMAGE_TYPE, getBattleSkill } = require('../data/battleSkills');
 const { logSecurityEvent } = require('../../security/middleware');
+const logger = require('../../utils/logger');
 
 /**
  * 战斗算法模块 - 处理战斗逻辑和验证
@@ -29,9 +36,9 @@ class BattleAlgorithms {
       // 根据动作类型进行验证
       switch (action.type) {
         case 'ATTACK':
-          return this.validateAttack(playerId, battleState, action);
+          return await this.validateAttack(playerId, battleState, action);
         case 'USE_SKILL':
-          return this.validateSkill(playerId, battleState, action);
+          return await this.validateSkill(playerId, battleState, action);
         case 'USE_ITEM':
           return this.validateItem(playerId, battleState, action);
         case 'MOVE':
@@ -51,38 +58,285 @@ class BattleAlgorithms {
    * @returns {Object} 战斗状态
    */
   static async getBattleState(battleId) {
-    // 实际项目中应从数据库或缓存获取
-    // 这里简化为模拟数据
+    const battleState = await BattleStateStore.getBattleState(battleId);
+
+    // 已结束的战斗不再接受任何动作
+    if (!battleState || battleState.status !== BattleStateStore.BATTLE_STATUS.IN_PROGRESS) {
+      return null;
+    }
+
+    return battleState;
+  }
+
+  /**
+   * 应用已验证的战斗动作，更新状态并推进回合
+   * @param {string} playerId - 玩家ID
+   * @param {string} battleId - 战斗ID
+   * @param {Object} action - 战斗动作
+   * @param {Object} result - validateBattleAction返回的动作结果
+   * @returns {Object} 执行结果
+   */
+  static async applyBattleAction(playerId, battleId, action, result) {
+    const battleState = await this.getBattleState(battleId);
+    if (!battleState) {
+      return { success: false, reason: 'BATTLE_NOT_FOUND' };
+    }
+
+    if (battleState.currentTurn !== playerId) {
+      return { success: false, reason: 'NOT_YOUR_TURN' };
+    }
+
+    const actor = battleState.entities[playerId];
+    const target = result.targetId ? battleState.entities[result.targetId] : null;
+
+    switch (result.type) {
+      case 'ATTACK_RESULT':
+        this.applyDamage(target, result.damage.value);
+        break;
+      case 'SKILL_RESULT': {
+        const skill = this.getSkillInfo(result.skillId);
+        actor.mp = Math.max(0, actor.mp - skill.mpCost);
+        this.startCooldown(battleState, playerId, skill);
+        this.applyEffect(target, result.effect);
+        this.applyEffect(target, result.statusEffect);
+        break;
+      }
+      case 'ITEM_RESULT':
+        this.applyEffect(target, result.effect);
+        break;
+      case 'MOVE_RESULT':
+        actor.position = { x: result.to.x, y: result.to.y };
+        break;
+      default:
+        return { success: false, reason: 'UNKNOWN_RESULT_TYPE' };
+    }
+
+    // 行动日志在动作生效后记录，供战斗回放逐步还原
+    const logEntry = {
+      round: battleState.round,
+      actorId: playerId,
+      action: action.type,
+      result,
+      statusEvents: [],
+      entities: null,
+      at: new Date()
+    };
+
+    // 判断胜负
+    let alivePlayers = this.getAlivePlayers(battleState);
+    if (alivePlayers.length <= 1) {
+      return this.finishBattle(battleState, alivePlayers[0] || null, 'defeated', [], logEntry);
+    }
+
+    // 推进到下一位可行动玩家，期间结算状态效果
+    const statusEvents = this.advanceTurn(battleState);
+    logEntry.statusEvents = statusEvents;
+
+    // 持续伤害可能导致单位阵亡，需要再次判断胜负
+    alivePlayers = this.getAlivePlayers(battleState);
+    if (alivePlayers.length <= 1) {
+      return this.finishBattle(battleState, alivePlayers[0] || null, 'defeated', statusEvents, logEntry);
+    }
+
+    // 超过最大回合数，按剩余生命判定
+    if (battleState.round > battleState.maxRounds) {
+      battleState.round = battleState.maxRounds;
+      return this.finishBattle(battleState, this.getLeadingPlayer(battleState), 'max_rounds', statusEvents, logEntry);
+    }
+
+    logEntry.entities = this.snapshotEntities(battleState);
+    const saveResult = await BattleStateStore.saveBattleState(battleState, { logEntries: [logEntry] });
+    if (!saveResult.success) {
+      return saveResult;
+    }
+
     return {
-      id: battleId,
-      players: ['player1', 'player2'],
-      currentTurn: 'player1',
-      round: 1,
-      entities: {
-        'player1': {
-          position: { x: 0, y: 0 },
-          hp: 100,
-          mp: 50,
-          status: []
-        },
-        'player2': {
-          position: { x: 5, y: 0 },
-          hp: 100,
-          mp: 50,
-          status: []
-        }
+      success: true,
+      battleEnded: false,
+      state: saveResult.state,
+      statusEvents
+    };
+  }
+
+  /**
+   * 结束战斗并保存最终状态
+   * @private
+   */
+  static async finishBattle(battleState, winner, reason, statusEvents = [], logEntry = null) {
+    const logEntries = [];
+    if (logEntry) {
+      logEntry.entities = this.snapshotEntities(battleState);
+      logEntries.push(logEntry);
+    }
+
+    const saveResult = await BattleStateStore.endBattle(battleState, { winner, reason, logEntries });
+    if (!saveResult.success) {
+      return saveResult;
+    }
+
+    // 战斗记录同样不影响结算
+    BattleHistoryService.recordTurnBattle(saveResult.state.id).catch(error => {
+      logger.error('保存战斗记录失败', { battleId: saveResult.state.id, error: error.message });
+    });
+
+    // 公会战计分不影响战斗结算，失败只记录日志
+    if (winner) {
+      GuildWarService.recordPvpWin(saveResult.state).catch(error => {
+        logger.error('公会战计分失败', { battleId: saveResult.state.id, error: error.message });
+      });
+    }
+
+    QuestService.recordBattleResult(saveResult.state).catch(error => {
+      logger.error('记录任务战斗进度失败', { battleId: saveResult.state.id, error: error.message });
+    });
+
+    return {
+      success: true,
+      battleEnded: true,
+      winner,
+      state: saveResult.state,
+      statusEvents,
+      statistics: {
+        rounds: saveResult.state.round,
+        reason
       }
     };
   }
 
+  /**
+   * 复制当前所有单位的状态，作为行动日志中的快照
+   * @private
+   */
+  static snapshotEntities(battleState) {
+    return JSON.parse(JSON.stringify(battleState.entities));
+  }
+
+  /**
+   * 对实体造成伤害
+   * @private
+   */
+  static applyDamage(entity, value) {
+    if (!entity || !entity.alive) return;
+
+    // 护盾优先吸收伤害
+    const damage = StatusEffects.absorbDamage(entity, Math.max(0, Math.floor(value)));
+
+    entity.hp = Math.max(0, entity.hp - damage);
+    if (entity.hp === 0) {
+      entity.alive = false;
+    }
+  }
+
+  /**
+   * 将技能或道具效果应用到目标
+   * @private
+   */
+  static applyEffect(entity, effect) {
+    if (!entity || !effect) return;
+
+    switch (effect.type) {
+      case 'DAMAGE':
+        this.applyDamage(entity, effect.value);
+        break;
+      case 'HEAL':
+        if (entity.alive) {
+          entity.hp = Math.min(entity.maxHp, entity.hp + effect.value);
+        }
+        break;
+      case 'STATUS':
+        StatusEffects.apply(entity, effect);
+        break;
+    }
+  }
+
+  /**
+   * 获取仍有存活单位的玩家
+   * @private
+   */
+  static getAlivePlayers(battleState) {
+    return battleState.players.filter(playerId =>
+      Object.values(battleState.entities).some(entity =>
+        entity.ownerId === playerId && entity.alive
+      )
+    );
+  }
+
+  /**
+   * 推进行动顺序，所有玩家行动一轮后回合数加一
+   * 被眩晕的玩家直接跳过，其眩晕在被跳过的回合中消耗
+   * @private
+   * @returns {Array} 状态结算事件
+   */
+  static advanceTurn(battleState) {
+    const { players } = battleState;
+    const applyDamage = this.applyDamage.bind(this);
+    const events = StatusEffects.onTurnEnd(battleState, battleState.currentTurn, applyDamage);
+    let nextIndex = battleState.turnIndex;
+
+    // 最多遍历两轮，保证所有玩家都被眩晕时也能终止
+    for (let i = 0; i < players.length * 2; i++) {
+      nextIndex = (nextIndex + 1) % players.length;
+
+      // 回到第一位玩家即进入新回合
+      if (nextIndex === 0) {
+        battleState.round += 1;
+        events.push(...StatusEffects.onRoundAdvance(battleState));
+        this.expireCooldowns(battleState);
+      }
+
+      const playerId = players[nextIndex];
+      if (!this.getAlivePlayers(battleState).includes(playerId)) {
+        continue;
+      }
+
+      const entity = battleState.entities[playerId];
+      if (entity && StatusEffects.has(entity, 'STUN')) {
+        events.push({ entityId: playerId, type: 'STUN', skipped: true });
+        events.push(...StatusEffects.onTurnEnd(battleState, playerId, applyDamage));
+        continue;
+      }
+
+      break;
+    }
+
+    battleState.turnIndex = nextIndex;
+    battleState.currentTurn = players[nextIndex];
+
+    return events;
+  }
+
+  /**
+   * 获取剩余生命比例最高的玩家，相同则为平局
+   * @private
+   */
+  static getLeadingPlayer(battleState) {
+    const ratios = battleState.players.map(playerId => {
+      const owned = Object.values(battleState.entities).filter(e => e.ownerId === playerId);
+      const hp = owned.reduce((sum, e) => sum + e.hp, 0);
+      const maxHp = owned.reduce((sum, e) => sum + e.maxHp, 0);
+      return { playerId, ratio: maxHp > 0 ? hp / maxHp : 0 };
+    }).sort((a, b) => b.ratio - a.ratio);
+
+    if (ratios.length > 1 && ratios[0].ratio === ratios[1].ratio) {
+      return null;
+    }
+
+    return ratios[0].playerId;
+  }
+
   /**
    * 验证攻击动作
    */
-  static validateAttack(playerId, battleState, action) {
+  static async validateAttack(playerId, battleState, action) {
     const { targetId } = action;
+
+    const actorCheck = this.checkActorCanAct(battleState, playerId, 'ATTACK');
+    if (!actorCheck.valid) {
+      return actorCheck;
+    }
     
     // 检查目标是否存在
-    if (!battleState.entities[targetId]) {
+    if (!battleState.entities[targetId] || !battleState.entities[targetId].alive) {
       return { valid: false, reason: 'TARGET_NOT_FOUND' };
     }
     
@@ -97,7 +351,7 @@ class BattleAlgorithms {
     }
     
     // 计算伤害
-    const damage = this.calculateDamage(playerId, targetId);
+    const damage = await this.calculateDamage(playerId, targetId, battleState);
     
     return {
       valid: true,
@@ -113,15 +367,27 @@ class BattleAlgorithms {
   /**
    * 验证技能使用
    */
-  static validateSkill(playerId, battleState, action) {
-    const { skillId, targetId } = action;
+  static async validateSkill(playerId, battleState, action) {
+    const { skillId } = action;
     const player = battleState.entities[playerId];
+
+    const actorCheck = this.checkActorCanAct(battleState, playerId, 'USE_SKILL');
+    if (!actorCheck.valid) {
+      return actorCheck;
+    }
     
     // 获取技能信息
     const skill = this.getSkillInfo(skillId);
     if (!skill) {
       return { valid: false, reason: 'SKILL_NOT_FOUND' };
     }
+
+    // 自身技能总是作用于施法者
+    const targetId = skill.targetType === SKILL_TARGET.SELF ? playerId : action.targetId;
+    const target = battleState.entities[targetId];
+    if (!target || !target.alive) {
+      return { valid: false, reason: 'TARGET_NOT_FOUND' };
+    }
     
     // 检查MP是否足够
     if (player.mp < skill.mpCost) {
@@ -129,17 +395,21 @@ class BattleAlgorithms {
     }
     
     // 检查冷却时间
-    if (this.isSkillOnCooldown(playerId, skillId)) {
+    if (this.isSkillOnCooldown(battleState, playerId, skillId)) {
       return { valid: false, reason: 'SKILL_ON_COOLDOWN' };
     }
     
     // 检查目标是否合法
-    if (skill.targetType === 'ENEMY' && !this.isEnemy(playerId, targetId)) {
+    if (skill.targetType === SKILL_TARGET.ENEMY && !this.isEnemy(playerId, targetId)) {
+      return { valid: false, reason: 'INVALID_TARGET' };
+    }
+
+    if (skill.targetType === SKILL_TARGET.ALLY && !this.isAlly(playerId, targetId)) {
       return { valid: false, reason: 'INVALID_TARGET' };
     }
     
     // 计算技能效果
-    const effect = this.calculateSkillEffect(playerId, skillId, targetId);
+    const effect = await this.calculateSkillEffect(playerId, skillId, targetId, battleState);
     
     return {
       valid: true,
@@ -147,7 +417,8 @@ class BattleAlgorithms {
         type: 'SKILL_RESULT',
         skillId,
         targetId,
-        effect
+        effect,
+        statusEffect: this.buildStatusEffect(skill, playerId)
       }
     };
   }
@@ -157,6 +428,11 @@ class BattleAlgorithms {
    */
   static validateItem(playerId, battleState, action) {
     const { itemId, targetId } = action;
+
+    const actorCheck = this.checkActorCanAct(battleState, playerId, 'USE_ITEM');
+    if (!actorCheck.valid) {
+      return actorCheck;
+    }
     
     // 检查玩家是否拥有该道具
     if (!this.playerHasItem(playerId, itemId)) {
@@ -194,6 +470,11 @@ class BattleAlgorithms {
   static validateMove(playerId, battleState, action) {
     const { position } = action;
     const player = battleState.entities[playerId];
+
+    const actorCheck = this.checkActorCanAct(battleState, playerId, 'MOVE');
+    if (!actorCheck.valid) {
+      return actorCheck;
+    }
     
     // 检查移动距离是否合法
     const distance = this.calculateDistance(player.position, position);
@@ -218,6 +499,24 @@ class BattleAlgorithms {
     };
   }
 
+  /**
+   * 检查行动单位是否存活且未被状态效果限制
+   * @private
+   */
+  static checkActorCanAct(battleState, playerId, actionType) {
+    const actor = battleState.entities[playerId];
+    if (!actor || !actor.alive) {
+      return { valid: false, reason: 'UNIT_NOT_AVAILABLE' };
+    }
+
+    const { allowed, reason } = StatusEffects.canAct(actor, actionType);
+    if (!allowed) {
+      return { valid: false, reason };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * 计算两点之间的距离
    */
@@ -228,19 +527,25 @@ class BattleAlgorithms {
   /**
    * 计算攻击伤害
    */
-  static calculateDamage(attackerId, defenderId) {
+  static async calculateDamage(attackerId, defenderId, battleState) {
     // 获取攻击者和防御者的属性
-    const attackerAttributes = AttributeCalculator.getCharacterAttributes(attackerId);
-    const defenderAttributes = AttributeCalculator.getCharacterAttributes(defenderId);
+    const attackerAttributes = await AttributeCalculator.getCharacterAttributes(attackerId);
+    const defenderAttributes = await AttributeCalculator.getCharacterAttributes(defenderId);
     
     // 获取装备加成
-    const attackerEquipment = EquipmentEngine.getEquipmentBonus(attackerId);
+    const attackerEquipment = await EquipmentEngine.getEquipmentBonus(attackerId);
     
     // 基础伤害计算
-    let damage = attackerAttributes.attack * (1 + attackerEquipment.attackBonus / 100);
+    let damage = attackerAttributes.attack * (1 + (attackerEquipment.attackBonus || 0) / 100);
+    
+    // 攻击增益
+    damage *= 1 + StatusEffects.getPower(battleState.entities[attackerId], 'ATTACK_UP') / 100;
     
     // 考虑防御减伤
     damage = Math.max(1, damage - defenderAttributes.defense * 0.7);
+
+    // 防御增益按百分比减伤
+    damage *= 1 - Math.min(90, StatusEffects.getPower(battleState.entities[defenderId], 'DEFENSE_UP')) / 100;
     
     // 暴击判定
     const criticalChance = attackerAttributes.critRate / 100;
@@ -265,36 +570,46 @@ class BattleAlgorithms {
    * 获取技能信息
    */
   static getSkillInfo(skillId) {
-    // 实际项目中应从数据库或配置获取
-    const skills = {
-      'skill1': {
-        id: 'skill1',
-        name: '火球术',
-        mpCost: 10,
-        cooldown: 2,
-        targetType: 'ENEMY',
-        damageType: 'MAGICAL',
-        power: 150
-      },
-      'skill2': {
-        id: 'skill2',
-        name: '治疗术',
-        mpCost: 15,
-        cooldown: 3,
-        targetType: 'ALLY',
-        healPower: 100
-      }
-    };
-    
-    return skills[skillId];
+    return getBattleSkill(skillId);
   }
 
   /**
    * 检查技能是否在冷却中
+   * 冷却账本结构：battleState.cooldowns[playerId][skillId] = 可再次使用的回合数
    */
-  static isSkillOnCooldown(playerId, skillId) {
-    // 实际项目中应检查冷却状态
-    return false;
+  static isSkillOnCooldown(battleState, playerId, skillId) {
+    const readyRound = battleState.cooldowns?.[playerId]?.[skillId];
+    return readyRound !== undefined && battleState.round < readyRound;
+  }
+
+  /**
+   * 记录技能冷却
+   * @private
+   */
+  static startCooldown(battleState, playerId, skill) {
+    if (!skill.cooldown) return;
+
+    battleState.cooldowns = battleState.cooldowns || {};
+    battleState.cooldowns[playerId] = battleState.cooldowns[playerId] || {};
+    battleState.cooldowns[playerId][skill.id] = battleState.round + skill.cooldown;
+  }
+
+  /**
+   * 回合推进时清理已结束的冷却
+   * @private
+   */
+  static expireCooldowns(battleState) {
+    for (const [playerId, ledger] of Object.entries(battleState.cooldowns || {})) {
+      for (const [skillId, readyRound] of Object.entries(ledger)) {
+        if (battleState.round >= readyRound) {
+          delete ledger[skillId];
+        }
+      }
+
+      if (Object.keys(ledger).length === 0) {
+        delete battleState.cooldowns[playerId];
+      }
+    }
   }
 
   /**
@@ -358,11 +673,11 @@ class BattleAlgorithms {
   /**
    * 计算技能效果
    */
-  static calculateSkillEffect(casterId, skillId, targetId) {
+  static async calculateSkillEffect(casterId, skillId, targetId, battleState) {
     const skill = this.getSkillInfo(skillId);
-    const casterAttributes = AttributeCalculator.getCharacterAttributes(casterId);
+    const casterAttributes = await AttributeCalculator.getCharacterAttributes(casterId);
     
-    if (skill.damageType === 'MAGICAL') {
+    if (skill.damageType === DAMAGE_TYPE.MAGICAL) {
       // 魔法伤害计算
       const magicPower = casterAttributes.magicPower || casterAttributes.intelligence;
       let damage = skill.power * (magicPower / 100);
@@ -371,6 +686,19 @@ class BattleAlgorithms {
       const randomFactor = 0.9 + Math.random() * 0.2;
       damage = Math.floor(damage * randomFactor);
       
+      return {
+        type: 'DAMAGE',
+        value: damage
+      };
+    } else if (skill.damageType === DAMAGE_TYPE.PHYSICAL) {
+      // 物理技能按攻击力与攻击增益计算
+      const attackBuff = 1 + StatusEffects.getPower(battleState.entities[casterId], 'ATTACK_UP') / 100;
+      let damage = skill.power * (casterAttributes.attack / 100) * attackBuff;
+      
+      // 随机波动 (±10%)
+      const randomFactor = 0.9 + Math.random() * 0.2;
+      damage = Math.floor(damage * randomFactor);
+      
       return {
         type: 'DAMAGE',
         value: damage
@@ -393,6 +721,22 @@ class BattleAlgorithms {
     return null;
   }
 
+  /**
+   * 构建技能附加的状态效果
+   * @private
+   */
+  static buildStatusEffect(skill, casterId) {
+    if (!skill.statusEffect) return null;
+
+    return {
+      type: 'STATUS',
+      status: skill.statusEffect.type,
+      duration: skill.statusEffect.duration,
+      power: skill.statusEffect.power || 0,
+      sourceId: casterId
+    };
+  }
+
   /**
    * 计算道具效果
    */
@@ -422,6 +766,7 @@ class BattleAlgorithms {
   static isPositionOccupied(battleState, position) {
     for (const entityId in battleState.entities) {
       const entity = battleState.entities[entityId];
+      if (!entity.alive) continue;
       if (entity.position.x === position.x && entity.position.y === position.y) {
         return true;
       }
@@ -432,5 +777,7 @@ class BattleAlgorithms {
 }
 
 module.exports = {
-  validateBattleAction: BattleAlgorithms.validateBattleAction.bind(BattleAlgorithms)
+  validateBattleAction: BattleAlgorithms.validateBattleAction.bind(BattleAlgorithms),
+  applyBattleAction: BattleAlgorithms.applyBattleAction.bind(BattleAlgorithms),
+  getBattleState: BattleAlgorithms.getBattleState.bind(BattleAlgorithms)
 }; 
\ No newline at end of file
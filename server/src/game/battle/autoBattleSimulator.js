@@ -0,0 +1,613 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const { logSecurityEvent } = require('../../security/middleware');
+const {
+  SYNERGY_EFFECTS,
+  SKILL_TYPE,
+  TARGET_TYPE,
+  EFFECT_TYPE,
+  getCharacter
+} = require('../data/heroes');
+const { MAX_ITEMS_PER_UNIT, getCombatItem } = require('../data/combatItems');
+
+// 模拟器版本号，战斗规则变化时递增，回放时据此判断兼容性
+const SIMULATOR_VERSION = 1;
+
+/**
+ * 创建可复现的伪随机数生成器（mulberry32）
+ * @param {number} seed - 32位整数种子
+ * @returns {Function} 返回[0, 1)随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 自动战斗模拟器 - 服务端权威的棋盘自走战斗结算
+ * 相同的种子和阵容必定得到相同的结果，客户端只负责回放事件日志
+ */
+class AutoBattleSimulator {
+  // 棋盘尺寸：每方4行，共8行7列
+  static BOARD_WIDTH = 7;
+  static ROWS_PER_SIDE = 4;
+
+  // 每秒tick数与最大战斗时长
+  static TICKS_PER_SECOND = 10;
+  static MAX_TICKS = 450;
+
+  // 星级属性倍率
+  static STAR_MULTIPLIERS = { 1: 1, 2: 1.8, 3: 3.24 };
+
+  // 普攻命中回复法力、受击回复法力
+  static MANA_ON_HIT_TAKEN = 5;
+
+  // 事件类型（保持简短以减小日志体积）
+  static EVENTS = {
+    MOVE: 'mv',
+    ATTACK: 'at',
+    CAST: 'cs',
+    DAMAGE: 'dm',
+    HEAL: 'hl',
+    STATUS: 'st',
+    DEATH: 'dd'
+  };
+
+  /**
+   * 模拟一场战斗
+   * @param {Object} boardA - A方阵容 { playerId, units: [{ heroId, star, items, position }] }
+   * @param {Object} boardB - B方阵容
+   * @param {Object} options - 选项
+   * @param {string|number} options.seed - 随机种子，不传则随机生成
+   * @returns {Object} 模拟结果
+   */
+  static simulate(boardA, boardB, options = {}) {
+    const boardCheckA = this.validateBoard(boardA);
+    if (!boardCheckA.valid) {
+      return { success: false, reason: boardCheckA.reason, side: 'A' };
+    }
+
+    const boardCheckB = this.validateBoard(boardB);
+    if (!boardCheckB.valid) {
+      return { success: false, reason: boardCheckB.reason, side: 'B' };
+    }
+
+    const seed = options.seed !== undefined && options.seed !== null
+      ? String(options.seed)
+      : crypto.randomBytes(8).toString('hex');
+
+    try {
+      const random = createRandom(this.hashSeed(seed));
+      const units = [
+        ...this.createUnits(boardA, 'A'),
+        ...this.createUnits(boardB, 'B')
+      ];
+
+      const synergies = {
+        A: this.applySynergies(units.filter(u => u.side === 'A')),
+        B: this.applySynergies(units.filter(u => u.side === 'B'))
+      };
+
+      const initialUnits = units.map(u => ({
+        uid: u.uid,
+        side: u.side,
+        heroId: u.heroId,
+        star: u.star,
+        items: u.items,
+        x: u.x,
+        y: u.y,
+        maxHp: u.maxHp,
+        maxMana: u.maxMana,
+        mana: u.mana
+      }));
+
+      const events = [];
+      let tick = 0;
+
+      while (tick < this.MAX_TICKS && !this.isFinished(units)) {
+        tick += 1;
+        this.runTick(tick, units, random, events);
+      }
+
+      const winner = this.determineWinner(units);
+      const survivors = units
+        .filter(u => u.alive)
+        .map(u => ({ uid: u.uid, side: u.side, heroId: u.heroId, star: u.star, hp: u.hp }));
+
+      return {
+        success: true,
+        result: {
+          version: SIMULATOR_VERSION,
+          seed,
+          players: { A: boardA.playerId, B: boardB.playerId },
+          units: initialUnits,
+          synergies,
+          events,
+          ticks: tick,
+          winner,
+          winnerId: winner ? (winner === 'A' ? boardA.playerId : boardB.playerId) : null,
+          survivors,
+          checksum: this.generateChecksum(seed, initialUnits, events)
+        }
+      };
+    } catch (error) {
+      logSecurityEvent('AUTO_BATTLE_SIMULATION_ERROR', {
+        playerA: boardA.playerId,
+        playerB: boardB.playerId,
+        seed,
+        error: error.message
+      });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 验证阵容合法性
+   * @param {Object} board - 阵容
+   * @returns {Object} 验证结果
+   */
+  static validateBoard(board) {
+    if (!board || !Array.isArray(board.units) || board.units.length === 0) {
+      return { valid: false, reason: 'EMPTY_BOARD' };
+    }
+
+    const maxSlots = Math.max(...Object.values(config.game.levelHeroSlots));
+    if (board.units.length > maxSlots) {
+      return { valid: false, reason: 'TOO_MANY_UNITS' };
+    }
+
+    const occupied = new Set();
+
+    for (const unit of board.units) {
+      if (!getCharacter(unit.heroId)) {
+        return { valid: false, reason: 'HERO_NOT_FOUND' };
+      }
+
+      const star = unit.star || 1;
+      if (!this.STAR_MULTIPLIERS[star]) {
+        return { valid: false, reason: 'INVALID_STAR' };
+      }
+
+      const { position } = unit;
+      if (!position ||
+          !Number.isInteger(position.x) || !Number.isInteger(position.y) ||
+          position.x < 0 || position.x >= this.BOARD_WIDTH ||
+          position.y < 0 || position.y >= this.ROWS_PER_SIDE) {
+        return { valid: false, reason: 'INVALID_POSITION' };
+      }
+
+      const key = `${position.x},${position.y}`;
+      if (occupied.has(key)) {
+        return { valid: false, reason: 'POSITION_OCCUPIED' };
+      }
+      occupied.add(key);
+
+      const items = unit.items || [];
+      if (items.length > MAX_ITEMS_PER_UNIT) {
+        return { valid: false, reason: 'TOO_MANY_ITEMS' };
+      }
+
+      if (items.some(itemId => !getCombatItem(itemId))) {
+        return { valid: false, reason: 'ITEM_NOT_FOUND' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * 根据阵容创建战斗单位，B方坐标翻转到棋盘另一侧
+   * @private
+   */
+  static createUnits(board, side) {
+    const lastRow = this.ROWS_PER_SIDE * 2 - 1;
+
+    return board.units.map((unit, index) => {
+      const hero = getCharacter(unit.heroId);
+      const star = unit.star || 1;
+      const multiplier = this.STAR_MULTIPLIERS[star];
+      const items = unit.items || [];
+
+      const stats = { ...hero.baseStats, startingMana: 0 };
+      for (const itemId of items) {
+        for (const [attr, value] of Object.entries(getCombatItem(itemId).stats)) {
+          if (attr === 'attackSpeed') {
+            stats.attackSpeed *= 1 + value;
+          } else {
+            stats[attr] = (stats[attr] || 0) + value;
+          }
+        }
+      }
+
+      // 取第一个主动/终极技能作为法力满时释放的技能
+      const skill = hero.skills.find(s => s.type !== SKILL_TYPE.PASSIVE) || null;
+
+      const maxHp = Math.floor(stats.health * multiplier);
+
+      return {
+        uid: `${side}${index}`,
+        side,
+        heroId: hero.id,
+        class: hero.class,
+        race: hero.race,
+        star,
+        items,
+        x: side === 'A' ? unit.position.x : this.BOARD_WIDTH - 1 - unit.position.x,
+        y: side === 'A' ? unit.position.y : lastRow - unit.position.y,
+        maxHp,
+        hp: maxHp,
+        attack: stats.attack * multiplier,
+        defense: stats.defense,
+        magicPower: stats.magicPower,
+        magicResist: stats.magicResist,
+        critChance: stats.critChance,
+        critDamage: stats.critDamage,
+        attackSpeed: stats.attackSpeed,
+        moveSpeed: stats.moveSpeed,
+        range: stats.range,
+        manaRegen: stats.manaRegen,
+        maxMana: skill ? skill.energyCost : stats.mana,
+        mana: stats.startingMana,
+        skill,
+        statuses: [],
+        target: null,
+        attackTimer: 0,
+        moveTimer: 0,
+        alive: true
+      };
+    });
+  }
+
+  /**
+   * 计算并应用羁绊效果
+   * @private
+   * @returns {Array} 激活的羁绊 [{ id, level }]
+   */
+  static applySynergies(units) {
+    const active = [];
+
+    for (const synergy of SYNERGY_EFFECTS) {
+      // 同一英雄重复上场只计算一次
+      const members = units.filter(u => u.class === synergy.type || u.race === synergy.type);
+      const distinctCount = new Set(members.map(u => u.heroId)).size;
+
+      let level = 0;
+      synergy.requiredCount.forEach((required, index) => {
+        if (distinctCount >= required) level = index + 1;
+      });
+
+      if (level === 0) continue;
+
+      const { statBonus } = synergy.effects[level - 1];
+      for (const unit of members) {
+        for (const [attr, value] of Object.entries(statBonus)) {
+          unit[attr] = (unit[attr] || 0) + value;
+        }
+      }
+
+      active.push({ id: synergy.id, level });
+    }
+
+    return active;
+  }
+
+  /**
+   * 执行一个tick
+   * @private
+   */
+  static runTick(tick, units, random, events) {
+    // 奇偶tick交替先手方，避免固定先手带来的优势
+    const firstSide = tick % 2 === 0 ? 'A' : 'B';
+    const ordered = [
+      ...units.filter(u => u.side === firstSide),
+      ...units.filter(u => u.side !== firstSide)
+    ];
+
+    for (const unit of ordered) {
+      if (!unit.alive) continue;
+
+      this.updateStatuses(unit);
+      if (!unit.alive || this.hasStatus(unit, 'stun')) continue;
+
+      if (unit.attackTimer > 0) unit.attackTimer -= 1;
+      if (unit.moveTimer > 0) unit.moveTimer -= 1;
+
+      // 法力满时释放技能
+      if (unit.skill && unit.mana >= unit.maxMana) {
+        const target = this.acquireTarget(unit, units);
+        if (target) {
+          this.castSkill(tick, unit, target, units, random, events);
+          continue;
+        }
+      }
+
+      const target = this.acquireTarget(unit, units);
+      if (!target) continue;
+
+      if (this.distance(unit, target) <= unit.range) {
+        if (unit.attackTimer === 0) {
+          this.basicAttack(tick, unit, target, random, events);
+        }
+      } else if (unit.moveTimer === 0) {
+        this.moveTowards(tick, unit, target, units, events);
+      }
+    }
+  }
+
+  /**
+   * 选择目标：保持当前存活目标，否则选择最近的敌人（距离相同按uid）
+   * @private
+   */
+  static acquireTarget(unit, units) {
+    if (unit.target && unit.target.alive) {
+      return unit.target;
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const other of units) {
+      if (!other.alive || other.side === unit.side) continue;
+
+      const d = this.distance(unit, other);
+      if (d < bestDistance || (d === bestDistance && other.uid < best.uid)) {
+        best = other;
+        bestDistance = d;
+      }
+    }
+
+    unit.target = best;
+    return best;
+  }
+
+  /**
+   * 普通攻击
+   * @private
+   */
+  static basicAttack(tick, unit, target, random, events) {
+    const attack = unit.attack + this.getStatusBonus(unit, 'attack');
+    let damage = attack * (100 / (100 + Math.max(0, target.defense - this.getStatusBonus(target, 'defense_down'))));
+
+    const isCritical = random() < unit.critChance;
+    if (isCritical) {
+      damage *= unit.critDamage;
+    }
+
+    damage = this.dealDamage(target, Math.floor(damage));
+
+    unit.attackTimer = Math.max(1, Math.round(this.TICKS_PER_SECOND / unit.attackSpeed));
+    unit.mana = Math.min(unit.maxMana, unit.mana + unit.manaRegen);
+
+    events.push([tick, this.EVENTS.ATTACK, unit.uid, target.uid, damage, isCritical ? 1 : 0]);
+    this.checkDeath(tick, target, events);
+  }
+
+  /**
+   * 释放技能
+   * @private
+   */
+  static castSkill(tick, unit, target, units, random, events) {
+    const { skill } = unit;
+    const multiplier = this.STAR_MULTIPLIERS[unit.star];
+    const magicPower = unit.magicPower + this.getStatusBonus(unit, 'magicPower');
+    const power = skill.baseValue * multiplier +
+      (magicPower + unit.attack) * skill.scalingFactor;
+
+    unit.mana = 0;
+
+    const targets = this.getSkillTargets(unit, target, units);
+    events.push([tick, this.EVENTS.CAST, unit.uid, skill.id, targets.map(t => t.uid)]);
+
+    for (const t of targets) {
+      switch (skill.effectType) {
+        case EFFECT_TYPE.DAMAGE: {
+          const damage = this.dealDamage(t, Math.floor(power * (100 / (100 + t.magicResist))));
+          events.push([tick, this.EVENTS.DAMAGE, t.uid, damage]);
+          this.checkDeath(tick, t, events);
+          break;
+        }
+        case EFFECT_TYPE.HEAL: {
+          const healed = Math.min(t.maxHp - t.hp, Math.floor(power));
+          t.hp += healed;
+          events.push([tick, this.EVENTS.HEAL, t.uid, healed]);
+          break;
+        }
+        case EFFECT_TYPE.BUFF: {
+          // 增益作用于该单位的主属性
+          const stat = t.magicPower >= t.attack ? 'magicPower' : 'attack';
+          this.addStatus(tick, t, stat, skill.effectValue * multiplier, skill.duration, events);
+          break;
+        }
+        case EFFECT_TYPE.DEBUFF:
+          this.addStatus(tick, t, 'defense_down', skill.effectValue, skill.duration, events);
+          break;
+        case EFFECT_TYPE.CONTROL:
+          this.addStatus(tick, t, 'stun', 0, skill.duration, events);
+          break;
+      }
+    }
+  }
+
+  /**
+   * 获取技能作用目标
+   * @private
+   */
+  static getSkillTargets(unit, target, units) {
+    const { skill } = unit;
+
+    switch (skill.targetType) {
+      case TARGET_TYPE.SELF:
+        return [unit];
+      case TARGET_TYPE.ALLIES:
+        return units.filter(u => u.alive && u.side === unit.side);
+      case TARGET_TYPE.AREA:
+        return units.filter(u =>
+          u.alive && u.side !== unit.side && this.distance(u, target) <= skill.range
+        );
+      case TARGET_TYPE.ALL:
+        return units.filter(u => u.alive && u.side !== unit.side);
+      case TARGET_TYPE.SINGLE:
+      default:
+        return [target];
+    }
+  }
+
+  /**
+   * 向目标移动一格（8方向，选择距离目标最近的空格）
+   * @private
+   */
+  static moveTowards(tick, unit, target, units, events) {
+    const directions = [
+      [0, 1], [0, -1], [1, 0], [-1, 0],
+      [1, 1], [1, -1], [-1, 1], [-1, -1]
+    ];
+    const height = this.ROWS_PER_SIDE * 2;
+
+    let bestCell = null;
+    let bestDistance = this.distance(unit, target);
+
+    for (const [dx, dy] of directions) {
+      const x = unit.x + dx;
+      const y = unit.y + dy;
+
+      if (x < 0 || x >= this.BOARD_WIDTH || y < 0 || y >= height) continue;
+      if (units.some(u => u.alive && u.x === x && u.y === y)) continue;
+
+      const d = this.distance({ x, y }, target);
+      if (d < bestDistance) {
+        bestCell = { x, y };
+        bestDistance = d;
+      }
+    }
+
+    if (!bestCell) return;
+
+    unit.x = bestCell.x;
+    unit.y = bestCell.y;
+    unit.moveTimer = Math.max(1, Math.round(this.TICKS_PER_SECOND / unit.moveSpeed));
+
+    events.push([tick, this.EVENTS.MOVE, unit.uid, unit.x, unit.y]);
+  }
+
+  /**
+   * 造成伤害并处理受击回蓝
+   * @private
+   * @returns {number} 实际伤害
+   */
+  static dealDamage(target, amount) {
+    const damage = Math.max(1, Math.min(target.hp, amount));
+    target.hp -= damage;
+    target.mana = Math.min(target.maxMana, target.mana + this.MANA_ON_HIT_TAKEN);
+    return damage;
+  }
+
+  /**
+   * 检查单位是否阵亡
+   * @private
+   */
+  static checkDeath(tick, unit, events) {
+    if (unit.alive && unit.hp <= 0) {
+      unit.alive = false;
+      unit.hp = 0;
+      events.push([tick, this.EVENTS.DEATH, unit.uid]);
+    }
+  }
+
+  /**
+   * 添加状态效果
+   * @private
+   */
+  static addStatus(tick, unit, type, value, durationSeconds, events) {
+    const remaining = Math.max(1, Math.round(durationSeconds * this.TICKS_PER_SECOND));
+    unit.statuses.push({ type, value, remaining });
+    events.push([tick, this.EVENTS.STATUS, unit.uid, type, value, remaining]);
+  }
+
+  /**
+   * 状态效果计时
+   * @private
+   */
+  static updateStatuses(unit) {
+    for (const status of unit.statuses) {
+      status.remaining -= 1;
+    }
+    unit.statuses = unit.statuses.filter(status => status.remaining > 0);
+  }
+
+  /**
+   * 是否处于某状态
+   * @private
+   */
+  static hasStatus(unit, type) {
+    return unit.statuses.some(status => status.type === type);
+  }
+
+  /**
+   * 获取某类状态效果的数值总和
+   * @private
+   */
+  static getStatusBonus(unit, type) {
+    return unit.statuses
+      .filter(status => status.type === type)
+      .reduce((sum, status) => sum + status.value, 0);
+  }
+
+  /**
+   * 切比雪夫距离（8方向格子距离）
+   * @private
+   */
+  static distance(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+  }
+
+  /**
+   * 是否有一方全灭
+   * @private
+   */
+  static isFinished(units) {
+    return !units.some(u => u.alive && u.side === 'A') ||
+           !units.some(u => u.alive && u.side === 'B');
+  }
+
+  /**
+   * 判定胜负，超时未分出胜负视为平局
+   * @private
+   */
+  static determineWinner(units) {
+    const aliveA = units.some(u => u.alive && u.side === 'A');
+    const aliveB = units.some(u => u.alive && u.side === 'B');
+
+    if (aliveA && !aliveB) return 'A';
+    if (aliveB && !aliveA) return 'B';
+    return null;
+  }
+
+  /**
+   * 将任意种子转换为32位整数
+   * @private
+   */
+  static hashSeed(seed) {
+    return crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+  }
+
+  /**
+   * 生成战斗结果校验和，用于回放和防篡改校验
+   * @param {string} seed - 随机种子
+   * @param {Array} units - 初始单位
+   * @param {Array} events - 事件日志
+   * @returns {string} 校验和
+   */
+  static generateChecksum(seed, units, events) {
+    const data = JSON.stringify({ version: SIMULATOR_VERSION, seed, units, events });
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+}
+
+module.exports = AutoBattleSimulator;
+module.exports.SIMULATOR_VERSION = SIMULATOR_VERSION;
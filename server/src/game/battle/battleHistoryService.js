@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Battle = require('../../models/battle.model');
+const { BATTLE_STATUS } = require('../../models/battle.model');
+const BattleRecord = require('../../models/battleRecord.model');
+const { RECORD_SOURCE } = require('../../models/battleRecord.model');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 战绩筛选：胜、负、平
+const BATTLE_RESULT = {
+  WIN: 'win',
+  LOSS: 'loss',
+  DRAW: 'draw'
+};
+
+// 战斗记录列表返回的字段，不包含阵容和事件日志
+const SUMMARY_PROJECTION = {
+  replayId: 1,
+  source: 1,
+  battleType: 1,
+  matchId: 1,
+  round: 1,
+  participants: 1,
+  ghostOf: 1,
+  winnerId: 1,
+  endReason: 1,
+  duration: 1,
+  startedAt: 1,
+  endedAt: 1
+};
+
+// 参战玩家展示字段
+const PARTICIPANT_FIELDS = 'username nickname avatar';
+
+/**
+ * 战斗记录服务 - 保存已结束战斗的回放数据，提供战绩查询和按回放ID获取回放
+ * 自走棋战斗由种子和模拟器版本确定，回合制战斗按行动日志逐步还原
+ */
+class BattleHistoryService {
+  static BATTLE_RESULT = BATTLE_RESULT;
+
+  /**
+   * 保存自走棋一轮战斗的记录，空阵容直接判负的战斗没有回放不保存
+   * @param {Object} match - 自走棋对局
+   * @param {Object} data - COMBAT_RESOLVED 事件数据 { matchId, round, fights }
+   * @returns {Promise<number>} 新保存的记录数
+   */
+  static async recordAutoChessFights(match, { round, fights }) {
+    let recorded = 0;
+
+    for (const [index, fight] of fights.entries()) {
+      if (!fight.battle) continue;
+
+      const { battle } = fight;
+      const saved = await this.saveRecord({
+        source: RECORD_SOURCE.AUTO_CHESS,
+        sourceId: `${match.matchId}:${round}:${index}`,
+        battleType: match.ranked ? 'ranked' : 'casual',
+        matchId: match.matchId,
+        round,
+        participants: fight.ghost ? [fight.playerA] : [fight.playerA, fight.playerB],
+        ghostOf: fight.ghost ? fight.playerB : null,
+        winnerId: fight.winnerId,
+        endReason: battle.winner ? 'defeated' : 'draw',
+        seed: battle.seed,
+        simulatorVersion: battle.version,
+        boards: fight.boards,
+        units: battle.units,
+        synergies: battle.synergies,
+        events: battle.events,
+        duration: battle.ticks,
+        checksum: battle.checksum
+      });
+
+      if (saved) recorded++;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * 保存已结束的回合制战斗记录
+   * @param {string} battleId - 战斗ID
+   * @returns {Promise<boolean>} 是否新保存了记录
+   */
+  static async recordTurnBattle(battleId) {
+    const battle = await Battle.findById(battleId).select('+actionLog').lean();
+    if (!battle || battle.status === BATTLE_STATUS.IN_PROGRESS) {
+      return false;
+    }
+
+    return this.saveRecord({
+      source: RECORD_SOURCE.TURN_BASED,
+      sourceId: battle._id.toString(),
+      battleType: battle.battleType,
+      battleId: battle._id,
+      participants: battle.participants,
+      winnerId: battle.winner || null,
+      endReason: battle.endReason || null,
+      boards: battle.initialEntities || {},
+      events: battle.actionLog || [],
+      duration: battle.round,
+      startedAt: battle.startedAt,
+      endedAt: battle.endedAt || new Date()
+    });
+  }
+
+  /**
+   * 获取玩家的战斗记录列表
+   * @param {string} userId - 用户ID
+   * @param {Object} query - 查询参数
+   * @param {string} query.source - 记录来源 auto_chess/turn_based
+   * @param {string} query.battleType - 战斗类型
+   * @param {string} query.result - 战斗结果 win/loss/draw
+   * @param {string} query.from - 开始时间
+   * @param {string} query.to - 结束时间
+   * @param {number} query.page - 页码
+   * @param {number} query.pageSize - 每页数量
+   * @returns {Promise<Object>} 操作结果 { success, history }
+   */
+  static async getHistory(userId, query = {}) {
+    try {
+      const options = this.parseQuery(query);
+      if (!options.success) return options;
+
+      const { page, pageSize } = options;
+      const filter = this.buildFilter(userId, options);
+
+      const [total, records] = await Promise.all([
+        BattleRecord.countDocuments(filter),
+        BattleRecord.find(filter, SUMMARY_PROJECTION)
+          .sort({ endedAt: -1, _id: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .populate('participants', PARTICIPANT_FIELDS)
+          .lean()
+      ]);
+
+      return {
+        success: true,
+        history: {
+          page,
+          pageSize,
+          total,
+          records: records.map(record => this.formatSummary(record, userId))
+        }
+      };
+    } catch (error) {
+      logger.error('获取战斗记录失败', { userId, query, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 按回放ID获取完整回放数据，回放ID可分享给其他玩家查看
+   * @param {string} replayId - 回放ID
+   * @returns {Promise<Object>} 操作结果 { success, replay }
+   */
+  static async getReplay(replayId) {
+    try {
+      if (typeof replayId !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(replayId)) {
+        return { success: false, reason: 'REPLAY_NOT_FOUND' };
+      }
+
+      const record = await BattleRecord.findOne({ replayId })
+        .populate('participants', PARTICIPANT_FIELDS)
+        .lean();
+
+      if (!record) {
+        return { success: false, reason: 'REPLAY_NOT_FOUND' };
+      }
+
+      return {
+        success: true,
+        replay: {
+          ...this.formatSummary(record),
+          seed: record.seed,
+          simulatorVersion: record.simulatorVersion,
+          boards: record.boards,
+          units: record.units,
+          synergies: record.synergies,
+          events: record.events,
+          checksum: record.checksum
+        }
+      };
+    } catch (error) {
+      logger.error('获取战斗回放失败', { replayId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 写入战斗记录，同一来源的战斗只保存一次
+   * @private
+   */
+  static async saveRecord(data) {
+    try {
+      await BattleRecord.create({
+        ...data,
+        replayId: crypto.randomBytes(9).toString('base64url')
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        logger.warn('战斗记录已存在', { source: data.source, sourceId: data.sourceId });
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 解析并校验查询参数
+   * @private
+   */
+  static parseQuery(query) {
+    const { defaultPageSize, maxPageSize } = config.battleHistory;
+
+    if (query.source && !Object.values(RECORD_SOURCE).includes(query.source)) {
+      return { success: false, reason: 'INVALID_SOURCE' };
+    }
+
+    if (query.result && !Object.values(BATTLE_RESULT).includes(query.result)) {
+      return { success: false, reason: 'INVALID_RESULT' };
+    }
+
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (from && to && from > to)) {
+      return { success: false, reason: 'INVALID_DATE_RANGE' };
+    }
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(maxPageSize, Math.max(1, parseInt(query.pageSize, 10) || defaultPageSize));
+
+    return {
+      success: true,
+      source: query.source || null,
+      battleType: typeof query.battleType === 'string' ? query.battleType : null,
+      result: query.result || null,
+      from,
+      to,
+      page,
+      pageSize
+    };
+  }
+
+  /**
+   * 构造战斗记录查询条件
+   * @private
+   */
+  static buildFilter(userId, { source, battleType, result, from, to }) {
+    const filter = { participants: new mongoose.Types.ObjectId(userId) };
+    const me = userId.toString();
+
+    if (source) filter.source = source;
+    if (battleType) filter.battleType = battleType;
+
+    if (result === BATTLE_RESULT.WIN) {
+      filter.winnerId = me;
+    } else if (result === BATTLE_RESULT.LOSS) {
+      filter.winnerId = { $nin: [null, me] };
+    } else if (result === BATTLE_RESULT.DRAW) {
+      filter.winnerId = null;
+    }
+
+    if (from || to) {
+      filter.endedAt = {};
+      if (from) filter.endedAt.$gte = from;
+      if (to) filter.endedAt.$lte = to;
+    }
+
+    return filter;
+  }
+
+  /**
+   * 格式化战斗记录摘要，传入 userId 时附带该玩家的胜负结果
+   * @private
+   */
+  static formatSummary(record, userId = null) {
+    let result = null;
+    if (userId) {
+      const me = userId.toString();
+      if (!record.winnerId) result = BATTLE_RESULT.DRAW;
+      else result = record.winnerId === me ? BATTLE_RESULT.WIN : BATTLE_RESULT.LOSS;
+    }
+
+    return {
+      replayId: record.replayId,
+      source: record.source,
+      battleType: record.battleType,
+      matchId: record.matchId,
+      round: record.round,
+      // 已注销的玩家不再展示
+      participants: record.participants.filter(Boolean).map(player => ({
+        userId: player._id.toString(),
+        username: player.username,
+        nickname: player.nickname,
+        avatar: player.avatar
+      })),
+      ghostOf: record.ghostOf,
+      winnerId: record.winnerId,
+      result,
+      endReason: record.endReason,
+      duration: record.duration,
+      startedAt: record.startedAt,
+      endedAt: record.endedAt
+    };
+  }
+}
+
+module.exports = BattleHistoryService;
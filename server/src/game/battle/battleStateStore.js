@@ -0,0 +1,302 @@
+const Battle = require('../../models/battle.model');
+const { BATTLE_STATUS } = require('../../models/battle.model');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 热缓存过期时间（毫秒）
+const CACHE_TTL = 10 * 60 * 1000;
+// 热缓存最大条目数，防止内存无限增长
+const MAX_CACHE_SIZE = 5000;
+
+// 战斗状态热缓存：battleId -> { state, expiresAt }
+const hotCache = new Map();
+
+/**
+ * 战斗状态仓库 - Mongo持久化 + 内存热缓存
+ * 所有对战斗状态的读写都应经过此模块，保证缓存与数据库一致
+ */
+class BattleStateStore {
+  static BATTLE_STATUS = BATTLE_STATUS;
+
+  /**
+   * 创建新战斗
+   * @param {Object} options - 战斗配置
+   * @param {Array<string>} options.players - 参战玩家ID（顺序即行动顺序）
+   * @param {Object} options.entities - 初始战斗单位状态
+   * @param {string} options.battleType - 战斗类型
+   * @param {string} options.createdBy - 发起者ID
+   * @returns {Promise<Object>} 战斗状态
+   */
+  static async createBattle({ players, entities, battleType = 'pvp', createdBy, maxRounds }) {
+    if (!Array.isArray(players) || players.length < 2) {
+      throw new Error('战斗至少需要两名玩家');
+    }
+
+    const now = new Date();
+    const normalizedEntities = this.normalizeEntities(entities || {});
+    const battle = await Battle.create({
+      battleType,
+      userId: createdBy,
+      participants: players,
+      status: BATTLE_STATUS.IN_PROGRESS,
+      currentTurn: players[0].toString(),
+      turnIndex: 0,
+      round: 1,
+      maxRounds: maxRounds || config.game.maxRounds,
+      entities: normalizedEntities,
+      initialEntities: normalizedEntities,
+      startedAt: now,
+      lastActionAt: now
+    });
+
+    const state = this.toState(battle);
+    this.cacheState(state);
+
+    logger.info('战斗已创建', { battleId: state.id, players: state.players, battleType });
+
+    return state;
+  }
+
+  /**
+   * 获取战斗状态，优先读取热缓存
+   * @param {string} battleId - 战斗ID
+   * @returns {Promise<Object|null>} 战斗状态
+   */
+  static async getBattleState(battleId) {
+    if (!battleId) return null;
+
+    const cached = hotCache.get(battleId.toString());
+    if (cached && cached.expiresAt > Date.now()) {
+      return this.cloneState(cached.state);
+    }
+
+    const battle = await Battle.findById(battleId).lean();
+    if (!battle) {
+      hotCache.delete(battleId.toString());
+      return null;
+    }
+
+    const state = this.toState(battle);
+
+    // 只缓存进行中的战斗，已结束的战斗直接从数据库读取
+    if (state.status === BATTLE_STATUS.IN_PROGRESS) {
+      this.cacheState(state);
+    }
+
+    return this.cloneState(state);
+  }
+
+  /**
+   * 保存战斗状态（基于版本号的乐观并发控制）
+   * @param {Object} state - 修改后的战斗状态
+   * @param {Object} options - 选项
+   * @param {Array} options.logEntries - 随本次保存追加的行动日志
+   * @returns {Promise<Object>} 保存结果
+   */
+  static async saveBattleState(state, options = {}) {
+    const logEntries = options.logEntries || [];
+    const updated = await Battle.findOneAndUpdate(
+      { _id: state.id, version: state.version },
+      {
+        ...(logEntries.length > 0 ? { $push: { actionLog: { $each: logEntries } } } : {}),
+        $set: {
+          status: state.status,
+          currentTurn: state.currentTurn,
+          turnIndex: state.turnIndex,
+          round: state.round,
+          entities: state.entities,
+          cooldowns: state.cooldowns || {},
+          winner: state.winner,
+          endReason: state.endReason,
+          endedAt: state.endedAt,
+          lastActionAt: new Date()
+        },
+        $inc: { version: 1 }
+      },
+      { new: true, lean: true }
+    );
+
+    if (!updated) {
+      // 版本冲突：缓存可能已过期，淘汰后由调用方重试或拒绝
+      this.evict(state.id);
+
+      logger.warn('战斗状态版本冲突', { battleId: state.id, version: state.version });
+      return { success: false, reason: 'STATE_VERSION_CONFLICT' };
+    }
+
+    const savedState = this.toState(updated);
+
+    if (savedState.status === BATTLE_STATUS.IN_PROGRESS) {
+      this.cacheState(savedState);
+    } else {
+      this.evict(savedState.id);
+    }
+
+    return { success: true, state: this.cloneState(savedState) };
+  }
+
+  /**
+   * 结束战斗并保存最终状态
+   * @param {Object} state - 战斗状态
+   * @param {Object} result - 结束信息
+   * @param {string|null} result.winner - 胜利者ID
+   * @param {string} result.reason - 结束原因
+   * @param {Array} result.logEntries - 随结束一起追加的行动日志
+   * @returns {Promise<Object>} 保存结果
+   */
+  static async endBattle(state, { winner = null, reason = 'finished', logEntries = [] } = {}) {
+    const finalState = {
+      ...state,
+      status: reason === 'aborted' ? BATTLE_STATUS.ABORTED : BATTLE_STATUS.ENDED,
+      winner,
+      endReason: reason,
+      endedAt: new Date()
+    };
+
+    const result = await this.saveBattleState(finalState, { logEntries });
+
+    if (result.success) {
+      logger.info('战斗已结束', {
+        battleId: state.id,
+        winner,
+        reason,
+        round: state.round
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 检查玩家是否参与了战斗
+   * @param {string} battleId - 战斗ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<boolean>} 是否参与
+   */
+  static async isParticipant(battleId, userId) {
+    const state = await this.getBattleState(battleId);
+    if (!state || !userId) return false;
+
+    const userIdStr = userId.toString();
+    return state.players.includes(userIdStr) || state.createdBy === userIdStr;
+  }
+
+  /**
+   * 从热缓存中移除战斗状态
+   * @param {string} battleId - 战斗ID
+   */
+  static evict(battleId) {
+    if (battleId) {
+      hotCache.delete(battleId.toString());
+    }
+  }
+
+  /**
+   * 写入热缓存
+   * @private
+   * @param {Object} state - 战斗状态
+   */
+  static cacheState(state) {
+    // 超出容量时淘汰最早写入的10%条目
+    if (hotCache.size >= MAX_CACHE_SIZE) {
+      const oldestKeys = Array.from(hotCache.keys())
+        .slice(0, Math.floor(MAX_CACHE_SIZE * 0.1));
+      oldestKeys.forEach(key => hotCache.delete(key));
+    }
+
+    // 重新插入以保持Map的插入顺序接近LRU
+    hotCache.delete(state.id);
+    hotCache.set(state.id, {
+      state: this.cloneState(state),
+      expiresAt: Date.now() + CACHE_TTL
+    });
+  }
+
+  /**
+   * 将数据库文档转换为战斗状态对象
+   * @private
+   * @param {Object} battle - 战斗文档
+   * @returns {Object} 战斗状态
+   */
+  static toState(battle) {
+    return {
+      id: battle._id.toString(),
+      battleType: battle.battleType,
+      createdBy: battle.userId ? battle.userId.toString() : null,
+      players: (battle.participants || []).map(id => id.toString()),
+      status: battle.status,
+      currentTurn: battle.currentTurn,
+      turnIndex: battle.turnIndex || 0,
+      round: battle.round || 1,
+      maxRounds: battle.maxRounds,
+      entities: battle.entities || {},
+      cooldowns: battle.cooldowns || {},
+      winner: battle.winner || null,
+      endReason: battle.endReason,
+      endedAt: battle.endedAt,
+      version: battle.version || 0
+    };
+  }
+
+  /**
+   * 补全战斗单位的默认字段
+   * @private
+   * @param {Object} entities - 战斗单位
+   * @returns {Object} 补全后的战斗单位
+   */
+  static normalizeEntities(entities) {
+    const normalized = {};
+
+    for (const [entityId, entity] of Object.entries(entities)) {
+      const hp = entity.hp ?? 100;
+      const mp = entity.mp ?? 50;
+
+      normalized[entityId] = {
+        ownerId: (entity.ownerId || entityId).toString(),
+        position: entity.position || { x: 0, y: 0 },
+        hp,
+        maxHp: entity.maxHp ?? hp,
+        mp,
+        maxMp: entity.maxMp ?? mp,
+        status: entity.status || [],
+        alive: hp > 0
+      };
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 深拷贝战斗状态，防止调用方修改缓存中的对象
+   * @private
+   * @param {Object} state - 战斗状态
+   * @returns {Object} 状态副本
+   */
+  static cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  /**
+   * 清理过期的缓存条目
+   */
+  static cleanupExpiredCache() {
+    const now = Date.now();
+    let cleanCount = 0;
+
+    for (const [battleId, entry] of hotCache.entries()) {
+      if (entry.expiresAt <= now) {
+        hotCache.delete(battleId);
+        cleanCount++;
+      }
+    }
+
+    if (cleanCount > 0) {
+      logger.debug(`清理了 ${cleanCount} 个过期的战斗状态缓存`);
+    }
+  }
+}
+
+// 定期清理过期缓存，定时器不阻止进程退出
+setInterval(() => BattleStateStore.cleanupExpiredCache(), 60 * 1000).unref();
+
+module.exports = BattleStateStore;
@@ -0,0 +1,178 @@
+/**
+ * 状态效果定义
+ * scope: 'turn' 在所属玩家回合结束时计时，'round' 在回合数推进时计时
+ * prevents: 该状态禁止的动作类型
+ * tickDamage: 每次计时造成 power 点伤害（持续伤害）
+ */
+const STATUS_DEFINITIONS = {
+  STUN: { scope: 'turn', prevents: ['ATTACK', 'USE_SKILL', 'USE_ITEM', 'MOVE'] },
+  SILENCE: { scope: 'turn', prevents: ['USE_SKILL'] },
+  POISON: { scope: 'turn', prevents: [], tickDamage: true },
+  BURN: { scope: 'turn', prevents: [], tickDamage: true },
+  SHIELD: { scope: 'round', prevents: [] },
+  ATTACK_UP: { scope: 'round', prevents: [] },
+  DEFENSE_UP: { scope: 'round', prevents: [] }
+};
+
+// 各状态对应的拒绝原因
+const BLOCK_REASONS = {
+  STUN: 'UNIT_STUNNED',
+  SILENCE: 'UNIT_SILENCED'
+};
+
+/**
+ * 状态效果系统 - 眩晕、沉默、持续伤害、护盾与增益
+ * 状态保存在战斗单位的 status 数组中，随战斗状态一起持久化
+ */
+class StatusEffects {
+  static STATUS_DEFINITIONS = STATUS_DEFINITIONS;
+
+  /**
+   * 为单位添加状态，同类状态刷新为持续时间和强度较高者
+   * @param {Object} entity - 战斗单位
+   * @param {Object} effect - 状态效果 { status, duration, power, sourceId }
+   * @returns {boolean} 是否添加成功
+   */
+  static apply(entity, effect) {
+    if (!entity || !entity.alive || !STATUS_DEFINITIONS[effect.status]) {
+      return false;
+    }
+
+    const existing = entity.status.find(s => s.type === effect.status);
+    if (existing) {
+      existing.duration = Math.max(existing.duration, effect.duration);
+      existing.power = Math.max(existing.power || 0, effect.power || 0);
+      existing.sourceId = effect.sourceId || existing.sourceId;
+      return true;
+    }
+
+    entity.status.push({
+      type: effect.status,
+      duration: effect.duration,
+      power: effect.power || 0,
+      sourceId: effect.sourceId || null
+    });
+
+    return true;
+  }
+
+  /**
+   * 检查单位是否可以执行指定动作
+   * @param {Object} entity - 战斗单位
+   * @param {string} actionType - 动作类型
+   * @returns {Object} { allowed, reason }
+   */
+  static canAct(entity, actionType) {
+    for (const status of entity.status || []) {
+      const definition = STATUS_DEFINITIONS[status.type];
+      if (definition && definition.prevents.includes(actionType)) {
+        return { allowed: false, reason: BLOCK_REASONS[status.type] || 'UNIT_DISABLED' };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * 检查单位是否处于某状态
+   * @param {Object} entity - 战斗单位
+   * @param {string} type - 状态类型
+   * @returns {boolean}
+   */
+  static has(entity, type) {
+    return !!entity && (entity.status || []).some(s => s.type === type);
+  }
+
+  /**
+   * 获取某状态的强度（未拥有时为0）
+   * @param {Object} entity - 战斗单位
+   * @param {string} type - 状态类型
+   * @returns {number}
+   */
+  static getPower(entity, type) {
+    const status = entity && (entity.status || []).find(s => s.type === type);
+    return status ? status.power : 0;
+  }
+
+  /**
+   * 用护盾吸收伤害，返回未被吸收的伤害
+   * @param {Object} entity - 战斗单位
+   * @param {number} damage - 原始伤害
+   * @returns {number} 剩余伤害
+   */
+  static absorbDamage(entity, damage) {
+    const shield = entity.status.find(s => s.type === 'SHIELD');
+    if (!shield) return damage;
+
+    const absorbed = Math.min(shield.power, damage);
+    shield.power -= absorbed;
+
+    if (shield.power <= 0) {
+      entity.status = entity.status.filter(s => s !== shield);
+    }
+
+    return damage - absorbed;
+  }
+
+  /**
+   * 玩家回合结束时结算其单位的回合类状态：持续伤害生效并扣减持续时间
+   * @param {Object} battleState - 战斗状态
+   * @param {string} playerId - 刚结束回合的玩家ID
+   * @param {Function} applyDamage - 伤害结算函数 (entity, value) => void
+   * @returns {Array} 结算事件 [{ entityId, type, damage?, expired? }]
+   */
+  static onTurnEnd(battleState, playerId, applyDamage) {
+    const events = [];
+
+    for (const [entityId, entity] of Object.entries(battleState.entities)) {
+      if (entity.ownerId !== playerId || !entity.alive) continue;
+
+      for (const status of entity.status.filter(s => STATUS_DEFINITIONS[s.type]?.scope === 'turn')) {
+        if (STATUS_DEFINITIONS[status.type].tickDamage && entity.alive) {
+          applyDamage(entity, status.power);
+          events.push({ entityId, type: status.type, damage: status.power });
+        }
+        status.duration -= 1;
+      }
+
+      events.push(...this.removeExpired(entityId, entity));
+    }
+
+    return events;
+  }
+
+  /**
+   * 回合数推进时结算所有单位的轮次类状态（护盾、增益）
+   * @param {Object} battleState - 战斗状态
+   * @returns {Array} 结算事件
+   */
+  static onRoundAdvance(battleState) {
+    const events = [];
+
+    for (const [entityId, entity] of Object.entries(battleState.entities)) {
+      for (const status of entity.status) {
+        if (STATUS_DEFINITIONS[status.type]?.scope === 'round') {
+          status.duration -= 1;
+        }
+      }
+
+      events.push(...this.removeExpired(entityId, entity));
+    }
+
+    return events;
+  }
+
+  /**
+   * 移除已到期的状态
+   * @private
+   */
+  static removeExpired(entityId, entity) {
+    const expired = entity.status.filter(s => s.duration <= 0);
+    if (expired.length === 0) return [];
+
+    entity.status = entity.status.filter(s => s.duration > 0);
+    return expired.map(s => ({ entityId, type: s.type, expired: true }));
+  }
+}
+
+module.exports = StatusEffects;
@@ -1,5 +1,6 @@
 const { logSecurityEvent } = require('../../security/middleware');
 const crypto = require('crypto');
+const EquipmentEngine = require('./equipmentEngine');
 
 /**
  * 角色属性计算器 - 处理角色属性的计算和验证
@@ -89,20 +90,15 @@ class AttributeCalculator {
    * @returns {Object} 装备加成
    */
   static async getEquipmentBonus(characterId) {
-    // 实际项目中应从装备引擎获取
-    // 这里简化为模拟数据
-    return {
-      hp: 200,
-      mp: 100,
-      attack: 30,
-      defense: 25,
-      magicPower: 15,
-      speed: 5,
-      critRate: 2,
-      critDamage: 20,
-      dodgeRate: 1,
-      accuracy: 2
-    };
+    // 装备和套装加成由装备引擎按内容库定义计算，皮肤的直接加成并入装备加成
+    const equipments = await EquipmentEngine.getCharacterEquipments(characterId);
+    const skin = await EquipmentEngine.getCharacterSkin(characterId);
+    const { directBonus } = EquipmentEngine.calculateSkinBonus(skin);
+    
+    return EquipmentEngine.mergeBonuses(
+      EquipmentEngine.calculateEquipmentBonus(equipments),
+      { directBonus }
+    );
   }
 
   /**
@@ -111,14 +107,11 @@ class AttributeCalculator {
    * @returns {Object} 皮肤效果
    */
   static async getSkinEffects(characterId) {
-    // 实际项目中应从皮肤系统获取
-    // 这里简化为模拟数据
-    return {
-      attackMultiplier: 0.05, // 5%攻击加成
-      defenseMultiplier: 0.03, // 3%防御加成
-      hpMultiplier: 0.08, // 8%生命加成
-      mpMultiplier: 0.04 // 4%魔法加成
-    };
+    // 皮肤定义来自内容库，这里只取乘数效果
+    const skin = await EquipmentEngine.getCharacterSkin(characterId);
+    const { multipliers } = EquipmentEngine.calculateSkinBonus(skin);
+    
+    return multipliers || {};
   }
 
   /**
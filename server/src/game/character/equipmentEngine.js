@@ -1,5 +1,10 @@
 const { logSecurityEvent } = require('../../security/middleware');
 const crypto = require('crypto');
+const Item = require('../../models/item.model');
+const User = require('../../models/user.model');
+const { ITEM_TYPE } = require('../data/items');
+const ContentStore = require('../content/contentStore');
+const { getRefineRate } = require('../data/equipmentUpgrades');
 
 /**
  * 装备和皮肤属性计算引擎 - 处理装备和皮肤效果的计算和验证
@@ -46,15 +51,7 @@ class EquipmentEngine {
       const skinBonus = this.calculateSkinBonus(skin);
       
       // 合并加成
-      const totalBonus = this.mergeBonuses(equipmentBonus, skinBonus);
-      
-      // 生成装备校验哈希
-      const equipmentHash = this.generateEquipmentHash(characterId, equipments, skin);
-      
-      // 保存校验哈希到数据库
-      await this.saveEquipmentHash(characterId, equipmentHash);
-      
-      return totalBonus;
+      return this.mergeBonuses(equipmentBonus, skinBonus);
     } catch (error) {
       logSecurityEvent('EQUIPMENT_CALCULATION_ERROR', { characterId, error: error.message });
       throw new Error('装备属性计算失败');
@@ -64,87 +61,78 @@ class EquipmentEngine {
   /**
    * 获取角色装备列表
    * @param {string} characterId - 角色ID
+   * @param {Object} session - 数据库会话
    * @returns {Array} 装备列表
    */
-  static async getCharacterEquipments(characterId) {
-    // 实际项目中应从数据库获取
-    // 这里简化为模拟数据
-    return [
-      {
-        id: 'weapon1',
-        slot: this.EQUIPMENT_SLOTS.WEAPON,
-        name: '精钢长剑',
-        quality: 'RARE',
-        level: 30,
-        attributes: {
-          attack: 50,
-          critRate: 3
-        },
-        enchantLevel: 5,
-        enchantBonus: {
-          attack: 10,
-          critDamage: 15
-        },
-        setId: 'warrior-set'
-      },
-      {
-        id: 'armor1',
-        slot: this.EQUIPMENT_SLOTS.ARMOR,
-        name: '精钢铠甲',
-        quality: 'RARE',
-        level: 30,
-        attributes: {
-          defense: 40,
-          hp: 150
-        },
-        enchantLevel: 3,
-        enchantBonus: {
-          defense: 8
-        },
-        setId: 'warrior-set'
-      },
-      {
-        id: 'helmet1',
-        slot: this.EQUIPMENT_SLOTS.HELMET,
-        name: '精钢头盔',
-        quality: 'RARE',
-        level: 30,
-        attributes: {
-          defense: 25,
-          hp: 100
-        },
-        enchantLevel: 2,
-        enchantBonus: {
-          defense: 5
-        },
-        setId: 'warrior-set'
+  static async getCharacterEquipments(characterId, session = null) {
+    const items = await Item.find({ ownerId: characterId, equippedSlot: { $ne: null } }).session(session);
+    
+    return items
+      .map(item => this.buildEquipment(item))
+      .filter(Boolean);
+  }
+
+  /**
+   * 将装备实例转换为属性计算使用的装备数据
+   * 基础属性按精炼等级提升，强化加成 = 模板每级加成 × 强化等级，宝石属性单独累计
+   * @param {Object} item - 物品实例
+   * @returns {Object|null} 装备数据
+   */
+  static buildEquipment(item) {
+    const template = ContentStore.getItemTemplate(item.templateId);
+    if (!template || template.type !== ITEM_TYPE.EQUIPMENT) {
+      return null;
+    }
+    
+    const { enchantLevel = 0, refineLevel = 0, gems = [] } = item.attributes || {};
+    const refineRate = getRefineRate(refineLevel);
+    
+    const attributes = {};
+    for (const [attr, value] of Object.entries(template.baseAttributes || {})) {
+      attributes[attr] = Math.floor(value * (1 + refineRate));
+    }
+    
+    const enchantBonus = {};
+    for (const [attr, value] of Object.entries(template.enhanceBonus || {})) {
+      enchantBonus[attr] = value * enchantLevel;
+    }
+    
+    const gemBonus = {};
+    for (const gemId of gems) {
+      const gem = gemId ? ContentStore.getItemTemplate(gemId) : null;
+      if (!gem || !gem.gemAttributes) continue;
+      for (const [attr, value] of Object.entries(gem.gemAttributes)) {
+        gemBonus[attr] = (gemBonus[attr] || 0) + value;
       }
-    ];
+    }
+    
+    return {
+      id: item._id.toString(),
+      templateId: template.id,
+      slot: item.equippedSlot || template.slot,
+      name: template.name,
+      quality: template.quality,
+      level: template.levelRequirement || 1,
+      attributes,
+      enchantLevel,
+      enchantBonus,
+      refineLevel,
+      gems,
+      gemBonus,
+      setId: template.setId
+    };
   }
 
   /**
    * 获取角色皮肤
    * @param {string} characterId - 角色ID
-   * @returns {Object} 皮肤信息
+   * @returns {Object|null} 皮肤信息
    */
   static async getCharacterSkin(characterId) {
-    // 实际项目中应从数据库获取
-    // 这里简化为模拟数据
-    return {
-      id: 'skin1',
-      name: '黄金战士',
-      rarity: 'EPIC',
-      effects: {
-        attackMultiplier: 0.05,
-        defenseMultiplier: 0.03,
-        hpMultiplier: 0.08,
-        mpMultiplier: 0.04
-      },
-      visualEffects: {
-        weaponGlow: true,
-        specialAnimation: 'golden_aura'
-      }
-    };
+    const user = await User.findById(characterId).select('gameProfile.activeSkinId');
+    const skinId = user && user.gameProfile.activeSkinId;
+    
+    return skinId ? ContentStore.getSkin(skinId) || null : null;
   }
 
   /**
@@ -191,6 +179,15 @@ class EquipmentEngine {
         }
       }
       
+      // 宝石加成
+      if (equipment.gemBonus) {
+        for (const [attr, value] of Object.entries(equipment.gemBonus)) {
+          if (bonus[attr] !== undefined) {
+            bonus[attr] += value;
+          }
+        }
+      }
+      
       // 记录套装信息
       if (equipment.setId) {
         setItems[equipment.setId] = (setItems[equipment.setId] || 0) + 1;
@@ -217,24 +214,12 @@ class EquipmentEngine {
    * @returns {Object} 套装加成
    */
   static getSetBonus(setId, count) {
-    // 实际项目中应从配置获取
-    // 这里简化为模拟数据
-    const setBonus = {
-      'warrior-set': {
-        2: { defense: 20 },
-        3: { defense: 30, attack: 15 },
-        5: { defense: 50, attack: 30, hp: 200 }
-      },
-      'mage-set': {
-        2: { magicPower: 15 },
-        3: { magicPower: 25, mp: 100 },
-        5: { magicPower: 40, mp: 200, critRate: 5 }
-      }
-    };
+    // 套装定义来自内容库当前发布的版本
+    const set = ContentStore.getSet(setId);
     
     // 获取当前套装件数的加成
     const bonuses = {};
-    const setBonusConfig = setBonus[setId];
+    const setBonusConfig = set ? set.tiers : null;
     
     if (setBonusConfig) {
       // 应用所有已达到的套装效果
@@ -317,6 +302,7 @@ class EquipmentEngine {
 
   /**
    * 生成装备校验哈希
+   * 只包含装备的可变状态，相同装备状态总是得到相同哈希，以便 verifyEquipment 比对
    * @param {string} characterId - 角色ID
    * @param {Array} equipments - 装备列表
    * @param {Object} skin - 皮肤信息
@@ -324,23 +310,46 @@ class EquipmentEngine {
    */
   static generateEquipmentHash(characterId, equipments, skin) {
     const data = JSON.stringify({
-      characterId,
-      equipments: equipments.map(e => ({ id: e.id, enchantLevel: e.enchantLevel })),
-      skin: skin ? skin.id : null,
-      timestamp: Date.now()
+      characterId: characterId.toString(),
+      equipments: equipments
+        .map(e => ({
+          id: e.id,
+          slot: e.slot,
+          enchantLevel: e.enchantLevel || 0,
+          refineLevel: e.refineLevel || 0,
+          gems: e.gems || []
+        }))
+        .sort((a, b) => (a.slot > b.slot ? 1 : a.slot < b.slot ? -1 : 0)),
+      skin: skin ? skin.id : null
     });
     
     return crypto.createHash('sha256').update(data).digest('hex');
   }
 
+  /**
+   * 按当前已装备的装备重新计算并保存校验哈希
+   * 装备穿脱、强化、精炼和镶嵌后调用
+   * @param {string} characterId - 角色ID
+   * @param {Object} session - 数据库会话
+   * @returns {string} 新的校验哈希
+   */
+  static async refreshEquipmentHash(characterId, session = null) {
+    const equipments = await this.getCharacterEquipments(characterId, session);
+    const skin = await this.getCharacterSkin(characterId);
+    const hash = this.generateEquipmentHash(characterId, equipments, skin);
+    
+    await this.saveEquipmentHash(characterId, hash, session);
+    return hash;
+  }
+
   /**
    * 保存装备校验哈希
    * @param {string} characterId - 角色ID
    * @param {string} hash - 校验哈希
+   * @param {Object} session - 数据库会话
    */
-  static async saveEquipmentHash(characterId, hash) {
-    // 实际项目中应保存到数据库
-    console.log(`保存角色 ${characterId} 的装备校验哈希: ${hash}`);
+  static async saveEquipmentHash(characterId, hash, session = null) {
+    await User.updateOne({ _id: characterId }, { $set: { 'gameProfile.equipmentHash': hash } }, { session });
   }
 
   /**
@@ -386,8 +395,8 @@ class EquipmentEngine {
    * @returns {string} 校验哈希
    */
   static async getStoredEquipmentHash(characterId) {
-    // 实际项目中应从数据库获取
-    return null;
+    const user = await User.findById(characterId).select('gameProfile.equipmentHash');
+    return user ? user.gameProfile.equipmentHash : null;
   }
 
   /**
@@ -412,6 +421,10 @@ class EquipmentEngine {
       
       // 验证角色等级是否满足要求
       const character = await this.getCharacter(characterId);
+      if (!character) {
+        return { success: false, reason: 'CHARACTER_NOT_FOUND' };
+      }
+      
       if (character.level < item.levelRequirement) {
         return { success: false, reason: 'LEVEL_REQUIREMENT_NOT_MET' };
       }
@@ -422,6 +435,9 @@ class EquipmentEngine {
       // 装备新物品
       await this.updateEquippedItem(characterId, itemId, slot);
       
+      // 装备变化后刷新校验哈希
+      await this.refreshEquipmentHash(characterId);
+      
       // 重新计算装备加成
       const newBonus = await this.getEquipmentBonus(characterId);
       
@@ -447,8 +463,17 @@ class EquipmentEngine {
    * @returns {Object} 物品信息
    */
   static async getItem(characterId, itemId) {
-    // 实际项目中应从数据库获取
-    return null;
+    const item = await Item.findOne({ _id: itemId, ownerId: characterId });
+    const template = item ? ContentStore.getItemTemplate(item.templateId) : null;
+    if (!template || template.type !== ITEM_TYPE.EQUIPMENT) {
+      return null;
+    }
+    
+    return {
+      id: item._id.toString(),
+      slot: template.slot,
+      levelRequirement: template.levelRequirement || 1
+    };
   }
 
   /**
@@ -457,8 +482,8 @@ class EquipmentEngine {
    * @returns {Object} 角色信息
    */
   static async getCharacter(characterId) {
-    // 实际项目中应从数据库获取
-    return null;
+    const user = await User.findById(characterId).select('gameProfile.level');
+    return user ? { id: user._id.toString(), level: user.gameProfile.level } : null;
   }
 
   /**
@@ -468,7 +493,7 @@ class EquipmentEngine {
    * @returns {boolean} 操作结果
    */
   static async unequipItem(characterId, slot) {
-    // 实际项目中应更新数据库
+    await Item.updateMany({ ownerId: characterId, equippedSlot: slot }, { $set: { equippedSlot: null } });
     return true;
   }
 
@@ -480,8 +505,8 @@ class EquipmentEngine {
    * @returns {boolean} 操作结果
    */
   static async updateEquippedItem(characterId, itemId, slot) {
-    // 实际项目中应更新数据库
-    return true;
+    const result = await Item.updateOne({ _id: itemId, ownerId: characterId }, { $set: { equippedSlot: slot } });
+    return result.modifiedCount === 1;
   }
 
   /**
@@ -501,6 +526,9 @@ class EquipmentEngine {
       // 更新角色皮肤
       await this.updateCharacterSkin(characterId, skinId);
       
+      // 皮肤变化后刷新校验哈希
+      await this.refreshEquipmentHash(characterId);
+      
       // 重新计算装备加成
       const newBonus = await this.getEquipmentBonus(characterId);
       
@@ -525,8 +553,14 @@ class EquipmentEngine {
    * @returns {Object} 皮肤信息
    */
   static async getSkin(characterId, skinId) {
-    // 实际项目中应从数据库获取
-    return null;
+    const skin = ContentStore.getSkin(skinId);
+    if (!skin) {
+      return null;
+    }
+    
+    // 只能使用已拥有的皮肤
+    const owned = await User.exists({ _id: characterId, 'gameProfile.skins': skinId });
+    return owned ? skin : null;
   }
 
   /**
@@ -536,8 +570,8 @@ class EquipmentEngine {
    * @returns {boolean} 操作结果
    */
   static async updateCharacterSkin(characterId, skinId) {
-    // 实际项目中应更新数据库
-    return true;
+    const result = await User.updateOne({ _id: characterId }, { $set: { 'gameProfile.activeSkinId': skinId } });
+    return result.matchedCount === 1;
   }
 }
 
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const Item = require('../../models/item.model');
+const EquipmentLog = require('../../models/equipmentLog.model');
+const { EQUIPMENT_ACTION, UPGRADE_OUTCOME } = require('../../models/equipmentLog.model');
+const EconomyService = require('../economy/economyService');
+const InventoryService = require('../inventory/inventoryService');
+const EquipmentEngine = require('./equipmentEngine');
+const QuestService = require('../quest/questService');
+const { ITEM_TYPE } = require('../data/items');
+const ContentStore = require('../content/contentStore');
+const {
+  FAILURE_OUTCOME,
+  PROTECTION_ITEM_ID,
+  MAX_ENHANCE_LEVEL,
+  MAX_REFINE_LEVEL,
+  UNSOCKET_GOLD_COST,
+  getEnhanceRule,
+  getRefineRule
+} = require('../data/equipmentUpgrades');
+const logger = require('../../utils/logger');
+
+/**
+ * 装备养成错误，用于在事务中中止并返回错误码
+ */
+class UpgradeError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 装备养成服务 - 强化、精炼、宝石镶嵌与拆除
+ * 消耗扣除、装备状态变更、养成记录和装备校验哈希在同一事务中完成
+ */
+class EquipmentUpgradeService {
+  static UPGRADE_OUTCOME = UPGRADE_OUTCOME;
+
+  /**
+   * 强化装备
+   * 失败后果由目标等级决定：无变化、降一级或概率破碎，使用保护卷轴可避免降级和破碎
+   * @param {string} userId - 玩家ID
+   * @param {string} instanceId - 装备实例ID
+   * @param {Object} options - 选项
+   * @param {boolean} options.useProtection - 是否使用保护卷轴
+   * @param {Object} metadata - 请求元数据 { ip, deviceId }
+   * @returns {Object} 操作结果
+   */
+  static async enhance(userId, instanceId, options = {}, metadata = {}) {
+    return this.runUpgrade(userId, instanceId, EQUIPMENT_ACTION.ENHANCE, async (session) => {
+      const { item, template, state } = await this.loadEquipment(userId, instanceId, session);
+
+      if (state.enchantLevel >= MAX_ENHANCE_LEVEL) {
+        throw new UpgradeError('MAX_LEVEL_REACHED');
+      }
+
+      const targetLevel = state.enchantLevel + 1;
+      const rule = getEnhanceRule(targetLevel);
+      const useProtection = Boolean(options.useProtection);
+
+      if (useProtection && rule.failure === FAILURE_OUTCOME.NONE) {
+        throw new UpgradeError('PROTECTION_NOT_NEEDED');
+      }
+
+      const cost = {
+        gold: rule.gold,
+        items: useProtection
+          ? [...rule.materials, { itemId: PROTECTION_ITEM_ID, quantity: 1 }]
+          : rule.materials
+      };
+      const transactionId = await this.payCost(userId, cost, { ...metadata, action: EQUIPMENT_ACTION.ENHANCE, instanceId, targetLevel }, session);
+
+      const roll = this.roll();
+      const after = { ...state };
+      let outcome;
+
+      if (roll < rule.successRate) {
+        outcome = UPGRADE_OUTCOME.SUCCESS;
+        after.enchantLevel = targetLevel;
+      } else if (rule.failure === FAILURE_OUTCOME.NONE) {
+        outcome = UPGRADE_OUTCOME.FAILED;
+      } else if (useProtection) {
+        outcome = UPGRADE_OUTCOME.PROTECTED;
+      } else if (rule.failure === FAILURE_OUTCOME.DESTROY && this.roll() < rule.destroyRate) {
+        outcome = UPGRADE_OUTCOME.DESTROYED;
+      } else {
+        outcome = UPGRADE_OUTCOME.DOWNGRADED;
+        after.enchantLevel = Math.max(0, state.enchantLevel - 1);
+      }
+
+      return this.commitUpgrade(userId, item, template, {
+        action: EQUIPMENT_ACTION.ENHANCE,
+        outcome,
+        before: state,
+        after,
+        cost,
+        protectionUsed: useProtection,
+        roll,
+        transactionId
+      }, session);
+    });
+  }
+
+  /**
+   * 精炼装备，按精炼等级提升基础属性，失败时消耗材料但等级不变
+   * @param {string} userId - 玩家ID
+   * @param {string} instanceId - 装备实例ID
+   * @param {Object} metadata - 请求元数据 { ip, deviceId }
+   * @returns {Object} 操作结果
+   */
+  static async refine(userId, instanceId, metadata = {}) {
+    return this.runUpgrade(userId, instanceId, EQUIPMENT_ACTION.REFINE, async (session) => {
+      const { item, template, state } = await this.loadEquipment(userId, instanceId, session);
+
+      if (state.refineLevel >= MAX_REFINE_LEVEL) {
+        throw new UpgradeError('MAX_LEVEL_REACHED');
+      }
+
+      const targetLevel = state.refineLevel + 1;
+      const rule = getRefineRule(targetLevel);
+      const cost = { gold: rule.gold, items: rule.materials };
+      const transactionId = await this.payCost(userId, cost, { ...metadata, action: EQUIPMENT_ACTION.REFINE, instanceId, targetLevel }, session);
+
+      const roll = this.roll();
+      const success = roll < rule.successRate;
+      const after = { ...state, refineLevel: success ? targetLevel : state.refineLevel };
+
+      return this.commitUpgrade(userId, item, template, {
+        action: EQUIPMENT_ACTION.REFINE,
+        outcome: success ? UPGRADE_OUTCOME.SUCCESS : UPGRADE_OUTCOME.FAILED,
+        before: state,
+        after,
+        cost,
+        roll,
+        transactionId
+      }, session);
+    });
+  }
+
+  /**
+   * 镶嵌宝石，从背包扣除一颗宝石放入指定空孔
+   * @param {string} userId - 玩家ID
+   * @param {string} instanceId - 装备实例ID
+   * @param {number} socketIndex - 宝石孔下标
+   * @param {string} gemId - 宝石模板ID
+   * @returns {Object} 操作结果
+   */
+  static async socketGem(userId, instanceId, socketIndex, gemId) {
+    return this.runUpgrade(userId, instanceId, EQUIPMENT_ACTION.SOCKET, async (session) => {
+      const { item, template, state } = await this.loadEquipment(userId, instanceId, session);
+      this.assertSocketIndex(state, socketIndex);
+
+      if (state.gems[socketIndex]) {
+        throw new UpgradeError('SOCKET_OCCUPIED');
+      }
+
+      const gem = ContentStore.getItemTemplate(gemId);
+      if (!gem || gem.type !== ITEM_TYPE.GEM) {
+        throw new UpgradeError('INVALID_GEM');
+      }
+
+      const cost = { gold: 0, items: [{ itemId: gemId, quantity: 1 }] };
+      await this.payCost(userId, cost, {}, session);
+
+      const gems = [...state.gems];
+      gems[socketIndex] = gemId;
+
+      return this.commitUpgrade(userId, item, template, {
+        action: EQUIPMENT_ACTION.SOCKET,
+        outcome: UPGRADE_OUTCOME.SUCCESS,
+        before: state,
+        after: { ...state, gems },
+        cost
+      }, session);
+    });
+  }
+
+  /**
+   * 拆除宝石，消耗金币并将宝石返还背包
+   * @param {string} userId - 玩家ID
+   * @param {string} instanceId - 装备实例ID
+   * @param {number} socketIndex - 宝石孔下标
+   * @param {Object} metadata - 请求元数据 { ip, deviceId }
+   * @returns {Object} 操作结果
+   */
+  static async unsocketGem(userId, instanceId, socketIndex, metadata = {}) {
+    return this.runUpgrade(userId, instanceId, EQUIPMENT_ACTION.UNSOCKET, async (session) => {
+      const { item, template, state } = await this.loadEquipment(userId, instanceId, session);
+      this.assertSocketIndex(state, socketIndex);
+
+      const gemId = state.gems[socketIndex];
+      if (!gemId) {
+        throw new UpgradeError('SOCKET_EMPTY');
+      }
+
+      const cost = { gold: UNSOCKET_GOLD_COST, items: [] };
+      const transactionId = await this.payCost(userId, cost, { ...metadata, action: EQUIPMENT_ACTION.UNSOCKET, instanceId, gemId }, session);
+
+      const returned = await InventoryService.grantItems(userId, [{ itemId: gemId, quantity: 1 }], { source: 'unsocket', session });
+      if (!returned.success) {
+        throw new UpgradeError(returned.reason);
+      }
+
+      const gems = [...state.gems];
+      gems[socketIndex] = null;
+
+      return this.commitUpgrade(userId, item, template, {
+        action: EQUIPMENT_ACTION.UNSOCKET,
+        outcome: UPGRADE_OUTCOME.SUCCESS,
+        before: state,
+        after: { ...state, gems },
+        cost,
+        transactionId
+      }, session);
+    });
+  }
+
+  /**
+   * 获取装备养成记录
+   * @param {string} userId - 玩家ID
+   * @param {Object} query - 查询条件 { itemId, page, limit }
+   * @returns {Object} 养成记录
+   */
+  static async getHistory(userId, query = {}) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+
+    const filter = { ownerId: userId };
+    if (query.itemId) {
+      filter.itemId = query.itemId;
+    }
+
+    const [records, total] = await Promise.all([
+      EquipmentLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EquipmentLog.countDocuments(filter)
+    ]);
+
+    return {
+      success: true,
+      records,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * 在事务中执行养成操作，并把业务错误转换为操作结果
+   * @private
+   */
+  static async runUpgrade(userId, instanceId, action, work) {
+    try {
+      const result = await EconomyService.runInTransaction(work);
+
+      logger.info('装备养成完成', {
+        userId,
+        instanceId,
+        action,
+        outcome: result.outcome,
+        after: result.after
+      });
+
+      // 强化无论成败都计入任务
+      if (action === EQUIPMENT_ACTION.ENHANCE) {
+        QuestService.recordEvent(userId, QuestService.QUEST_EVENT.EQUIPMENT_ENHANCED);
+      }
+
+      return { success: true, ...result };
+    } catch (error) {
+      if (error instanceof UpgradeError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('装备养成失败', { userId, instanceId, action, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 加载装备实例及其养成状态
+   * @private
+   */
+  static async loadEquipment(userId, instanceId, session) {
+    const item = await Item.findOne({ _id: instanceId, ownerId: userId }).session(session);
+    if (!item) {
+      throw new UpgradeError('ITEM_NOT_OWNED');
+    }
+
+    const template = ContentStore.getItemTemplate(item.templateId);
+    if (!template || template.type !== ITEM_TYPE.EQUIPMENT) {
+      throw new UpgradeError('NOT_EQUIPMENT');
+    }
+
+    const { enchantLevel = 0, refineLevel = 0, gems = [] } = item.attributes || {};
+    const sockets = template.sockets || 0;
+    const state = {
+      enchantLevel,
+      refineLevel,
+      gems: Array.from({ length: sockets }, (_, i) => gems[i] || null)
+    };
+
+    return { item, template, state };
+  }
+
+  /**
+   * 校验宝石孔下标
+   * @private
+   */
+  static assertSocketIndex(state, socketIndex) {
+    if (!Number.isInteger(socketIndex) || socketIndex < 0 || socketIndex >= state.gems.length) {
+      throw new UpgradeError('INVALID_SOCKET');
+    }
+  }
+
+  /**
+   * 扣除金币和材料
+   * @private
+   * @returns {string|undefined} 金币扣除的交易ID
+   */
+  static async payCost(userId, cost, metadata, session) {
+    let transactionId;
+
+    if (cost.gold > 0) {
+      const payment = await EconomyService.updateBalance(
+        userId,
+        EconomyService.CURRENCY_TYPES.GOLD,
+        -cost.gold,
+        EconomyService.TRANSACTION_TYPES.EQUIPMENT_UPGRADE,
+        metadata,
+        { session }
+      );
+
+      if (!payment.success) {
+        throw new UpgradeError(payment.reason);
+      }
+      transactionId = payment.transactionId;
+    }
+
+    for (const material of cost.items) {
+      const removed = await InventoryService.removeItems(userId, material.itemId, material.quantity, { session });
+      if (!removed.success) {
+        throw new UpgradeError(removed.reason === 'ITEM_NOT_OWNED' ? 'INSUFFICIENT_MATERIALS' : removed.reason);
+      }
+    }
+
+    return transactionId;
+  }
+
+  /**
+   * 写入装备状态、刷新装备校验哈希并记录养成日志
+   * @private
+   */
+  static async commitUpgrade(userId, item, template, record, session) {
+    const destroyed = record.outcome === UPGRADE_OUTCOME.DESTROYED;
+
+    // 以读取时的 updatedAt 作为版本，防止并发养成覆盖
+    const guard = { _id: item._id, updatedAt: item.updatedAt };
+    const result = destroyed
+      ? await Item.deleteOne(guard, { session })
+      : await Item.updateOne(guard, { $set: { attributes: { ...(item.attributes || {}), ...record.after } } }, { session });
+
+    const affected = destroyed ? result.deletedCount : result.modifiedCount;
+    if (affected !== 1) {
+      throw new UpgradeError('UPGRADE_CONFLICT');
+    }
+
+    const equipmentHash = await EquipmentEngine.refreshEquipmentHash(userId, session);
+
+    await EquipmentLog.create([{
+      ownerId: userId,
+      itemId: item._id,
+      templateId: template.id,
+      ...record,
+      equipmentHash
+    }], { session });
+
+    return {
+      itemId: item._id.toString(),
+      templateId: template.id,
+      action: record.action,
+      outcome: record.outcome,
+      destroyed,
+      before: record.before,
+      after: destroyed ? null : record.after,
+      cost: record.cost
+    };
+  }
+
+  /**
+   * 概率判定，返回 [0, 1) 的服务端随机数
+   * @private
+   */
+  static roll() {
+    return crypto.randomInt(0, 1000000) / 1000000;
+  }
+}
+
+module.exports = EquipmentUpgradeService;
@@ -0,0 +1,531 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../../models/chatMessage.model');
+const { CHANNEL_TYPE } = require('../../models/chatMessage.model');
+const ChatRestriction = require('../../models/chatRestriction.model');
+const { RESTRICTION_TYPE } = require('../../models/chatRestriction.model');
+const User = require('../../models/user.model');
+const Guild = require('../../models/guild.model');
+const BattleStateStore = require('../battle/battleStateStore');
+const rateLimiter = require('../../security/rateLimiter');
+const { sanitizeUserText } = require('../../utils/sanitize');
+const { filterProfanity } = require('../../utils/profanityFilter');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+/**
+ * 聊天服务 - 频道权限校验、消息发送与历史记录、屏蔽名单和版主禁言
+ * 消息推送由 WebSocket 层完成：世界、公会、战斗频道推送到频道房间，私聊推送到双方的用户房间
+ */
+class ChatService {
+  static CHANNEL_TYPE = CHANNEL_TYPE;
+
+  /**
+   * 获取频道对应的 WebSocket 房间名
+   * @param {string} channel - 频道标识
+   * @returns {string} 房间名
+   */
+  static getChannelRoom(channel) {
+    return `chat:${channel}`;
+  }
+
+  /**
+   * 加入频道前校验权限；私聊没有频道房间，消息直接推送给双方
+   * @param {string} userId - 用户ID
+   * @param {Object} params - { channelType, channelId }
+   * @returns {Promise<Object>} { success, reason, channel: { channel, channelType, room } }
+   */
+  static async joinChannel(userId, { channelType, channelId } = {}) {
+    try {
+      const resolved = await this.resolveChannel(userId, channelType, channelId);
+      if (!resolved.success) return resolved;
+
+      const { channel } = resolved;
+      return {
+        success: true,
+        channel: {
+          channel: channel.key,
+          channelType: channel.type,
+          room: channel.type === CHANNEL_TYPE.PRIVATE ? null : this.getChannelRoom(channel.key)
+        }
+      };
+    } catch (error) {
+      logger.error('加入聊天频道失败', { userId, channelType, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 发送消息：禁言和频率检查、频道权限、私聊屏蔽检查、文本清理和屏蔽词过滤后保存
+   * @param {string} userId - 发送者ID
+   * @param {Object} params - { channelType, channelId, content }
+   * @returns {Promise<Object>} { success, reason, message }
+   */
+  static async sendMessage(userId, { channelType, channelId, content } = {}) {
+    try {
+      const mute = await this.getActiveMute(userId);
+      if (mute) {
+        return { success: false, reason: 'MUTED' };
+      }
+
+      const text = sanitizeUserText(content, config.chat.maxMessageLength);
+      if (!text) {
+        return { success: false, reason: 'EMPTY_MESSAGE' };
+      }
+
+      const resolved = await this.resolveChannel(userId, channelType, channelId);
+      if (!resolved.success) return resolved;
+      const { channel } = resolved;
+
+      // 按频道类型分别限频，世界频道最严格
+      const isRateLimited = await rateLimiter.isActionRateLimited(userId, `chat_${channel.type}`);
+      if (isRateLimited) {
+        return { success: false, reason: 'RATE_LIMITED' };
+      }
+
+      if (channel.type === CHANNEL_TYPE.PRIVATE) {
+        const blocked = await this.isBlockedEitherWay(userId, channel.recipientId);
+        if (blocked) {
+          return { success: false, reason: 'BLOCKED' };
+        }
+      }
+
+      const sender = await User.findById(userId).select('username nickname').lean();
+      if (!sender) {
+        return { success: false, reason: 'USER_NOT_FOUND' };
+      }
+
+      const { text: filteredText, filtered } = filterProfanity(text);
+
+      const message = await ChatMessage.create({
+        channel: channel.key,
+        channelType: channel.type,
+        senderId: userId,
+        senderName: sender.nickname || sender.username,
+        recipientId: channel.recipientId || null,
+        content: filteredText,
+        filtered
+      });
+
+      return { success: true, message: this.formatMessage(message) };
+    } catch (error) {
+      logger.error('发送聊天消息失败', { userId, channelType, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 分页获取频道历史消息，按消息ID向前翻页，不返回已删除和已屏蔽玩家的消息
+   * @param {string} userId - 用户ID
+   * @param {Object} query - { channelType, channelId, before, pageSize }
+   * @returns {Promise<Object>} { success, reason, history: { channel, messages, hasMore, nextCursor } }
+   */
+  static async getHistory(userId, query = {}) {
+    try {
+      const { channelType, channelId, before } = query;
+      const { defaultPageSize, maxPageSize } = config.chat;
+      const pageSize = Math.min(maxPageSize, Math.max(1, parseInt(query.pageSize, 10) || defaultPageSize));
+
+      if (before && !mongoose.Types.ObjectId.isValid(before)) {
+        return { success: false, reason: 'INVALID_CURSOR' };
+      }
+
+      const resolved = await this.resolveChannel(userId, channelType, channelId);
+      if (!resolved.success) return resolved;
+      const { channel } = resolved;
+
+      const filter = { channel: channel.key, deleted: false };
+      if (before) {
+        filter._id = { $lt: new mongoose.Types.ObjectId(before) };
+      }
+
+      if (channel.type !== CHANNEL_TYPE.PRIVATE) {
+        const blockedIds = await this.getBlockedIds(userId);
+        if (blockedIds.length > 0) {
+          filter.senderId = { $nin: blockedIds };
+        }
+      }
+
+      // 多取一条用于判断是否还有更早的消息
+      const messages = await ChatMessage.find(filter)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .lean();
+
+      const hasMore = messages.length > pageSize;
+      const page = messages.slice(0, pageSize).reverse();
+
+      return {
+        success: true,
+        history: {
+          channel: channel.key,
+          channelType: channel.type,
+          messages: page.map(message => this.formatMessage(message)),
+          hasMore,
+          nextCursor: hasMore && page.length > 0 ? page[0]._id.toString() : null
+        }
+      };
+    } catch (error) {
+      logger.error('获取聊天记录失败', { userId, query, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 屏蔽玩家：不再接收对方的私聊，历史记录中隐藏对方的消息
+   * @param {string} userId - 用户ID
+   * @param {string} targetId - 被屏蔽的玩家ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async blockUser(userId, targetId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return { success: false, reason: 'INVALID_TARGET' };
+      }
+      if (userId.toString() === targetId.toString()) {
+        return { success: false, reason: 'CANNOT_BLOCK_SELF' };
+      }
+
+      const targetExists = await User.exists({ _id: targetId });
+      if (!targetExists) {
+        return { success: false, reason: 'USER_NOT_FOUND' };
+      }
+
+      const count = await ChatRestriction.countDocuments({ type: RESTRICTION_TYPE.BLOCK, userId });
+      if (count >= config.chat.maxBlockedUsers) {
+        return { success: false, reason: 'BLOCK_LIST_FULL' };
+      }
+
+      await ChatRestriction.updateOne(
+        { type: RESTRICTION_TYPE.BLOCK, userId, targetId },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+
+      return { success: true };
+    } catch (error) {
+      logger.error('屏蔽玩家失败', { userId, targetId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 取消屏蔽玩家
+   * @param {string} userId - 用户ID
+   * @param {string} targetId - 被屏蔽的玩家ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async unblockUser(userId, targetId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return { success: false, reason: 'INVALID_TARGET' };
+      }
+
+      const result = await ChatRestriction.deleteOne({ type: RESTRICTION_TYPE.BLOCK, userId, targetId });
+      if (result.deletedCount === 0) {
+        return { success: false, reason: 'NOT_BLOCKED' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      logger.error('取消屏蔽玩家失败', { userId, targetId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 获取屏蔽名单
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { success, blocked: [{ userId, username, nickname, avatar, blockedAt }] }
+   */
+  static async getBlockList(userId) {
+    try {
+      const restrictions = await ChatRestriction.find({ type: RESTRICTION_TYPE.BLOCK, userId })
+        .sort({ createdAt: -1 })
+        .populate('targetId', 'username nickname avatar')
+        .lean();
+
+      return {
+        success: true,
+        blocked: restrictions
+          .filter(restriction => restriction.targetId)
+          .map(restriction => ({
+            userId: restriction.targetId._id.toString(),
+            username: restriction.targetId.username,
+            nickname: restriction.targetId.nickname || restriction.targetId.username,
+            avatar: restriction.targetId.avatar,
+            blockedAt: restriction.createdAt
+          }))
+      };
+    } catch (error) {
+      logger.error('获取屏蔽名单失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 获取自己的禁言状态
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { success, mute: { mutedUntil, reason } | null }
+   */
+  static async getMuteStatus(userId) {
+    try {
+      const mute = await this.getActiveMute(userId);
+      return {
+        success: true,
+        mute: mute ? { mutedUntil: mute.expiresAt, reason: mute.reason } : null
+      };
+    } catch (error) {
+      logger.error('获取禁言状态失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 版主禁言玩家，重复禁言时以新的时长覆盖
+   * @param {string} moderatorId - 版主ID
+   * @param {string} targetId - 被禁言的玩家ID
+   * @param {Object} options - { minutes, reason }
+   * @returns {Promise<Object>} { success, reason, mute: { userId, mutedUntil, reason } }
+   */
+  static async muteUser(moderatorId, targetId, { minutes, reason = '' } = {}) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return { success: false, reason: 'INVALID_TARGET' };
+      }
+
+      const duration = minutes === undefined ? config.chat.defaultMuteMinutes : parseInt(minutes, 10);
+      if (!Number.isInteger(duration) || duration <= 0 || duration > config.chat.maxMuteMinutes) {
+        return { success: false, reason: 'INVALID_DURATION' };
+      }
+
+      const targetExists = await User.exists({ _id: targetId });
+      if (!targetExists) {
+        return { success: false, reason: 'USER_NOT_FOUND' };
+      }
+
+      const mutedUntil = new Date(Date.now() + duration * 60 * 1000);
+      const muteReason = sanitizeUserText(reason, 200);
+
+      await ChatRestriction.updateOne(
+        { type: RESTRICTION_TYPE.MUTE, userId: targetId, targetId: null },
+        {
+          $set: {
+            operatorId: moderatorId,
+            reason: muteReason,
+            expiresAt: mutedUntil,
+            createdAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+
+      logger.info('玩家被禁言', { moderatorId, targetId, minutes: duration, reason: muteReason });
+
+      return {
+        success: true,
+        mute: { userId: targetId.toString(), mutedUntil, reason: muteReason }
+      };
+    } catch (error) {
+      logger.error('禁言玩家失败', { moderatorId, targetId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 版主解除禁言
+   * @param {string} moderatorId - 版主ID
+   * @param {string} targetId - 被禁言的玩家ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async unmuteUser(moderatorId, targetId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return { success: false, reason: 'INVALID_TARGET' };
+      }
+
+      const result = await ChatRestriction.deleteOne({ type: RESTRICTION_TYPE.MUTE, userId: targetId });
+      if (result.deletedCount === 0) {
+        return { success: false, reason: 'NOT_MUTED' };
+      }
+
+      logger.info('玩家被解除禁言', { moderatorId, targetId });
+      return { success: true };
+    } catch (error) {
+      logger.error('解除禁言失败', { moderatorId, targetId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 版主删除消息，消息保留在库中仅标记删除
+   * @param {string} moderatorId - 版主ID
+   * @param {string} messageId - 消息ID
+   * @param {string} [reason] - 删除原因
+   * @returns {Promise<Object>} { success, reason, message }
+   */
+  static async deleteMessage(moderatorId, messageId, reason = '') {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return { success: false, reason: 'MESSAGE_NOT_FOUND' };
+      }
+
+      const message = await ChatMessage.findOneAndUpdate(
+        { _id: messageId, deleted: false },
+        {
+          $set: {
+            deleted: true,
+            deletedBy: moderatorId,
+            deletedAt: new Date(),
+            deleteReason: sanitizeUserText(reason, 200)
+          }
+        },
+        { new: true }
+      );
+
+      if (!message) {
+        return { success: false, reason: 'MESSAGE_NOT_FOUND' };
+      }
+
+      logger.info('聊天消息被删除', { moderatorId, messageId, senderId: message.senderId.toString() });
+
+      return { success: true, message: this.formatMessage(message) };
+    } catch (error) {
+      logger.error('删除聊天消息失败', { moderatorId, messageId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 解析频道并校验访问权限
+   * 公会频道以玩家当前所在公会为准，战斗频道要求是战斗参与者，私聊的 channelId 为对方用户ID
+   * @private
+   * @param {string} userId - 用户ID
+   * @param {string} channelType - 频道类型
+   * @param {string} channelId - 频道ID
+   * @returns {Promise<Object>} { success, reason, channel: { key, type, recipientId } }
+   */
+  static async resolveChannel(userId, channelType, channelId) {
+    const userIdStr = userId.toString();
+
+    switch (channelType) {
+      case CHANNEL_TYPE.WORLD:
+        return { success: true, channel: { key: CHANNEL_TYPE.WORLD, type: channelType } };
+
+      case CHANNEL_TYPE.GUILD: {
+        const guild = await Guild.findOne({ members: userId }).select('_id').lean();
+        if (!guild || (channelId && channelId.toString() !== guild._id.toString())) {
+          return { success: false, reason: 'NOT_IN_GUILD' };
+        }
+        return { success: true, channel: { key: `guild:${guild._id}`, type: channelType } };
+      }
+
+      case CHANNEL_TYPE.BATTLE: {
+        if (typeof channelId !== 'string' || !channelId) {
+          return { success: false, reason: 'INVALID_CHANNEL' };
+        }
+        const isParticipant = await BattleStateStore.isParticipant(channelId, userIdStr);
+        if (!isParticipant) {
+          return { success: false, reason: 'NOT_IN_BATTLE' };
+        }
+        return { success: true, channel: { key: `battle:${channelId}`, type: channelType } };
+      }
+
+      case CHANNEL_TYPE.PRIVATE: {
+        if (!channelId || !mongoose.Types.ObjectId.isValid(channelId) || channelId.toString() === userIdStr) {
+          return { success: false, reason: 'INVALID_TARGET' };
+        }
+        const targetExists = await User.exists({ _id: channelId });
+        if (!targetExists) {
+          return { success: false, reason: 'USER_NOT_FOUND' };
+        }
+        const targetIdStr = channelId.toString();
+        const [first, second] = [userIdStr, targetIdStr].sort();
+        return {
+          success: true,
+          channel: { key: `private:${first}:${second}`, type: channelType, recipientId: targetIdStr }
+        };
+      }
+
+      default:
+        return { success: false, reason: 'INVALID_CHANNEL' };
+    }
+  }
+
+  /**
+   * 获取生效中的禁言记录（TTL 索引删除有延迟，这里按到期时间过滤）
+   * @private
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 禁言记录
+   */
+  static async getActiveMute(userId) {
+    return ChatRestriction.findOne({
+      type: RESTRICTION_TYPE.MUTE,
+      userId,
+      expiresAt: { $gt: new Date() }
+    }).lean();
+  }
+
+  /**
+   * 获取玩家屏蔽的用户ID列表
+   * @private
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Array>} 被屏蔽的用户ID
+   */
+  static async getBlockedIds(userId) {
+    const restrictions = await ChatRestriction.find({ type: RESTRICTION_TYPE.BLOCK, userId })
+      .select('targetId')
+      .lean();
+    return restrictions.map(restriction => restriction.targetId);
+  }
+
+  /**
+   * 获取屏蔽了该玩家的用户ID列表，推送频道消息时排除这些玩家
+   * @param {string} senderId - 发送者ID
+   * @returns {Promise<Array<string>>} 屏蔽了发送者的用户ID
+   */
+  static async getBlockerIds(senderId) {
+    const restrictions = await ChatRestriction.find({ type: RESTRICTION_TYPE.BLOCK, targetId: senderId })
+      .select('userId')
+      .lean();
+    return restrictions.map(restriction => restriction.userId.toString());
+  }
+
+  /**
+   * 两名玩家之间是否存在任一方向的屏蔽，好友申请和对战邀请同样使用该屏蔽名单
+   * @param {string} userId - 用户ID
+   * @param {string} targetId - 对方用户ID
+   * @returns {Promise<boolean>} 是否被屏蔽
+   */
+  static async isBlockedEitherWay(userId, targetId) {
+    const restriction = await ChatRestriction.exists({
+      type: RESTRICTION_TYPE.BLOCK,
+      $or: [
+        { userId, targetId },
+        { userId: targetId, targetId: userId }
+      ]
+    });
+    return !!restriction;
+  }
+
+  /**
+   * 格式化消息
+   * @private
+   * @param {Object} message - 消息文档
+   * @returns {Object} 返回给客户端的消息
+   */
+  static formatMessage(message) {
+    return {
+      id: message._id.toString(),
+      channel: message.channel,
+      channelType: message.channelType,
+      senderId: message.senderId.toString(),
+      senderName: message.senderName,
+      recipientId: message.recipientId ? message.recipientId.toString() : null,
+      content: message.content,
+      deleted: !!message.deleted,
+      createdAt: message.createdAt
+    };
+  }
+}
+
+module.exports = ChatService;
@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GameContent = require('../../models/gameContent.model');
+const { CONTENT_STATUS } = require('../../models/gameContent.model');
+const { ITEM_TEMPLATES, ITEM_TYPE, BIND_TYPE, USE_EFFECT } = require('../data/items');
+const { EQUIPMENT_SETS } = require('../data/equipmentSets');
+const { SKINS } = require('../data/skins');
+const logger = require('../../utils/logger');
+
+// 装备、套装和宝石可以提供的属性
+const BONUS_ATTRIBUTES = [
+  'hp', 'mp', 'attack', 'defense', 'magicPower', 'speed',
+  'critRate', 'critDamage', 'dodgeRate', 'accuracy'
+];
+
+// 皮肤效果可以使用的字段
+const SKIN_EFFECT_FIELDS = [
+  'attack', 'defense', 'hp', 'mp',
+  'attackMultiplier', 'defenseMultiplier', 'hpMultiplier', 'mpMultiplier'
+];
+
+// 商店售价可使用的货币
+const PRICE_CURRENCIES = ['gold', 'diamond'];
+
+/**
+ * 内容操作错误，用于在事务中中止并返回错误码
+ */
+class ContentError extends Error {
+  constructor(reason, details) {
+    super(reason);
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+/**
+ * 生成内容摘要
+ * @param {Object} content - 内容快照
+ * @returns {string} 摘要
+ */
+function computeChecksum(content) {
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * 游戏内容库 - 物品、套装和皮肤定义的版本管理
+ * 运行时读取内存中的已发布版本，没有发布过任何版本时使用代码内置的默认内容
+ * 发布新版本后本实例立即重新加载，其他实例由定时任务检测到版本变化后热更新
+ */
+class ContentStore {
+  static CONTENT_STATUS = CONTENT_STATUS;
+
+  // 当前生效的内容
+  static current = {
+    version: 0,
+    checksum: null,
+    items: ITEM_TEMPLATES,
+    sets: EQUIPMENT_SETS,
+    skins: SKINS
+  };
+
+  /**
+   * 获取物品模板
+   * @param {string} templateId - 模板ID
+   * @returns {Object|undefined} 物品模板
+   */
+  static getItemTemplate(templateId) {
+    return this.current.items[templateId];
+  }
+
+  /**
+   * 获取套装定义
+   * @param {string} setId - 套装ID
+   * @returns {Object|undefined} 套装定义
+   */
+  static getSet(setId) {
+    return this.current.sets[setId];
+  }
+
+  /**
+   * 获取皮肤定义
+   * @param {string} skinId - 皮肤ID
+   * @returns {Object|undefined} 皮肤定义
+   */
+  static getSkin(skinId) {
+    return this.current.skins[skinId];
+  }
+
+  /**
+   * 获取当前生效的内容版本
+   * @returns {Object} { version, checksum }
+   */
+  static getCurrentVersion() {
+    return { version: this.current.version, checksum: this.current.checksum };
+  }
+
+  /**
+   * 检查是否有新发布的版本，有则热更新
+   * @returns {boolean} 是否发生了更新
+   */
+  static async refresh() {
+    const latest = await GameContent.findOne({ status: CONTENT_STATUS.PUBLISHED })
+      .select('version checksum')
+      .lean();
+
+    if (!latest || latest.version === this.current.version) {
+      return false;
+    }
+
+    return this.load(latest.version);
+  }
+
+  /**
+   * 加载指定版本到内存
+   * @param {number} version - 版本号
+   * @returns {boolean} 是否加载成功
+   */
+  static async load(version) {
+    const doc = await GameContent.findOne({ version }).lean();
+    if (!doc) {
+      return false;
+    }
+
+    const previous = this.current.version;
+    this.current = {
+      version: doc.version,
+      checksum: doc.checksum,
+      items: doc.content.items || {},
+      sets: doc.content.sets || {},
+      skins: doc.content.skins || {}
+    };
+
+    logger.info('游戏内容已热更新', { from: previous, to: doc.version, checksum: doc.checksum });
+    return true;
+  }
+
+  /**
+   * 列出内容版本
+   * @param {Object} query - 查询条件 { status, page, limit }
+   * @returns {Object} 版本列表
+   */
+  static async listVersions(query = {}) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+
+    const filter = {};
+    if (query.status && Object.values(CONTENT_STATUS).includes(query.status)) {
+      filter.status = query.status;
+    }
+
+    const [versions, total] = await Promise.all([
+      GameContent.find(filter)
+        .select('-content')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      GameContent.countDocuments(filter)
+    ]);
+
+    return {
+      success: true,
+      current: this.getCurrentVersion(),
+      versions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * 获取指定版本的完整内容
+   * @param {number} version - 版本号
+   * @returns {Object} 操作结果
+   */
+  static async getVersion(version) {
+    const doc = await GameContent.findOne({ version }).lean();
+    if (!doc) {
+      return { success: false, reason: 'VERSION_NOT_FOUND' };
+    }
+
+    return { success: true, content: doc };
+  }
+
+  /**
+   * 创建草稿，未提供内容时复制当前生效的内容
+   * @param {Object} content - 内容快照 { items, sets, skins }
+   * @param {string} adminId - 创建者ID
+   * @param {string} notes - 版本说明
+   * @returns {Object} 操作结果
+   */
+  static async createDraft(content, adminId, notes) {
+    const source = content || {
+      items: this.current.items,
+      sets: this.current.sets,
+      skins: this.current.skins
+    };
+
+    const shapeErrors = this.checkShape(source);
+    if (shapeErrors.length > 0) {
+      return { success: false, reason: 'INVALID_CONTENT', errors: shapeErrors };
+    }
+
+    const latest = await GameContent.findOne().sort({ version: -1 }).select('version').lean();
+    const normalized = { items: source.items, sets: source.sets, skins: source.skins };
+
+    try {
+      const draft = await GameContent.create({
+        version: (latest ? latest.version : 0) + 1,
+        content: normalized,
+        checksum: computeChecksum(normalized),
+        notes,
+        createdBy: adminId
+      });
+
+      logger.info('游戏内容草稿已创建', { version: draft.version, adminId });
+      return { success: true, version: draft.version, checksum: draft.checksum };
+    } catch (error) {
+      // 并发创建时版本号冲突
+      if (error.code === 11000) {
+        return { success: false, reason: 'VERSION_CONFLICT' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 更新草稿内容
+   * @param {number} version - 版本号
+   * @param {Object} content - 内容快照 { items, sets, skins }
+   * @param {string} notes - 版本说明
+   * @returns {Object} 操作结果
+   */
+  static async updateDraft(version, content, notes) {
+    const shapeErrors = this.checkShape(content);
+    if (shapeErrors.length > 0) {
+      return { success: false, reason: 'INVALID_CONTENT', errors: shapeErrors };
+    }
+
+    const normalized = { items: content.items, sets: content.sets, skins: content.skins };
+    const update = { content: normalized, checksum: computeChecksum(normalized) };
+    if (notes !== undefined) {
+      update.notes = notes;
+    }
+
+    const draft = await GameContent.findOneAndUpdate(
+      { version, status: CONTENT_STATUS.DRAFT },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!draft) {
+      const exists = await GameContent.exists({ version });
+      return { success: false, reason: exists ? 'NOT_A_DRAFT' : 'VERSION_NOT_FOUND' };
+    }
+
+    return { success: true, version: draft.version, checksum: draft.checksum };
+  }
+
+  /**
+   * 校验指定版本的内容
+   * @param {number} version - 版本号
+   * @returns {Object} { success, valid, errors }
+   */
+  static async validateVersion(version) {
+    const doc = await GameContent.findOne({ version }).lean();
+    if (!doc) {
+      return { success: false, reason: 'VERSION_NOT_FOUND' };
+    }
+
+    const errors = this.validateContent(doc.content);
+    return { success: true, version, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 发布版本，原发布版本转为归档
+   * 归档版本可以重新发布，用于回滚
+   * @param {number} version - 版本号
+   * @param {string} adminId - 发布者ID
+   * @returns {Object} 操作结果
+   */
+  static async publish(version, adminId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const doc = await GameContent.findOne({ version }).session(session);
+      if (!doc) {
+        throw new ContentError('VERSION_NOT_FOUND');
+      }
+
+      if (doc.status === CONTENT_STATUS.PUBLISHED) {
+        throw new ContentError('ALREADY_PUBLISHED');
+      }
+
+      const errors = this.validateContent(doc.content);
+      if (errors.length > 0) {
+        throw new ContentError('INVALID_CONTENT', errors);
+      }
+
+      await GameContent.updateMany(
+        { status: CONTENT_STATUS.PUBLISHED },
+        { $set: { status: CONTENT_STATUS.ARCHIVED } },
+        { session }
+      );
+
+      doc.status = CONTENT_STATUS.PUBLISHED;
+      doc.publishedBy = adminId;
+      doc.publishedAt = new Date();
+      await doc.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+
+      if (error instanceof ContentError) {
+        return { success: false, reason: error.reason, errors: error.details };
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // 本实例立即生效，其他实例由定时任务热更新
+    await this.load(version);
+
+    logger.info('游戏内容版本已发布', { version, adminId });
+    return { success: true, version, checksum: this.current.checksum };
+  }
+
+  /**
+   * 检查内容的基本结构
+   * @private
+   */
+  static checkShape(content) {
+    const errors = [];
+    if (!content || typeof content !== 'object') {
+      return [{ path: '', message: '内容必须是对象' }];
+    }
+
+    for (const section of ['items', 'sets', 'skins']) {
+      const value = content[section];
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ path: section, message: '必须是以ID为键的对象' });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * 完整校验内容，返回所有错误
+   * @param {Object} content - 内容快照 { items, sets, skins }
+   * @returns {Array} 错误列表 [{ path, message }]
+   */
+  static validateContent(content) {
+    const errors = this.checkShape(content);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    // 延迟加载，避免与装备引擎循环依赖
+    const EquipmentEngine = require('../character/equipmentEngine');
+    const slots = Object.values(EquipmentEngine.EQUIPMENT_SLOTS);
+    const qualities = Object.keys(EquipmentEngine.QUALITY_MULTIPLIERS);
+
+    const error = (path, message) => errors.push({ path, message });
+    const checkAttributes = (path, attributes) => {
+      if (!attributes || typeof attributes !== 'object') {
+        error(path, '属性必须是对象');
+        return;
+      }
+      for (const [attr, value] of Object.entries(attributes)) {
+        if (!BONUS_ATTRIBUTES.includes(attr)) {
+          error(`${path}.${attr}`, '未知属性');
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          error(`${path}.${attr}`, '属性值必须是数字');
+        }
+      }
+    };
+
+    const { items, sets, skins } = content;
+
+    for (const [id, item] of Object.entries(items)) {
+      const path = `items.${id}`;
+      if (!item || item.id !== id) {
+        error(path, '模板ID必须与键一致');
+        continue;
+      }
+      if (!item.name) error(`${path}.name`, '缺少名称');
+      if (!Object.values(ITEM_TYPE).includes(item.type)) error(`${path}.type`, '未知物品类型');
+      if (!Object.values(BIND_TYPE).includes(item.bindType)) error(`${path}.bindType`, '未知绑定规则');
+      if (!Number.isInteger(item.maxStack) || item.maxStack < 1) error(`${path}.maxStack`, '堆叠上限必须是正整数');
+      if (!item.stackable && item.maxStack !== 1) error(`${path}.maxStack`, '不可堆叠物品的堆叠上限必须为1');
+      if (!Number.isInteger(item.sellPrice) || item.sellPrice < 0) error(`${path}.sellPrice`, '出售价必须是非负整数');
+
+      if (item.price !== undefined) {
+        if (!Number.isInteger(item.price) || item.price <= 0) error(`${path}.price`, '售价必须是正整数');
+        if (!PRICE_CURRENCIES.includes(item.currencyType)) error(`${path}.currencyType`, '不支持的货币类型');
+      }
+
+      if (item.type === ITEM_TYPE.EQUIPMENT) {
+        if (item.stackable) error(`${path}.stackable`, '装备不可堆叠');
+        if (!slots.includes(item.slot)) error(`${path}.slot`, '未知装备槽位');
+        if (!qualities.includes(item.quality)) error(`${path}.quality`, '未知品质');
+        checkAttributes(`${path}.baseAttributes`, item.baseAttributes);
+        if (item.enhanceBonus !== undefined) checkAttributes(`${path}.enhanceBonus`, item.enhanceBonus);
+        if (item.sockets !== undefined && (!Number.isInteger(item.sockets) || item.sockets < 0)) {
+          error(`${path}.sockets`, '宝石孔数必须是非负整数');
+        }
+        if (item.setId && !sets[item.setId]) error(`${path}.setId`, '引用的套装不存在');
+      }
+
+      if (item.type === ITEM_TYPE.GEM) {
+        checkAttributes(`${path}.gemAttributes`, item.gemAttributes);
+      }
+
+      if (item.useEffect) {
+        const effect = item.useEffect;
+        if (!Object.values(USE_EFFECT).includes(effect.type)) {
+          error(`${path}.useEffect.type`, '未知使用效果');
+        } else if (effect.type === USE_EFFECT.ITEMS) {
+          if (!Array.isArray(effect.items) || effect.items.length === 0) {
+            error(`${path}.useEffect.items`, '缺少产出物品');
+          } else {
+            effect.items.forEach((entry, i) => {
+              if (!entry || !items[entry.itemId]) error(`${path}.useEffect.items.${i}`, '引用的物品不存在');
+              if (!entry || !Number.isInteger(entry.quantity) || entry.quantity <= 0) {
+                error(`${path}.useEffect.items.${i}.quantity`, '数量必须是正整数');
+              }
+            });
+          }
+        } else if (!Number.isInteger(effect.amount) || effect.amount <= 0) {
+          error(`${path}.useEffect.amount`, '数量必须是正整数');
+        }
+      }
+    }
+
+    for (const [id, set] of Object.entries(sets)) {
+      const path = `sets.${id}`;
+      if (!set || set.id !== id) {
+        error(path, '套装ID必须与键一致');
+        continue;
+      }
+      if (!set.name) error(`${path}.name`, '缺少名称');
+      if (!set.tiers || typeof set.tiers !== 'object' || Object.keys(set.tiers).length === 0) {
+        error(`${path}.tiers`, '至少需要一档套装加成');
+        continue;
+      }
+      for (const [count, bonus] of Object.entries(set.tiers)) {
+        if (!/^\d+$/.test(count) || Number(count) < 2) {
+          error(`${path}.tiers.${count}`, '套装件数必须是不小于2的整数');
+        }
+        checkAttributes(`${path}.tiers.${count}`, bonus);
+      }
+    }
+
+    for (const [id, skin] of Object.entries(skins)) {
+      const path = `skins.${id}`;
+      if (!skin || skin.id !== id) {
+        error(path, '皮肤ID必须与键一致');
+        continue;
+      }
+      if (!skin.name) error(`${path}.name`, '缺少名称');
+      if (!qualities.includes(skin.rarity)) error(`${path}.rarity`, '未知稀有度');
+      for (const [field, value] of Object.entries(skin.effects || {})) {
+        if (!SKIN_EFFECT_FIELDS.includes(field)) {
+          error(`${path}.effects.${field}`, '未知皮肤效果');
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          error(`${path}.effects.${field}`, '效果值必须是数字');
+        }
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = ContentStore;
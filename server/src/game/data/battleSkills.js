@@ -0,0 +1,107 @@
+/**
+ * 回合制战斗技能数据
+ * 供 BattleAlgorithms 校验与结算技能使用，cooldown 以回合为单位
+ */
+
+// 技能目标类型
+const SKILL_TARGET = {
+  ENEMY: 'ENEMY', // 敌方单位
+  ALLY: 'ALLY',   // 友方单位（含自身）
+  SELF: 'SELF'    // 仅自身
+};
+
+// 伤害类型
+const DAMAGE_TYPE = {
+  PHYSICAL: 'PHYSICAL',
+  MAGICAL: 'MAGICAL'
+};
+
+// 技能数据（statusEffect 为命中后附加的状态效果）
+const BATTLE_SKILLS = {
+  skill1: {
+    id: 'skill1',
+    name: '火球术',
+    mpCost: 10,
+    cooldown: 2,
+    targetType: SKILL_TARGET.ENEMY,
+    damageType: DAMAGE_TYPE.MAGICAL,
+    power: 150,
+    statusEffect: { type: 'BURN', duration: 2, power: 10 }
+  },
+  skill2: {
+    id: 'skill2',
+    name: '治疗术',
+    mpCost: 15,
+    cooldown: 3,
+    targetType: SKILL_TARGET.ALLY,
+    healPower: 100
+  },
+  stun_strike: {
+    id: 'stun_strike',
+    name: '震荡打击',
+    mpCost: 20,
+    cooldown: 4,
+    targetType: SKILL_TARGET.ENEMY,
+    damageType: DAMAGE_TYPE.PHYSICAL,
+    power: 80,
+    statusEffect: { type: 'STUN', duration: 1 }
+  },
+  silence_seal: {
+    id: 'silence_seal',
+    name: '禁言封印',
+    mpCost: 15,
+    cooldown: 4,
+    targetType: SKILL_TARGET.ENEMY,
+    statusEffect: { type: 'SILENCE', duration: 2 }
+  },
+  venom_dart: {
+    id: 'venom_dart',
+    name: '淬毒飞镖',
+    mpCost: 12,
+    cooldown: 3,
+    targetType: SKILL_TARGET.ENEMY,
+    damageType: DAMAGE_TYPE.PHYSICAL,
+    power: 40,
+    statusEffect: { type: 'POISON', duration: 3, power: 15 }
+  },
+  arcane_shield: {
+    id: 'arcane_shield',
+    name: '奥术护盾',
+    mpCost: 20,
+    cooldown: 4,
+    targetType: SKILL_TARGET.SELF,
+    statusEffect: { type: 'SHIELD', duration: 2, power: 120 }
+  },
+  war_cry: {
+    id: 'war_cry',
+    name: '战吼',
+    mpCost: 15,
+    cooldown: 5,
+    targetType: SKILL_TARGET.SELF,
+    statusEffect: { type: 'ATTACK_UP', duration: 2, power: 30 }
+  },
+  stone_skin: {
+    id: 'stone_skin',
+    name: '石肤术',
+    mpCost: 15,
+    cooldown: 5,
+    targetType: SKILL_TARGET.ALLY,
+    statusEffect: { type: 'DEFENSE_UP', duration: 2, power: 25 }
+  }
+};
+
+/**
+ * 获取技能数据
+ * @param {string} skillId - 技能ID
+ * @returns {Object|undefined} 技能数据
+ */
+function getBattleSkill(skillId) {
+  return BATTLE_SKILLS[skillId];
+}
+
+module.exports = {
+  SKILL_TARGET,
+  DAMAGE_TYPE,
+  BATTLE_SKILLS,
+  getBattleSkill
+};
@@ -0,0 +1,66 @@
+/**
+ * 棋盘装备数据
+ * 自动战斗中可挂载到英雄身上的装备及其属性加成
+ */
+
+// 每个英雄最多可携带的装备数量
+const MAX_ITEMS_PER_UNIT = 3;
+
+// 装备数据（attackSpeed为百分比加成，startingMana为开局法力值）
+const COMBAT_ITEMS = {
+  bf_sword: {
+    id: 'bf_sword',
+    name: '暴风大剑',
+    stats: { attack: 15 }
+  },
+  chain_vest: {
+    id: 'chain_vest',
+    name: '锁子甲',
+    stats: { defense: 20 }
+  },
+  needlessly_large_rod: {
+    id: 'needlessly_large_rod',
+    name: '无用大棒',
+    stats: { magicPower: 20 }
+  },
+  tear_of_goddess: {
+    id: 'tear_of_goddess',
+    name: '女神之泪',
+    stats: { startingMana: 15 }
+  },
+  giants_belt: {
+    id: 'giants_belt',
+    name: '巨人腰带',
+    stats: { health: 150 }
+  },
+  recurve_bow: {
+    id: 'recurve_bow',
+    name: '反曲之弓',
+    stats: { attackSpeed: 0.1 }
+  },
+  negatron_cloak: {
+    id: 'negatron_cloak',
+    name: '负极斗篷',
+    stats: { magicResist: 20 }
+  },
+  sparring_gloves: {
+    id: 'sparring_gloves',
+    name: '拳套',
+    stats: { critChance: 0.1 }
+  }
+};
+
+/**
+ * 获取装备数据
+ * @param {string} itemId - 装备ID
+ * @returns {Object|undefined} 装备数据
+ */
+function getCombatItem(itemId) {
+  return COMBAT_ITEMS[itemId];
+}
+
+module.exports = {
+  MAX_ITEMS_PER_UNIT,
+  COMBAT_ITEMS,
+  getCombatItem
+};
@@ -0,0 +1,30 @@
+/**
+ * 装备套装数据（默认内容）
+ * 线上生效的套装定义以内容库发布的版本为准，见 game/content/contentStore.js
+ */
+
+// 套装定义，tiers 的键为所需件数，达到的每一档加成都会累加
+const EQUIPMENT_SETS = {
+  'warrior-set': {
+    id: 'warrior-set',
+    name: '战士套装',
+    tiers: {
+      2: { defense: 20 },
+      3: { defense: 30, attack: 15 },
+      5: { defense: 50, attack: 30, hp: 200 }
+    }
+  },
+  'mage-set': {
+    id: 'mage-set',
+    name: '法师套装',
+    tiers: {
+      2: { magicPower: 15 },
+      3: { magicPower: 25, mp: 100 },
+      5: { magicPower: 40, mp: 200, critRate: 5 }
+    }
+  }
+};
+
+module.exports = {
+  EQUIPMENT_SETS
+};
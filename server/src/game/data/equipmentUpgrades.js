@@ -0,0 +1,87 @@
+/**
+ * 装备强化、精炼和镶嵌规则数据
+ */
+
+// 强化失败后果
+const FAILURE_OUTCOME = {
+  NONE: 'none',           // 无变化
+  DOWNGRADE: 'downgrade', // 等级下降一级
+  DESTROY: 'destroy'      // 按 destroyRate 概率破碎，未破碎则降级
+};
+
+// 强化失败时可消耗保护卷轴，避免降级和破碎
+const PROTECTION_ITEM_ID = 'protection_scroll';
+
+// 强化规则，下标为目标等级 - 1
+// successRate 成功率，gold 金币消耗，materials 材料消耗，failure 失败后果
+const ENHANCE_LEVELS = [
+  { successRate: 1.0, gold: 200, materials: [{ itemId: 'enhance_stone', quantity: 1 }], failure: FAILURE_OUTCOME.NONE },
+  { successRate: 0.95, gold: 400, materials: [{ itemId: 'enhance_stone', quantity: 1 }], failure: FAILURE_OUTCOME.NONE },
+  { successRate: 0.9, gold: 600, materials: [{ itemId: 'enhance_stone', quantity: 2 }], failure: FAILURE_OUTCOME.NONE },
+  { successRate: 0.8, gold: 800, materials: [{ itemId: 'enhance_stone', quantity: 2 }], failure: FAILURE_OUTCOME.NONE },
+  { successRate: 0.7, gold: 1000, materials: [{ itemId: 'enhance_stone', quantity: 3 }], failure: FAILURE_OUTCOME.NONE },
+  { successRate: 0.6, gold: 1500, materials: [{ itemId: 'enhance_stone', quantity: 3 }], failure: FAILURE_OUTCOME.NONE },
+  { successRate: 0.5, gold: 2000, materials: [{ itemId: 'enhance_stone', quantity: 4 }], failure: FAILURE_OUTCOME.DOWNGRADE },
+  { successRate: 0.45, gold: 2500, materials: [{ itemId: 'enhance_stone', quantity: 5 }], failure: FAILURE_OUTCOME.DOWNGRADE },
+  { successRate: 0.4, gold: 3000, materials: [{ itemId: 'enhance_stone', quantity: 6 }], failure: FAILURE_OUTCOME.DOWNGRADE },
+  { successRate: 0.35, gold: 4000, materials: [{ itemId: 'enhance_stone', quantity: 8 }], failure: FAILURE_OUTCOME.DOWNGRADE },
+  { successRate: 0.3, gold: 5000, materials: [{ itemId: 'enhance_stone', quantity: 10 }], failure: FAILURE_OUTCOME.DESTROY, destroyRate: 0.2 },
+  { successRate: 0.25, gold: 6500, materials: [{ itemId: 'enhance_stone', quantity: 12 }], failure: FAILURE_OUTCOME.DESTROY, destroyRate: 0.25 },
+  { successRate: 0.2, gold: 8000, materials: [{ itemId: 'enhance_stone', quantity: 15 }], failure: FAILURE_OUTCOME.DESTROY, destroyRate: 0.3 },
+  { successRate: 0.15, gold: 10000, materials: [{ itemId: 'enhance_stone', quantity: 18 }], failure: FAILURE_OUTCOME.DESTROY, destroyRate: 0.35 },
+  { successRate: 0.1, gold: 15000, materials: [{ itemId: 'enhance_stone', quantity: 20 }], failure: FAILURE_OUTCOME.DESTROY, destroyRate: 0.4 }
+];
+
+// 精炼规则，下标为目标精炼等级 - 1，失败时消耗材料但等级不变
+// attributeRate 为基础属性的累计提升比例
+const REFINE_LEVELS = [
+  { successRate: 0.8, gold: 1000, materials: [{ itemId: 'refine_crystal', quantity: 1 }], attributeRate: 0.05 },
+  { successRate: 0.65, gold: 2000, materials: [{ itemId: 'refine_crystal', quantity: 2 }], attributeRate: 0.1 },
+  { successRate: 0.5, gold: 4000, materials: [{ itemId: 'refine_crystal', quantity: 3 }], attributeRate: 0.16 },
+  { successRate: 0.35, gold: 7000, materials: [{ itemId: 'refine_crystal', quantity: 5 }], attributeRate: 0.23 },
+  { successRate: 0.2, gold: 12000, materials: [{ itemId: 'refine_crystal', quantity: 8 }], attributeRate: 0.3 }
+];
+
+// 拆除宝石的金币消耗，拆下的宝石返还背包
+const UNSOCKET_GOLD_COST = 500;
+
+/**
+ * 获取强化到目标等级的规则
+ * @param {number} targetLevel - 目标等级
+ * @returns {Object|undefined} 强化规则
+ */
+function getEnhanceRule(targetLevel) {
+  return ENHANCE_LEVELS[targetLevel - 1];
+}
+
+/**
+ * 获取精炼到目标等级的规则
+ * @param {number} targetLevel - 目标精炼等级
+ * @returns {Object|undefined} 精炼规则
+ */
+function getRefineRule(targetLevel) {
+  return REFINE_LEVELS[targetLevel - 1];
+}
+
+/**
+ * 获取精炼等级对应的基础属性提升比例
+ * @param {number} refineLevel - 精炼等级
+ * @returns {number} 提升比例
+ */
+function getRefineRate(refineLevel) {
+  const rule = REFINE_LEVELS[refineLevel - 1];
+  return rule ? rule.attributeRate : 0;
+}
+
+module.exports = {
+  FAILURE_OUTCOME,
+  PROTECTION_ITEM_ID,
+  ENHANCE_LEVELS,
+  REFINE_LEVELS,
+  MAX_ENHANCE_LEVEL: ENHANCE_LEVELS.length,
+  MAX_REFINE_LEVEL: REFINE_LEVELS.length,
+  UNSOCKET_GOLD_COST,
+  getEnhanceRule,
+  getRefineRule,
+  getRefineRate
+};
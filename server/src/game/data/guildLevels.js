@@ -0,0 +1,113 @@
+/**
+ * 公会等级、等级特权和公会增益数据
+ */
+
+// 公会等级上限
+const MAX_GUILD_LEVEL = 100;
+
+// 公会特权
+const GUILD_PERK = {
+  DONATION_CAP_BONUS: 'donation_cap_bonus', // 成员每日捐献上限提升50%
+  BUFF_DISCOUNT: 'buff_discount'            // 购买公会增益的资金消耗降低20%
+};
+
+// 特权效果数值
+const PERK_VALUES = {
+  [GUILD_PERK.DONATION_CAP_BONUS]: 0.5,
+  [GUILD_PERK.BUFF_DISCOUNT]: 0.2
+};
+
+// 等级里程碑：达到等级后解锁对应的成员上限和特权，特权逐级累积
+const LEVEL_MILESTONES = [
+  { level: 1, memberLimit: 50, perks: [] },
+  { level: 5, memberLimit: 60, perks: [GUILD_PERK.DONATION_CAP_BONUS] },
+  { level: 10, memberLimit: 70, perks: [GUILD_PERK.BUFF_DISCOUNT] },
+  { level: 20, memberLimit: 80, perks: [] },
+  { level: 30, memberLimit: 90, perks: [] },
+  { level: 50, memberLimit: 100, perks: [] }
+];
+
+// 公会增益效果类型
+const BUFF_EFFECT = {
+  GUILD_WAR_POINTS: 'guild_war_points',         // 公会战胜场积分加成
+  DONATION_CONTRIBUTION: 'donation_contribution', // 捐献获得的贡献加成
+  DONATION_EXPERIENCE: 'donation_experience'    // 捐献获得的公会经验加成
+};
+
+// 公会增益，由会长或干部消耗公会资金开启，同一增益生效期间不能重复开启
+const GUILD_BUFFS = {
+  generous_heart: {
+    id: 'generous_heart',
+    name: '慷慨之心',
+    description: '成员捐献获得的公会贡献提升20%',
+    requiredLevel: 2,
+    cost: 2000,
+    durationHours: 24,
+    effect: { type: BUFF_EFFECT.DONATION_CONTRIBUTION, value: 0.2 }
+  },
+  war_drums: {
+    id: 'war_drums',
+    name: '战鼓',
+    description: '公会战中成员胜场积分提升20%',
+    requiredLevel: 3,
+    cost: 3000,
+    durationHours: 48,
+    effect: { type: BUFF_EFFECT.GUILD_WAR_POINTS, value: 0.2 }
+  },
+  guild_blessing: {
+    id: 'guild_blessing',
+    name: '公会祝福',
+    description: '成员捐献获得的公会经验提升25%',
+    requiredLevel: 5,
+    cost: 5000,
+    durationHours: 24,
+    effect: { type: BUFF_EFFECT.DONATION_EXPERIENCE, value: 0.25 }
+  }
+};
+
+/**
+ * 获取升到下一级所需的经验
+ * @param {number} level - 当前等级
+ * @returns {number} 所需经验
+ */
+function getLevelUpExperience(level) {
+  return Math.floor(1000 * Math.pow(1.5, level - 1));
+}
+
+/**
+ * 获取指定等级解锁的成员上限、特权和增益
+ * @param {number} level - 公会等级
+ * @returns {Object} { memberLimit, perks, buffs }
+ */
+function getLevelBenefits(level) {
+  const reached = LEVEL_MILESTONES.filter(milestone => milestone.level <= level);
+
+  return {
+    memberLimit: reached[reached.length - 1].memberLimit,
+    perks: reached.flatMap(milestone => milestone.perks),
+    buffs: Object.values(GUILD_BUFFS)
+      .filter(buff => buff.requiredLevel <= level)
+      .map(buff => buff.id)
+  };
+}
+
+/**
+ * 获取公会增益定义
+ * @param {string} buffId - 增益ID
+ * @returns {Object|undefined} 增益定义
+ */
+function getGuildBuff(buffId) {
+  return Object.prototype.hasOwnProperty.call(GUILD_BUFFS, buffId) ? GUILD_BUFFS[buffId] : undefined;
+}
+
+module.exports = {
+  MAX_GUILD_LEVEL,
+  GUILD_PERK,
+  PERK_VALUES,
+  LEVEL_MILESTONES,
+  BUFF_EFFECT,
+  GUILD_BUFFS,
+  getLevelUpExperience,
+  getLevelBenefits,
+  getGuildBuff
+};
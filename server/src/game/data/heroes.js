@@ -0,0 +1,96 @@
+/**
+ * 英雄与羁绊数据
+ * 加载时直接读取 taro-game-app/src/models/CharacterStats.ts 中的枚举、CHARACTERS 和 SYNERGY_EFFECTS，
+ * 客户端文件是英雄数据的唯一来源，修改英雄数值只需改动客户端一处
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE_FILE = path.resolve(__dirname, '../../../../taro-game-app/src/models/CharacterStats.ts');
+
+/**
+ * 解析 TypeScript 字符串枚举
+ * @param {string} source - 源码
+ * @param {string} name - 枚举名
+ * @returns {Object} { KEY: value }
+ */
+function parseEnum(source, name) {
+  const match = source.match(new RegExp(`export enum ${name} \\{([\\s\\S]*?)\\n\\}`));
+  if (!match) {
+    throw new Error(`${SOURCE_FILE} 缺少枚举 ${name}`);
+  }
+
+  const values = {};
+  for (const [, key, value] of match[1].matchAll(/(\w+)\s*=\s*'([^']*)'/g)) {
+    values[key] = value;
+  }
+  return Object.freeze(values);
+}
+
+/**
+ * 解析导出的数组常量，数组字面量中只允许引用枚举
+ * @param {string} source - 源码
+ * @param {string} name - 常量名
+ * @param {Object} enums - 枚举值
+ * @returns {Array} 数组内容
+ */
+function parseArray(source, name, enums) {
+  const match = source.match(new RegExp(`export const ${name}: \\w+\\[\\] = (\\[[\\s\\S]*?\\n\\]);`));
+  if (!match) {
+    throw new Error(`${SOURCE_FILE} 缺少常量 ${name}`);
+  }
+
+  // 经 JSON 转换为当前上下文的普通对象，避免跨上下文的原型差异
+  return JSON.parse(JSON.stringify(vm.runInNewContext(`(${match[1]})`, { ...enums })));
+}
+
+const source = fs.readFileSync(SOURCE_FILE, 'utf8');
+
+const enums = {
+  CharacterClass: parseEnum(source, 'CharacterClass'),
+  CharacterRace: parseEnum(source, 'CharacterRace'),
+  SkillType: parseEnum(source, 'SkillType'),
+  TargetType: parseEnum(source, 'TargetType'),
+  EffectType: parseEnum(source, 'EffectType')
+};
+
+// 角色职业、种族、技能类型、技能目标类型、技能效果类型
+const CHARACTER_CLASS = enums.CharacterClass;
+const CHARACTER_RACE = enums.CharacterRace;
+const SKILL_TYPE = enums.SkillType;
+const TARGET_TYPE = enums.TargetType;
+const EFFECT_TYPE = enums.EffectType;
+
+// 英雄数据
+const CHARACTERS = parseArray(source, 'CHARACTERS', enums);
+
+// 羁绊数据
+const SYNERGY_EFFECTS = parseArray(source, 'SYNERGY_EFFECTS', enums);
+
+// 按ID索引的英雄表
+const CHARACTER_MAP = CHARACTERS.reduce((map, character) => {
+  map[character.id] = character;
+  return map;
+}, {});
+
+/**
+ * 获取英雄数据
+ * @param {string} heroId - 英雄ID
+ * @returns {Object|undefined} 英雄数据
+ */
+function getCharacter(heroId) {
+  return CHARACTER_MAP[heroId];
+}
+
+module.exports = {
+  CHARACTER_CLASS,
+  CHARACTER_RACE,
+  SKILL_TYPE,
+  TARGET_TYPE,
+  EFFECT_TYPE,
+  CHARACTERS,
+  SYNERGY_EFFECTS,
+  getCharacter
+};
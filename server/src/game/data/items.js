@@ -0,0 +1,233 @@
+/**
+ * 物品模板数据（默认内容）
+ * 背包中的物品实例通过 templateId 关联到物品模板
+ * 线上生效的模板以内容库发布的版本为准，运行时请通过 ContentStore.getItemTemplate 查询
+ */
+
+// 物品类型
+const ITEM_TYPE = {
+  CONSUMABLE: 'consumable', // 消耗品
+  MATERIAL: 'material',     // 材料
+  EQUIPMENT: 'equipment',   // 装备
+  GEM: 'gem',               // 宝石
+  CHEST: 'chest'            // 宝箱
+};
+
+// 绑定规则
+const BIND_TYPE = {
+  NONE: 'none',                     // 不绑定，可自由交易
+  BIND_ON_PICKUP: 'bind_on_pickup'  // 获得即绑定
+};
+
+// 使用效果类型
+const USE_EFFECT = {
+  CURRENCY: 'currency', // 获得货币
+  ITEMS: 'items',       // 获得物品
+  EXP: 'exp'            // 获得经验
+};
+
+// 物品模板
+// price/currencyType 为商店售价（无售价表示不可购买），sellPrice 为出售给系统的金币价格（0表示不可出售）
+// 装备额外定义 slot、quality、levelRequirement、baseAttributes、enhanceBonus（每强化一级的加成）、sockets（宝石孔数）和 setId
+// 宝石通过 gemAttributes 定义镶嵌后的属性加成
+const ITEM_TEMPLATES = {
+  health_potion: {
+    id: 'health_potion',
+    name: '治疗药水',
+    type: ITEM_TYPE.CONSUMABLE,
+    stackable: true,
+    maxStack: 99,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 50,
+    currencyType: 'gold',
+    sellPrice: 10
+  },
+  exp_potion: {
+    id: 'exp_potion',
+    name: '经验药水',
+    type: ITEM_TYPE.CONSUMABLE,
+    stackable: true,
+    maxStack: 99,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 200,
+    currencyType: 'gold',
+    sellPrice: 40,
+    useEffect: { type: USE_EFFECT.EXP, amount: 10 }
+  },
+  gold_pouch: {
+    id: 'gold_pouch',
+    name: '金币袋',
+    type: ITEM_TYPE.CONSUMABLE,
+    stackable: true,
+    maxStack: 99,
+    bindType: BIND_TYPE.BIND_ON_PICKUP,
+    tradeable: false,
+    sellPrice: 0,
+    useEffect: { type: USE_EFFECT.CURRENCY, currencyType: 'gold', amount: 500 }
+  },
+  equipment_chest: {
+    id: 'equipment_chest',
+    name: '高级装备箱',
+    type: ITEM_TYPE.CHEST,
+    stackable: true,
+    maxStack: 20,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 100,
+    currencyType: 'diamond',
+    sellPrice: 0,
+    useEffect: {
+      type: USE_EFFECT.ITEMS,
+      items: [
+        { itemId: 'iron_sword', quantity: 1 },
+        { itemId: 'enhance_stone', quantity: 5 }
+      ]
+    }
+  },
+  enhance_stone: {
+    id: 'enhance_stone',
+    name: '强化石',
+    type: ITEM_TYPE.MATERIAL,
+    stackable: true,
+    maxStack: 999,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 100,
+    currencyType: 'gold',
+    sellPrice: 20
+  },
+  protection_scroll: {
+    id: 'protection_scroll',
+    name: '保护卷轴',
+    type: ITEM_TYPE.MATERIAL,
+    stackable: true,
+    maxStack: 99,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 20,
+    currencyType: 'diamond',
+    sellPrice: 0
+  },
+  refine_crystal: {
+    id: 'refine_crystal',
+    name: '精炼水晶',
+    type: ITEM_TYPE.MATERIAL,
+    stackable: true,
+    maxStack: 999,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 300,
+    currencyType: 'gold',
+    sellPrice: 60
+  },
+  ruby_gem: {
+    id: 'ruby_gem',
+    name: '红宝石',
+    type: ITEM_TYPE.GEM,
+    stackable: true,
+    maxStack: 99,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 1500,
+    currencyType: 'gold',
+    sellPrice: 300,
+    gemAttributes: { attack: 8 }
+  },
+  sapphire_gem: {
+    id: 'sapphire_gem',
+    name: '蓝宝石',
+    type: ITEM_TYPE.GEM,
+    stackable: true,
+    maxStack: 99,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 1500,
+    currencyType: 'gold',
+    sellPrice: 300,
+    gemAttributes: { defense: 8 }
+  },
+  emerald_gem: {
+    id: 'emerald_gem',
+    name: '翡翠',
+    type: ITEM_TYPE.GEM,
+    stackable: true,
+    maxStack: 99,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 1500,
+    currencyType: 'gold',
+    sellPrice: 300,
+    gemAttributes: { hp: 60 }
+  },
+  iron_sword: {
+    id: 'iron_sword',
+    name: '精铁长剑',
+    type: ITEM_TYPE.EQUIPMENT,
+    stackable: false,
+    maxStack: 1,
+    bindType: BIND_TYPE.BIND_ON_PICKUP,
+    tradeable: false,
+    sellPrice: 150,
+    slot: 'weapon',
+    quality: 'RARE',
+    levelRequirement: 10,
+    baseAttributes: { attack: 50, critRate: 3 },
+    enhanceBonus: { attack: 4, critDamage: 1 },
+    sockets: 2,
+    setId: 'warrior-set'
+  },
+  steel_helmet: {
+    id: 'steel_helmet',
+    name: '精钢头盔',
+    type: ITEM_TYPE.EQUIPMENT,
+    stackable: false,
+    maxStack: 1,
+    bindType: BIND_TYPE.BIND_ON_PICKUP,
+    tradeable: false,
+    sellPrice: 100,
+    slot: 'helmet',
+    quality: 'RARE',
+    levelRequirement: 10,
+    baseAttributes: { defense: 25, hp: 100 },
+    enhanceBonus: { defense: 2, hp: 15 },
+    sockets: 1,
+    setId: 'warrior-set'
+  },
+  leather_armor: {
+    id: 'leather_armor',
+    name: '皮甲',
+    type: ITEM_TYPE.EQUIPMENT,
+    stackable: false,
+    maxStack: 1,
+    bindType: BIND_TYPE.NONE,
+    tradeable: true,
+    price: 800,
+    currencyType: 'gold',
+    sellPrice: 120,
+    slot: 'armor',
+    quality: 'UNCOMMON',
+    levelRequirement: 1,
+    baseAttributes: { defense: 20, hp: 80 },
+    enhanceBonus: { defense: 2, hp: 10 },
+    sockets: 1
+  }
+};
+
+/**
+ * 获取物品模板
+ * @param {string} templateId - 模板ID
+ * @returns {Object|undefined} 物品模板
+ */
+function getItemTemplate(templateId) {
+  return ITEM_TEMPLATES[templateId];
+}
+
+module.exports = {
+  ITEM_TYPE,
+  BIND_TYPE,
+  USE_EFFECT,
+  ITEM_TEMPLATES,
+  getItemTemplate
+};
@@ -0,0 +1,150 @@
+/**
+ * 每日/每周任务和活跃度宝箱数据
+ * 任务目标是游戏事件计数器，服务端在事件发生时累加进度，见 game/quest/questService.js
+ */
+
+// 任务周期
+const QUEST_PERIOD = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+// 推进任务进度的游戏事件
+const QUEST_EVENT = {
+  BATTLE_PLAYED: 'battle_played',           // 完成一场战斗（回合制或自走棋）
+  BATTLE_WON: 'battle_won',                 // 赢得一场战斗（自走棋为第一名）
+  GOLD_SPENT: 'gold_spent',                 // 消耗金币，按数量计
+  GUILD_DONATED: 'guild_donated',           // 公会捐献一次
+  EQUIPMENT_ENHANCED: 'equipment_enhanced'  // 强化装备一次，无论成败
+};
+
+// 任务模板，rewards 为货币奖励，activityPoints 为领取后获得的活跃度
+const QUESTS = {
+  daily_battle_3: {
+    id: 'daily_battle_3',
+    period: QUEST_PERIOD.DAILY,
+    name: '完成3场战斗',
+    event: QUEST_EVENT.BATTLE_PLAYED,
+    target: 3,
+    rewards: { gold: 100 },
+    activityPoints: 20
+  },
+  daily_win_1: {
+    id: 'daily_win_1',
+    period: QUEST_PERIOD.DAILY,
+    name: '赢得1场战斗',
+    event: QUEST_EVENT.BATTLE_WON,
+    target: 1,
+    rewards: { gold: 150 },
+    activityPoints: 20
+  },
+  daily_spend_gold: {
+    id: 'daily_spend_gold',
+    period: QUEST_PERIOD.DAILY,
+    name: '消耗1000金币',
+    event: QUEST_EVENT.GOLD_SPENT,
+    target: 1000,
+    rewards: { diamond: 10 },
+    activityPoints: 20
+  },
+  daily_guild_donate: {
+    id: 'daily_guild_donate',
+    period: QUEST_PERIOD.DAILY,
+    name: '完成一次公会捐献',
+    event: QUEST_EVENT.GUILD_DONATED,
+    target: 1,
+    rewards: { gold: 100 },
+    activityPoints: 20
+  },
+  daily_enhance: {
+    id: 'daily_enhance',
+    period: QUEST_PERIOD.DAILY,
+    name: '强化一次装备',
+    event: QUEST_EVENT.EQUIPMENT_ENHANCED,
+    target: 1,
+    rewards: { gold: 100 },
+    activityPoints: 20
+  },
+  weekly_win_15: {
+    id: 'weekly_win_15',
+    period: QUEST_PERIOD.WEEKLY,
+    name: '赢得15场战斗',
+    event: QUEST_EVENT.BATTLE_WON,
+    target: 15,
+    rewards: { diamond: 50 },
+    activityPoints: 30
+  },
+  weekly_spend_gold: {
+    id: 'weekly_spend_gold',
+    period: QUEST_PERIOD.WEEKLY,
+    name: '消耗20000金币',
+    event: QUEST_EVENT.GOLD_SPENT,
+    target: 20000,
+    rewards: { diamond: 30 },
+    activityPoints: 30
+  },
+  weekly_guild_donate: {
+    id: 'weekly_guild_donate',
+    period: QUEST_PERIOD.WEEKLY,
+    name: '完成5次公会捐献',
+    event: QUEST_EVENT.GUILD_DONATED,
+    target: 5,
+    rewards: { gold: 1000 },
+    activityPoints: 20
+  },
+  weekly_enhance: {
+    id: 'weekly_enhance',
+    period: QUEST_PERIOD.WEEKLY,
+    name: '强化10次装备',
+    event: QUEST_EVENT.EQUIPMENT_ENHANCED,
+    target: 10,
+    rewards: { gold: 1500 },
+    activityPoints: 20
+  }
+};
+
+// 活跃度宝箱，每个周期的活跃度只来自该周期的任务
+const ACTIVITY_CHESTS = {
+  daily_chest_40: { id: 'daily_chest_40', period: QUEST_PERIOD.DAILY, points: 40, rewards: { gold: 200 } },
+  daily_chest_60: { id: 'daily_chest_60', period: QUEST_PERIOD.DAILY, points: 60, rewards: { gold: 300 } },
+  daily_chest_100: { id: 'daily_chest_100', period: QUEST_PERIOD.DAILY, points: 100, rewards: { diamond: 20 } },
+  weekly_chest_50: { id: 'weekly_chest_50', period: QUEST_PERIOD.WEEKLY, points: 50, rewards: { gold: 2000 } },
+  weekly_chest_100: { id: 'weekly_chest_100', period: QUEST_PERIOD.WEEKLY, points: 100, rewards: { diamond: 80 } }
+};
+
+/**
+ * 获取任务模板
+ * @param {string} questId - 任务ID
+ * @returns {Object|undefined} 任务模板
+ */
+function getQuest(questId) {
+  return Object.prototype.hasOwnProperty.call(QUESTS, questId) ? QUESTS[questId] : undefined;
+}
+
+/**
+ * 获取活跃度宝箱
+ * @param {string} chestId - 宝箱ID
+ * @returns {Object|undefined} 宝箱定义
+ */
+function getActivityChest(chestId) {
+  return Object.prototype.hasOwnProperty.call(ACTIVITY_CHESTS, chestId) ? ACTIVITY_CHESTS[chestId] : undefined;
+}
+
+/**
+ * 获取由某个事件推进的任务
+ * @param {string} event - 游戏事件
+ * @returns {Object[]} 任务模板
+ */
+function getQuestsByEvent(event) {
+  return Object.values(QUESTS).filter(quest => quest.event === event);
+}
+
+module.exports = {
+  QUEST_PERIOD,
+  QUEST_EVENT,
+  QUESTS,
+  ACTIVITY_CHESTS,
+  getQuest,
+  getActivityChest,
+  getQuestsByEvent
+};
@@ -0,0 +1,27 @@
+/**
+ * 皮肤数据（默认内容）
+ * 线上生效的皮肤定义以内容库发布的版本为准，见 game/content/contentStore.js
+ */
+
+// 皮肤定义，effects 支持直接加成（attack/defense/hp/mp）和乘数加成（xxxMultiplier）
+const SKINS = {
+  skin1: {
+    id: 'skin1',
+    name: '黄金战士',
+    rarity: 'EPIC',
+    effects: {
+      attackMultiplier: 0.05,
+      defenseMultiplier: 0.03,
+      hpMultiplier: 0.08,
+      mpMultiplier: 0.04
+    },
+    visualEffects: {
+      weaponGlow: true,
+      specialAnimation: 'golden_aura'
+    }
+  }
+};
+
+module.exports = {
+  SKINS
+};
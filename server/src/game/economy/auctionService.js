@@ -0,0 +1,642 @@
+const Auction = require('../../models/auction.model');
+const { AUCTION_STATUS } = require('../../models/auction.model');
+const { SYSTEM_ACCOUNT_PREFIX } = require('../../models/ledger.model');
+const EconomyService = require('./economyService');
+const MailService = require('../mail/mailService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { logSecurityEvent } = require('../../security/middleware');
+
+// 拍卖托管账户：上架期间的出价都存放在此账户
+const ESCROW_ACCOUNT_ID = `${SYSTEM_ACCOUNT_PREFIX}auction_escrow`;
+// 拍卖税收账户
+const TAX_ACCOUNT_ID = `${SYSTEM_ACCOUNT_PREFIX}auction_tax`;
+
+/**
+ * 拍卖操作错误，用于在事务中中止并返回错误码
+ */
+class AuctionError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 拍卖行服务 - 物品上架、竞价、一口价和结算
+ * 物品上架后由系统托管，出价通过账本转入托管账户，成交后扣税结算给卖家
+ */
+class AuctionService {
+  static AUCTION_STATUS = AUCTION_STATUS;
+
+  /**
+   * 上架物品
+   * @param {string} sellerId - 卖家ID
+   * @param {Object} listing - 上架信息
+   * @param {string} listing.itemId - 物品ID
+   * @param {number} listing.quantity - 数量
+   * @param {string} listing.currencyType - 货币类型（gold / diamond）
+   * @param {number} listing.startPrice - 起拍价
+   * @param {number} listing.buyoutPrice - 一口价（可选）
+   * @param {number} listing.durationHours - 上架时长（小时）
+   * @param {Object} metadata - 请求元数据 { ip, deviceId }
+   * @returns {Object} 操作结果
+   */
+  static async createListing(sellerId, listing, metadata = {}) {
+    const { itemId, quantity = 1, startPrice, buyoutPrice, durationHours } = listing;
+
+    try {
+      const currencyType = EconomyService.normalizeCurrencyType(listing.currencyType);
+      if (!currencyType || !config.auction.currencies.includes(currencyType)) {
+        return { success: false, reason: 'INVALID_CURRENCY_TYPE' };
+      }
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return { success: false, reason: 'INVALID_QUANTITY' };
+      }
+
+      if (!Number.isInteger(startPrice) || startPrice <= 0) {
+        return { success: false, reason: 'INVALID_PRICE' };
+      }
+
+      const hasBuyout = buyoutPrice !== undefined && buyoutPrice !== null;
+      if (hasBuyout && (!Number.isInteger(buyoutPrice) || buyoutPrice < startPrice)) {
+        return { success: false, reason: 'INVALID_BUYOUT_PRICE' };
+      }
+
+      const { minDurationHours, maxDurationHours, maxActiveListings, taxRate } = config.auction;
+      if (typeof durationHours !== 'number' || durationHours < minDurationHours || durationHours > maxDurationHours) {
+        return { success: false, reason: 'INVALID_DURATION' };
+      }
+
+      const item = await EconomyService.getItemInfo(itemId);
+      if (!item) {
+        return { success: false, reason: 'ITEM_NOT_FOUND' };
+      }
+
+      const activeCount = await Auction.countDocuments({ sellerId, status: AUCTION_STATUS.ACTIVE });
+      if (activeCount >= maxActiveListings) {
+        return { success: false, reason: 'TOO_MANY_LISTINGS' };
+      }
+
+      // 按可能的最高成交价做卖家收入风控，拦截借拍卖行转移金币
+      const risk = await EconomyService.checkIncomeRisk(
+        sellerId,
+        currencyType,
+        hasBuyout ? buyoutPrice : startPrice,
+        EconomyService.TRANSACTION_TYPES.AUCTION_SALE,
+        this.buildSaleMetadata(item, quantity)
+      );
+
+      if (!risk.success) {
+        logSecurityEvent('AUCTION_LISTING_REJECTED', {
+          sellerId,
+          itemId,
+          quantity,
+          startPrice,
+          buyoutPrice,
+          currencyType,
+          reason: risk.reason,
+          ip: metadata.ip
+        });
+        return risk;
+      }
+
+      const auction = await EconomyService.runInTransaction(async (session) => {
+        // 物品从卖家背包转入托管
+        const removeResult = await EconomyService.removeItemFromInventory(sellerId, itemId, quantity, session);
+        if (!removeResult.success) {
+          throw new AuctionError(removeResult.reason || 'ITEM_NOT_OWNED');
+        }
+
+        const [created] = await Auction.create([{
+          sellerId,
+          item: { itemId, name: item.name, quantity },
+          currencyType,
+          startPrice,
+          buyoutPrice: hasBuyout ? buyoutPrice : undefined,
+          expiresAt: new Date(Date.now() + durationHours * 60 * 60 * 1000),
+          taxRate
+        }], { session });
+
+        return created;
+      });
+
+      logger.info('拍卖物品已上架', {
+        auctionId: auction._id.toString(),
+        sellerId: sellerId.toString(),
+        itemId,
+        quantity,
+        currencyType,
+        startPrice,
+        buyoutPrice
+      });
+
+      return { success: true, auction: auction.toObject() };
+    } catch (error) {
+      if (error instanceof AuctionError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logSecurityEvent('AUCTION_LISTING_ERROR', { sellerId, itemId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 出价，出价达到一口价时直接成交
+   * @param {string} bidderId - 出价者ID
+   * @param {string} auctionId - 拍卖ID
+   * @param {number} amount - 出价金额
+   * @param {Object} metadata - 请求元数据 { ip, deviceId }
+   * @returns {Object} 操作结果
+   */
+  static async placeBid(bidderId, auctionId, amount, metadata = {}) {
+    try {
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return { success: false, reason: 'INVALID_AMOUNT' };
+      }
+
+      const auction = await Auction.findById(auctionId);
+      if (!auction) {
+        return { success: false, reason: 'AUCTION_NOT_FOUND' };
+      }
+
+      if (auction.status !== AUCTION_STATUS.ACTIVE || auction.expiresAt <= new Date()) {
+        return { success: false, reason: 'AUCTION_NOT_ACTIVE' };
+      }
+
+      if (auction.sellerId.toString() === bidderId.toString()) {
+        return { success: false, reason: 'CANNOT_BID_OWN_AUCTION' };
+      }
+
+      if (auction.currentBid && auction.currentBid.bidderId.toString() === bidderId.toString()) {
+        return { success: false, reason: 'ALREADY_HIGHEST_BIDDER' };
+      }
+
+      const isBuyout = !!auction.buyoutPrice && amount >= auction.buyoutPrice;
+      const bidAmount = isBuyout ? auction.buyoutPrice : amount;
+
+      if (!isBuyout && bidAmount < auction.getMinimumBid(config.auction.minBidIncrementRate)) {
+        return { success: false, reason: 'BID_TOO_LOW' };
+      }
+
+      // 出价即卖家的潜在收入，同样需要经过收入风控
+      const item = await EconomyService.getItemInfo(auction.item.itemId);
+      const risk = await EconomyService.checkIncomeRisk(
+        auction.sellerId,
+        auction.currencyType,
+        bidAmount,
+        EconomyService.TRANSACTION_TYPES.AUCTION_SALE,
+        { ...this.buildSaleMetadata(item, auction.item.quantity), auctionId: auction._id.toString(), bidderId }
+      );
+
+      if (!risk.success) {
+        logSecurityEvent('AUCTION_BID_REJECTED', {
+          auctionId: auction._id.toString(),
+          sellerId: auction.sellerId.toString(),
+          bidderId,
+          amount: bidAmount,
+          currencyType: auction.currencyType,
+          reason: risk.reason,
+          ip: metadata.ip
+        });
+        return risk;
+      }
+
+      const result = await EconomyService.runInTransaction(async (session) => {
+        const id = auction._id.toString();
+
+        // 出价转入托管账户
+        const hold = await EconomyService.updateBalance(
+          bidderId,
+          auction.currencyType,
+          -bidAmount,
+          EconomyService.TRANSACTION_TYPES.AUCTION_BID,
+          { ...metadata, auctionId: id },
+          {
+            session,
+            counterAccountId: ESCROW_ACCOUNT_ID,
+            idempotencyKey: `auction:${id}:v${auction.version}:bid:${bidderId}`
+          }
+        );
+
+        if (!hold.success) {
+          throw new AuctionError(hold.reason);
+        }
+
+        // 退还上一位最高出价者
+        if (auction.currentBid) {
+          await this.refundBid(auction, auction.currentBid, session);
+        }
+
+        const bid = {
+          bidderId,
+          amount: bidAmount,
+          escrowTransactionId: hold.transactionId,
+          createdAt: new Date()
+        };
+
+        const updated = await Auction.findOneAndUpdate(
+          {
+            _id: auction._id,
+            version: auction.version,
+            status: AUCTION_STATUS.ACTIVE,
+            expiresAt: { $gt: new Date() }
+          },
+          {
+            $set: { currentBid: bid },
+            $push: { bids: bid },
+            $inc: { version: 1 }
+          },
+          { new: true, session }
+        );
+
+        if (!updated) {
+          throw new AuctionError('BID_CONFLICT');
+        }
+
+        if (isBuyout) {
+          return this.settleAuction(updated, session);
+        }
+
+        return updated;
+      });
+
+      logger.info(isBuyout ? '拍卖一口价成交' : '拍卖出价成功', {
+        auctionId: auction._id.toString(),
+        bidderId: bidderId.toString(),
+        amount: bidAmount,
+        currencyType: auction.currencyType
+      });
+
+      return {
+        success: true,
+        sold: isBuyout,
+        auction: result.toObject()
+      };
+    } catch (error) {
+      if (error instanceof AuctionError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logSecurityEvent('AUCTION_BID_ERROR', { bidderId, auctionId, amount, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 一口价购买
+   * @param {string} buyerId - 买家ID
+   * @param {string} auctionId - 拍卖ID
+   * @param {Object} metadata - 请求元数据
+   * @returns {Object} 操作结果
+   */
+  static async buyout(buyerId, auctionId, metadata = {}) {
+    const auction = await Auction.findById(auctionId).select('buyoutPrice').lean();
+    if (!auction) {
+      return { success: false, reason: 'AUCTION_NOT_FOUND' };
+    }
+
+    if (!auction.buyoutPrice) {
+      return { success: false, reason: 'BUYOUT_NOT_AVAILABLE' };
+    }
+
+    return this.placeBid(buyerId, auctionId, auction.buyoutPrice, metadata);
+  }
+
+  /**
+   * 卖家撤销拍卖（仅限无人出价时），物品通过邮件退回
+   * @param {string} sellerId - 卖家ID
+   * @param {string} auctionId - 拍卖ID
+   * @returns {Object} 操作结果
+   */
+  static async cancelListing(sellerId, auctionId) {
+    try {
+      const auction = await EconomyService.runInTransaction(async (session) => {
+        const cancelled = await Auction.findOneAndUpdate(
+          {
+            _id: auctionId,
+            sellerId,
+            status: AUCTION_STATUS.ACTIVE,
+            currentBid: null
+          },
+          {
+            $set: { status: AUCTION_STATUS.CANCELLED },
+            $inc: { version: 1 }
+          },
+          { new: true, session }
+        );
+
+        if (!cancelled) {
+          throw new AuctionError('CANNOT_CANCEL');
+        }
+
+        await this.returnItemToSeller(cancelled, '拍卖已撤销', session);
+        return cancelled;
+      });
+
+      logger.info('拍卖已撤销', { auctionId: auction._id.toString(), sellerId: sellerId.toString() });
+
+      return { success: true, auction: auction.toObject() };
+    } catch (error) {
+      if (error instanceof AuctionError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logSecurityEvent('AUCTION_CANCEL_ERROR', { sellerId, auctionId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 结算拍卖：有出价则扣税后付款给卖家、物品邮寄给买家；无出价则物品邮寄退回卖家
+   * 必须在事务中调用
+   * @private
+   * @param {Object} auction - 拍卖文档
+   * @param {Object} session - 数据库会话
+   * @returns {Promise<Object>} 结算后的拍卖文档
+   */
+  static async settleAuction(auction, session) {
+    const id = auction._id.toString();
+    const update = { $inc: { version: 1 } };
+
+    if (auction.currentBid) {
+      const { bidderId, amount: finalPrice } = auction.currentBid;
+      const taxAmount = Math.floor(finalPrice * auction.taxRate);
+      const sellerPayout = finalPrice - taxAmount;
+      const item = await EconomyService.getItemInfo(auction.item.itemId);
+
+      let transactionId = null;
+      if (sellerPayout > 0) {
+        const payout = await EconomyService.updateBalance(
+          auction.sellerId,
+          auction.currencyType,
+          sellerPayout,
+          EconomyService.TRANSACTION_TYPES.AUCTION_SALE,
+          { ...this.buildSaleMetadata(item, auction.item.quantity), auctionId: id, buyerId: bidderId.toString() },
+          { session, counterAccountId: ESCROW_ACCOUNT_ID, idempotencyKey: `auction:${id}:payout` }
+        );
+
+        if (!payout.success) {
+          throw new AuctionError(payout.reason);
+        }
+        transactionId = payout.transactionId;
+      }
+
+      if (taxAmount > 0) {
+        const tax = await EconomyService.recordTransaction({
+          fromAccountId: ESCROW_ACCOUNT_ID,
+          toAccountId: TAX_ACCOUNT_ID,
+          currencyType: auction.currencyType,
+          amount: taxAmount,
+          transactionType: EconomyService.TRANSACTION_TYPES.AUCTION_TAX,
+          metadata: { auctionId: id }
+        }, { session, idempotencyKey: `auction:${id}:tax` });
+
+        if (!tax.success) {
+          throw new AuctionError(tax.reason);
+        }
+      }
+
+      await MailService.sendSystemMail({
+        recipientId: bidderId,
+        title: '拍卖成交',
+        content: `您以 ${finalPrice} ${auction.currencyType} 拍得 ${auction.item.name || auction.item.itemId} x${auction.item.quantity}`,
+        attachments: { items: [{ itemId: auction.item.itemId, quantity: auction.item.quantity }] },
+        source: { type: 'auction_purchase', refId: id }
+      }, session);
+
+      update.$set = {
+        status: AUCTION_STATUS.SOLD,
+        settlement: {
+          buyerId: bidderId,
+          finalPrice,
+          taxAmount,
+          sellerPayout,
+          transactionId,
+          settledAt: new Date()
+        }
+      };
+    } else {
+      await this.returnItemToSeller(auction, '拍卖流拍', session);
+
+      update.$set = {
+        status: AUCTION_STATUS.EXPIRED,
+        settlement: { settledAt: new Date() }
+      };
+    }
+
+    const settled = await Auction.findOneAndUpdate(
+      { _id: auction._id, version: auction.version, status: AUCTION_STATUS.ACTIVE },
+      update,
+      { new: true, session }
+    );
+
+    if (!settled) {
+      throw new AuctionError('SETTLEMENT_CONFLICT');
+    }
+
+    return settled;
+  }
+
+  /**
+   * 退还被超过的出价
+   * @private
+   */
+  static async refundBid(auction, bid, session) {
+    const refund = await EconomyService.updateBalance(
+      bid.bidderId,
+      auction.currencyType,
+      bid.amount,
+      EconomyService.TRANSACTION_TYPES.AUCTION_REFUND,
+      { auctionId: auction._id.toString() },
+      {
+        session,
+        counterAccountId: ESCROW_ACCOUNT_ID,
+        idempotencyKey: `auction:${auction._id}:refund:${bid.escrowTransactionId}`
+      }
+    );
+
+    if (!refund.success) {
+      throw new AuctionError(refund.reason);
+    }
+  }
+
+  /**
+   * 通过邮件将托管物品退回卖家
+   * @private
+   */
+  static async returnItemToSeller(auction, title, session) {
+    await MailService.sendSystemMail({
+      recipientId: auction.sellerId,
+      title,
+      content: `您上架的 ${auction.item.name || auction.item.itemId} x${auction.item.quantity} 已退回`,
+      attachments: { items: [{ itemId: auction.item.itemId, quantity: auction.item.quantity }] },
+      source: { type: 'auction_return', refId: auction._id.toString() }
+    }, session);
+  }
+
+  /**
+   * 构造成交收入风控所需的元数据
+   * @private
+   */
+  static buildSaleMetadata(item, quantity) {
+    return {
+      itemId: item ? item.id : undefined,
+      quantity,
+      referencePrice: item ? item.price : undefined,
+      referenceCurrency: item ? item.currencyType : undefined
+    };
+  }
+
+  /**
+   * 结算所有已到期的拍卖
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 单次处理上限
+   * @returns {Object} 处理结果
+   */
+  static async processExpiredAuctions({ limit = 100 } = {}) {
+    const expired = await Auction.find({
+      status: AUCTION_STATUS.ACTIVE,
+      expiresAt: { $lte: new Date() }
+    })
+      .sort({ expiresAt: 1 })
+      .limit(limit);
+
+    let settled = 0;
+    let failed = 0;
+
+    for (const auction of expired) {
+      try {
+        await EconomyService.runInTransaction(session => this.settleAuction(auction, session));
+        settled++;
+      } catch (error) {
+        failed++;
+        await this.recordSettlementFailure(auction, error);
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info('到期拍卖结算完成', { settled, failed });
+    }
+
+    return { success: true, settled, failed };
+  }
+
+  /**
+   * 记录一次结算失败，连续失败达到上限后标记为结算失败，不再由定时任务重试
+   * 托管中的物品和出价保持原样，由管理员核实后处理
+   * @private
+   */
+  static async recordSettlementFailure(auction, error) {
+    const auctionId = auction._id.toString();
+    const reason = error.reason || error.message;
+    const maxAttempts = config.auction.maxSettlementAttempts;
+
+    try {
+      // 只更新仍在拍卖中的记录，已被其他实例结算的拍卖不计入失败
+      const updated = await Auction.findOneAndUpdate(
+        { _id: auction._id, status: AUCTION_STATUS.ACTIVE },
+        {
+          $inc: { settlementAttempts: 1 },
+          $set: { lastSettlementError: reason }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return;
+      }
+
+      logger.error('拍卖结算失败', { auctionId, reason, attempts: updated.settlementAttempts });
+
+      if (updated.settlementAttempts >= maxAttempts) {
+        await Auction.updateOne(
+          { _id: auction._id, status: AUCTION_STATUS.ACTIVE },
+          { $set: { status: AUCTION_STATUS.SETTLEMENT_FAILED } }
+        );
+
+        logSecurityEvent('AUCTION_SETTLEMENT_FAILED', {
+          auctionId,
+          sellerId: auction.sellerId.toString(),
+          attempts: updated.settlementAttempts,
+          reason
+        });
+      }
+    } catch (updateError) {
+      logger.error('记录拍卖结算失败次数出错', { auctionId, reason, error: updateError.message });
+    }
+  }
+
+  /**
+   * 搜索在售拍卖
+   * @param {Object} filters - 过滤条件 { itemId, currencyType, sellerId, sortBy, page, limit }
+   * @returns {Object} 分页结果
+   */
+  static async searchListings(filters = {}) {
+    const page = Math.max(1, parseInt(filters.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+
+    const query = {
+      status: AUCTION_STATUS.ACTIVE,
+      expiresAt: { $gt: new Date() }
+    };
+
+    if (filters.itemId) query['item.itemId'] = filters.itemId;
+    if (filters.sellerId) query.sellerId = filters.sellerId;
+    if (filters.currencyType) {
+      query.currencyType = EconomyService.normalizeCurrencyType(filters.currencyType);
+    }
+
+    const sortOptions = {
+      expiresAt: { expiresAt: 1 },
+      buyoutPrice: { buyoutPrice: 1 },
+      startPrice: { startPrice: 1 },
+      newest: { createdAt: -1 }
+    };
+
+    const [auctions, total] = await Promise.all([
+      Auction.find(query)
+        .select('-bids')
+        .sort(sortOptions[filters.sortBy] || sortOptions.expiresAt)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Auction.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      auctions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * 获取玩家相关的拍卖
+   * @param {string} userId - 玩家ID
+   * @param {string} role - selling：我上架的；bidding：我是最高出价者的
+   * @returns {Object} 拍卖列表
+   */
+  static async getPlayerAuctions(userId, role = 'selling') {
+    const query = role === 'bidding'
+      ? { 'currentBid.bidderId': userId, status: AUCTION_STATUS.ACTIVE }
+      : { sellerId: userId };
+
+    const auctions = await Auction.find(query)
+      .select('-bids')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    return { success: true, auctions };
+  }
+}
+
+module.exports = AuctionService;
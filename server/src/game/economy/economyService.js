@@ -1,9 +1,33 @@
+const mongoose = require('mongoose');
 const { logSecurityEvent } = require('../../security/middleware');
 const AntiCheatSystem = require('../../security/antiCheat');
+const User = require('../../models/user.model');
+const LedgerEntry = require('../../models/ledger.model');
+const { LEDGER_DIRECTION, SYSTEM_ACCOUNT_PREFIX } = require('../../models/ledger.model');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const { USE_EFFECT } = require('../data/items');
+const { BUFF_EFFECT, GUILD_BUFFS } = require('../data/guildLevels');
+const { getQuest, getActivityChest } = require('../data/quests');
+const ContentStore = require('../content/contentStore');
 const crypto = require('crypto');
 
+/**
+ * 经济操作错误，reason 为返回给调用方的错误码
+ */
+class EconomyError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+// 并发冲突时事务的最大执行次数
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
 /**
  * 经济系统服务 - 处理游戏币流转和交易
+ * 所有余额变动都以复式记账写入账本，玩家文档上的余额只是账本的物化结果
  */
 class EconomyService {
   // 货币类型
@@ -19,13 +43,52 @@ class EconomyService {
     QUEST_REWARD: 'quest_reward',       // 任务奖励
     ITEM_PURCHASE: 'item_purchase',     // 购买物品
     ITEM_SELL: 'item_sell',             // 出售物品
+    ITEM_USE: 'item_use',               // 使用物品获得
+    EQUIPMENT_UPGRADE: 'equipment_upgrade', // 装备强化、精炼和镶嵌
     PLAYER_TRANSFER: 'player_transfer', // 玩家间转账
     SYSTEM_GRANT: 'system_grant',       // 系统发放
     SYSTEM_DEDUCT: 'system_deduct',     // 系统扣除
     BATTLE_REWARD: 'battle_reward',     // 战斗奖励
-    GUILD_DONATION: 'guild_donation'    // 公会捐赠
+    GUILD_DONATION: 'guild_donation',   // 公会捐赠
+    GUILD_WAR_REWARD: 'guild_war_reward', // 公会战结算奖励
+    SEASON_REWARD: 'season_reward',     // 排位赛季奖励
+    AUCTION_BID: 'auction_bid',         // 拍卖出价托管
+    AUCTION_REFUND: 'auction_refund',   // 拍卖出价退还
+    AUCTION_SALE: 'auction_sale',       // 拍卖成交收入
+    AUCTION_TAX: 'auction_tax',         // 拍卖成交税
+    MAIL_ATTACHMENT: 'mail_attachment', // 领取邮件附件
+    CDK_REWARD: 'cdk_reward',           // 兑换CDK
+    OPENING_BALANCE: 'opening_balance'  // 接入账本前的期初余额
   };
 
+  // 货币在玩家文档中的余额字段
+  static BALANCE_FIELDS = {
+    gold: 'gameProfile.gold',
+    diamond: 'gameProfile.diamond',
+    honor: 'gameProfile.honor',
+    guild_contribution: 'gameProfile.guildContribution'
+  };
+
+  /**
+   * 规范化货币类型，兼容键名（GOLD）和取值（gold）两种写法
+   * @param {string} currencyType - 货币类型
+   * @returns {string|null} 货币类型取值，无效时为null
+   */
+  static normalizeCurrencyType(currencyType) {
+    const value = this.CURRENCY_TYPES[currencyType] || currencyType;
+    return Object.values(this.CURRENCY_TYPES).includes(value) ? value : null;
+  }
+
+  /**
+   * 规范化交易类型，兼容键名和取值两种写法
+   * @param {string} transactionType - 交易类型
+   * @returns {string|null} 交易类型取值，无效时为null
+   */
+  static normalizeTransactionType(transactionType) {
+    const value = this.TRANSACTION_TYPES[transactionType] || transactionType;
+    return Object.values(this.TRANSACTION_TYPES).includes(value) ? value : null;
+  }
+
   /**
    * 获取玩家货币余额
    * @param {string} playerId - 玩家ID
@@ -35,29 +98,27 @@ class EconomyService {
   static async getBalance(playerId, currencyType) {
     try {
       // 验证货币类型
-      if (!this.CURRENCY_TYPES[currencyType]) {
+      const currency = this.normalizeCurrencyType(currencyType);
+      if (!currency) {
         return { success: false, reason: 'INVALID_CURRENCY_TYPE' };
       }
-      
+
       // 从数据库获取余额
-      const balance = await this.fetchBalanceFromDB(playerId, currencyType);
-      
-      // 生成余额校验哈希
-      const balanceHash = this.generateBalanceHash(playerId, currencyType, balance);
-      
-      // 保存校验哈希
-      await this.saveBalanceHash(playerId, currencyType, balanceHash);
-      
+      const balance = await this.fetchBalanceFromDB(playerId, currency);
+      if (balance === null) {
+        return { success: false, reason: 'PLAYER_NOT_FOUND' };
+      }
+
       return {
         success: true,
         balance,
-        currencyType
+        currencyType: currency
       };
     } catch (error) {
-      logSecurityEvent('GET_BALANCE_ERROR', { 
-        playerId, 
+      logSecurityEvent('GET_BALANCE_ERROR', {
+        playerId,
         currencyType,
-        error: error.message 
+        error: error.message
       });
       return { success: false, reason: 'INTERNAL_ERROR' };
     }
@@ -66,53 +127,44 @@ class EconomyService {
   /**
    * 从数据库获取余额
    * @param {string} playerId - 玩家ID
-   * @param {string} currencyType - 货币类型
-   * @returns {number} 余额
-   */
-  static async fetchBalanceFromDB(playerId, currencyType) {
-    // 实际项目中应从数据库获取
-    // 这里简化为模拟数据
-    const mockBalances = {
-      'gold': 10000,
-      'diamond': 500,
-      'honor': 1200,
-      'guild_contribution': 300
-    };
-    
-    return mockBalances[currencyType.toLowerCase()] || 0;
-  }
-
-  /**
-   * 生成余额校验哈希
-   * @param {string} playerId - 玩家ID
-   * @param {string} currencyType - 货币类型
-   * @param {number} balance - 余额
-   * @returns {string} 校验哈希
+   * @param {string} currencyType - 货币类型取值
+   * @param {Object} session - 数据库会话
+   * @returns {number|null} 余额，玩家不存在时为null
    */
-  static generateBalanceHash(playerId, currencyType, balance) {
-    const data = JSON.stringify({
-      playerId,
-      currencyType,
-      balance,
-      timestamp: Date.now()
-    });
-    
-    return crypto.createHash('sha256').update(data).digest('hex');
+  static async fetchBalanceFromDB(playerId, currencyType, session = null) {
+    const field = this.BALANCE_FIELDS[currencyType];
+    const user = await User.findById(playerId).select(field).session(session).lean();
+    if (!user) {
+      return null;
+    }
+
+    return this.readBalanceField(user, currencyType);
   }
 
   /**
-   * 保存余额校验哈希
+   * 从账本推导玩家余额
    * @param {string} playerId - 玩家ID
    * @param {string} currencyType - 货币类型
-   * @param {string} hash - 校验哈希
+   * @returns {Object} 余额信息
    */
-  static async saveBalanceHash(playerId, currencyType, hash) {
-    // 实际项目中应保存到数据库
-    console.log(`保存玩家 ${playerId} 的 ${currencyType} 余额校验哈希: ${hash}`);
+  static async getLedgerBalance(playerId, currencyType) {
+    const currency = this.normalizeCurrencyType(currencyType);
+    if (!currency) {
+      return { success: false, reason: 'INVALID_CURRENCY_TYPE' };
+    }
+
+    const { balance, entries } = await LedgerEntry.getAccountBalance(playerId, currency);
+
+    return {
+      success: true,
+      balance,
+      entries,
+      currencyType: currency
+    };
   }
 
   /**
-   * 验证余额
+   * 验证余额是否与账本一致
    * @param {string} playerId - 玩家ID
    * @param {string} currencyType - 货币类型
    * @param {number} balance - 待验证的余额
@@ -120,180 +172,515 @@ class EconomyService {
    */
   static async verifyBalance(playerId, currencyType, balance) {
     try {
-      // 获取存储的校验哈希
-      const storedHash = await this.getStoredBalanceHash(playerId, currencyType);
-      if (!storedHash) return false;
-      
-      // 计算当前余额的哈希
-      const currentHash = this.generateBalanceHash(playerId, currencyType, balance);
-      
-      // 比较哈希值
-      const isValid = storedHash === currentHash;
-      
+      const ledger = await this.getLedgerBalance(playerId, currencyType);
+      if (!ledger.success) return false;
+
+      // 尚未接入账本的账户以文档余额为准
+      const expected = ledger.entries > 0
+        ? ledger.balance
+        : await this.fetchBalanceFromDB(playerId, ledger.currencyType);
+
+      const isValid = expected === balance;
+
       if (!isValid) {
-        logSecurityEvent('BALANCE_VERIFICATION_FAILED', { 
-          playerId, 
-          currencyType,
-          providedBalance: balance 
-        });
-        
-        // 触发防作弊检测
-        AntiCheatSystem.reportIncident(playerId, 'CURRENCY_TAMPERING', {
+        logSecurityEvent('BALANCE_VERIFICATION_FAILED', {
+          playerId,
           currencyType,
-          providedBalance: balance
+          providedBalance: balance,
+          expectedBalance: expected
         });
       }
-      
+
       return isValid;
     } catch (error) {
-      logSecurityEvent('BALANCE_VERIFICATION_ERROR', { 
-        playerId, 
+      logSecurityEvent('BALANCE_VERIFICATION_ERROR', {
+        playerId,
         currencyType,
-        error: error.message 
+        error: error.message
       });
       return false;
     }
   }
 
   /**
-   * 获取存储的余额校验哈希
-   * @param {string} playerId - 玩家ID
-   * @param {string} currencyType - 货币类型
-   * @returns {string} 校验哈希
-   */
-  static async getStoredBalanceHash(playerId, currencyType) {
-    // 实际项目中应从数据库获取
-    return null;
-  }
-
-  /**
-   * 修改玩家货币余额
+   * 修改玩家货币余额（系统账户与玩家之间记账）
    * @param {string} playerId - 玩家ID
    * @param {string} currencyType - 货币类型
-   * @param {number} amount - 变动金额
+   * @param {number} amount - 变动金额，正数为收入，负数为支出
    * @param {string} transactionType - 交易类型
    * @param {Object} metadata - 交易元数据
+   * @param {Object} options - 选项
+   * @param {string} options.idempotencyKey - 幂等键，相同键的请求只记账一次
+   * @param {Object} options.session - 外部事务会话，传入时由调用方负责提交或回滚
+   * @param {string} options.counterAccountId - 对手系统账户，默认为 system:<交易类型>
    * @returns {Object} 操作结果
    */
-  static async modifyCurrency(playerId, currencyType, amount, transactionType, metadata = {}) {
+  static async updateBalance(playerId, currencyType, amount, transactionType, metadata = {}, options = {}) {
     try {
       // 验证参数
-      if (!this.CURRENCY_TYPES[currencyType]) {
+      const currency = this.normalizeCurrencyType(currencyType);
+      if (!currency) {
         return { success: false, reason: 'INVALID_CURRENCY_TYPE' };
       }
-      
-      if (!this.TRANSACTION_TYPES[transactionType]) {
+
+      const txType = this.normalizeTransactionType(transactionType);
+      if (!txType) {
         return { success: false, reason: 'INVALID_TRANSACTION_TYPE' };
       }
-      
-      if (!Number.isInteger(amount)) {
+
+      if (!Number.isInteger(amount) || amount === 0) {
         return { success: false, reason: 'INVALID_AMOUNT' };
       }
-      
-      // 获取当前余额
-      const { success, balance } = await this.getBalance(playerId, currencyType);
-      if (!success) {
-        return { success: false, reason: 'FAILED_TO_GET_BALANCE' };
-      }
-      
-      // 计算新余额
-      const newBalance = balance + amount;
-      
-      // 检查余额是否足够（如果是扣款）
-      if (amount < 0 && newBalance < 0) {
-        return { success: false, reason: 'INSUFFICIENT_BALANCE' };
-      }
-      
+
       // 防作弊检测
-      if (amount > 0 && !this.isLegitimateIncome(playerId, currencyType, amount, transactionType, metadata)) {
+      if (amount > 0 && !this.isLegitimateIncome(playerId, currency, amount, txType, metadata)) {
         logSecurityEvent('SUSPICIOUS_INCOME', {
           playerId,
-          currencyType,
+          currencyType: currency,
           amount,
-          transactionType,
+          transactionType: txType,
           metadata
         });
-        
-        // 触发防作弊检测
-        AntiCheatSystem.reportIncident(playerId, 'SUSPICIOUS_INCOME', {
-          currencyType,
-          amount,
-          transactionType
-        });
-        
+
         return { success: false, reason: 'SUSPICIOUS_TRANSACTION' };
       }
-      
-      // 生成交易ID
-      const transactionId = crypto.randomUUID();
-      
-      // 更新数据库
-      await this.updateBalanceInDB(playerId, currencyType, newBalance);
-      
-      // 记录交易日志
-      await this.logTransaction(transactionId, playerId, currencyType, amount, transactionType, metadata);
-      
-      // 生成新的余额校验哈希
-      const balanceHash = this.generateBalanceHash(playerId, currencyType, newBalance);
-      
-      // 保存校验哈希
-      await this.saveBalanceHash(playerId, currencyType, balanceHash);
-      
+
+      const systemAccountId = options.counterAccountId || `${SYSTEM_ACCOUNT_PREFIX}${txType}`;
+      const playerAccountId = playerId.toString();
+
+      const result = await this.recordTransaction({
+        fromAccountId: amount > 0 ? systemAccountId : playerAccountId,
+        toAccountId: amount > 0 ? playerAccountId : systemAccountId,
+        currencyType: currency,
+        amount: Math.abs(amount),
+        transactionType: txType,
+        metadata
+      }, options);
+
+      if (!result.success) {
+        return result;
+      }
+
+      const balance = result.balances[playerAccountId];
+
+      // 消耗金币推进任务进度，事务提交后才记录；QuestService 依赖本模块，需延迟加载
+      if (amount < 0 && !result.duplicate) {
+        this.afterCommit(options.session, () => {
+          require('../quest/questService').recordSpending(playerAccountId, currency, -amount, txType);
+        });
+      }
+
       return {
         success: true,
-        transactionId,
-        previousBalance: balance,
-        newBalance,
+        transactionId: result.transactionId,
+        duplicate: result.duplicate,
+        previousBalance: balance.previousBalance,
+        newBalance: balance.newBalance,
         amount
       };
     } catch (error) {
-      logSecurityEvent('MODIFY_CURRENCY_ERROR', { 
-        playerId, 
+      logSecurityEvent('MODIFY_CURRENCY_ERROR', {
+        playerId,
         currencyType,
         amount,
         transactionType,
-        error: error.message 
+        error: error.message
       });
       return { success: false, reason: 'INTERNAL_ERROR' };
     }
   }
 
   /**
-   * 更新数据库中的余额
-   * @param {string} playerId - 玩家ID
-   * @param {string} currencyType - 货币类型
-   * @param {number} newBalance - 新余额
+   * 修改玩家货币余额
+   * @deprecated 请使用 updateBalance
    */
-  static async updateBalanceInDB(playerId, currencyType, newBalance) {
-    // 实际项目中应更新数据库
-    console.log(`更新玩家 ${playerId} 的 ${currencyType} 余额为 ${newBalance}`);
+  static async modifyCurrency(playerId, currencyType, amount, transactionType, metadata = {}, options = {}) {
+    return this.updateBalance(playerId, currencyType, amount, transactionType, metadata, options);
   }
 
   /**
-   * 记录交易日志
-   * @param {string} transactionId - 交易ID
-   * @param {string} playerId - 玩家ID
-   * @param {string} currencyType - 货币类型
-   * @param {number} amount - 变动金额
-   * @param {string} transactionType - 交易类型
-   * @param {Object} metadata - 交易元数据
+   * 写入一笔复式记账交易：扣减转出账户、增加转入账户，并写入借贷两条记录
+   * 不做收入合法性检查，业务代码应优先使用 updateBalance / transferCurrency
+   * @param {Object} transaction - 交易内容
+   * @param {string} transaction.fromAccountId - 转出账户（玩家ID或系统账户）
+   * @param {string} transaction.toAccountId - 转入账户（玩家ID或系统账户）
+   * @param {Object} options - { idempotencyKey, session }
+   * @returns {Object} { success, transactionId, duplicate, balances: { accountId: { previousBalance, newBalance } } }
    */
-  static async logTransaction(transactionId, playerId, currencyType, amount, transactionType, metadata) {
-    const transaction = {
-      id: transactionId,
-      playerId,
+  static async recordTransaction(transaction, options = {}) {
+    const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.runInTransaction(async (session) => {
+          const existing = await LedgerEntry.find({ idempotencyKey }).session(session).lean();
+          if (existing.length > 0) {
+            return this.toDuplicateResult(existing);
+          }
+
+          return this.writeEntries({ ...transaction, idempotencyKey }, session);
+        }, options.session);
+      } catch (error) {
+        // 自己开启的事务遇到并发冲突时重新执行，重新读取余额；外部事务由调用方决定是否重试
+        if (!options.session && attempt < MAX_TRANSACTION_ATTEMPTS && this.isConcurrencyConflict(error)) {
+          continue;
+        }
+
+        return this.handleTransactionError(error, idempotencyKey, options);
+      }
+    }
+  }
+
+  /**
+   * 是否为可重试的并发冲突
+   * @private
+   */
+  static isConcurrencyConflict(error) {
+    if (error instanceof EconomyError) {
+      return error.reason === 'CONCURRENT_UPDATE';
+    }
+
+    return typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+  }
+
+  /**
+   * 将记账失败转换为返回结果，无法处理的错误继续抛出
+   * @private
+   */
+  static async handleTransactionError(error, idempotencyKey, options) {
+    if (error instanceof EconomyError) {
+      return { success: false, reason: error.reason };
+    }
+
+    // 并发的相同幂等键请求，由唯一索引拦截
+    if (error.code === 11000 && !options.session) {
+      const existing = await LedgerEntry.find({ idempotencyKey }).lean();
+      if (existing.length > 0) {
+        return this.toDuplicateResult(existing);
+      }
+    }
+
+    throw error;
+  }
+
+  /**
+   * 在事务中写入账本记录并更新余额
+   * @private
+   */
+  static async writeEntries(transaction, session) {
+    const { fromAccountId, toAccountId, currencyType, amount, transactionType, idempotencyKey, metadata } = transaction;
+    const transactionId = crypto.randomUUID();
+
+    // 先扣款，余额不足时在写入任何记录前中止
+    const fromBalance = await this.applyAccountDelta(fromAccountId, currencyType, -amount, session);
+    const toBalance = await this.applyAccountDelta(toAccountId, currencyType, amount, session);
+
+    const entryBase = {
+      transactionId,
+      idempotencyKey,
       currencyType,
       amount,
       transactionType,
-      metadata,
-      timestamp: Date.now(),
-      ip: metadata.ip || 'unknown',
-      deviceId: metadata.deviceId || 'unknown',
-      serverVersion: process.env.SERVER_VERSION || 'unknown'
+      metadata: metadata || {}
     };
-    
-    // 实际项目中应保存到数据库
-    console.log(`记录交易: ${JSON.stringify(transaction)}`);
+
+    await LedgerEntry.create([
+      {
+        ...entryBase,
+        direction: LEDGER_DIRECTION.DEBIT,
+        accountId: fromAccountId,
+        counterAccountId: toAccountId,
+        balanceAfter: fromBalance ? fromBalance.newBalance : undefined
+      },
+      {
+        ...entryBase,
+        direction: LEDGER_DIRECTION.CREDIT,
+        accountId: toAccountId,
+        counterAccountId: fromAccountId,
+        balanceAfter: toBalance ? toBalance.newBalance : undefined
+      }
+    ], { session, ordered: true });
+
+    const balances = {};
+    if (fromBalance) balances[fromAccountId] = fromBalance;
+    if (toBalance) balances[toAccountId] = toBalance;
+
+    return {
+      success: true,
+      transactionId,
+      duplicate: false,
+      balances
+    };
+  }
+
+  /**
+   * 原子更新玩家余额，系统账户不维护余额
+   * @private
+   * @returns {Object|null} { previousBalance, newBalance }
+   */
+  static async applyAccountDelta(accountId, currencyType, delta, session) {
+    if (LedgerEntry.isSystemAccount(accountId)) {
+      return null;
+    }
+
+    const field = this.BALANCE_FIELDS[currencyType];
+    const filter = { _id: accountId };
+
+    // 扣款时要求余额充足
+    if (delta < 0) {
+      filter[field] = { $gte: -delta };
+    }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { [field]: delta } },
+      { new: true, session, projection: { [field]: 1 }, lean: true }
+    );
+
+    if (!user) {
+      const exists = await User.exists({ _id: accountId }).session(session);
+      throw new EconomyError(exists ? 'INSUFFICIENT_BALANCE' : 'PLAYER_NOT_FOUND');
+    }
+
+    const newBalance = this.readBalanceField(user, currencyType);
+    const previousBalance = newBalance - delta;
+
+    await this.ensureOpeningBalance(accountId, currencyType, previousBalance, session);
+
+    return { previousBalance, newBalance };
+  }
+
+  /**
+   * 账户首次记账时补记期初余额，保证余额可由账本完整推导
+   * @private
+   */
+  static async ensureOpeningBalance(accountId, currencyType, openingBalance, session) {
+    if (openingBalance <= 0) return;
+
+    const hasEntries = await LedgerEntry.exists({ accountId, currencyType }).session(session);
+    if (hasEntries) return;
+
+    const transactionId = crypto.randomUUID();
+    const systemAccountId = `${SYSTEM_ACCOUNT_PREFIX}${this.TRANSACTION_TYPES.OPENING_BALANCE}`;
+    const entryBase = {
+      transactionId,
+      idempotencyKey: `opening:${accountId}:${currencyType}`,
+      currencyType,
+      amount: openingBalance,
+      transactionType: this.TRANSACTION_TYPES.OPENING_BALANCE
+    };
+
+    try {
+      await LedgerEntry.create([
+        {
+          ...entryBase,
+          direction: LEDGER_DIRECTION.DEBIT,
+          accountId: systemAccountId,
+          counterAccountId: accountId
+        },
+        {
+          ...entryBase,
+          direction: LEDGER_DIRECTION.CREDIT,
+          accountId,
+          counterAccountId: systemAccountId,
+          balanceAfter: openingBalance
+        }
+      ], { session, ordered: true });
+    } catch (error) {
+      // 并发的首次记账已写入期初余额，本次事务读到的余额已过期，由 recordTransaction 重新执行
+      if (error.code === 11000) {
+        throw new EconomyError('CONCURRENT_UPDATE');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 在数据库事务中执行操作，已传入外部会话时直接复用
+   * @param {Function} work - 接收session的异步函数
+   * @param {Object} externalSession - 外部事务会话
+   * @returns {*} work的返回值
+   */
+  static async runInTransaction(work, externalSession = null) {
+    if (externalSession) {
+      return work(externalSession);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const result = await work(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * 事务提交后执行回调，没有事务时立即执行；用于推送通知等不应随事务回滚的副作用
+   * @param {Object} session - 数据库会话
+   * @param {Function} callback - 回调
+   */
+  static afterCommit(session, callback) {
+    if (!session || !session.inTransaction()) {
+      callback();
+      return;
+    }
+
+    session.once('ended', () => {
+      if (session.transaction.isCommitted) callback();
+    });
+  }
+
+  /**
+   * 由已存在的账本记录构造重复请求的返回结果
+   * @private
+   */
+  static toDuplicateResult(entries) {
+    const balances = {};
+
+    for (const entry of entries) {
+      if (entry.balanceAfter === undefined || entry.balanceAfter === null) continue;
+
+      const delta = entry.direction === LEDGER_DIRECTION.CREDIT ? entry.amount : -entry.amount;
+      balances[entry.accountId] = {
+        previousBalance: entry.balanceAfter - delta,
+        newBalance: entry.balanceAfter
+      };
+    }
+
+    return {
+      success: true,
+      transactionId: entries[0].transactionId,
+      duplicate: true,
+      balances
+    };
+  }
+
+  /**
+   * 读取玩家文档中的余额字段
+   * @private
+   */
+  static readBalanceField(user, currencyType) {
+    return this.BALANCE_FIELDS[currencyType]
+      .split('.')
+      .reduce((value, key) => (value ? value[key] : undefined), user) || 0;
+  }
+
+  /**
+   * 账本重放审计：按记账顺序（_id）重放每个玩家账户的记录，
+   * 检查记账后余额是否连续、最终余额是否与玩家文档一致，以及每笔交易借贷是否平衡
+   * @param {Object} options - 审计选项
+   * @param {Array<string>} options.playerIds - 只审计指定玩家，不传则审计全部
+   * @returns {Object} 审计结果
+   */
+  static async auditLedger(options = {}) {
+    try {
+      const match = {
+        accountId: { $not: new RegExp(`^${SYSTEM_ACCOUNT_PREFIX}`) }
+      };
+
+      if (Array.isArray(options.playerIds) && options.playerIds.length > 0) {
+        match.accountId = { $in: options.playerIds.map(id => id.toString()) };
+      }
+
+      const mismatches = [];
+      let accountsChecked = 0;
+      let entriesReplayed = 0;
+      let current = null;
+
+      const flush = async () => {
+        if (!current) return;
+        accountsChecked++;
+
+        const storedBalance = await this.fetchBalanceFromDB(current.accountId, current.currencyType);
+        if (storedBalance !== current.balance) {
+          mismatches.push({
+            playerId: current.accountId,
+            currencyType: current.currencyType,
+            type: 'BALANCE_MISMATCH',
+            storedBalance,
+            ledgerBalance: current.balance
+          });
+        }
+      };
+
+      const cursor = LedgerEntry.find(match)
+        .sort({ accountId: 1, currencyType: 1, _id: 1 })
+        .lean()
+        .cursor();
+
+      for await (const entry of cursor) {
+        if (!current || current.accountId !== entry.accountId || current.currencyType !== entry.currencyType) {
+          await flush();
+          current = { accountId: entry.accountId, currencyType: entry.currencyType, balance: 0 };
+        }
+
+        current.balance += entry.direction === LEDGER_DIRECTION.CREDIT ? entry.amount : -entry.amount;
+        entriesReplayed++;
+
+        // 记账后余额应与重放结果一致，不一致说明存在绕过账本的修改
+        if (entry.balanceAfter !== undefined && entry.balanceAfter !== null && entry.balanceAfter !== current.balance) {
+          mismatches.push({
+            playerId: entry.accountId,
+            currencyType: entry.currencyType,
+            type: 'BALANCE_DRIFT',
+            transactionId: entry.transactionId,
+            recordedBalance: entry.balanceAfter,
+            ledgerBalance: current.balance
+          });
+
+          // 以记录值继续重放，避免一次偏差导致后续记录全部报警
+          current.balance = entry.balanceAfter;
+        }
+      }
+      await flush();
+
+      // 检查借贷是否平衡
+      const unbalanced = await LedgerEntry.aggregate([
+        {
+          $group: {
+            _id: '$transactionId',
+            debit: { $sum: { $cond: [{ $eq: ['$direction', LEDGER_DIRECTION.DEBIT] }, '$amount', 0] } },
+            credit: { $sum: { $cond: [{ $eq: ['$direction', LEDGER_DIRECTION.CREDIT] }, '$amount', 0] } },
+            entries: { $sum: 1 }
+          }
+        },
+        { $match: { $expr: { $or: [{ $ne: ['$debit', '$credit'] }, { $ne: ['$entries', 2] }] } } },
+        { $limit: 1000 }
+      ]);
+
+      for (const mismatch of mismatches) {
+        logSecurityEvent('LEDGER_AUDIT_MISMATCH', mismatch);
+      }
+
+      for (const transaction of unbalanced) {
+        logSecurityEvent('LEDGER_UNBALANCED_TRANSACTION', { transactionId: transaction._id, ...transaction });
+      }
+
+      logger.info('账本审计完成', {
+        accountsChecked,
+        entriesReplayed,
+        mismatches: mismatches.length,
+        unbalancedTransactions: unbalanced.length
+      });
+
+      return {
+        success: true,
+        accountsChecked,
+        entriesReplayed,
+        mismatches,
+        unbalancedTransactions: unbalanced.map(t => t._id)
+      };
+    } catch (error) {
+      logSecurityEvent('LEDGER_AUDIT_ERROR', { error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
   }
 
   /**
@@ -323,7 +710,12 @@ class EconomyService {
     
     // 检查物品出售是否合法
     if (transactionType === this.TRANSACTION_TYPES.ITEM_SELL) {
-      return this.validateItemSell(playerId, metadata.itemId, amount, currencyType);
+      return this.validateItemSell(playerId, metadata, amount, currencyType);
+    }
+    
+    // 检查物品使用收入是否与物品效果一致
+    if (transactionType === this.TRANSACTION_TYPES.ITEM_USE) {
+      return this.validateItemUse(playerId, metadata, amount, currencyType);
     }
     
     // 检查玩家转账是否合法
@@ -331,6 +723,41 @@ class EconomyService {
       return this.validatePlayerTransfer(metadata.fromPlayerId, playerId, amount, currencyType);
     }
     
+    // 检查捐献获得的公会贡献是否与捐献数量一致
+    if (transactionType === this.TRANSACTION_TYPES.GUILD_DONATION) {
+      return this.validateGuildDonation(playerId, metadata, amount, currencyType);
+    }
+    
+    // 检查公会战奖励是否与结算配置一致
+    if (transactionType === this.TRANSACTION_TYPES.GUILD_WAR_REWARD) {
+      return this.validateGuildWarReward(playerId, amount, currencyType);
+    }
+    
+    // 检查排位赛季奖励是否与奖励配置一致
+    if (transactionType === this.TRANSACTION_TYPES.SEASON_REWARD) {
+      return this.validateSeasonReward(playerId, amount, currencyType);
+    }
+    
+    // 退还托管中的出价，金额已在出价时校验
+    if (transactionType === this.TRANSACTION_TYPES.AUCTION_REFUND) {
+      return true;
+    }
+    
+    // 邮件附件由系统或管理员发出，金额在发送时已校验
+    if (transactionType === this.TRANSACTION_TYPES.MAIL_ATTACHMENT) {
+      return true;
+    }
+    
+    // CDK面值由管理员生成批次时设定，兑换时在同一事务中核销
+    if (transactionType === this.TRANSACTION_TYPES.CDK_REWARD) {
+      return true;
+    }
+    
+    // 检查拍卖成交价是否合理
+    if (transactionType === this.TRANSACTION_TYPES.AUCTION_SALE) {
+      return this.validateAuctionSale(playerId, metadata, amount, currencyType);
+    }
+    
     // 默认情况下，检查收入是否超过合理范围
     return this.isWithinReasonableRange(playerId, currencyType, amount);
   }
@@ -344,8 +771,9 @@ class EconomyService {
    * @returns {boolean} 是否合法
    */
   static validateQuestReward(playerId, questId, amount, currencyType) {
-    // 实际项目中应检查任务配置和完成状态
-    return true;
+    // 完成状态由 QuestService 在同一事务中校验，这里只核对奖励配置
+    const quest = getQuest(questId) || getActivityChest(questId);
+    return Boolean(quest) && quest.rewards[currencyType] === amount;
   }
 
   /**
@@ -362,16 +790,90 @@ class EconomyService {
   }
 
   /**
-   * 验证物品出售是否合法
+   * 验证物品出售收入是否合法，收入不能超过模板出售价
    * @param {string} playerId - 玩家ID
-   * @param {string} itemId - 物品ID
-   * @param {number} amount - 出售金额
+   * @param {Object} metadata - 交易元数据 { itemId, quantity }
+   * @param {number} amount - 出售收入
    * @param {string} currencyType - 货币类型
    * @returns {boolean} 是否合法
    */
-  static validateItemSell(playerId, itemId, amount, currencyType) {
-    // 实际项目中应检查物品价值和所有权
-    return true;
+  static validateItemSell(playerId, metadata, amount, currencyType) {
+    const template = ContentStore.getItemTemplate(metadata.itemId);
+    if (!template || !template.sellPrice || currencyType !== this.CURRENCY_TYPES.GOLD) {
+      return false;
+    }
+
+    return amount <= template.sellPrice * (metadata.quantity || 1);
+  }
+
+  /**
+   * 验证物品使用获得的货币是否与物品效果一致
+   * @param {string} playerId - 玩家ID
+   * @param {Object} metadata - 交易元数据 { itemId, quantity }
+   * @param {number} amount - 获得数量
+   * @param {string} currencyType - 货币类型
+   * @returns {boolean} 是否合法
+   */
+  static validateItemUse(playerId, metadata, amount, currencyType) {
+    const template = ContentStore.getItemTemplate(metadata.itemId);
+    const effect = template && template.useEffect;
+    if (!effect || effect.type !== USE_EFFECT.CURRENCY || this.normalizeCurrencyType(effect.currencyType) !== currencyType) {
+      return false;
+    }
+
+    return amount <= effect.amount * (metadata.quantity || 1);
+  }
+
+  /**
+   * 验证捐献获得的公会贡献是否合法，不超过捐献数量按最高增益加成折算的贡献
+   * @param {string} playerId - 玩家ID
+   * @param {Object} metadata - 交易元数据 { donatedCurrency, donatedAmount }
+   * @param {number} amount - 获得的贡献
+   * @param {string} currencyType - 货币类型
+   * @returns {boolean} 是否合法
+   */
+  static validateGuildDonation(playerId, metadata, amount, currencyType) {
+    const rule = config.guildTreasury.donation[this.normalizeCurrencyType(metadata.donatedCurrency)];
+    if (!rule || currencyType !== this.CURRENCY_TYPES.GUILD_CONTRIBUTION || !Number.isInteger(metadata.donatedAmount)) {
+      return false;
+    }
+
+    const maxBonus = Object.values(GUILD_BUFFS)
+      .filter(buff => buff.effect.type === BUFF_EFFECT.DONATION_CONTRIBUTION)
+      .reduce((sum, buff) => sum + buff.effect.value, 0);
+
+    return amount <= Math.floor(metadata.donatedAmount * rule.contributionRate * (1 + maxBonus));
+  }
+
+  /**
+   * 验证公会战奖励是否合法，只发放公会贡献且不超过配置的最高奖励
+   * @param {string} playerId - 玩家ID
+   * @param {number} amount - 奖励数量
+   * @param {string} currencyType - 货币类型
+   * @returns {boolean} 是否合法
+   */
+  static validateGuildWarReward(playerId, amount, currencyType) {
+    if (currencyType !== this.CURRENCY_TYPES.GUILD_CONTRIBUTION) {
+      return false;
+    }
+
+    const maxContribution = Math.max(...Object.values(config.guildWar.rewards).map(r => r.contribution));
+    return amount <= maxContribution;
+  }
+
+  /**
+   * 验证排位赛季奖励是否合法，不超过最高段位奖励与最高排名奖励之和
+   * @param {string} playerId - 玩家ID
+   * @param {number} amount - 奖励数量
+   * @param {string} currencyType - 货币类型
+   * @returns {boolean} 是否合法
+   */
+  static validateSeasonReward(playerId, amount, currencyType) {
+    const { tiers, topRanks } = config.leaderboard.seasonRewards;
+    const maxTierReward = Math.max(0, ...Object.values(tiers).map(r => r[currencyType] || 0));
+    const maxRankReward = Math.max(0, ...topRanks.map(r => r[currencyType] || 0));
+
+    return amount <= maxTierReward + maxRankReward;
   }
 
   /**
@@ -387,6 +889,62 @@ class EconomyService {
     return true;
   }
 
+  /**
+   * 验证拍卖成交价是否合理
+   * 成交价远超物品参考价通常意味着借拍卖行转移金币
+   * @param {string} playerId - 卖家ID
+   * @param {Object} metadata - 交易元数据 { referencePrice, referenceCurrency, quantity }
+   * @param {number} amount - 成交收入
+   * @param {string} currencyType - 货币类型
+   * @returns {boolean} 是否合法
+   */
+  static validateAuctionSale(playerId, metadata, amount, currencyType) {
+    const { referencePrice, referenceCurrency, quantity = 1 } = metadata;
+
+    // 没有同币种参考价的物品按常规收入范围检查
+    if (!referencePrice || this.normalizeCurrencyType(referenceCurrency) !== currencyType) {
+      return this.isWithinReasonableRange(playerId, currencyType, amount);
+    }
+
+    return amount <= referencePrice * quantity * config.auction.maxPriceMultiplier;
+  }
+
+  /**
+   * 收入风控检查：收入合法性校验 + 防作弊资源异常检测
+   * 用于收入尚未入账但需要提前拦截的场景（如拍卖上架、出价）
+   * @param {string} playerId - 收入方玩家ID
+   * @param {string} currencyType - 货币类型
+   * @param {number} amount - 收入金额
+   * @param {string} transactionType - 交易类型
+   * @param {Object} metadata - 交易元数据
+   * @returns {Object} 检查结果
+   */
+  static async checkIncomeRisk(playerId, currencyType, amount, transactionType, metadata = {}) {
+    const currency = this.normalizeCurrencyType(currencyType);
+    const txType = this.normalizeTransactionType(transactionType);
+    if (!currency || !txType) {
+      return { success: false, reason: 'INVALID_PARAMETERS' };
+    }
+
+    if (!this.isLegitimateIncome(playerId, currency, amount, txType, metadata)) {
+      logSecurityEvent('SUSPICIOUS_INCOME', {
+        playerId,
+        currencyType: currency,
+        amount,
+        transactionType: txType,
+        metadata
+      });
+      return { success: false, reason: 'SUSPICIOUS_TRANSACTION' };
+    }
+
+    const isAnomaly = await AntiCheatSystem.checkResourceAnomaly(playerId, currency, amount, txType);
+    if (isAnomaly) {
+      return { success: false, reason: 'RESOURCE_ANOMALY' };
+    }
+
+    return { success: true };
+  }
+
   /**
    * 检查金额是否在合理范围内
    * @param {string} playerId - 玩家ID
@@ -416,123 +974,99 @@ class EconomyService {
    * @param {string} currencyType - 货币类型
    * @param {number} amount - 转账金额
    * @param {Object} metadata - 交易元数据
+   * @param {Object} options - 选项 { idempotencyKey, session }
    * @returns {Object} 操作结果
    */
-  static async transferBetweenPlayers(fromPlayerId, toPlayerId, currencyType, amount, metadata = {}) {
+  static async transferCurrency(fromPlayerId, toPlayerId, currencyType, amount, metadata = {}, options = {}) {
     try {
       // 验证参数
-      if (fromPlayerId === toPlayerId) {
+      if (fromPlayerId.toString() === toPlayerId.toString()) {
         return { success: false, reason: 'CANNOT_TRANSFER_TO_SELF' };
       }
-      
-      if (!this.CURRENCY_TYPES[currencyType]) {
+
+      const currency = this.normalizeCurrencyType(currencyType);
+      if (!currency) {
         return { success: false, reason: 'INVALID_CURRENCY_TYPE' };
       }
-      
+
       if (!Number.isInteger(amount) || amount <= 0) {
         return { success: false, reason: 'INVALID_AMOUNT' };
       }
-      
+
       // 检查是否允许该货币类型的玩家间转账
-      if (currencyType === this.CURRENCY_TYPES.HONOR || currencyType === this.CURRENCY_TYPES.GUILD_CONTRIBUTION) {
+      if (currency === this.CURRENCY_TYPES.HONOR || currency === this.CURRENCY_TYPES.GUILD_CONTRIBUTION) {
         return { success: false, reason: 'CURRENCY_NOT_TRANSFERABLE' };
       }
-      
-      // 生成交易ID
-      const transactionId = crypto.randomUUID();
-      
-      // 使用数据库事务确保原子性
-      // 实际项目中应使用数据库事务
-      
-      // 1. 从转出玩家扣除货币
-      const deductResult = await this.modifyCurrency(
-        fromPlayerId,
-        currencyType,
-        -amount,
-        this.TRANSACTION_TYPES.PLAYER_TRANSFER,
-        { ...metadata, toPlayerId, transactionId }
-      );
-      
-      if (!deductResult.success) {
-        return deductResult;
+
+      const transferType = this.TRANSACTION_TYPES.PLAYER_TRANSFER;
+      if (!this.isLegitimateIncome(toPlayerId, currency, amount, transferType, { ...metadata, fromPlayerId })) {
+        logSecurityEvent('SUSPICIOUS_TRANSFER', {
+          fromPlayerId,
+          toPlayerId,
+          currencyType: currency,
+          amount
+        });
+        return { success: false, reason: 'SUSPICIOUS_TRANSACTION' };
       }
-      
-      // 2. 向转入玩家添加货币
-      const addResult = await this.modifyCurrency(
-        toPlayerId,
-        currencyType,
+
+      const fromAccountId = fromPlayerId.toString();
+      const toAccountId = toPlayerId.toString();
+
+      // 扣款与入账在同一事务中完成，任何一步失败都不会留下半笔交易
+      const result = await this.recordTransaction({
+        fromAccountId,
+        toAccountId,
+        currencyType: currency,
         amount,
-        this.TRANSACTION_TYPES.PLAYER_TRANSFER,
-        { ...metadata, fromPlayerId, transactionId }
-      );
-      
-      if (!addResult.success) {
-        // 回滚转出玩家的扣款
-        await this.modifyCurrency(
-          fromPlayerId,
-          currencyType,
-          amount,
-          this.TRANSACTION_TYPES.SYSTEM_GRANT,
-          { reason: 'TRANSFER_ROLLBACK', originalTransactionId: transactionId }
-        );
-        
-        return addResult;
+        transactionType: transferType,
+        metadata
+      }, options);
+
+      if (!result.success) {
+        return result;
       }
-      
-      // 记录转账日志
-      await this.logTransfer(transactionId, fromPlayerId, toPlayerId, currencyType, amount, metadata);
-      
+
+      logger.info('玩家转账完成', {
+        transactionId: result.transactionId,
+        fromPlayerId: fromAccountId,
+        toPlayerId: toAccountId,
+        currencyType: currency,
+        amount,
+        duplicate: result.duplicate
+      });
+
       return {
         success: true,
-        transactionId,
+        transactionId: result.transactionId,
+        duplicate: result.duplicate,
         fromPlayer: {
-          id: fromPlayerId,
-          previousBalance: deductResult.previousBalance,
-          newBalance: deductResult.newBalance
+          id: fromAccountId,
+          ...result.balances[fromAccountId]
         },
         toPlayer: {
-          id: toPlayerId,
-          previousBalance: addResult.previousBalance,
-          newBalance: addResult.newBalance
+          id: toAccountId,
+          ...result.balances[toAccountId]
         },
         amount
       };
     } catch (error) {
-      logSecurityEvent('TRANSFER_ERROR', { 
-        fromPlayerId, 
+      logSecurityEvent('TRANSFER_ERROR', {
+        fromPlayerId,
         toPlayerId,
         currencyType,
         amount,
-        error: error.message 
+        error: error.message
       });
       return { success: false, reason: 'INTERNAL_ERROR' };
     }
   }
 
   /**
-   * 记录转账日志
-   * @param {string} transactionId - 交易ID
-   * @param {string} fromPlayerId - 转出玩家ID
-   * @param {string} toPlayerId - 转入玩家ID
-   * @param {string} currencyType - 货币类型
-   * @param {number} amount - 转账金额
-   * @param {Object} metadata - 交易元数据
+   * 玩家间转账
+   * @deprecated 请使用 transferCurrency
    */
-  static async logTransfer(transactionId, fromPlayerId, toPlayerId, currencyType, amount, metadata) {
-    const transfer = {
-      id: transactionId,
-      fromPlayerId,
-      toPlayerId,
-      currencyType,
-      amount,
-      metadata,
-      timestamp: Date.now(),
-      ip: metadata.ip || 'unknown',
-      deviceId: metadata.deviceId || 'unknown'
-    };
-    
-    // 实际项目中应保存到数据库
-    console.log(`记录转账: ${JSON.stringify(transfer)}`);
+  static async transferBetweenPlayers(fromPlayerId, toPlayerId, currencyType, amount, metadata = {}, options = {}) {
+    return this.transferCurrency(fromPlayerId, toPlayerId, currencyType, amount, metadata, options);
   }
 
   /**
@@ -541,73 +1075,69 @@ class EconomyService {
    * @param {string} itemId - 物品ID
    * @param {number} quantity - 数量
    * @param {Object} metadata - 交易元数据
+   * @param {Object} options - 选项 { idempotencyKey, session }
    * @returns {Object} 操作结果
    */
-  static async purchaseItem(playerId, itemId, quantity = 1, metadata = {}) {
+  static async purchaseItem(playerId, itemId, quantity = 1, metadata = {}, options = {}) {
     try {
       // 验证参数
       if (!Number.isInteger(quantity) || quantity <= 0) {
         return { success: false, reason: 'INVALID_QUANTITY' };
       }
-      
+
       // 获取物品信息
       const item = await this.getItemInfo(itemId);
       if (!item) {
         return { success: false, reason: 'ITEM_NOT_FOUND' };
       }
-      
+
+      // 没有商店售价的物品只能通过其他途径获得
+      if (!item.price) {
+        return { success: false, reason: 'ITEM_NOT_PURCHASABLE' };
+      }
+
       // 计算总价
       const totalPrice = item.price * quantity;
-      const currencyType = item.currencyType || this.CURRENCY_TYPES.GOLD;
-      
-      // 检查玩家余额
-      const { success, balance } = await this.getBalance(playerId, currencyType);
-      if (!success) {
-        return { success: false, reason: 'FAILED_TO_GET_BALANCE' };
-      }
-      
-      if (balance < totalPrice) {
-        return { success: false, reason: 'INSUFFICIENT_BALANCE' };
-      }
-      
-      // 生成交易ID
-      const transactionId = crypto.randomUUID();
-      
-      // 扣除货币
-      const deductResult = await this.modifyCurrency(
-        playerId,
-        currencyType,
-        -totalPrice,
-        this.TRANSACTION_TYPES.ITEM_PURCHASE,
-        { ...metadata, itemId, quantity, transactionId }
-      );
-      
-      if (!deductResult.success) {
-        return deductResult;
-      }
-      
-      // 添加物品到玩家背包
-      const addItemResult = await this.addItemToInventory(playerId, itemId, quantity);
-      
-      if (!addItemResult.success) {
-        // 回滚货币扣除
-        await this.modifyCurrency(
-          playerId,
+      const currencyType = this.normalizeCurrencyType(item.currencyType || this.CURRENCY_TYPES.GOLD);
+      const playerAccountId = playerId.toString();
+
+      // 扣款和发放物品在同一事务中完成，发放失败时扣款随事务回滚
+      const result = await this.runInTransaction(async (session) => {
+        const payment = await this.recordTransaction({
+          fromAccountId: playerAccountId,
+          toAccountId: `${SYSTEM_ACCOUNT_PREFIX}${this.TRANSACTION_TYPES.ITEM_PURCHASE}`,
           currencyType,
-          totalPrice,
-          this.TRANSACTION_TYPES.SYSTEM_GRANT,
-          { reason: 'PURCHASE_ROLLBACK', originalTransactionId: transactionId }
-        );
-        
-        return addItemResult;
-      }
-      
+          amount: totalPrice,
+          transactionType: this.TRANSACTION_TYPES.ITEM_PURCHASE,
+          metadata: { ...metadata, itemId, quantity }
+        }, { idempotencyKey: options.idempotencyKey, session });
+
+        if (!payment.success) {
+          throw new EconomyError(payment.reason);
+        }
+
+        // 重复请求不再重复发放物品
+        if (payment.duplicate) {
+          return payment;
+        }
+
+        const addItemResult = await this.addItemToInventory(playerId, itemId, quantity, session);
+        if (!addItemResult.success) {
+          throw new EconomyError(addItemResult.reason || 'ADD_ITEM_FAILED');
+        }
+
+        return payment;
+      }, options.session);
+
+      const balance = result.balances[playerAccountId] || {};
+
       // 记录购买日志
-      await this.logPurchase(transactionId, playerId, itemId, quantity, totalPrice, currencyType, metadata);
-      
+      this.logPurchase(result.transactionId, playerId, itemId, quantity, totalPrice, currencyType, metadata);
+
       return {
         success: true,
-        transactionId,
+        transactionId: result.transactionId,
+        duplicate: result.duplicate,
         item: {
           id: itemId,
           name: item.name,
@@ -616,16 +1146,20 @@ class EconomyService {
         cost: {
           amount: totalPrice,
           currencyType,
-          previousBalance: deductResult.previousBalance,
-          newBalance: deductResult.newBalance
+          previousBalance: balance.previousBalance,
+          newBalance: balance.newBalance
         }
       };
     } catch (error) {
-      logSecurityEvent('PURCHASE_ERROR', { 
-        playerId, 
+      if (error instanceof EconomyError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logSecurityEvent('PURCHASE_ERROR', {
+        playerId,
         itemId,
         quantity,
-        error: error.message 
+        error: error.message
       });
       return { success: false, reason: 'INTERNAL_ERROR' };
     }
@@ -633,44 +1167,43 @@ class EconomyService {
 
   /**
    * 获取物品信息
-   * @param {string} itemId - 物品ID
-   * @returns {Object} 物品信息
+   * @param {string} itemId - 物品模板ID
+   * @returns {Object} 物品模板
    */
   static async getItemInfo(itemId) {
-    // 实际项目中应从数据库或配置获取
-    // 这里简化为模拟数据
-    const items = {
-      'item1': {
-        id: 'item1',
-        name: '治疗药水',
-        price: 50,
-        currencyType: 'GOLD'
-      },
-      'item2': {
-        id: 'item2',
-        name: '高级装备箱',
-        price: 100,
-        currencyType: 'DIAMOND'
-      }
-    };
-    
-    return items[itemId];
+    return ContentStore.getItemTemplate(itemId);
   }
 
   /**
    * 添加物品到玩家背包
    * @param {string} playerId - 玩家ID
-   * @param {string} itemId - 物品ID
+   * @param {string} itemId - 物品模板ID
    * @param {number} quantity - 数量
+   * @param {Object} session - 数据库会话
+   * @param {string} source - 获得来源
    * @returns {Object} 操作结果
    */
-  static async addItemToInventory(playerId, itemId, quantity) {
-    // 实际项目中应更新数据库
-    return { success: true };
+  static async addItemToInventory(playerId, itemId, quantity, session = null, source = 'purchase') {
+    // 背包服务依赖本服务处理出售收入，延迟加载避免循环依赖
+    const InventoryService = require('../inventory/inventoryService');
+    return InventoryService.grantItems(playerId, [{ itemId, quantity }], { source, session });
+  }
+
+  /**
+   * 从玩家背包移除可交易物品（上架拍卖等交易场景），绑定物品不会被扣除
+   * @param {string} playerId - 玩家ID
+   * @param {string} itemId - 物品模板ID
+   * @param {number} quantity - 数量
+   * @param {Object} session - 数据库会话
+   * @returns {Object} 操作结果
+   */
+  static async removeItemFromInventory(playerId, itemId, quantity, session = null) {
+    const InventoryService = require('../inventory/inventoryService');
+    return InventoryService.removeItems(playerId, itemId, quantity, { tradeableOnly: true, session });
   }
 
   /**
-   * 记录购买日志
+   * 记录购买日志（扣款明细已写入账本）
    * @param {string} transactionId - 交易ID
    * @param {string} playerId - 玩家ID
    * @param {string} itemId - 物品ID
@@ -679,23 +1212,18 @@ class EconomyService {
    * @param {string} currencyType - 货币类型
    * @param {Object} metadata - 交易元数据
    */
-  static async logPurchase(transactionId, playerId, itemId, quantity, totalPrice, currencyType, metadata) {
-    const purchase = {
-      id: transactionId,
+  static logPurchase(transactionId, playerId, itemId, quantity, totalPrice, currencyType, metadata) {
+    logger.info('物品购买完成', {
+      transactionId,
       playerId,
       itemId,
       quantity,
       totalPrice,
       currencyType,
-      metadata,
-      timestamp: Date.now(),
       ip: metadata.ip || 'unknown',
       deviceId: metadata.deviceId || 'unknown'
-    };
-    
-    // 实际项目中应保存到数据库
-    console.log(`记录购买: ${JSON.stringify(purchase)}`);
+    });
   }
 }
 
-module.exports = EconomyService; 
\ No newline at end of file
+module.exports = EconomyService;
@@ -161,6 +161,11 @@ class GuildService {
           throw new Error('该用户已加入其他公会');
         }
         
+        // 成员上限随公会等级提升
+        if (guild.members.length >= guild.settings.memberLimit) {
+          throw new Error('公会成员已满，请提升公会等级后再招募');
+        }
+        
         // 将用户添加到公会
         await Guild.findByIdAndUpdate(guildId, {
           $push: { members: applicantId }
@@ -0,0 +1,498 @@
+const Guild = require('../../models/guild.model');
+const GuildTreasuryLog = require('../../models/guildTreasuryLog.model');
+const { TREASURY_LOG_TYPE } = require('../../models/guildTreasuryLog.model');
+const GuildDonationQuota = require('../../models/guildDonationQuota.model');
+const { SYSTEM_ACCOUNT_PREFIX } = require('../../models/ledger.model');
+const EconomyService = require('../economy/economyService');
+const QuestService = require('../quest/questService');
+const {
+  GUILD_PERK,
+  PERK_VALUES,
+  LEVEL_MILESTONES,
+  BUFF_EFFECT,
+  GUILD_BUFFS,
+  getLevelBenefits,
+  getGuildBuff
+} = require('../data/guildLevels');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 公会金库账户：成员捐献的货币转入此账户，公会资金本身记录在公会文档中
+const TREASURY_ACCOUNT_ID = `${SYSTEM_ACCOUNT_PREFIX}guild_treasury`;
+
+/**
+ * 公会金库操作错误，用于在事务中中止并返回错误码
+ */
+class TreasuryError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 公会金库服务 - 成员捐献、公会升级、增益开启和金库流水
+ * 捐献的金币和钻石通过账本转入金库账户，折算为公会资金和经验，捐献者获得公会贡献
+ */
+class GuildTreasuryService {
+  static TREASURY_LOG_TYPE = TREASURY_LOG_TYPE;
+  static BUFF_EFFECT = BUFF_EFFECT;
+
+  /**
+   * 获取所在公会的金库概览
+   * @param {string} userId - 玩家ID
+   * @returns {Object} 操作结果
+   */
+  static async getTreasury(userId) {
+    try {
+      const guild = await this.findMemberGuild(userId);
+      if (!guild) {
+        return { success: false, reason: 'NOT_IN_GUILD' };
+      }
+
+      const benefits = getLevelBenefits(guild.level);
+      const nextMilestone = LEVEL_MILESTONES.find(milestone => milestone.level > guild.level) || null;
+      const quota = await GuildDonationQuota.findOne({ userId, day: this.getDayKey() }).lean();
+
+      const donation = {};
+      for (const [currencyType, rule] of Object.entries(config.guildTreasury.donation)) {
+        donation[currencyType] = {
+          minAmount: rule.minAmount,
+          dailyCap: this.getDailyCap(guild, rule),
+          donatedToday: quota ? quota[currencyType] || 0 : 0
+        };
+      }
+
+      return {
+        success: true,
+        treasury: {
+          guildId: guild._id.toString(),
+          funds: guild.funds,
+          level: guild.level,
+          experience: guild.experience,
+          nextLevelExperience: guild.nextLevelExperience,
+          memberLimit: guild.settings.memberLimit,
+          perks: benefits.perks,
+          nextMilestone,
+          activeBuffs: guild.getActiveBuffs().map(buff => this.formatActiveBuff(buff)),
+          buffs: Object.values(GUILD_BUFFS).map(buff => ({
+            ...buff,
+            cost: this.getBuffCost(guild, buff),
+            unlocked: benefits.buffs.includes(buff.id)
+          })),
+          donation,
+          canManage: guild.isOfficerOrLeader(userId)
+        }
+      };
+    } catch (error) {
+      logger.error('获取公会金库失败', { userId: userId.toString(), error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 向所在公会捐献金币或钻石
+   * @param {string} userId - 玩家ID
+   * @param {string} currencyType - 货币类型（gold / diamond）
+   * @param {number} amount - 捐献数量
+   * @param {Object} metadata - 请求元数据 { ip, deviceId }
+   * @returns {Object} 操作结果
+   */
+  static async donate(userId, currencyType, amount, metadata = {}) {
+    const currency = EconomyService.normalizeCurrencyType(currencyType);
+    const rule = config.guildTreasury.donation[currency];
+    if (!rule) {
+      return { success: false, reason: 'INVALID_CURRENCY_TYPE' };
+    }
+
+    if (!Number.isInteger(amount) || amount < rule.minAmount) {
+      return { success: false, reason: 'INVALID_AMOUNT' };
+    }
+
+    try {
+      const result = await EconomyService.runInTransaction(async (session) => {
+        const guild = await Guild.findOne({ members: userId }).session(session);
+        if (!guild) {
+          throw new TreasuryError('NOT_IN_GUILD');
+        }
+
+        const dailyCap = this.getDailyCap(guild, rule);
+        const quota = await this.reserveQuota(userId, currency, amount, dailyCap, session);
+
+        const debit = await EconomyService.updateBalance(
+          userId,
+          currency,
+          -amount,
+          EconomyService.TRANSACTION_TYPES.GUILD_DONATION,
+          { ...metadata, guildId: guild._id.toString() },
+          { session, counterAccountId: TREASURY_ACCOUNT_ID }
+        );
+
+        if (!debit.success) {
+          throw new TreasuryError(debit.reason);
+        }
+
+        const funds = Math.floor(amount * rule.fundsRate);
+        const experience = Math.floor(
+          amount * rule.experienceRate * (1 + this.getBuffBonus(guild, BUFF_EFFECT.DONATION_EXPERIENCE))
+        );
+        const contribution = Math.floor(
+          amount * rule.contributionRate * (1 + this.getBuffBonus(guild, BUFF_EFFECT.DONATION_CONTRIBUTION))
+        );
+
+        guild.funds += funds;
+        const levelsGained = guild.gainExperience(experience);
+        await guild.save({ session });
+
+        const transactionIds = [debit.transactionId];
+
+        if (contribution > 0) {
+          const credit = await EconomyService.updateBalance(
+            userId,
+            EconomyService.CURRENCY_TYPES.GUILD_CONTRIBUTION,
+            contribution,
+            EconomyService.TRANSACTION_TYPES.GUILD_DONATION,
+            {
+              guildId: guild._id.toString(),
+              donatedCurrency: currency,
+              donatedAmount: amount
+            },
+            { session }
+          );
+
+          if (!credit.success) {
+            throw new TreasuryError(credit.reason);
+          }
+
+          transactionIds.push(credit.transactionId);
+        }
+
+        await GuildTreasuryLog.create([{
+          guildId: guild._id,
+          type: TREASURY_LOG_TYPE.DONATION,
+          userId,
+          currencyType: currency,
+          amount,
+          fundsDelta: funds,
+          fundsAfter: guild.funds,
+          experienceGained: experience,
+          levelAfter: guild.level,
+          contributionGained: contribution,
+          transactionIds,
+          metadata
+        }], { session });
+
+        return {
+          guild,
+          funds,
+          experience,
+          contribution,
+          levelsGained,
+          donatedToday: quota[currency],
+          dailyCap
+        };
+      });
+
+      const { guild } = result;
+
+      logger.info('公会捐献成功', {
+        guildId: guild._id.toString(),
+        userId: userId.toString(),
+        currencyType: currency,
+        amount,
+        funds: result.funds,
+        experience: result.experience,
+        levelsGained: result.levelsGained
+      });
+
+      QuestService.recordEvent(userId, QuestService.QUEST_EVENT.GUILD_DONATED);
+
+      return {
+        success: true,
+        fundsAdded: result.funds,
+        experienceGained: result.experience,
+        contributionGained: result.contribution,
+        levelsGained: result.levelsGained,
+        guild: {
+          funds: guild.funds,
+          level: guild.level,
+          experience: guild.experience,
+          nextLevelExperience: guild.nextLevelExperience,
+          memberLimit: guild.settings.memberLimit
+        },
+        donatedToday: result.donatedToday,
+        dailyCap: result.dailyCap
+      };
+    } catch (error) {
+      if (error instanceof TreasuryError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('公会捐献失败', {
+        userId: userId.toString(),
+        currencyType: currency,
+        amount,
+        error: error.message
+      });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 消耗公会资金开启增益，仅会长和干部可操作
+   * @param {string} userId - 操作者ID
+   * @param {string} buffId - 增益ID
+   * @returns {Object} 操作结果
+   */
+  static async purchaseBuff(userId, buffId) {
+    const buff = getGuildBuff(buffId);
+    if (!buff) {
+      return { success: false, reason: 'BUFF_NOT_FOUND' };
+    }
+
+    try {
+      const result = await EconomyService.runInTransaction(async (session) => {
+        const guild = await Guild.findOne({ members: userId }).session(session);
+        if (!guild) {
+          throw new TreasuryError('NOT_IN_GUILD');
+        }
+
+        if (!guild.isOfficerOrLeader(userId)) {
+          throw new TreasuryError('NO_PERMISSION');
+        }
+
+        if (guild.level < buff.requiredLevel) {
+          throw new TreasuryError('GUILD_LEVEL_TOO_LOW');
+        }
+
+        const now = new Date();
+        const activeBuffs = guild.getActiveBuffs(now);
+        if (activeBuffs.some(active => active.buffId === buff.id)) {
+          throw new TreasuryError('BUFF_ALREADY_ACTIVE');
+        }
+
+        const cost = this.getBuffCost(guild, buff);
+        if (guild.funds < cost) {
+          throw new TreasuryError('INSUFFICIENT_FUNDS');
+        }
+
+        const activated = {
+          buffId: buff.id,
+          effect: { ...buff.effect },
+          activatedBy: userId,
+          activatedAt: now,
+          expiresAt: new Date(now.getTime() + buff.durationHours * 60 * 60 * 1000)
+        };
+
+        // 顺带清理已过期的增益
+        guild.activeBuffs = [...activeBuffs, activated];
+        guild.funds -= cost;
+        await guild.save({ session });
+
+        await GuildTreasuryLog.create([{
+          guildId: guild._id,
+          type: TREASURY_LOG_TYPE.BUFF_PURCHASE,
+          userId,
+          fundsDelta: -cost,
+          fundsAfter: guild.funds,
+          buffId: buff.id,
+          metadata: { expiresAt: activated.expiresAt }
+        }], { session });
+
+        return { guild, cost, activated };
+      });
+
+      logger.info('公会增益已开启', {
+        guildId: result.guild._id.toString(),
+        userId: userId.toString(),
+        buffId: buff.id,
+        cost: result.cost
+      });
+
+      return {
+        success: true,
+        buff: this.formatActiveBuff(result.activated),
+        cost: result.cost,
+        funds: result.guild.funds
+      };
+    } catch (error) {
+      if (error instanceof TreasuryError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('开启公会增益失败', { userId: userId.toString(), buffId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 查询所在公会的金库流水
+   * @param {string} userId - 玩家ID
+   * @param {Object} filters - 过滤条件 { type, page, limit }
+   * @returns {Object} 分页结果
+   */
+  static async getLogs(userId, filters = {}) {
+    const page = Math.max(1, parseInt(filters.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 20));
+
+    try {
+      const guild = await this.findMemberGuild(userId);
+      if (!guild) {
+        return { success: false, reason: 'NOT_IN_GUILD' };
+      }
+
+      const query = { guildId: guild._id };
+      if (filters.type && Object.values(TREASURY_LOG_TYPE).includes(filters.type)) {
+        query.type = filters.type;
+      }
+
+      const [logs, total] = await Promise.all([
+        GuildTreasuryLog.find(query)
+          .select('-transactionIds -metadata')
+          .populate('userId', 'username nickname')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        GuildTreasuryLog.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('查询公会金库流水失败', { userId: userId.toString(), error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 系统向公会资金发放收入并记录流水
+   * @param {string} guildId - 公会ID
+   * @param {number} amount - 资金数量
+   * @param {string} type - 流水类型
+   * @param {Object} metadata - 流水元数据
+   * @param {Object} session - 事务会话
+   * @returns {Promise<Object|null>} 更新后的公会，公会不存在时为null
+   */
+  static async addFunds(guildId, amount, type, metadata = {}, session = null) {
+    const guild = await Guild.findByIdAndUpdate(
+      guildId,
+      { $inc: { funds: amount } },
+      { new: true, session, projection: { funds: 1, level: 1 } }
+    );
+
+    if (!guild) {
+      return null;
+    }
+
+    await GuildTreasuryLog.create([{
+      guildId,
+      type,
+      fundsDelta: amount,
+      fundsAfter: guild.funds,
+      levelAfter: guild.level,
+      metadata
+    }], { session });
+
+    return guild;
+  }
+
+  /**
+   * 计算公会生效增益对指定效果的加成比例
+   * @param {Object} guild - 公会文档
+   * @param {string} effectType - 效果类型
+   * @returns {number} 加成比例
+   */
+  static getBuffBonus(guild, effectType) {
+    return guild.getActiveBuffs()
+      .filter(buff => buff.effect.type === effectType)
+      .reduce((sum, buff) => sum + buff.effect.value, 0);
+  }
+
+  /**
+   * 占用当日捐献额度，超出上限时中止事务
+   * @private
+   */
+  static async reserveQuota(userId, currency, amount, dailyCap, session) {
+    if (amount > dailyCap) {
+      throw new TreasuryError('DAILY_CAP_REACHED');
+    }
+
+    try {
+      return await GuildDonationQuota.findOneAndUpdate(
+        { userId, day: this.getDayKey(), [currency]: { $lte: dailyCap - amount } },
+        { $inc: { [currency]: amount } },
+        { upsert: true, new: true, session }
+      );
+    } catch (error) {
+      // 当日记录已存在但额度不足时，upsert 会因唯一索引冲突失败
+      if (error.code === 11000) {
+        throw new TreasuryError('DAILY_CAP_REACHED');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 计算公会成员的每日捐献上限
+   * @private
+   */
+  static getDailyCap(guild, rule) {
+    const { perks } = getLevelBenefits(guild.level);
+    const bonus = perks.includes(GUILD_PERK.DONATION_CAP_BONUS) ? PERK_VALUES[GUILD_PERK.DONATION_CAP_BONUS] : 0;
+    return Math.floor(rule.dailyCap * (1 + bonus));
+  }
+
+  /**
+   * 计算公会开启增益的资金消耗
+   * @private
+   */
+  static getBuffCost(guild, buff) {
+    const { perks } = getLevelBenefits(guild.level);
+    const discount = perks.includes(GUILD_PERK.BUFF_DISCOUNT) ? PERK_VALUES[GUILD_PERK.BUFF_DISCOUNT] : 0;
+    return Math.ceil(buff.cost * (1 - discount));
+  }
+
+  /**
+   * 查找玩家所在公会
+   * @private
+   */
+  static async findMemberGuild(userId) {
+    return Guild.findOne({ members: userId });
+  }
+
+  /**
+   * 获取当天的额度日期标识
+   * @private
+   */
+  static getDayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * 格式化生效中的增益
+   * @private
+   */
+  static formatActiveBuff(buff) {
+    const definition = getGuildBuff(buff.buffId);
+
+    return {
+      buffId: buff.buffId,
+      name: definition ? definition.name : buff.buffId,
+      effect: { type: buff.effect.type, value: buff.effect.value },
+      activatedAt: buff.activatedAt,
+      expiresAt: buff.expiresAt
+    };
+  }
+}
+
+module.exports = GuildTreasuryService;
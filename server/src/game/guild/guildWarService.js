@@ -0,0 +1,604 @@
+const Guild = require('../../models/guild.model');
+const User = require('../../models/user.model');
+const GuildWarSeason = require('../../models/guildWar.model');
+const { GUILD_WAR_STATUS, MATCHUP_RESULT } = require('../../models/guildWar.model');
+const EconomyService = require('../economy/economyService');
+const GuildTreasuryService = require('./guildTreasuryService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 公会战操作错误，用于在事务中中止并返回错误码
+ */
+class GuildWarError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 公会战服务 - 每周赛季的报名、匹配、计分和结算
+ * 赛季时间表由 config.guildWar 定义，状态推进由计划任务驱动
+ */
+class GuildWarService {
+  static GUILD_WAR_STATUS = GUILD_WAR_STATUS;
+  static MATCHUP_RESULT = MATCHUP_RESULT;
+
+  /**
+   * 计算指定时间所在周的赛季时间表
+   * @param {Date} date - 参考时间
+   * @returns {Object} { seasonKey, signupEndsAt, warStartsAt, warEndsAt }
+   */
+  static getSeasonSchedule(date = new Date()) {
+    const weekStart = new Date(date);
+    weekStart.setHours(0, 0, 0, 0);
+    weekStart.setDate(weekStart.getDate() - (weekStart.getDay() + 6) % 7);
+
+    const pad = value => String(value).padStart(2, '0');
+    const at = hours => new Date(weekStart.getTime() + hours * HOUR_MS);
+    const { signupEndHour, warStartHour, warEndHour } = config.guildWar;
+
+    return {
+      seasonKey: `${weekStart.getFullYear()}-${pad(weekStart.getMonth() + 1)}-${pad(weekStart.getDate())}`,
+      signupEndsAt: at(signupEndHour),
+      warStartsAt: at(warStartHour),
+      warEndsAt: at(warEndHour)
+    };
+  }
+
+  /**
+   * 获取或创建本周赛季
+   * @param {Date} date - 参考时间
+   * @returns {Promise<Object>} 赛季文档
+   */
+  static async ensureSeason(date = new Date()) {
+    const schedule = this.getSeasonSchedule(date);
+
+    try {
+      return await GuildWarSeason.findOneAndUpdate(
+        { seasonKey: schedule.seasonKey },
+        { $setOnInsert: schedule },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // 多个实例同时创建时唯一索引冲突，读取已创建的赛季
+      if (error.code === 11000) {
+        return GuildWarSeason.findOne({ seasonKey: schedule.seasonKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取本周赛季信息
+   * @returns {Object} 操作结果
+   */
+  static async getCurrentSeason() {
+    try {
+      const season = await this.ensureSeason();
+      return { success: true, season: this.formatSeason(season) };
+    } catch (error) {
+      logger.error('获取公会战赛季失败', { error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 获取玩家所在公会在本周赛季中的状态
+   * @param {string} userId - 玩家ID
+   * @returns {Object} 操作结果
+   */
+  static async getGuildStatus(userId) {
+    try {
+      const guild = await this.findMemberGuild(userId);
+      if (!guild) {
+        return { success: false, reason: 'NOT_IN_GUILD' };
+      }
+
+      const season = await this.ensureSeason();
+      const guildIdStr = guild._id.toString();
+      const registration = this.findRegistration(season, guildIdStr);
+
+      const status = {
+        seasonKey: season.seasonKey,
+        phase: this.getPhase(season),
+        signupEndsAt: season.signupEndsAt,
+        warStartsAt: season.warStartsAt,
+        warEndsAt: season.warEndsAt,
+        guildId: guildIdStr,
+        registered: !!registration,
+        canSignUp: guild.isOfficerOrLeader(userId),
+        score: registration ? registration.score : 0,
+        myWins: registration ? (registration.memberWins || {})[userId.toString()] || 0 : 0,
+        matchup: null
+      };
+
+      const matchup = season.matchups.find(m =>
+        m.guildA.toString() === guildIdStr || (m.guildB && m.guildB.toString() === guildIdStr)
+      );
+
+      if (matchup) {
+        const isGuildA = matchup.guildA.toString() === guildIdStr;
+        const opponentId = isGuildA ? matchup.guildB : matchup.guildA;
+        const opponent = opponentId ? this.findRegistration(season, opponentId.toString()) : null;
+
+        status.matchup = {
+          opponentId: opponentId ? opponentId.toString() : null,
+          opponentName: opponent ? opponent.guildName : null,
+          opponentScore: opponent ? opponent.score : 0,
+          settled: matchup.settled,
+          winner: matchup.winner ? matchup.winner.toString() : null
+        };
+      }
+
+      return { success: true, status };
+    } catch (error) {
+      logger.error('获取公会战状态失败', { userId: userId.toString(), error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 公会报名本周赛季，仅会长和干部可操作
+   * @param {string} userId - 操作者ID
+   * @returns {Object} 操作结果
+   */
+  static async signUp(userId) {
+    try {
+      const guild = await this.findMemberGuild(userId);
+      if (!guild) {
+        return { success: false, reason: 'NOT_IN_GUILD' };
+      }
+
+      if (!guild.isOfficerOrLeader(userId)) {
+        return { success: false, reason: 'NO_PERMISSION' };
+      }
+
+      const { minGuildLevel, minMembers } = config.guildWar;
+      if (guild.level < minGuildLevel) {
+        return { success: false, reason: 'GUILD_LEVEL_TOO_LOW' };
+      }
+
+      if (guild.members.length < minMembers) {
+        return { success: false, reason: 'NOT_ENOUGH_MEMBERS' };
+      }
+
+      const season = await this.ensureSeason();
+      if (this.findRegistration(season, guild._id.toString())) {
+        return { success: false, reason: 'ALREADY_SIGNED_UP' };
+      }
+
+      const power = await this.calculateGuildPower(guild);
+
+      // 报名截止和重复报名都在同一次原子更新中校验
+      const updated = await GuildWarSeason.findOneAndUpdate(
+        {
+          _id: season._id,
+          status: GUILD_WAR_STATUS.SIGNUP,
+          signupEndsAt: { $gt: new Date() },
+          'registrations.guildId': { $ne: guild._id }
+        },
+        {
+          $push: {
+            registrations: {
+              guildId: guild._id,
+              guildName: guild.name,
+              level: guild.level,
+              power,
+              signedUpBy: userId
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        const latest = await GuildWarSeason.findById(season._id);
+        const alreadySignedUp = latest && this.findRegistration(latest, guild._id.toString());
+        return { success: false, reason: alreadySignedUp ? 'ALREADY_SIGNED_UP' : 'SIGNUP_CLOSED' };
+      }
+
+      logger.info('公会报名公会战', {
+        seasonKey: updated.seasonKey,
+        guildId: guild._id.toString(),
+        level: guild.level,
+        power,
+        operatorId: userId.toString()
+      });
+
+      return { success: true, season: this.formatSeason(updated) };
+    } catch (error) {
+      logger.error('公会战报名失败', { userId: userId.toString(), error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 记录PVP胜场，战斗时段内为胜者所在公会加分
+   * 同一场战斗只计分一次，击败同公会成员不计分
+   * @param {Object} battleState - 已结束的战斗状态
+   * @returns {Object} 操作结果
+   */
+  static async recordPvpWin(battleState) {
+    const { id: battleId, battleType, winner, players = [] } = battleState;
+
+    if (!winner || !config.guildWar.battleTypes.includes(battleType)) {
+      return { success: false, reason: 'NOT_ELIGIBLE' };
+    }
+
+    const now = new Date();
+    const season = await GuildWarSeason.findOne({
+      status: GUILD_WAR_STATUS.MATCHED,
+      warStartsAt: { $lte: now },
+      warEndsAt: { $gt: now }
+    });
+
+    if (!season) {
+      return { success: false, reason: 'NOT_IN_WAR_WINDOW' };
+    }
+
+    const guild = await this.findMemberGuild(winner);
+    if (!guild || !this.findRegistration(season, guild._id.toString())) {
+      return { success: false, reason: 'GUILD_NOT_REGISTERED' };
+    }
+
+    const losers = players.filter(playerId => playerId !== winner);
+    if (losers.length === 0 || guild.members.some(memberId => losers.includes(memberId.toString()))) {
+      return { success: false, reason: 'NOT_ELIGIBLE' };
+    }
+
+    // 公会开启的战鼓等增益提升胜场积分
+    const points = Math.round(
+      config.guildWar.pointsPerWin *
+      (1 + GuildTreasuryService.getBuffBonus(guild, GuildTreasuryService.BUFF_EFFECT.GUILD_WAR_POINTS))
+    );
+
+    const result = await GuildWarSeason.updateOne(
+      {
+        _id: season._id,
+        status: GUILD_WAR_STATUS.MATCHED,
+        'registrations.guildId': guild._id,
+        scoredBattles: { $ne: battleId }
+      },
+      {
+        $inc: {
+          'registrations.$.score': points,
+          [`registrations.$.memberWins.${winner}`]: 1
+        },
+        $push: { scoredBattles: battleId }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return { success: false, reason: 'ALREADY_SCORED' };
+    }
+
+    logger.info('公会战积分已记录', {
+      seasonKey: season.seasonKey,
+      guildId: guild._id.toString(),
+      userId: winner,
+      battleId,
+      points
+    });
+
+    return { success: true, guildId: guild._id.toString(), points };
+  }
+
+  /**
+   * 推进赛季状态：创建本周赛季，匹配报名截止的赛季，结算战斗时段结束的赛季
+   * @returns {Object} 处理结果
+   */
+  static async processSeasons() {
+    await this.ensureSeason();
+
+    const now = new Date();
+    const [toMatch, toSettle] = await Promise.all([
+      GuildWarSeason.find({ status: GUILD_WAR_STATUS.SIGNUP, signupEndsAt: { $lte: now } }),
+      GuildWarSeason.find({ status: GUILD_WAR_STATUS.MATCHED, warEndsAt: { $lte: now } })
+    ]);
+
+    let matched = 0;
+    let settled = 0;
+
+    for (const season of toMatch) {
+      if ((await this.matchSeason(season)).success) matched++;
+    }
+
+    for (const season of toSettle) {
+      if ((await this.settleSeason(season)).success) settled++;
+    }
+
+    return { success: true, matched, settled };
+  }
+
+  /**
+   * 按公会等级和战力匹配对手
+   * 报名公会按等级、战力降序排列后相邻两两配对，奇数时排在最后的公会轮空
+   * @param {Object} season - 赛季文档
+   * @returns {Object} 操作结果
+   */
+  static async matchSeason(season) {
+    try {
+      // 报名截止后重新读取公会数据，已解散的公会不参与匹配
+      const guilds = await Guild.find({
+        _id: { $in: season.registrations.map(r => r.guildId) }
+      });
+
+      const registrations = [];
+      for (const guild of guilds) {
+        const registration = this.findRegistration(season, guild._id.toString());
+        registrations.push({
+          ...registration.toObject(),
+          guildName: guild.name,
+          level: guild.level,
+          power: await this.calculateGuildPower(guild)
+        });
+      }
+
+      registrations.sort((a, b) => b.level - a.level || b.power - a.power);
+
+      const matchups = [];
+      for (let i = 0; i < registrations.length; i += 2) {
+        matchups.push({
+          guildA: registrations[i].guildId,
+          guildB: registrations[i + 1] ? registrations[i + 1].guildId : null
+        });
+      }
+
+      // 只有一个实例能把赛季从报名状态推进到已匹配
+      const result = await GuildWarSeason.updateOne(
+        { _id: season._id, status: GUILD_WAR_STATUS.SIGNUP },
+        {
+          $set: {
+            status: GUILD_WAR_STATUS.MATCHED,
+            registrations,
+            matchups,
+            matchedAt: new Date()
+          }
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        return { success: false, reason: 'ALREADY_MATCHED' };
+      }
+
+      logger.info('公会战匹配完成', {
+        seasonKey: season.seasonKey,
+        guilds: registrations.length,
+        matchups: matchups.length
+      });
+
+      return { success: true, matchups: matchups.length };
+    } catch (error) {
+      logger.error('公会战匹配失败', { seasonKey: season.seasonKey, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 结算赛季：逐个对阵发放公会资金和成员贡献
+   * 每个对阵在独立事务中结算，失败的对阵在下一次任务执行时重试
+   * @param {Object} season - 赛季文档
+   * @returns {Object} 操作结果
+   */
+  static async settleSeason(season) {
+    let failed = 0;
+
+    for (const matchup of season.matchups.filter(m => !m.settled)) {
+      try {
+        await EconomyService.runInTransaction(session => this.settleMatchup(season, matchup, session));
+      } catch (error) {
+        if (error.reason === 'ALREADY_SETTLED') continue;
+
+        failed++;
+        logger.error('公会战对阵结算失败', {
+          seasonKey: season.seasonKey,
+          matchupId: matchup._id.toString(),
+          reason: error.reason || error.message
+        });
+      }
+    }
+
+    if (failed > 0) {
+      return { success: false, reason: 'PARTIALLY_SETTLED', failed };
+    }
+
+    await GuildWarSeason.updateOne(
+      { _id: season._id, status: GUILD_WAR_STATUS.MATCHED },
+      { $set: { status: GUILD_WAR_STATUS.SETTLED, settledAt: new Date() } }
+    );
+
+    logger.info('公会战赛季结算完成', {
+      seasonKey: season.seasonKey,
+      matchups: season.matchups.length
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * 在事务中结算单个对阵
+   * @private
+   */
+  static async settleMatchup(season, matchup, session) {
+    const regA = this.findRegistration(season, matchup.guildA.toString());
+    const regB = matchup.guildB ? this.findRegistration(season, matchup.guildB.toString()) : null;
+    const scoreA = regA.score;
+    const scoreB = regB ? regB.score : 0;
+
+    let resultA = MATCHUP_RESULT.BYE;
+    let resultB = null;
+    let winner = null;
+
+    if (regB) {
+      if (scoreA === scoreB) {
+        resultA = resultB = MATCHUP_RESULT.DRAW;
+      } else {
+        const aWins = scoreA > scoreB;
+        resultA = aWins ? MATCHUP_RESULT.WIN : MATCHUP_RESULT.LOSS;
+        resultB = aWins ? MATCHUP_RESULT.LOSS : MATCHUP_RESULT.WIN;
+        winner = aWins ? regA.guildId : regB.guildId;
+      }
+    }
+
+    // 先标记对阵已结算，并发结算时后到的事务在此中止
+    const claim = await GuildWarSeason.updateOne(
+      { _id: season._id, matchups: { $elemMatch: { _id: matchup._id, settled: false } } },
+      {
+        $set: {
+          'matchups.$.settled': true,
+          'matchups.$.settledAt': new Date(),
+          'matchups.$.scoreA': scoreA,
+          'matchups.$.scoreB': scoreB,
+          'matchups.$.winner': winner
+        }
+      },
+      { session }
+    );
+
+    if (claim.modifiedCount === 0) {
+      throw new GuildWarError('ALREADY_SETTLED');
+    }
+
+    await this.payGuildReward(season, regA, resultA, session);
+    if (regB) {
+      await this.payGuildReward(season, regB, resultB, session);
+    }
+  }
+
+  /**
+   * 发放单个公会的结算奖励
+   * 资金进入公会资金，贡献通过账本发放给赛季内获得过胜场且仍在公会的成员
+   * @private
+   */
+  static async payGuildReward(season, registration, result, session) {
+    const reward = config.guildWar.rewards[result];
+    const guild = await Guild.findById(registration.guildId).session(session);
+
+    // 公会已解散，奖励作废
+    if (!guild) return;
+
+    if (reward.funds > 0) {
+      await GuildTreasuryService.addFunds(
+        guild._id,
+        reward.funds,
+        GuildTreasuryService.TREASURY_LOG_TYPE.WAR_REWARD,
+        { seasonKey: season.seasonKey, result },
+        session
+      );
+    }
+
+    if (reward.contribution <= 0) return;
+
+    const memberWins = registration.memberWins || {};
+    const memberIds = new Set(guild.members.map(id => id.toString()));
+    const rewardedMembers = Object.keys(memberWins).filter(id => memberWins[id] > 0 && memberIds.has(id));
+
+    for (const memberId of rewardedMembers) {
+      const payResult = await EconomyService.updateBalance(
+        memberId,
+        EconomyService.CURRENCY_TYPES.GUILD_CONTRIBUTION,
+        reward.contribution,
+        EconomyService.TRANSACTION_TYPES.GUILD_WAR_REWARD,
+        {
+          seasonKey: season.seasonKey,
+          guildId: guild._id.toString(),
+          result,
+          wins: memberWins[memberId]
+        },
+        { session, idempotencyKey: `guild_war:${season.seasonKey}:${memberId}` }
+      );
+
+      if (!payResult.success) {
+        throw new GuildWarError(payResult.reason);
+      }
+    }
+
+    logger.info('公会战奖励已发放', {
+      seasonKey: season.seasonKey,
+      guildId: guild._id.toString(),
+      result,
+      funds: reward.funds,
+      rewardedMembers: rewardedMembers.length
+    });
+  }
+
+  /**
+   * 计算公会战力：成员等级与排位积分之和
+   * @private
+   */
+  static async calculateGuildPower(guild) {
+    const members = await User.find({ _id: { $in: guild.members } })
+      .select('gameProfile.level stats.rankPoints')
+      .lean();
+
+    return members.reduce((sum, member) =>
+      sum + (member.gameProfile?.level || 1) * 100 + (member.stats?.rankPoints || 0), 0);
+  }
+
+  /**
+   * 查找玩家所在公会
+   * @private
+   */
+  static async findMemberGuild(userId) {
+    return Guild.findOne({ members: userId });
+  }
+
+  /**
+   * 查找赛季中的报名记录
+   * @private
+   */
+  static findRegistration(season, guildIdStr) {
+    return season.registrations.find(r => r.guildId.toString() === guildIdStr) || null;
+  }
+
+  /**
+   * 计算赛季当前阶段
+   * @private
+   * @returns {string} signup / matching / preparing / in_war / settling / settled
+   */
+  static getPhase(season, now = new Date()) {
+    if (season.status === GUILD_WAR_STATUS.SETTLED) return 'settled';
+    if (season.status === GUILD_WAR_STATUS.SIGNUP) {
+      return now < season.signupEndsAt ? 'signup' : 'matching';
+    }
+    if (now < season.warStartsAt) return 'preparing';
+    return now < season.warEndsAt ? 'in_war' : 'settling';
+  }
+
+  /**
+   * 格式化赛季信息，不返回成员胜场明细
+   * @private
+   */
+  static formatSeason(season) {
+    return {
+      id: season._id.toString(),
+      seasonKey: season.seasonKey,
+      status: season.status,
+      phase: this.getPhase(season),
+      signupEndsAt: season.signupEndsAt,
+      warStartsAt: season.warStartsAt,
+      warEndsAt: season.warEndsAt,
+      registrations: season.registrations.map(r => ({
+        guildId: r.guildId.toString(),
+        guildName: r.guildName,
+        level: r.level,
+        power: r.power,
+        score: r.score
+      })),
+      matchups: season.matchups.map(m => ({
+        guildA: m.guildA.toString(),
+        guildB: m.guildB ? m.guildB.toString() : null,
+        scoreA: m.scoreA,
+        scoreB: m.scoreB,
+        winner: m.winner ? m.winner.toString() : null,
+        settled: m.settled
+      }))
+    };
+  }
+}
+
+module.exports = GuildWarService;
@@ -0,0 +1,485 @@
+const Item = require('../../models/item.model');
+const User = require('../../models/user.model');
+const EconomyService = require('../economy/economyService');
+const { BIND_TYPE, USE_EFFECT } = require('../data/items');
+const ContentStore = require('../content/contentStore');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { logSecurityEvent } = require('../../security/middleware');
+
+/**
+ * 背包操作错误，用于在事务中中止并返回错误码
+ */
+class InventoryError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 背包服务 - 物品发放、移除、使用、出售和丢弃
+ * 每个物品实例占用一个背包格子，可堆叠物品在 maxStack 以内合并为一组
+ * 所有物品发放（商店购买、CDK、充值商品、宝箱）都应通过 grantItems 完成
+ */
+class InventoryService {
+  /**
+   * 获取玩家背包
+   * @param {string} userId - 玩家ID
+   * @returns {Object} 背包内容
+   */
+  static async getInventory(userId) {
+    const user = await User.findById(userId).select('gameProfile.bagCapacity');
+    if (!user) {
+      return { success: false, reason: 'PLAYER_NOT_FOUND' };
+    }
+
+    const items = await Item.find({ ownerId: userId }).sort({ acquiredAt: 1 });
+
+    return {
+      success: true,
+      capacity: this.getBagCapacity(user),
+      used: items.length,
+      items: items.map(item => this.formatItem(item))
+    };
+  }
+
+  /**
+   * 发放物品到玩家背包
+   * 全部发放成功或全部不发放，背包格子不足时返回 BAG_FULL
+   * @param {string} userId - 玩家ID
+   * @param {Array} items - 物品列表 [{ itemId, quantity }]，itemId 为物品模板ID
+   * @param {Object} options - 选项
+   * @param {string} options.source - 获得来源
+   * @param {Object} options.session - 外部事务会话，传入时由调用方负责提交或回滚
+   * @returns {Object} 操作结果
+   */
+  static async grantItems(userId, items, options = {}) {
+    try {
+      const grants = this.normalizeGrants(items);
+
+      const granted = await EconomyService.runInTransaction(async (session) => {
+        const user = await User.findById(userId).select('gameProfile.bagCapacity').session(session);
+        if (!user) {
+          throw new InventoryError('PLAYER_NOT_FOUND');
+        }
+
+        const stackUpdates = [];
+        const newItems = [];
+
+        for (const { template, quantity } of grants) {
+          const bound = template.bindType === BIND_TYPE.BIND_ON_PICKUP;
+          let remaining = quantity;
+
+          if (template.stackable) {
+            // 先补满已有的同类堆叠
+            const stacks = await Item.find({
+              ownerId: userId,
+              templateId: template.id,
+              bound,
+              quantity: { $lt: template.maxStack }
+            }).sort({ quantity: -1 }).session(session);
+
+            for (const stack of stacks) {
+              if (remaining === 0) break;
+              const add = Math.min(template.maxStack - stack.quantity, remaining);
+              stackUpdates.push({ stack, add, maxStack: template.maxStack });
+              remaining -= add;
+            }
+          }
+
+          // 剩余数量开新格子
+          const perSlot = template.stackable ? template.maxStack : 1;
+          while (remaining > 0) {
+            const slotQuantity = Math.min(perSlot, remaining);
+            newItems.push({
+              ownerId: userId,
+              templateId: template.id,
+              quantity: slotQuantity,
+              bound,
+              source: options.source
+            });
+            remaining -= slotQuantity;
+          }
+        }
+
+        const used = await Item.countDocuments({ ownerId: userId }).session(session);
+        if (used + newItems.length > this.getBagCapacity(user)) {
+          throw new InventoryError('BAG_FULL');
+        }
+
+        for (const { stack, add, maxStack } of stackUpdates) {
+          const updated = await Item.updateOne(
+            { _id: stack._id, quantity: { $lte: maxStack - add } },
+            { $inc: { quantity: add } },
+            { session }
+          );
+
+          if (updated.modifiedCount !== 1) {
+            throw new InventoryError('INVENTORY_CONFLICT');
+          }
+        }
+
+        if (newItems.length > 0) {
+          await Item.create(newItems, { session, ordered: true });
+        }
+
+        return grants.map(({ template, quantity }) => ({ itemId: template.id, name: template.name, quantity }));
+      }, options.session);
+
+      logger.info('物品已发放', { userId, source: options.source, items: granted });
+
+      return { success: true, items: granted };
+    } catch (error) {
+      if (error instanceof InventoryError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('物品发放失败', { userId, items, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 按模板从玩家背包移除物品，优先扣除数量较少的堆叠
+   * @param {string} userId - 玩家ID
+   * @param {string} templateId - 物品模板ID
+   * @param {number} quantity - 数量
+   * @param {Object} options - 选项
+   * @param {boolean} options.tradeableOnly - 只扣除可交易（未绑定）的物品，用于上架拍卖等交易场景
+   * @param {Object} options.session - 外部事务会话
+   * @returns {Object} 操作结果
+   */
+  static async removeItems(userId, templateId, quantity, options = {}) {
+    try {
+      const template = ContentStore.getItemTemplate(templateId);
+      if (!template) {
+        return { success: false, reason: 'ITEM_NOT_FOUND' };
+      }
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return { success: false, reason: 'INVALID_QUANTITY' };
+      }
+
+      if (options.tradeableOnly && !template.tradeable) {
+        return { success: false, reason: 'ITEM_NOT_TRADEABLE' };
+      }
+
+      await EconomyService.runInTransaction(async (session) => {
+        const query = { ownerId: userId, templateId, equippedSlot: null };
+        if (options.tradeableOnly) {
+          query.bound = false;
+        }
+
+        const stacks = await Item.find(query).sort({ quantity: 1 }).session(session);
+        const owned = stacks.reduce((sum, stack) => sum + stack.quantity, 0);
+        if (owned < quantity) {
+          throw new InventoryError('ITEM_NOT_OWNED');
+        }
+
+        let remaining = quantity;
+        for (const stack of stacks) {
+          if (remaining === 0) break;
+          const take = Math.min(stack.quantity, remaining);
+          await this.consumeStack(stack, take, session);
+          remaining -= take;
+        }
+      }, options.session);
+
+      return { success: true, itemId: templateId, quantity };
+    } catch (error) {
+      if (error instanceof InventoryError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('物品移除失败', { userId, templateId, quantity, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 使用物品
+   * @param {string} userId - 玩家ID
+   * @param {string} instanceId - 物品实例ID
+   * @param {number} quantity - 使用数量
+   * @returns {Object} 操作结果
+   */
+  static async useItem(userId, instanceId, quantity = 1) {
+    try {
+      const result = await EconomyService.runInTransaction(async (session) => {
+        const { item, template } = await this.takeFromInstance(userId, instanceId, quantity, session);
+
+        if (!template.useEffect) {
+          throw new InventoryError('ITEM_NOT_USABLE');
+        }
+
+        const effect = await this.applyUseEffect(userId, item, template, quantity, session);
+        return { itemId: template.id, quantity, effect };
+      });
+
+      logger.info('物品已使用', { userId, instanceId, ...result });
+
+      return { success: true, ...result };
+    } catch (error) {
+      if (error instanceof InventoryError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('物品使用失败', { userId, instanceId, quantity, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 出售物品给系统，按模板 sellPrice 获得金币
+   * @param {string} userId - 玩家ID
+   * @param {string} instanceId - 物品实例ID
+   * @param {number} quantity - 出售数量
+   * @param {Object} metadata - 请求元数据 { ip, deviceId }
+   * @returns {Object} 操作结果
+   */
+  static async sellItem(userId, instanceId, quantity = 1, metadata = {}) {
+    try {
+      const result = await EconomyService.runInTransaction(async (session) => {
+        const { template } = await this.takeFromInstance(userId, instanceId, quantity, session);
+
+        if (!template.sellPrice) {
+          throw new InventoryError('ITEM_NOT_SELLABLE');
+        }
+
+        const income = template.sellPrice * quantity;
+        const payment = await EconomyService.updateBalance(
+          userId,
+          EconomyService.CURRENCY_TYPES.GOLD,
+          income,
+          EconomyService.TRANSACTION_TYPES.ITEM_SELL,
+          { ...metadata, itemId: template.id, instanceId, quantity },
+          { session }
+        );
+
+        if (!payment.success) {
+          throw new InventoryError(payment.reason);
+        }
+
+        return {
+          itemId: template.id,
+          quantity,
+          transactionId: payment.transactionId,
+          income: {
+            amount: income,
+            currencyType: EconomyService.CURRENCY_TYPES.GOLD,
+            newBalance: payment.newBalance
+          }
+        };
+      });
+
+      return { success: true, ...result };
+    } catch (error) {
+      if (error instanceof InventoryError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logSecurityEvent('ITEM_SELL_ERROR', { userId, instanceId, quantity, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 丢弃物品
+   * @param {string} userId - 玩家ID
+   * @param {string} instanceId - 物品实例ID
+   * @param {number} quantity - 丢弃数量，默认丢弃整组
+   * @returns {Object} 操作结果
+   */
+  static async discardItem(userId, instanceId, quantity) {
+    try {
+      const result = await EconomyService.runInTransaction(async (session) => {
+        const item = await Item.findOne({ _id: instanceId, ownerId: userId }).session(session);
+        const amount = quantity === undefined && item ? item.quantity : quantity;
+        const { template } = await this.takeFromInstance(userId, instanceId, amount, session);
+        return { itemId: template.id, quantity: amount };
+      });
+
+      logger.info('物品已丢弃', { userId, instanceId, ...result });
+
+      return { success: true, ...result };
+    } catch (error) {
+      if (error instanceof InventoryError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('物品丢弃失败', { userId, instanceId, quantity, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 从指定物品实例中扣除数量
+   * @private
+   */
+  static async takeFromInstance(userId, instanceId, quantity, session) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new InventoryError('INVALID_QUANTITY');
+    }
+
+    const item = await Item.findOne({ _id: instanceId, ownerId: userId }).session(session);
+    if (!item) {
+      throw new InventoryError('ITEM_NOT_OWNED');
+    }
+
+    if (item.equippedSlot) {
+      throw new InventoryError('ITEM_EQUIPPED');
+    }
+
+    const template = ContentStore.getItemTemplate(item.templateId);
+    if (!template) {
+      throw new InventoryError('ITEM_NOT_FOUND');
+    }
+
+    if (item.quantity < quantity) {
+      throw new InventoryError('INSUFFICIENT_QUANTITY');
+    }
+
+    await this.consumeStack(item, quantity, session);
+    return { item, template };
+  }
+
+  /**
+   * 扣减堆叠数量，扣完时删除该格子
+   * @private
+   */
+  static async consumeStack(stack, quantity, session) {
+    const result = quantity === stack.quantity
+      ? await Item.deleteOne({ _id: stack._id, quantity }, { session })
+      : await Item.updateOne(
+        { _id: stack._id, quantity: { $gte: quantity } },
+        { $inc: { quantity: -quantity } },
+        { session }
+      );
+
+    const affected = result.deletedCount !== undefined ? result.deletedCount : result.modifiedCount;
+    if (affected !== 1) {
+      throw new InventoryError('INVENTORY_CONFLICT');
+    }
+  }
+
+  /**
+   * 执行物品使用效果
+   * @private
+   */
+  static async applyUseEffect(userId, item, template, quantity, session) {
+    const effect = template.useEffect;
+
+    switch (effect.type) {
+      case USE_EFFECT.CURRENCY: {
+        const amount = effect.amount * quantity;
+        const result = await EconomyService.updateBalance(
+          userId,
+          effect.currencyType,
+          amount,
+          EconomyService.TRANSACTION_TYPES.ITEM_USE,
+          { itemId: template.id, instanceId: item._id.toString(), quantity },
+          { session }
+        );
+
+        if (!result.success) {
+          throw new InventoryError(result.reason);
+        }
+
+        return { type: effect.type, currencyType: effect.currencyType, amount, newBalance: result.newBalance };
+      }
+
+      case USE_EFFECT.ITEMS: {
+        const items = [];
+        for (let i = 0; i < quantity; i++) {
+          items.push(...effect.items);
+        }
+
+        const result = await this.grantItems(userId, items, { source: `use:${template.id}`, session });
+        if (!result.success) {
+          throw new InventoryError(result.reason);
+        }
+
+        return { type: effect.type, items: result.items };
+      }
+
+      case USE_EFFECT.EXP: {
+        const amount = effect.amount * quantity;
+        await User.updateOne({ _id: userId }, { $inc: { 'gameProfile.exp': amount } }, { session });
+        return { type: effect.type, amount };
+      }
+
+      default:
+        throw new InventoryError('ITEM_NOT_USABLE');
+    }
+  }
+
+  /**
+   * 校验并合并发放列表
+   * @private
+   */
+  static normalizeGrants(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new InventoryError('INVALID_ITEMS');
+    }
+
+    const merged = new Map();
+    for (const entry of items) {
+      const itemId = entry && entry.itemId ? entry.itemId.toString() : null;
+      const quantity = entry && entry.quantity !== undefined ? entry.quantity : 1;
+      const template = itemId ? ContentStore.getItemTemplate(itemId) : null;
+
+      if (!template) {
+        throw new InventoryError('ITEM_NOT_FOUND');
+      }
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new InventoryError('INVALID_QUANTITY');
+      }
+
+      const existing = merged.get(itemId);
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        merged.set(itemId, { template, quantity });
+      }
+    }
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * 获取玩家背包格子数
+   * @private
+   */
+  static getBagCapacity(user) {
+    const capacity = user.gameProfile && user.gameProfile.bagCapacity;
+    return Math.min(capacity || config.inventory.defaultBagCapacity, config.inventory.maxBagCapacity);
+  }
+
+  /**
+   * 格式化物品实例
+   * @private
+   */
+  static formatItem(item) {
+    const template = ContentStore.getItemTemplate(item.templateId) || {};
+
+    return {
+      instanceId: item._id,
+      templateId: item.templateId,
+      name: template.name,
+      type: template.type,
+      quantity: item.quantity,
+      maxStack: template.maxStack,
+      bound: item.bound,
+      tradeable: Boolean(template.tradeable) && !item.bound,
+      sellPrice: template.sellPrice || 0,
+      usable: Boolean(template.useEffect),
+      attributes: item.attributes,
+      equippedSlot: item.equippedSlot,
+      acquiredAt: item.acquiredAt
+    };
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,608 @@
+const mongoose = require('mongoose');
+const User = require('../../models/user.model');
+const Guild = require('../../models/guild.model');
+const Friendship = require('../../models/friendship.model');
+const PlayerRating = require('../../models/playerRating.model');
+const LeaderboardSnapshot = require('../../models/leaderboardSnapshot.model');
+const EconomyService = require('../economy/economyService');
+const RankedService = require('../match/rankedService');
+const MailService = require('../mail/mailService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 排行榜类型
+const LEADERBOARD_TYPE = {
+  RANK_POINTS: 'rank_points', // 排位积分
+  WIN_RATE: 'win_rate',       // 胜率
+  GUILD_LEVEL: 'guild_level'  // 公会等级
+};
+
+// 排行榜范围，公会等级榜只有全服范围
+const LEADERBOARD_SCOPE = {
+  GLOBAL: 'global',   // 全服
+  TIER: 'tier',       // 指定段位
+  GUILD: 'guild',     // 本公会成员
+  FRIENDS: 'friends'  // 好友（包含自己）
+};
+
+// 玩家榜定义：value 为排序值表达式，filter 为上榜条件，aheadOf 为排在指定玩家之前的查询条件
+// 同分时按ID升序，保证分页和"我的排名"一致
+const PLAYER_BOARDS = {
+  [LEADERBOARD_TYPE.RANK_POINTS]: {
+    value: '$stats.rankPoints',
+    filter: () => ({ 'stats.totalGames': { $gt: 0 } }),
+    aheadOf: me => ({
+      $or: [
+        { 'stats.rankPoints': { $gt: me.boardValue } },
+        { 'stats.rankPoints': me.boardValue, _id: { $lt: me._id } }
+      ]
+    })
+  },
+  [LEADERBOARD_TYPE.WIN_RATE]: {
+    value: {
+      $cond: [
+        { $gt: ['$stats.totalGames', 0] },
+        { $divide: ['$stats.wins', '$stats.totalGames'] },
+        0
+      ]
+    },
+    filter: () => ({ 'stats.totalGames': { $gte: config.leaderboard.minGamesForWinRate } }),
+    aheadOf: me => {
+      const value = PLAYER_BOARDS[LEADERBOARD_TYPE.WIN_RATE].value;
+      return {
+        $expr: {
+          $or: [
+            { $gt: [value, me.boardValue] },
+            { $and: [{ $eq: [value, me.boardValue] }, { $lt: ['$_id', me._id] }] }
+          ]
+        }
+      };
+    }
+  }
+};
+
+// 玩家榜返回的字段
+const PLAYER_PROJECTION = {
+  username: 1,
+  nickname: 1,
+  avatar: 1,
+  'stats.rankTier': 1,
+  'stats.rankPoints': 1,
+  'stats.wins': 1,
+  'stats.totalGames': 1,
+  boardValue: 1
+};
+
+// 快照批量写入大小
+const SNAPSHOT_BATCH_SIZE = 1000;
+
+// 奖励邮件中的货币名称
+const CURRENCY_NAMES = {
+  gold: '金币',
+  diamond: '钻石',
+  honor: '荣誉点数',
+  guild_contribution: '公会贡献'
+};
+
+/**
+ * 排行榜操作错误，用于在事务中中止并返回错误码
+ */
+class LeaderboardError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 排行榜服务 - 排位积分、胜率和公会等级排行，支持分页、我的排名和每日快照对比
+ * 赛季结束后按最终段位和排名通过 EconomyService 发放赛季奖励
+ */
+class LeaderboardService {
+  static LEADERBOARD_TYPE = LEADERBOARD_TYPE;
+  static LEADERBOARD_SCOPE = LEADERBOARD_SCOPE;
+
+  /**
+   * 获取排行榜
+   * @param {string} userId - 当前用户ID
+   * @param {Object} query - 查询参数
+   * @param {string} query.type - 排行榜类型，默认排位积分
+   * @param {string} query.scope - 排行榜范围，默认全服
+   * @param {string} query.tier - 段位，scope 为 tier 时必填
+   * @param {number} query.page - 页码
+   * @param {number} query.pageSize - 每页数量
+   * @returns {Promise<Object>} 操作结果 { success, leaderboard }
+   */
+  static async getLeaderboard(userId, query = {}) {
+    try {
+      const options = this.parseQuery(query);
+      if (!options.success) return options;
+
+      const { type, scope, tier, page, pageSize } = options;
+      const board = type === LEADERBOARD_TYPE.GUILD_LEVEL
+        ? await this.getGuildBoard(userId, options)
+        : await this.getPlayerBoard(userId, options);
+
+      if (!board.success) return board;
+
+      return {
+        success: true,
+        leaderboard: {
+          type,
+          scope,
+          tier: scope === LEADERBOARD_SCOPE.TIER ? tier : null,
+          page,
+          pageSize,
+          total: board.total,
+          entries: board.entries,
+          me: board.me
+        }
+      };
+    } catch (error) {
+      logger.error('获取排行榜失败', { userId, query, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 获取自己在排行榜中的排名
+   * @param {string} userId - 当前用户ID
+   * @param {Object} query - 查询参数 { type, scope, tier }
+   * @returns {Promise<Object>} 操作结果 { success, me }，未上榜时 me 为null
+   */
+  static async getMyRank(userId, query = {}) {
+    const result = await this.getLeaderboard(userId, { ...query, page: 1, pageSize: 1 });
+    if (!result.success) return result;
+
+    return { success: true, me: result.leaderboard.me };
+  }
+
+  /**
+   * 为所有排行榜保存当天的快照，已完成的快照会跳过（计划任务调用）
+   * @param {Date} date - 快照日期
+   * @returns {Promise<number>} 本次保存的排行榜数量
+   */
+  static async takeDailySnapshots(date = new Date()) {
+    const day = this.getDayKey(date);
+    let saved = 0;
+
+    for (const type of Object.values(LEADERBOARD_TYPE)) {
+      const completed = await LeaderboardSnapshot.exists({ board: type, day, subjectId: null });
+      if (completed) continue;
+
+      try {
+        const total = await this.writeSnapshot(type, day);
+        saved += 1;
+        logger.info('排行榜快照已保存', { board: type, day, total });
+      } catch (error) {
+        logger.error('保存排行榜快照失败', { board: type, day, error: error.message });
+      }
+    }
+
+    return saved;
+  }
+
+  /**
+   * 发放上赛季奖励（计划任务调用）
+   * 所有玩家完成赛季软重置后才发放，保证最终排名稳定；每名玩家只发放一次
+   * @param {number} batchSize - 每批处理数量
+   * @returns {Promise<number>} 发放奖励的玩家数量
+   */
+  static async processSeasonRewards(batchSize = 200) {
+    const { season } = RankedService.getSeasonInfo();
+    if (await PlayerRating.exists({ season: { $lt: season } })) {
+      return 0;
+    }
+
+    let paidCount = 0;
+    let pending;
+    let batchPaidCount;
+
+    do {
+      batchPaidCount = 0;
+      pending = await PlayerRating.find({ 'previousSeason.rewardPending': true })
+        .select('userId previousSeason')
+        .limit(batchSize)
+        .lean();
+
+      for (const rating of pending) {
+        try {
+          if (await this.paySeasonReward(rating)) {
+            batchPaidCount += 1;
+          }
+        } catch (error) {
+          logger.error('发放赛季奖励失败', {
+            userId: rating.userId,
+            season: rating.previousSeason.season,
+            error: error.reason || error.message
+          });
+        }
+      }
+
+      paidCount += batchPaidCount;
+    } while (pending.length === batchSize && batchPaidCount > 0);
+
+    if (paidCount > 0) {
+      logger.info('赛季奖励发放完成', { paidCount });
+    }
+
+    return paidCount;
+  }
+
+  /**
+   * 按最终段位和排名计算赛季奖励
+   * @param {string} rankTier - 最终段位
+   * @param {number} finalRank - 最终排名
+   * @returns {Object} { currency: amount }
+   */
+  static getSeasonReward(rankTier, finalRank) {
+    const { tiers, topRanks } = config.leaderboard.seasonRewards;
+    const reward = { ...(tiers[rankTier] || {}) };
+    const rankReward = topRanks.find(entry => finalRank <= entry.maxRank);
+
+    if (rankReward) {
+      const { maxRank, ...currencies } = rankReward;
+      for (const [currency, amount] of Object.entries(currencies)) {
+        reward[currency] = (reward[currency] || 0) + amount;
+      }
+    }
+
+    return reward;
+  }
+
+  /**
+   * 解析并校验查询参数
+   * @private
+   */
+  static parseQuery(query) {
+    const { defaultPageSize, maxPageSize } = config.leaderboard;
+    const type = query.type || LEADERBOARD_TYPE.RANK_POINTS;
+    const scope = query.scope || LEADERBOARD_SCOPE.GLOBAL;
+
+    if (!Object.values(LEADERBOARD_TYPE).includes(type)) {
+      return { success: false, reason: 'INVALID_BOARD' };
+    }
+
+    if (!Object.values(LEADERBOARD_SCOPE).includes(scope) ||
+        (type === LEADERBOARD_TYPE.GUILD_LEVEL && scope !== LEADERBOARD_SCOPE.GLOBAL)) {
+      return { success: false, reason: 'INVALID_SCOPE' };
+    }
+
+    if (scope === LEADERBOARD_SCOPE.TIER && !config.ranked.tiers.some(tier => tier.name === query.tier)) {
+      return { success: false, reason: 'INVALID_TIER' };
+    }
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(maxPageSize, Math.max(1, parseInt(query.pageSize, 10) || defaultPageSize));
+
+    return { success: true, type, scope, tier: query.tier, page, pageSize };
+  }
+
+  /**
+   * 玩家榜：排位积分榜和胜率榜
+   * @private
+   */
+  static async getPlayerBoard(userId, options) {
+    const { type, page, pageSize } = options;
+    const board = PLAYER_BOARDS[type];
+    const scope = await this.resolvePlayerScope(userId, options);
+    if (!scope.success) return scope;
+
+    const [total, rows] = await Promise.all([
+      User.countDocuments(scope.filter),
+      User.aggregate([
+        { $match: scope.filter },
+        { $addFields: { boardValue: board.value } },
+        { $sort: { boardValue: -1, _id: 1 } },
+        { $skip: (page - 1) * pageSize },
+        { $limit: pageSize },
+        { $project: PLAYER_PROJECTION }
+      ])
+    ]);
+
+    const entries = rows.map((row, index) => this.formatPlayerEntry(row, (page - 1) * pageSize + index + 1));
+
+    const [meRow] = await User.aggregate([
+      { $match: { $and: [scope.filter, { _id: new mongoose.Types.ObjectId(userId.toString()) }] } },
+      { $addFields: { boardValue: board.value } },
+      { $project: PLAYER_PROJECTION }
+    ]);
+
+    let me = null;
+    if (meRow) {
+      const ahead = await User.countDocuments({ $and: [scope.filter, board.aheadOf(meRow)] });
+      me = this.formatPlayerEntry(meRow, ahead + 1);
+    }
+
+    await this.attachRankChanges(type, options, scope.memberIds, me ? [...entries, me] : entries);
+
+    return { success: true, total, entries, me };
+  }
+
+  /**
+   * 公会等级榜，等级相同时按当前经验排序
+   * @private
+   */
+  static async getGuildBoard(userId, options) {
+    const { type, page, pageSize } = options;
+
+    const [total, guilds, myGuild] = await Promise.all([
+      Guild.countDocuments(),
+      Guild.find()
+        .sort({ level: -1, experience: -1, _id: 1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .select('name emblem level experience members')
+        .lean(),
+      Guild.findOne({ members: userId }).select('name emblem level experience members').lean()
+    ]);
+
+    const entries = guilds.map((guild, index) => this.formatGuildEntry(guild, (page - 1) * pageSize + index + 1));
+
+    let me = null;
+    if (myGuild) {
+      const ahead = await Guild.countDocuments({
+        $or: [
+          { level: { $gt: myGuild.level } },
+          { level: myGuild.level, experience: { $gt: myGuild.experience } },
+          { level: myGuild.level, experience: myGuild.experience, _id: { $lt: myGuild._id } }
+        ]
+      });
+      me = this.formatGuildEntry(myGuild, ahead + 1);
+    }
+
+    await this.attachRankChanges(type, options, null, me ? [...entries, me] : entries);
+
+    return { success: true, total, entries, me };
+  }
+
+  /**
+   * 解析玩家榜范围对应的查询条件
+   * @private
+   * @returns {Promise<Object>} { success, filter, memberIds }，全服和段位范围的 memberIds 为null
+   */
+  static async resolvePlayerScope(userId, { type, scope, tier }) {
+    const filter = PLAYER_BOARDS[type].filter();
+
+    if (scope === LEADERBOARD_SCOPE.GLOBAL) {
+      return { success: true, filter, memberIds: null };
+    }
+
+    if (scope === LEADERBOARD_SCOPE.TIER) {
+      return { success: true, filter: { ...filter, 'stats.rankTier': tier }, memberIds: null };
+    }
+
+    let memberIds;
+    if (scope === LEADERBOARD_SCOPE.GUILD) {
+      const guild = await Guild.findOne({ members: userId }).select('members').lean();
+      if (!guild) {
+        return { success: false, reason: 'NOT_IN_GUILD' };
+      }
+      memberIds = guild.members;
+    } else {
+      const friendIds = await Friendship.find({ userId }).distinct('friendId');
+      memberIds = [new mongoose.Types.ObjectId(userId.toString()), ...friendIds];
+    }
+
+    return { success: true, filter: { ...filter, _id: { $in: memberIds } }, memberIds };
+  }
+
+  /**
+   * 对比最近一次完成的快照，为条目附加 previousRank 和 rankChange（正数为上升）
+   * 公会和好友范围按成员在快照中的先后重新计算范围内排名
+   * @private
+   */
+  static async attachRankChanges(type, { scope, tier }, memberIds, entries) {
+    entries.forEach(entry => {
+      entry.previousRank = null;
+      entry.rankChange = null;
+    });
+
+    const latest = await LeaderboardSnapshot.findOne({ board: type, subjectId: null })
+      .sort({ day: -1 })
+      .select('day')
+      .lean();
+    if (!latest || entries.length === 0) return;
+
+    const idOf = entry => (entry.userId || entry.guildId).toString();
+    const previousRanks = new Map();
+
+    if (memberIds) {
+      const snapshots = await LeaderboardSnapshot.find({ board: type, day: latest.day, subjectId: { $in: memberIds } })
+        .sort({ rank: 1 })
+        .select('subjectId')
+        .lean();
+      snapshots.forEach((snapshot, index) => previousRanks.set(snapshot.subjectId.toString(), index + 1));
+    } else {
+      const snapshots = await LeaderboardSnapshot.find({
+        board: type,
+        day: latest.day,
+        subjectId: { $in: entries.map(entry => entry.userId || entry.guildId) }
+      })
+        .select('subjectId rank tier tierRank')
+        .lean();
+
+      for (const snapshot of snapshots) {
+        if (scope === LEADERBOARD_SCOPE.TIER) {
+          if (snapshot.tier === tier) previousRanks.set(snapshot.subjectId.toString(), snapshot.tierRank);
+        } else {
+          previousRanks.set(snapshot.subjectId.toString(), snapshot.rank);
+        }
+      }
+    }
+
+    entries.forEach(entry => {
+      const previousRank = previousRanks.get(idOf(entry));
+      if (previousRank) {
+        entry.previousRank = previousRank;
+        entry.rankChange = previousRank - entry.rank;
+      }
+    });
+  }
+
+  /**
+   * 按排名顺序写入一个排行榜的全量快照，最后写入完成标记
+   * 写入按 subjectId 覆盖，中途失败后可以安全重跑
+   * @private
+   * @returns {Promise<number>} 参与排名的总数
+   */
+  static async writeSnapshot(type, day) {
+    const isGuildBoard = type === LEADERBOARD_TYPE.GUILD_LEVEL;
+    const cursor = isGuildBoard
+      ? Guild.find().sort({ level: -1, experience: -1, _id: 1 }).select('level').lean().cursor()
+      : User.aggregate([
+        { $match: PLAYER_BOARDS[type].filter() },
+        { $addFields: { boardValue: PLAYER_BOARDS[type].value } },
+        { $sort: { boardValue: -1, _id: 1 } },
+        { $project: { boardValue: 1, 'stats.rankTier': 1 } }
+      ]).allowDiskUse(true).cursor({ batchSize: SNAPSHOT_BATCH_SIZE });
+
+    const tierRanks = {};
+    let rank = 0;
+    let operations = [];
+
+    for await (const doc of cursor) {
+      rank += 1;
+      const tier = isGuildBoard ? null : doc.stats.rankTier;
+      if (tier) tierRanks[tier] = (tierRanks[tier] || 0) + 1;
+
+      operations.push({
+        updateOne: {
+          filter: { board: type, day, subjectId: doc._id },
+          update: {
+            $set: {
+              value: isGuildBoard ? doc.level : doc.boardValue,
+              rank,
+              tier,
+              tierRank: tier ? tierRanks[tier] : null
+            },
+            $setOnInsert: { createdAt: new Date() }
+          },
+          upsert: true
+        }
+      });
+
+      if (operations.length >= SNAPSHOT_BATCH_SIZE) {
+        await LeaderboardSnapshot.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await LeaderboardSnapshot.bulkWrite(operations, { ordered: false });
+    }
+
+    await LeaderboardSnapshot.updateOne(
+      { board: type, day, subjectId: null },
+      { $set: { value: rank }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    return rank;
+  }
+
+  /**
+   * 发放一名玩家的上赛季奖励
+   * 最终排名按上赛季打过排位的玩家的赛季末积分计算，同分并列
+   * @private
+   * @returns {Promise<boolean>} 是否发放
+   */
+  static async paySeasonReward(rating) {
+    const { season, rankTier, rankPoints } = rating.previousSeason;
+    const ahead = await PlayerRating.countDocuments({
+      'previousSeason.season': season,
+      'previousSeason.seasonGames': { $gt: 0 },
+      'previousSeason.rankPoints': { $gt: rankPoints }
+    });
+    const finalRank = ahead + 1;
+    const reward = this.getSeasonReward(rankTier, finalRank);
+
+    return EconomyService.runInTransaction(async (session) => {
+      const claim = await PlayerRating.updateOne(
+        { _id: rating._id, 'previousSeason.season': season, 'previousSeason.rewardPending': true },
+        { $set: { 'previousSeason.rewardPending': false, 'previousSeason.finalRank': finalRank } },
+        { session }
+      );
+      if (claim.modifiedCount === 0) return false;
+
+      for (const [currency, amount] of Object.entries(reward)) {
+        if (amount <= 0) continue;
+
+        const payResult = await EconomyService.updateBalance(
+          rating.userId,
+          currency,
+          amount,
+          EconomyService.TRANSACTION_TYPES.SEASON_REWARD,
+          { season, rankTier, finalRank },
+          { session, idempotencyKey: `ranked_season:${season}:${rating.userId}:${currency}` }
+        );
+
+        if (!payResult.success) {
+          throw new LeaderboardError(payResult.reason);
+        }
+      }
+
+      // 奖励已直接入账，邮件只用于告知玩家
+      const rewardText = Object.entries(reward)
+        .filter(([, amount]) => amount > 0)
+        .map(([currency, amount]) => `${CURRENCY_NAMES[currency] || currency} ${amount}`)
+        .join('、');
+      await MailService.sendSystemMail({
+        recipientId: rating.userId,
+        title: `第${season}赛季排位奖励`,
+        content: `您在第${season}赛季的最终段位为${rankTier}，排名第${finalRank}，奖励已发放：${rewardText}`,
+        source: { type: 'season_reward', refId: String(season) }
+      }, session);
+
+      return true;
+    });
+  }
+
+  /**
+   * 格式化玩家榜条目
+   * @private
+   */
+  static formatPlayerEntry(row, rank) {
+    const stats = row.stats || {};
+
+    return {
+      rank,
+      userId: row._id,
+      nickname: row.nickname || row.username,
+      avatar: row.avatar,
+      rankTier: stats.rankTier,
+      rankPoints: stats.rankPoints || 0,
+      totalGames: stats.totalGames || 0,
+      winRate: stats.totalGames ? Number((stats.wins / stats.totalGames * 100).toFixed(2)) : 0,
+      value: row.boardValue
+    };
+  }
+
+  /**
+   * 格式化公会榜条目
+   * @private
+   */
+  static formatGuildEntry(guild, rank) {
+    return {
+      rank,
+      guildId: guild._id,
+      name: guild.name,
+      emblem: guild.emblem,
+      level: guild.level,
+      experience: guild.experience,
+      memberCount: guild.members.length,
+      value: guild.level
+    };
+  }
+
+  /**
+   * 获取快照日期标识
+   * @private
+   */
+  static getDayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,722 @@
+const mongoose = require('mongoose');
+const Mail = require('../../models/mail.model');
+const MailBroadcast = require('../../models/mailBroadcast.model');
+const User = require('../../models/user.model');
+const Guild = require('../../models/guild.model');
+const EconomyService = require('../economy/economyService');
+const InventoryService = require('../inventory/inventoryService');
+const ContentStore = require('../content/contentStore');
+const { sendToUser, activeConnections } = require('../socket');
+const { SERVER_EVENTS } = require('../socket/protocol');
+const { sanitizeUserText } = require('../../utils/sanitize');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const { MAIL_STATUS } = Mail;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 邮件操作错误，用于在事务中中止并返回错误码
+ */
+class MailError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 邮件服务 - 系统邮件、分群/全服广播邮件和附件领取
+ * 附件只能领取一次：货币通过 EconomyService 记账，物品进入背包，英雄和皮肤写入玩家档案，全部在同一事务中完成
+ */
+class MailService {
+  /**
+   * 发送系统邮件，传入事务会话时在事务提交后才推送新邮件通知
+   * @param {Object} mail - 邮件内容
+   * @param {string} mail.recipientId - 收件人ID
+   * @param {string} mail.title - 标题
+   * @param {string} mail.content - 正文
+   * @param {Object} mail.attachments - 附件 { items: [{ itemId, quantity }], currencies: [{ currencyType, amount }], heroes: [{ heroId }], skins: [{ skinId }] }
+   * @param {Object} mail.source - 来源 { type, refId }
+   * @param {string} mail.senderId - 发件管理员ID，系统邮件为空
+   * @param {number} mail.ttlDays - 保留天数
+   * @param {Object} session - 数据库会话
+   * @returns {Promise<Object>} 创建的邮件
+   */
+  static async sendSystemMail({ recipientId, title, content = '', attachments = {}, source, senderId = null, ttlDays = config.mail.defaultTtlDays }, session = null) {
+    const expiresAt = new Date(Date.now() + ttlDays * DAY_MS);
+
+    const [mail] = await Mail.create([{
+      recipientId,
+      senderId,
+      title,
+      content,
+      attachments: this.normalizeAttachments(attachments),
+      source,
+      expiresAt
+    }], { session });
+
+    logger.info('系统邮件已发送', {
+      mailId: mail._id.toString(),
+      recipientId: recipientId.toString(),
+      source
+    });
+
+    EconomyService.afterCommit(session, () => this.notifyNewMail(recipientId, mail));
+
+    return mail;
+  }
+
+  /**
+   * 管理员发送邮件：指定玩家、玩家分群或全服
+   * @param {string} adminId - 管理员ID
+   * @param {Object} params - 邮件参数
+   * @param {string[]} params.recipientIds - 指定收件人，与 segment 二选一
+   * @param {Object} params.segment - 分群条件 { minVipLevel, tiers, guildId }，为空对象表示全服
+   * @param {string} params.title - 标题
+   * @param {string} params.content - 正文
+   * @param {Object} params.attachments - 附件
+   * @param {number} params.ttlDays - 保留天数
+   * @returns {Promise<Object>} { success, reason, mails, broadcast }
+   */
+  static async sendAdminMail(adminId, { recipientIds, segment, title, content, attachments = {}, ttlDays } = {}) {
+    try {
+      const mail = this.validateMail({ title, content, attachments, ttlDays });
+      if (mail.reason) {
+        return { success: false, reason: mail.reason };
+      }
+
+      const source = { type: 'admin', refId: adminId.toString() };
+
+      if (Array.isArray(recipientIds) && recipientIds.length > 0) {
+        const ids = [...new Set(recipientIds.map(id => (id ? id.toString() : '')))];
+        if (!ids.every(id => mongoose.isValidObjectId(id))) {
+          return { success: false, reason: 'INVALID_RECIPIENT' };
+        }
+
+        const found = await User.countDocuments({ _id: { $in: ids } });
+        if (found !== ids.length) {
+          return { success: false, reason: 'USER_NOT_FOUND' };
+        }
+
+        const mails = await EconomyService.runInTransaction(async (session) => {
+          const created = [];
+          for (const recipientId of ids) {
+            created.push(await this.sendSystemMail({ recipientId, ...mail, source, senderId: adminId }, session));
+          }
+          return created;
+        });
+
+        return { success: true, mails: mails.map(item => this.formatMail(item)) };
+      }
+
+      const normalizedSegment = await this.normalizeSegment(segment);
+      if (normalizedSegment.reason) {
+        return { success: false, reason: normalizedSegment.reason };
+      }
+
+      return this.sendBroadcast({ ...mail, segment: normalizedSegment, source, senderId: adminId });
+    } catch (error) {
+      logger.error('管理员发送邮件失败', { adminId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 发送分群或全服邮件，只有发送时已注册的玩家会收到；在线且符合条件的玩家立即收到通知
+   * @param {Object} broadcast - 广播内容 { title, content, attachments, segment, source, senderId, ttlDays }
+   * @returns {Promise<Object>} { success, broadcast }
+   */
+  static async sendBroadcast({ title, content = '', attachments = {}, segment = {}, source, senderId = null, ttlDays = config.mail.defaultTtlDays }) {
+    try {
+      const broadcast = await MailBroadcast.create({
+        title,
+        content,
+        attachments: this.normalizeAttachments(attachments),
+        segment,
+        source,
+        senderId,
+        expiresAt: new Date(Date.now() + ttlDays * DAY_MS)
+      });
+
+      logger.info('广播邮件已发送', {
+        broadcastId: broadcast._id.toString(),
+        segment,
+        source
+      });
+
+      // 在线玩家不必等到下次打开邮箱
+      const onlineIds = Array.from(activeConnections.keys());
+      if (onlineIds.length > 0) {
+        const [users, guild] = await Promise.all([
+          User.find({ _id: { $in: onlineIds }, createdAt: { $lte: broadcast.createdAt } })
+            .select('paymentInfo.vipLevel stats.rankTier')
+            .lean(),
+          segment.guildId ? Guild.findById(segment.guildId).select('members').lean() : null
+        ]);
+        const guildMembers = new Set(guild ? guild.members.map(id => id.toString()) : []);
+
+        for (const user of users) {
+          const guildId = guildMembers.has(user._id.toString()) ? segment.guildId : null;
+          if (this.matchesSegment(broadcast.segment, user, guildId)) {
+            this.notifyNewMail(user._id, broadcast);
+          }
+        }
+      }
+
+      return { success: true, broadcast: this.formatBroadcast(broadcast) };
+    } catch (error) {
+      logger.error('发送广播邮件失败', { title, segment, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 分页获取邮箱，会先为玩家生成尚未收到的广播邮件
+   * @param {string} userId - 用户ID
+   * @param {Object} options - { page, pageSize }
+   * @returns {Promise<Object>} { success, mails, page, pageSize, total, unread, unclaimed }
+   */
+  static async getMails(userId, { page = 1, pageSize = config.mail.defaultPageSize } = {}) {
+    try {
+      await this.syncBroadcasts(userId);
+
+      const limit = Math.min(Math.max(parseInt(pageSize, 10) || config.mail.defaultPageSize, 1), config.mail.maxPageSize);
+      const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+      const filter = this.visibleFilter(userId);
+
+      const [mails, total, summary] = await Promise.all([
+        Mail.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((currentPage - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Mail.countDocuments(filter),
+        this.countSummary(userId)
+      ]);
+
+      return {
+        success: true,
+        mails: mails.map(mail => this.formatMail(mail)),
+        page: currentPage,
+        pageSize: limit,
+        total,
+        ...summary
+      };
+    } catch (error) {
+      logger.error('获取邮件列表失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 获取未读和未领取附件的邮件数，用于红点提示
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { success, unread, unclaimed }
+   */
+  static async getSummary(userId) {
+    try {
+      await this.syncBroadcasts(userId);
+      return { success: true, ...(await this.countSummary(userId)) };
+    } catch (error) {
+      logger.error('获取邮件数量失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 阅读邮件，未读邮件标记为已读
+   * @param {string} userId - 用户ID
+   * @param {string} mailId - 邮件ID
+   * @returns {Promise<Object>} { success, reason, mail }
+   */
+  static async readMail(userId, mailId) {
+    try {
+      if (!mongoose.isValidObjectId(mailId)) {
+        return { success: false, reason: 'MAIL_NOT_FOUND' };
+      }
+
+      const mail = await Mail.findOneAndUpdate(
+        { _id: mailId, ...this.visibleFilter(userId), status: MAIL_STATUS.UNREAD },
+        { $set: { status: MAIL_STATUS.READ } },
+        { new: true }
+      ).lean() || await Mail.findOne({ _id: mailId, ...this.visibleFilter(userId) }).lean();
+
+      if (!mail) {
+        return { success: false, reason: 'MAIL_NOT_FOUND' };
+      }
+
+      return { success: true, mail: this.formatMail(mail) };
+    } catch (error) {
+      logger.error('阅读邮件失败', { userId, mailId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 领取邮件附件，每封邮件只能领取一次，任一附件发放失败时整体回滚
+   * @param {string} userId - 用户ID
+   * @param {string} mailId - 邮件ID
+   * @returns {Promise<Object>} { success, reason, mail, rewards }
+   */
+  static async claimAttachments(userId, mailId) {
+    try {
+      if (!mongoose.isValidObjectId(mailId)) {
+        return { success: false, reason: 'MAIL_NOT_FOUND' };
+      }
+
+      const { mail, rewards } = await EconomyService.runInTransaction(async (session) => {
+        const claimed = await Mail.findOneAndUpdate(
+          {
+            _id: mailId,
+            ...this.visibleFilter(userId),
+            status: { $ne: MAIL_STATUS.CLAIMED }
+          },
+          { $set: { status: MAIL_STATUS.CLAIMED, claimedAt: new Date() } },
+          { new: true, session }
+        );
+
+        if (!claimed) {
+          throw new MailError(await this.getClaimFailure(userId, mailId, session));
+        }
+
+        if (!this.hasAttachments(claimed.attachments)) {
+          throw new MailError('NO_ATTACHMENTS');
+        }
+
+        return { mail: claimed, rewards: await this.grantAttachments(userId, claimed, session) };
+      });
+
+      logger.info('邮件附件已领取', { userId, mailId, rewards });
+
+      return { success: true, mail: this.formatMail(mail), rewards };
+    } catch (error) {
+      if (error instanceof MailError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('领取邮件附件失败', { userId, mailId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 一键领取所有附件，逐封领取，某封失败（如背包已满）不影响其他邮件
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { success, claimed, failed }
+   */
+  static async claimAll(userId) {
+    try {
+      await this.syncBroadcasts(userId);
+
+      const mails = await Mail.find({
+        ...this.visibleFilter(userId),
+        status: { $ne: MAIL_STATUS.CLAIMED },
+        ...this.attachmentFilter()
+      }).select('_id').sort({ createdAt: 1 }).lean();
+
+      const claimed = [];
+      const failed = [];
+      for (const { _id } of mails) {
+        const result = await this.claimAttachments(userId, _id.toString());
+        if (result.success) {
+          claimed.push({ mail: result.mail, rewards: result.rewards });
+        } else {
+          failed.push({ mailId: _id.toString(), reason: result.reason });
+        }
+      }
+
+      return { success: true, claimed, failed };
+    } catch (error) {
+      logger.error('一键领取邮件附件失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 删除邮件，附件未领取的邮件不能删除
+   * @param {string} userId - 用户ID
+   * @param {string} mailId - 邮件ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async deleteMail(userId, mailId) {
+    try {
+      if (!mongoose.isValidObjectId(mailId)) {
+        return { success: false, reason: 'MAIL_NOT_FOUND' };
+      }
+
+      const mail = await Mail.findOne({ _id: mailId, recipientId: userId, deletedAt: null }).lean();
+      if (!mail) {
+        return { success: false, reason: 'MAIL_NOT_FOUND' };
+      }
+
+      const expired = mail.expiresAt && mail.expiresAt <= new Date();
+      if (!expired && mail.status !== MAIL_STATUS.CLAIMED && this.hasAttachments(mail.attachments)) {
+        return { success: false, reason: 'UNCLAIMED_ATTACHMENTS' };
+      }
+
+      await Mail.updateOne({ _id: mail._id }, { $set: { deletedAt: new Date() } });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('删除邮件失败', { userId, mailId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 为玩家生成尚未收到的广播邮件副本
+   * @private
+   * @param {string} userId - 用户ID
+   */
+  static async syncBroadcasts(userId) {
+    const user = await User.findById(userId).select('createdAt paymentInfo.vipLevel stats.rankTier').lean();
+    if (!user) return;
+
+    const now = new Date();
+    const broadcasts = await MailBroadcast.find({
+      expiresAt: { $gt: now },
+      createdAt: { $gte: user.createdAt }
+    }).lean();
+    if (broadcasts.length === 0) return;
+
+    const received = await Mail.find({
+      recipientId: userId,
+      broadcastId: { $in: broadcasts.map(broadcast => broadcast._id) }
+    }).distinct('broadcastId');
+    const receivedIds = new Set(received.map(id => id.toString()));
+
+    const pending = broadcasts.filter(broadcast => !receivedIds.has(broadcast._id.toString()));
+    if (pending.length === 0) return;
+
+    const guild = pending.some(broadcast => broadcast.segment && broadcast.segment.guildId)
+      ? await Guild.findOne({ members: userId }).select('_id').lean()
+      : null;
+
+    const docs = pending
+      .filter(broadcast => this.matchesSegment(broadcast.segment, user, guild ? guild._id : null))
+      .map(broadcast => ({
+        recipientId: userId,
+        senderId: broadcast.senderId,
+        title: broadcast.title,
+        content: broadcast.content,
+        attachments: broadcast.attachments,
+        broadcastId: broadcast._id,
+        source: broadcast.source,
+        expiresAt: broadcast.expiresAt,
+        createdAt: broadcast.createdAt
+      }));
+    if (docs.length === 0) return;
+
+    try {
+      await Mail.insertMany(docs, { ordered: false });
+    } catch (error) {
+      // 同一玩家并发打开邮箱时，唯一索引保证每封广播只生成一次
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * 判断玩家是否属于广播的目标分群
+   * @private
+   * @param {Object} segment - 分群条件
+   * @param {Object} user - 玩家文档（含 paymentInfo.vipLevel、stats.rankTier）
+   * @param {string|null} guildId - 玩家所在公会ID
+   * @returns {boolean}
+   */
+  static matchesSegment(segment = {}, user, guildId) {
+    if (!segment) return true;
+
+    if (segment.minVipLevel !== null && segment.minVipLevel !== undefined) {
+      const vipLevel = (user.paymentInfo && user.paymentInfo.vipLevel) || 0;
+      if (vipLevel < segment.minVipLevel) return false;
+    }
+
+    if (segment.tiers && segment.tiers.length > 0) {
+      const tier = user.stats && user.stats.rankTier;
+      if (!segment.tiers.includes(tier)) return false;
+    }
+
+    if (segment.guildId && (!guildId || guildId.toString() !== segment.guildId.toString())) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 校验并规范化分群条件
+   * @private
+   * @param {Object} segment - { minVipLevel, tiers, guildId }
+   * @returns {Promise<Object>} 规范化的分群条件，或 { reason }
+   */
+  static async normalizeSegment(segment = {}) {
+    const { minVipLevel = null, tiers = [], guildId = null } = segment || {};
+    const normalized = { minVipLevel: null, tiers: [], guildId: null };
+
+    if (minVipLevel !== null && minVipLevel !== '') {
+      if (!Number.isInteger(minVipLevel) || minVipLevel < 0) {
+        return { reason: 'INVALID_SEGMENT' };
+      }
+      normalized.minVipLevel = minVipLevel;
+    }
+
+    if (!Array.isArray(tiers)) {
+      return { reason: 'INVALID_SEGMENT' };
+    }
+    const tierNames = config.ranked.tiers.map(tier => tier.name);
+    if (!tiers.every(tier => tierNames.includes(tier))) {
+      return { reason: 'INVALID_SEGMENT' };
+    }
+    normalized.tiers = [...new Set(tiers)];
+
+    if (guildId) {
+      if (!mongoose.isValidObjectId(guildId) || !(await Guild.exists({ _id: guildId }))) {
+        return { reason: 'GUILD_NOT_FOUND' };
+      }
+      normalized.guildId = guildId;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * 校验管理员填写的邮件内容和附件
+   * @private
+   * @param {Object} mail - { title, content, attachments, ttlDays }
+   * @returns {Object} 规范化的邮件字段，或 { reason }
+   */
+  static validateMail({ title, content, attachments, ttlDays }) {
+    const cleanTitle = sanitizeUserText(typeof title === 'string' ? title : '', 100);
+    if (!cleanTitle) {
+      return { reason: 'INVALID_TITLE' };
+    }
+
+    const days = ttlDays === undefined || ttlDays === null ? config.mail.defaultTtlDays : ttlDays;
+    if (!Number.isInteger(days) || days < 1 || days > config.mail.maxTtlDays) {
+      return { reason: 'INVALID_EXPIRY' };
+    }
+
+    if (!attachments || typeof attachments !== 'object') {
+      return { reason: 'INVALID_ATTACHMENTS' };
+    }
+
+    const normalized = this.normalizeAttachments(attachments);
+    const { maxAttachmentEntries } = config.mail;
+    if (Object.values(normalized).some(list => list.length > maxAttachmentEntries)) {
+      return { reason: 'TOO_MANY_ATTACHMENTS' };
+    }
+
+    for (const { currencyType, amount } of normalized.currencies) {
+      if (!EconomyService.normalizeCurrencyType(currencyType)) return { reason: 'INVALID_CURRENCY_TYPE' };
+      if (!Number.isInteger(amount) || amount <= 0) return { reason: 'INVALID_AMOUNT' };
+    }
+
+    for (const { itemId, quantity } of normalized.items) {
+      if (!ContentStore.getItemTemplate(itemId)) return { reason: 'ITEM_NOT_FOUND' };
+      if (!Number.isInteger(quantity) || quantity <= 0) return { reason: 'INVALID_QUANTITY' };
+    }
+
+    if (!normalized.heroes.every(({ heroId }) => mongoose.isValidObjectId(heroId))) {
+      return { reason: 'HERO_NOT_FOUND' };
+    }
+
+    if (!normalized.skins.every(({ skinId }) => ContentStore.getSkin(skinId))) {
+      return { reason: 'SKIN_NOT_FOUND' };
+    }
+
+    return {
+      title: cleanTitle,
+      content: sanitizeUserText(typeof content === 'string' ? content : '', 2000),
+      attachments: normalized,
+      ttlDays: days
+    };
+  }
+
+  /**
+   * 发放邮件附件
+   * @private
+   * @param {string} userId - 用户ID
+   * @param {Object} mail - 邮件文档
+   * @param {Object} session - 事务会话
+   * @returns {Promise<Object>} 发放的附件
+   */
+  static async grantAttachments(userId, mail, session) {
+    const { currencies, items, heroes, skins } = this.normalizeAttachments(mail.attachments);
+    const mailId = mail._id.toString();
+    const metadata = { mailId, source: mail.source && mail.source.type };
+
+    for (const { currencyType, amount } of currencies) {
+      const result = await EconomyService.updateBalance(
+        userId,
+        currencyType,
+        amount,
+        EconomyService.TRANSACTION_TYPES.MAIL_ATTACHMENT,
+        metadata,
+        { session, idempotencyKey: `mail:${mailId}:${currencyType}` }
+      );
+
+      if (!result.success) {
+        throw new MailError(result.reason);
+      }
+    }
+
+    if (items.length > 0) {
+      const result = await InventoryService.grantItems(userId, items, { source: 'mail', session });
+      if (!result.success) {
+        throw new MailError(result.reason);
+      }
+    }
+
+    if (heroes.length > 0 || skins.length > 0) {
+      const updated = await User.updateOne(
+        { _id: userId },
+        {
+          $addToSet: {
+            'gameProfile.heroes': { $each: heroes.map(hero => hero.heroId) },
+            'gameProfile.skins': { $each: skins.map(skin => skin.skinId) }
+          }
+        },
+        { session }
+      );
+
+      if (updated.matchedCount !== 1) {
+        throw new MailError('USER_NOT_FOUND');
+      }
+    }
+
+    return { currencies, items, heroes, skins };
+  }
+
+  /**
+   * 判断领取失败的原因
+   * @private
+   */
+  static async getClaimFailure(userId, mailId, session) {
+    const mail = await Mail.findOne({ _id: mailId, recipientId: userId, deletedAt: null })
+      .select('status expiresAt')
+      .session(session)
+      .lean();
+
+    if (!mail) return 'MAIL_NOT_FOUND';
+    if (mail.status === MAIL_STATUS.CLAIMED) return 'ALREADY_CLAIMED';
+    if (mail.expiresAt && mail.expiresAt <= new Date()) return 'MAIL_EXPIRED';
+    return 'MAIL_NOT_FOUND';
+  }
+
+  /**
+   * 统计未读和未领取附件的邮件数
+   * @private
+   */
+  static async countSummary(userId) {
+    const filter = this.visibleFilter(userId);
+    const [unread, unclaimed] = await Promise.all([
+      Mail.countDocuments({ ...filter, status: MAIL_STATUS.UNREAD }),
+      Mail.countDocuments({ ...filter, status: { $ne: MAIL_STATUS.CLAIMED }, ...this.attachmentFilter() })
+    ]);
+
+    return { unread, unclaimed };
+  }
+
+  /**
+   * 玩家可见（未删除、未过期）邮件的查询条件
+   * @private
+   */
+  static visibleFilter(userId) {
+    return {
+      recipientId: userId,
+      deletedAt: null,
+      expiresAt: { $gt: new Date() }
+    };
+  }
+
+  /**
+   * 带附件邮件的查询条件
+   * @private
+   */
+  static attachmentFilter() {
+    return {
+      $or: ['items', 'currencies', 'heroes', 'skins'].map(type => ({ [`attachments.${type}.0`]: { $exists: true } }))
+    };
+  }
+
+  /**
+   * 补全附件的各类列表
+   * @private
+   */
+  static normalizeAttachments(attachments = {}) {
+    const source = attachments || {};
+    const pick = (list, fields) => (Array.isArray(list) ? list : []).map(entry => {
+      const picked = {};
+      for (const field of fields) picked[field] = entry ? entry[field] : undefined;
+      return picked;
+    });
+
+    return {
+      items: pick(source.items, ['itemId', 'quantity']),
+      currencies: pick(source.currencies, ['currencyType', 'amount']),
+      heroes: pick(source.heroes, ['heroId']).map(hero => ({ heroId: hero.heroId && hero.heroId.toString() })),
+      skins: pick(source.skins, ['skinId'])
+    };
+  }
+
+  /**
+   * 邮件是否带有附件
+   * @private
+   */
+  static hasAttachments(attachments) {
+    return Object.values(this.normalizeAttachments(attachments)).some(list => list.length > 0);
+  }
+
+  /**
+   * 推送新邮件通知，玩家不在线时忽略
+   * @private
+   * @param {string} userId - 收件人ID
+   * @param {Object} mail - 邮件或广播文档
+   */
+  static notifyNewMail(userId, mail) {
+    sendToUser(userId, SERVER_EVENTS.MAIL_RECEIVED, {
+      title: mail.title,
+      hasAttachments: this.hasAttachments(mail.attachments),
+      source: mail.source && mail.source.type
+    });
+  }
+
+  /**
+   * 格式化邮件
+   * @private
+   */
+  static formatMail(mail) {
+    return {
+      id: mail._id.toString(),
+      title: mail.title,
+      content: mail.content,
+      attachments: this.normalizeAttachments(mail.attachments),
+      hasAttachments: this.hasAttachments(mail.attachments),
+      status: mail.status,
+      fromSystem: !mail.senderId,
+      source: mail.source && mail.source.type,
+      createdAt: mail.createdAt,
+      claimedAt: mail.claimedAt,
+      expiresAt: mail.expiresAt
+    };
+  }
+
+  /**
+   * 格式化广播邮件
+   * @private
+   */
+  static formatBroadcast(broadcast) {
+    return {
+      id: broadcast._id.toString(),
+      title: broadcast.title,
+      segment: broadcast.segment,
+      attachments: this.normalizeAttachments(broadcast.attachments),
+      createdAt: broadcast.createdAt,
+      expiresAt: broadcast.expiresAt
+    };
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,964 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const config = require('../../config');
+const AutoBattleSimulator = require('../battle/autoBattleSimulator');
+const HeroPool = require('./heroPool');
+const { getCharacter } = require('../data/heroes');
+const { MAX_ITEMS_PER_UNIT } = require('../data/combatItems');
+const logger = require('../../utils/logger');
+
+// 对局阶段
+const MATCH_PHASE = {
+  WAITING: 'waiting',         // 等待开始
+  PREPARATION: 'preparation', // 准备：发放收入和经验
+  SHOPPING: 'shopping',       // 购物：购买英雄、升级、布阵
+  COMBAT: 'combat',           // 战斗：服务端结算，客户端回放
+  RESULT: 'result',           // 结算：扣血、淘汰
+  FINISHED: 'finished'        // 对局结束
+};
+
+// 对局事件，供网络层订阅后推送给玩家
+const MATCH_EVENT = {
+  PHASE_CHANGED: 'phase_changed',
+  PLAYER_UPDATED: 'player_updated',
+  ROUND_STARTED: 'round_started',
+  COMBAT_RESOLVED: 'combat_resolved',
+  PLAYER_ELIMINATED: 'player_eliminated',
+  FINISHED: 'finished'
+};
+
+// 允许玩家操作的阶段
+const ACTION_PHASES = [MATCH_PHASE.PREPARATION, MATCH_PHASE.SHOPPING];
+
+// 合成所需的同星级单位数量
+const UNITS_PER_COMBINE = 3;
+const MAX_STAR = 3;
+
+/**
+ * 自走棋对局 - 一局最多8名玩家的完整生命周期
+ * 每回合依次经过准备、购物、战斗、结算四个阶段，直到只剩一名玩家或达到最大回合数
+ * 所有规则数值来自 config.game，战斗由 AutoBattleSimulator 在服务端结算
+ * 所有玩家的商店从同一个有限卡池（HeroPool）抽取英雄
+ */
+class AutoChessMatch extends EventEmitter {
+  static MATCH_PHASE = MATCH_PHASE;
+  static MATCH_EVENT = MATCH_EVENT;
+
+  /**
+   * @param {Object} options - 对局选项
+   * @param {string} options.matchId - 对局ID
+   * @param {Array<string>} options.playerIds - 玩家ID列表
+   * @param {boolean} options.ranked - 是否为排位赛
+   * @param {string} options.seed - 对局种子，各场战斗的种子由此派生
+   */
+  constructor({ matchId, playerIds, ranked = true, seed }) {
+    super();
+
+    this.matchId = matchId;
+    this.ranked = ranked;
+    this.seed = seed || crypto.randomBytes(16).toString('hex');
+    this.phase = MATCH_PHASE.WAITING;
+    this.round = 0;
+    this.phaseEndsAt = null;
+    this.startedAt = null;
+    this.endedAt = null;
+    this.timer = null;
+    this.nextUnitId = 1;
+    this.history = [];
+    this.pendingResults = [];
+    this.heroPool = new HeroPool();
+
+    this.players = new Map();
+    for (const playerId of playerIds) {
+      this.players.set(playerId, this.createPlayerState(playerId));
+    }
+  }
+
+  /**
+   * 开始对局
+   */
+  start() {
+    if (this.phase !== MATCH_PHASE.WAITING) return;
+
+    this.startedAt = new Date();
+    logger.info('自走棋对局开始', {
+      matchId: this.matchId,
+      players: Array.from(this.players.keys()),
+      ranked: this.ranked
+    });
+
+    this.enterPreparation();
+  }
+
+  /**
+   * 玩家购买经验
+   * @param {string} playerId - 玩家ID
+   * @returns {Object} 操作结果
+   */
+  buyExperience(playerId) {
+    const check = this.checkAction(playerId);
+    if (!check.success) return check;
+
+    const player = check.player;
+    const { cost, amount } = config.game.experience;
+
+    if (player.level >= this.getMaxLevel()) {
+      return { success: false, reason: 'MAX_LEVEL_REACHED' };
+    }
+
+    if (player.gold < cost) {
+      return { success: false, reason: 'INSUFFICIENT_GOLD' };
+    }
+
+    player.gold -= cost;
+    this.addExperience(player, amount);
+    this.emitPlayerUpdate(player);
+
+    return { success: true, player: this.getPlayerView(playerId) };
+  }
+
+  /**
+   * 将单位放到棋盘指定位置
+   * 从备战席上场时占用一个上场名额；目标格子已有单位时两者交换位置
+   * @param {string} playerId - 玩家ID
+   * @param {string} unitId - 单位ID
+   * @param {Object} position - 棋盘坐标 { x, y }
+   * @returns {Object} 操作结果
+   */
+  deployUnit(playerId, unitId, position) {
+    const check = this.checkAction(playerId);
+    if (!check.success) return check;
+
+    const player = check.player;
+    if (!this.isValidPosition(position)) {
+      return { success: false, reason: 'INVALID_POSITION' };
+    }
+
+    const fromBench = player.bench.find(u => u.uid === unitId);
+    const fromBoard = player.board.find(u => u.uid === unitId);
+    const unit = fromBench || fromBoard;
+    if (!unit) {
+      return { success: false, reason: 'UNIT_NOT_FOUND' };
+    }
+
+    const occupant = player.board.find(u => u.uid !== unitId &&
+      u.position.x === position.x && u.position.y === position.y);
+
+    if (fromBench) {
+      if (!occupant && player.board.length >= this.getBoardSlots(player)) {
+        return { success: false, reason: 'BOARD_FULL' };
+      }
+
+      player.bench = player.bench.filter(u => u.uid !== unitId);
+      if (occupant) {
+        // 被替换的单位回到备战席
+        player.board = player.board.filter(u => u.uid !== occupant.uid);
+        occupant.position = null;
+        player.bench.push(occupant);
+      }
+
+      unit.position = { x: position.x, y: position.y };
+      player.board.push(unit);
+    } else {
+      if (occupant) {
+        occupant.position = { ...unit.position };
+      }
+      unit.position = { x: position.x, y: position.y };
+    }
+
+    this.emitPlayerUpdate(player);
+    return { success: true, player: this.getPlayerView(playerId) };
+  }
+
+  /**
+   * 将棋盘上的单位撤回备战席
+   * @param {string} playerId - 玩家ID
+   * @param {string} unitId - 单位ID
+   * @returns {Object} 操作结果
+   */
+  benchUnit(playerId, unitId) {
+    const check = this.checkAction(playerId);
+    if (!check.success) return check;
+
+    const player = check.player;
+    const unit = player.board.find(u => u.uid === unitId);
+    if (!unit) {
+      return { success: false, reason: 'UNIT_NOT_FOUND' };
+    }
+
+    if (player.bench.length >= config.game.benchSize) {
+      return { success: false, reason: 'BENCH_FULL' };
+    }
+
+    player.board = player.board.filter(u => u.uid !== unitId);
+    unit.position = null;
+    player.bench.push(unit);
+
+    this.emitPlayerUpdate(player);
+    return { success: true, player: this.getPlayerView(playerId) };
+  }
+
+  /**
+   * 玩家投降或掉线超时，立即淘汰
+   * @param {string} playerId - 玩家ID
+   * @returns {Object} 操作结果
+   */
+  surrender(playerId) {
+    const player = this.players.get(playerId);
+    if (!player || player.eliminated || this.phase === MATCH_PHASE.FINISHED) {
+      return { success: false, reason: 'PLAYER_NOT_ACTIVE' };
+    }
+
+    player.hp = 0;
+    this.eliminatePlayers([player]);
+
+    if (this.getAlivePlayers().length <= 1) {
+      this.finish();
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * 购买商店中的英雄，凑齐三个同星级单位时自动合成
+   * 备战席已满时，只有购买后能立即合成才允许购买
+   * @param {string} playerId - 玩家ID
+   * @param {number} slotIndex - 商店格子下标
+   * @returns {Object} 操作结果
+   */
+  buyHero(playerId, slotIndex) {
+    const check = this.checkAction(playerId);
+    if (!check.success) return check;
+
+    const player = check.player;
+    const heroId = player.shop[slotIndex];
+    if (!heroId) {
+      return { success: false, reason: 'SHOP_SLOT_EMPTY' };
+    }
+
+    const { cost } = getCharacter(heroId);
+    if (player.gold < cost) {
+      return { success: false, reason: 'INSUFFICIENT_GOLD' };
+    }
+
+    const copies = [...player.board, ...player.bench].filter(u => u.heroId === heroId && u.star === 1).length;
+    if (player.bench.length >= config.game.benchSize && copies < 2) {
+      return { success: false, reason: 'BENCH_FULL' };
+    }
+
+    player.shop[slotIndex] = null;
+    player.gold -= cost;
+    player.bench.push(this.createUnit(heroId, 1));
+    const combined = this.combineUnits(player, heroId);
+
+    this.emitPlayerUpdate(player);
+    return { success: true, combined, player: this.getPlayerView(playerId) };
+  }
+
+  /**
+   * 出售单位，按折合的1星英雄数量返还金币，英雄放回卡池
+   * @param {string} playerId - 玩家ID
+   * @param {string} unitId - 单位ID
+   * @returns {Object} 操作结果
+   */
+  sellUnit(playerId, unitId) {
+    const check = this.checkAction(playerId);
+    if (!check.success) return check;
+
+    const player = check.player;
+    const unit = this.takeUnit(player, unitId);
+    if (!unit) {
+      return { success: false, reason: 'UNIT_NOT_FOUND' };
+    }
+
+    const gold = getCharacter(unit.heroId).cost * HeroPool.COPIES_PER_STAR[unit.star];
+    player.gold += gold;
+    this.heroPool.releaseUnit(unit);
+
+    this.emitPlayerUpdate(player);
+    return { success: true, gold, player: this.getPlayerView(playerId) };
+  }
+
+  /**
+   * 花费金币刷新商店
+   * @param {string} playerId - 玩家ID
+   * @returns {Object} 操作结果
+   */
+  refreshShop(playerId) {
+    const check = this.checkAction(playerId);
+    if (!check.success) return check;
+
+    const player = check.player;
+    const { refreshCost } = config.game.shop;
+    if (player.gold < refreshCost) {
+      return { success: false, reason: 'INSUFFICIENT_GOLD' };
+    }
+
+    player.gold -= refreshCost;
+    this.restockShop(player);
+
+    this.emitPlayerUpdate(player);
+    return { success: true, player: this.getPlayerView(playerId) };
+  }
+
+  /**
+   * 锁定或解锁商店，锁定期间新回合不会自动刷新商店
+   * @param {string} playerId - 玩家ID
+   * @param {boolean} locked - 是否锁定
+   * @returns {Object} 操作结果
+   */
+  setShopLocked(playerId, locked) {
+    const check = this.checkAction(playerId);
+    if (!check.success) return check;
+
+    const player = check.player;
+    player.shopLocked = !!locked;
+
+    this.emitPlayerUpdate(player);
+    return { success: true, player: this.getPlayerView(playerId) };
+  }
+
+  /**
+   * 获取玩家自己的完整视图
+   * @param {string} playerId - 玩家ID
+   * @returns {Object|null} 玩家状态
+   */
+  getPlayerView(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    return {
+      ...this.getPublicPlayer(player),
+      exp: player.exp,
+      nextLevelExp: this.getNextLevelExp(player),
+      bench: player.bench.map(u => ({ ...u })),
+      boardSlots: this.getBoardSlots(player),
+      shop: [...player.shop],
+      shopLocked: player.shopLocked
+    };
+  }
+
+  /**
+   * 获取对局公开状态，所有玩家可见
+   * @returns {Object} 对局状态
+   */
+  getState() {
+    return {
+      matchId: this.matchId,
+      ranked: this.ranked,
+      phase: this.phase,
+      round: this.round,
+      phaseEndsAt: this.phaseEndsAt,
+      players: Array.from(this.players.values()).map(player => this.getPublicPlayer(player))
+    };
+  }
+
+  /**
+   * 获取最终排名，按名次升序
+   * @returns {Array} [{ playerId, placement, hp, level, eliminatedRound }]
+   */
+  getStandings() {
+    return Array.from(this.players.values())
+      .map(player => ({
+        playerId: player.playerId,
+        placement: player.placement,
+        hp: Math.max(0, player.hp),
+        level: player.level,
+        eliminatedRound: player.eliminatedRound
+      }))
+      .sort((a, b) => (a.placement || Infinity) - (b.placement || Infinity));
+  }
+
+  /**
+   * 强制结束对局并清理计时器（服务关闭时调用）
+   */
+  dispose() {
+    this.clearTimer();
+    this.removeAllListeners();
+  }
+
+  /**
+   * 进入准备阶段：开始新回合，发放收入和自动经验，刷新未锁定的商店
+   * @private
+   */
+  enterPreparation() {
+    this.round += 1;
+
+    for (const player of this.getAlivePlayers()) {
+      // 第一回合使用初始金币，不发放收入
+      if (this.round > 1) {
+        player.gold += this.calculateIncome(player);
+        this.addExperience(player, config.game.experience.passive);
+      }
+
+      if (!player.shopLocked) {
+        this.restockShop(player);
+      }
+    }
+
+    this.setPhase(MATCH_PHASE.PREPARATION, config.game.phaseDurations.preparation, () => this.enterShopping());
+    this.emit(MATCH_EVENT.ROUND_STARTED, { matchId: this.matchId, round: this.round });
+
+    for (const player of this.getAlivePlayers()) {
+      this.emitPlayerUpdate(player);
+    }
+  }
+
+  /**
+   * 进入购物阶段
+   * @private
+   */
+  enterShopping() {
+    this.setPhase(MATCH_PHASE.SHOPPING, config.game.roundTime, () => this.enterCombat());
+  }
+
+  /**
+   * 进入战斗阶段：两两配对结算战斗
+   * 存活人数为奇数时，落单玩家对阵随机一名对手阵容的镜像，镜像方不受伤害
+   * @private
+   */
+  enterCombat() {
+    const alive = this.shuffle(this.getAlivePlayers());
+    const fights = [];
+
+    for (let i = 0; i + 1 < alive.length; i += 2) {
+      fights.push(this.resolveFight(alive[i], alive[i + 1], false, fights.length));
+    }
+
+    if (alive.length % 2 === 1) {
+      const player = alive[alive.length - 1];
+      const others = alive.slice(0, -1);
+      const ghostSource = others[crypto.randomInt(others.length)];
+      fights.push(this.resolveFight(player, ghostSource, true, fights.length));
+    }
+
+    this.pendingResults = fights;
+    this.history.push({
+      round: this.round,
+      fights: fights.map(fight => ({
+        playerA: fight.playerA,
+        playerB: fight.playerB,
+        ghost: fight.ghost,
+        seed: fight.seed,
+        winnerId: fight.winnerId,
+        checksum: fight.battle ? fight.battle.checksum : null
+      }))
+    });
+
+    // 战斗阶段时长按最长一场战斗的回放时间计算
+    const longestTicks = Math.max(0, ...fights.map(fight => (fight.battle ? fight.battle.ticks : 0)));
+    const duration = Math.min(
+      config.game.phaseDurations.combat,
+      Math.ceil(longestTicks / AutoBattleSimulator.TICKS_PER_SECOND) + 1
+    );
+
+    this.setPhase(MATCH_PHASE.COMBAT, duration, () => this.enterResult());
+    this.emit(MATCH_EVENT.COMBAT_RESOLVED, {
+      matchId: this.matchId,
+      round: this.round,
+      fights: fights.map(fight => ({
+        playerA: fight.playerA,
+        playerB: fight.playerB,
+        ghost: fight.ghost,
+        winnerId: fight.winnerId,
+        boards: fight.boards,
+        battle: fight.battle
+      }))
+    });
+  }
+
+  /**
+   * 进入结算阶段：战败方扣血，更新连胜连败，淘汰生命值归零的玩家
+   * @private
+   */
+  enterResult() {
+    const eliminated = [];
+
+    for (const fight of this.pendingResults) {
+      const playerA = this.players.get(fight.playerA);
+      const playerB = fight.ghost ? null : this.players.get(fight.playerB);
+
+      if (!fight.winnerId) {
+        this.applyRoundResult(playerA, false, this.getRoundBaseDamage());
+        if (playerB) this.applyRoundResult(playerB, false, this.getRoundBaseDamage());
+        continue;
+      }
+
+      const aWins = fight.winnerId === fight.playerA;
+      this.applyRoundResult(playerA, aWins, aWins ? 0 : fight.damage);
+      if (playerB) this.applyRoundResult(playerB, !aWins, aWins ? fight.damage : 0);
+    }
+
+    this.pendingResults = [];
+
+    for (const player of this.getAlivePlayers()) {
+      if (player.hp <= 0) eliminated.push(player);
+      this.emitPlayerUpdate(player);
+    }
+
+    if (eliminated.length > 0) {
+      this.eliminatePlayers(eliminated);
+    }
+
+    if (this.getAlivePlayers().length <= 1 || this.round >= config.game.maxRounds) {
+      this.finish();
+      return;
+    }
+
+    this.setPhase(MATCH_PHASE.RESULT, config.game.phaseDurations.result, () => this.enterPreparation());
+  }
+
+  /**
+   * 结束对局，存活玩家按剩余生命值排名
+   * @private
+   */
+  finish() {
+    if (this.phase === MATCH_PHASE.FINISHED) return;
+
+    const survivors = this.getAlivePlayers().sort((a, b) => b.hp - a.hp || b.level - a.level);
+    survivors.forEach((player, index) => {
+      player.placement = index + 1;
+    });
+
+    this.clearTimer();
+    this.phase = MATCH_PHASE.FINISHED;
+    this.phaseEndsAt = null;
+    this.endedAt = new Date();
+
+    const standings = this.getStandings();
+
+    logger.info('自走棋对局结束', {
+      matchId: this.matchId,
+      rounds: this.round,
+      winner: standings[0] ? standings[0].playerId : null
+    });
+
+    this.emit(MATCH_EVENT.PHASE_CHANGED, { matchId: this.matchId, phase: this.phase, round: this.round });
+    this.emit(MATCH_EVENT.FINISHED, { matchId: this.matchId, standings });
+  }
+
+  /**
+   * 结算一场战斗
+   * @private
+   */
+  resolveFight(playerA, playerB, ghost, index) {
+    const seed = `${this.seed}:${this.round}:${index}`;
+    const fight = {
+      playerA: playerA.playerId,
+      playerB: playerB.playerId,
+      ghost,
+      seed,
+      winnerId: null,
+      damage: 0,
+      boards: null,
+      battle: null
+    };
+
+    const boardA = this.toBattleBoard(playerA);
+    const boardB = this.toBattleBoard(playerB);
+    fight.boards = { A: boardA, B: boardB };
+
+    // 空阵容不进入模拟，有阵容的一方直接获胜
+    if (boardA.units.length === 0 || boardB.units.length === 0) {
+      if (boardA.units.length > 0) fight.winnerId = playerA.playerId;
+      if (boardB.units.length > 0) fight.winnerId = playerB.playerId;
+
+      const winnerBoard = fight.winnerId === playerA.playerId ? boardA : boardB;
+      fight.damage = this.calculateDamage(winnerBoard.units);
+      return fight;
+    }
+
+    const simulation = AutoBattleSimulator.simulate(boardA, boardB, { seed });
+    if (!simulation.success) {
+      // 阵容数据异常时按平局处理，避免整局卡住
+      logger.error('自走棋战斗模拟失败', {
+        matchId: this.matchId,
+        round: this.round,
+        playerA: playerA.playerId,
+        playerB: playerB.playerId,
+        reason: simulation.reason
+      });
+      return fight;
+    }
+
+    const { result } = simulation;
+    fight.battle = result;
+
+    if (result.winner) {
+      fight.winnerId = result.winner === 'A' ? playerA.playerId : playerB.playerId;
+      fight.damage = this.calculateDamage(result.survivors);
+    }
+
+    return fight;
+  }
+
+  /**
+   * 应用回合胜负：更新连胜连败并扣除生命值，平局按失败计算
+   * @private
+   */
+  applyRoundResult(player, won, damage) {
+    if (won) {
+      player.winStreak += 1;
+      player.lossStreak = 0;
+    } else {
+      player.lossStreak += 1;
+      player.winStreak = 0;
+    }
+
+    player.lastRoundWon = won;
+    player.hp -= damage;
+  }
+
+  /**
+   * 淘汰玩家并分配名次，同回合淘汰的玩家按剩余生命值排序
+   * @private
+   */
+  eliminatePlayers(players) {
+    const remaining = this.getAlivePlayers().length - players.length;
+    const ordered = [...players].sort((a, b) => b.hp - a.hp);
+
+    ordered.forEach((player, index) => {
+      player.eliminated = true;
+      player.eliminatedRound = this.round;
+      player.placement = remaining + index + 1;
+      this.releasePlayerUnits(player);
+
+      this.emit(MATCH_EVENT.PLAYER_ELIMINATED, {
+        matchId: this.matchId,
+        playerId: player.playerId,
+        placement: player.placement,
+        round: this.round
+      });
+    });
+  }
+
+  /**
+   * 计算回合收入：基础收入 + 胜利奖励 + 利息 + 连胜连败奖励
+   * @private
+   */
+  calculateIncome(player) {
+    const { base, winBonus, interestStep, maxInterest, streakBonus } = config.game.income;
+    const interest = Math.min(maxInterest, Math.floor(player.gold / interestStep));
+    const streak = Math.max(player.winStreak, player.lossStreak);
+    const bonus = streakBonus
+      .filter(tier => streak >= tier.streak)
+      .reduce((max, tier) => Math.max(max, tier.gold), 0);
+
+    return base + interest + bonus + (player.lastRoundWon ? winBonus : 0);
+  }
+
+  /**
+   * 计算战败伤害：回合基础伤害 + 对方存活单位的星级之和
+   * @private
+   */
+  calculateDamage(survivors) {
+    return this.getRoundBaseDamage() + survivors.reduce((sum, unit) => sum + (unit.star || 1), 0);
+  }
+
+  /**
+   * 当前回合的基础伤害
+   * @private
+   */
+  getRoundBaseDamage() {
+    const { base, stageRounds } = config.game.damage;
+    return base + Math.floor(this.round / stageRounds);
+  }
+
+  /**
+   * 增加经验并处理升级
+   * @private
+   */
+  addExperience(player, amount) {
+    const maxLevel = this.getMaxLevel();
+    if (player.level >= maxLevel) return;
+
+    player.exp += amount;
+    const requirements = config.game.levelExpRequirement;
+    while (player.level < maxLevel && player.exp >= requirements[player.level + 1]) {
+      player.level += 1;
+    }
+  }
+
+  /**
+   * 升到下一级所需的累计经验，满级时为null
+   * @private
+   */
+  getNextLevelExp(player) {
+    return player.level >= this.getMaxLevel() ? null : config.game.levelExpRequirement[player.level + 1];
+  }
+
+  /**
+   * 最高等级
+   * @private
+   */
+  getMaxLevel() {
+    return Math.max(...Object.keys(config.game.levelExpRequirement).map(Number));
+  }
+
+  /**
+   * 当前等级可上场的英雄数量
+   * @private
+   */
+  getBoardSlots(player) {
+    return config.game.levelHeroSlots[player.level] || 0;
+  }
+
+  /**
+   * 将当前商店放回卡池，并按玩家等级重新抽取
+   * @private
+   */
+  restockShop(player) {
+    for (const heroId of player.shop) {
+      if (heroId) this.heroPool.release(heroId);
+    }
+
+    player.shop = this.heroPool.roll(player.level, config.game.shop.size);
+  }
+
+  /**
+   * 将被淘汰玩家的全部单位和商店放回卡池
+   * @private
+   */
+  releasePlayerUnits(player) {
+    for (const unit of [...player.board, ...player.bench]) {
+      this.heroPool.releaseUnit(unit);
+    }
+    for (const heroId of player.shop) {
+      if (heroId) this.heroPool.release(heroId);
+    }
+
+    player.board = [];
+    player.bench = [];
+    player.shop = [];
+  }
+
+  /**
+   * 创建单位
+   * @private
+   */
+  createUnit(heroId, star, items = []) {
+    return {
+      uid: `u${this.nextUnitId++}`,
+      heroId,
+      star,
+      items,
+      position: null
+    };
+  }
+
+  /**
+   * 从棋盘或备战席移除单位
+   * @private
+   */
+  takeUnit(player, unitId) {
+    const unit = player.board.find(u => u.uid === unitId) || player.bench.find(u => u.uid === unitId);
+    if (!unit) return null;
+
+    player.board = player.board.filter(u => u.uid !== unitId);
+    player.bench = player.bench.filter(u => u.uid !== unitId);
+    return unit;
+  }
+
+  /**
+   * 三个同英雄同星级的单位合成为高一星单位，可连续合成
+   * 合成后的单位优先继承棋盘上素材的位置，装备合并且不超过单位上限，多余装备丢弃
+   * @private
+   * @returns {Array} 合成出的单位
+   */
+  combineUnits(player, heroId) {
+    const combined = [];
+
+    for (let star = 1; star < MAX_STAR; star++) {
+      const materials = [...player.board, ...player.bench]
+        .filter(u => u.heroId === heroId && u.star === star)
+        .slice(0, UNITS_PER_COMBINE);
+      if (materials.length < UNITS_PER_COMBINE) break;
+
+      const onBoard = materials.find(u => u.position);
+      const items = materials.flatMap(u => u.items || []).slice(0, MAX_ITEMS_PER_UNIT);
+      materials.forEach(u => this.takeUnit(player, u.uid));
+
+      const unit = this.createUnit(heroId, star + 1, items);
+      if (onBoard) {
+        unit.position = { ...onBoard.position };
+        player.board.push(unit);
+      } else {
+        player.bench.push(unit);
+      }
+
+      combined.push({ ...unit });
+    }
+
+    return combined;
+  }
+
+  /**
+   * 校验玩家操作的阶段和状态
+   * @private
+   */
+  checkAction(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return { success: false, reason: 'NOT_IN_MATCH' };
+    }
+
+    if (player.eliminated) {
+      return { success: false, reason: 'PLAYER_ELIMINATED' };
+    }
+
+    if (!ACTION_PHASES.includes(this.phase)) {
+      return { success: false, reason: 'INVALID_PHASE' };
+    }
+
+    return { success: true, player };
+  }
+
+  /**
+   * 校验己方半场坐标
+   * @private
+   */
+  isValidPosition(position) {
+    return !!position &&
+      Number.isInteger(position.x) && Number.isInteger(position.y) &&
+      position.x >= 0 && position.x < AutoBattleSimulator.BOARD_WIDTH &&
+      position.y >= 0 && position.y < AutoBattleSimulator.ROWS_PER_SIDE;
+  }
+
+  /**
+   * 转换为模拟器使用的阵容
+   * @private
+   */
+  toBattleBoard(player) {
+    return {
+      playerId: player.playerId,
+      units: player.board.map(unit => ({
+        heroId: unit.heroId,
+        star: unit.star,
+        items: unit.items,
+        position: unit.position
+      }))
+    };
+  }
+
+  /**
+   * 切换阶段并安排下一阶段
+   * @private
+   */
+  setPhase(phase, durationSeconds, next) {
+    this.clearTimer();
+    this.phase = phase;
+    this.phaseEndsAt = new Date(Date.now() + durationSeconds * 1000);
+
+    this.emit(MATCH_EVENT.PHASE_CHANGED, {
+      matchId: this.matchId,
+      phase,
+      round: this.round,
+      phaseEndsAt: this.phaseEndsAt
+    });
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      try {
+        next();
+      } catch (error) {
+        logger.error('自走棋阶段切换失败', {
+          matchId: this.matchId,
+          phase,
+          round: this.round,
+          error: error.message
+        });
+        this.finish();
+      }
+    }, durationSeconds * 1000);
+  }
+
+  /**
+   * 清除阶段计时器
+   * @private
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 存活玩家列表
+   * @private
+   */
+  getAlivePlayers() {
+    return Array.from(this.players.values()).filter(player => !player.eliminated);
+  }
+
+  /**
+   * 随机打乱数组
+   * @private
+   */
+  shuffle(list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * 推送玩家状态变化
+   * @private
+   */
+  emitPlayerUpdate(player) {
+    this.emit(MATCH_EVENT.PLAYER_UPDATED, {
+      matchId: this.matchId,
+      playerId: player.playerId,
+      player: this.getPlayerView(player.playerId)
+    });
+  }
+
+  /**
+   * 玩家公开信息
+   * @private
+   */
+  getPublicPlayer(player) {
+    return {
+      playerId: player.playerId,
+      hp: Math.max(0, player.hp),
+      gold: player.gold,
+      level: player.level,
+      winStreak: player.winStreak,
+      lossStreak: player.lossStreak,
+      board: player.board.map(u => ({ ...u, position: { ...u.position } })),
+      eliminated: player.eliminated,
+      placement: player.placement
+    };
+  }
+
+  /**
+   * 创建玩家初始状态
+   * @private
+   */
+  createPlayerState(playerId) {
+    return {
+      playerId,
+      hp: config.game.initialHealth,
+      gold: config.game.initialGold,
+      level: config.game.initialLevel,
+      exp: config.game.initialExp,
+      winStreak: 0,
+      lossStreak: 0,
+      lastRoundWon: false,
+      bench: [],
+      board: [],
+      shop: [],
+      shopLocked: false,
+      eliminated: false,
+      eliminatedRound: null,
+      placement: null
+    };
+  }
+}
+
+module.exports = AutoChessMatch;
+module.exports.MATCH_PHASE = MATCH_PHASE;
+module.exports.MATCH_EVENT = MATCH_EVENT;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const { CHARACTERS, getCharacter } = require('../data/heroes');
+
+// 各星级单位折合的1星英雄数量
+const COPIES_PER_STAR = { 1: 1, 2: 3, 3: 9 };
+
+/**
+ * 默认随机数生成器，返回[0, 1)
+ * @returns {number} 随机数
+ */
+function secureRandom() {
+  return crypto.randomInt(0x100000000) / 0x100000000;
+}
+
+/**
+ * 公共英雄卡池 - 一局对局内所有玩家共享的有限英雄数量
+ * 刷新商店从卡池抽取，出售单位、刷新掉的商店英雄和被淘汰玩家的单位都会放回卡池
+ * 英雄名单来自 game/data/heroes，即客户端 CharacterStats.ts 中的 CHARACTERS
+ */
+class HeroPool {
+  static COPIES_PER_STAR = COPIES_PER_STAR;
+
+  /**
+   * @param {Object} options - 选项
+   * @param {Function} options.random - 返回[0, 1)的随机数函数
+   */
+  constructor({ random = secureRandom } = {}) {
+    this.random = random;
+    // 按费用段索引的剩余数量：{ cost: { heroId: 剩余数量 } }
+    this.tiers = {};
+
+    const { poolSizes } = config.game.shop;
+    for (const character of CHARACTERS) {
+      const size = poolSizes[character.cost] || 0;
+      if (size <= 0) continue;
+
+      this.tiers[character.cost] = this.tiers[character.cost] || {};
+      this.tiers[character.cost][character.id] = size;
+    }
+  }
+
+  /**
+   * 按玩家等级的概率为商店抽取英雄
+   * 整个卡池抽空时该格为null
+   * @param {number} level - 玩家等级
+   * @param {number} count - 抽取数量
+   * @returns {Array<string|null>} 英雄ID列表
+   */
+  roll(level, count = config.game.shop.size) {
+    const result = [];
+
+    for (let i = 0; i < count; i++) {
+      const cost = this.pickTier(level);
+      result.push(cost ? this.takeFromTier(cost) : null);
+    }
+
+    return result;
+  }
+
+  /**
+   * 放回英雄
+   * @param {string} heroId - 英雄ID
+   * @param {number} copies - 数量
+   */
+  release(heroId, copies = 1) {
+    const character = getCharacter(heroId);
+    if (!character || !this.tiers[character.cost] || copies <= 0) return;
+
+    const tier = this.tiers[character.cost];
+    const maxSize = config.game.shop.poolSizes[character.cost];
+    tier[heroId] = Math.min(maxSize, (tier[heroId] || 0) + copies);
+  }
+
+  /**
+   * 放回一个单位折合的全部英雄
+   * @param {Object} unit - 单位 { heroId, star }
+   */
+  releaseUnit(unit) {
+    this.release(unit.heroId, COPIES_PER_STAR[unit.star] || 1);
+  }
+
+  /**
+   * 获取卡池剩余数量
+   * @returns {Object} { heroId: 剩余数量 }
+   */
+  getRemaining() {
+    return Object.values(this.tiers).reduce((all, tier) => ({ ...all, ...tier }), {});
+  }
+
+  /**
+   * 按等级概率表选择费用段
+   * 抽中的费用段没有英雄（名单中没有该费用或已抽空）时改为费用最接近的有英雄的费用段，距离相同时取低费
+   * @private
+   * @returns {number|null} 费用，卡池抽空时为null
+   */
+  pickTier(level) {
+    const odds = config.game.shop.odds[level] || [];
+    const totalWeight = odds.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) return null;
+
+    let roll = this.random() * totalWeight;
+    let cost = null;
+    for (let i = 0; i < odds.length; i++) {
+      if (odds[i] <= 0) continue;
+      cost = i + 1;
+      roll -= odds[i];
+      if (roll < 0) break;
+    }
+
+    return this.getTierRemaining(cost) > 0 ? cost : this.findNearestTier(cost);
+  }
+
+  /**
+   * 查找费用最接近的有剩余英雄的费用段
+   * @private
+   * @returns {number|null} 费用
+   */
+  findNearestTier(cost) {
+    let nearest = null;
+
+    for (const tierCost of Object.keys(this.tiers).map(Number)) {
+      if (this.getTierRemaining(tierCost) <= 0) continue;
+
+      const distance = Math.abs(tierCost - cost);
+      const nearestDistance = nearest === null ? Infinity : Math.abs(nearest - cost);
+      if (distance < nearestDistance || (distance === nearestDistance && tierCost < nearest)) {
+        nearest = tierCost;
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * 在费用段内按剩余数量加权抽取一个英雄
+   * @private
+   */
+  takeFromTier(cost) {
+    const tier = this.tiers[cost];
+    let roll = Math.floor(this.random() * this.getTierRemaining(cost));
+
+    for (const [heroId, remaining] of Object.entries(tier)) {
+      if (roll < remaining) {
+        tier[heroId] -= 1;
+        return heroId;
+      }
+      roll -= remaining;
+    }
+
+    return null;
+  }
+
+  /**
+   * 费用段剩余总数
+   * @private
+   */
+  getTierRemaining(cost) {
+    return Object.values(this.tiers[cost] || {}).reduce((sum, remaining) => sum + remaining, 0);
+  }
+}
+
+module.exports = HeroPool;
+module.exports.COPIES_PER_STAR = COPIES_PER_STAR;
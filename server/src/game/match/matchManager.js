@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AutoChessMatch = require('./autoChessMatch');
+const { MATCH_EVENT } = require('./autoChessMatch');
+const RankedService = require('./rankedService');
+const BattleHistoryService = require('../battle/battleHistoryService');
+const QuestService = require('../quest/questService');
+const Match = require('../../models/match.model');
+const User = require('../../models/user.model');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 进行中的对局：matchId -> AutoChessMatch
+const activeMatches = new Map();
+// 玩家所在对局：playerId -> matchId
+const playerMatches = new Map();
+
+/**
+ * 对局管理器 - 创建和索引进行中的自走棋对局，对局结束后保存结果，排位赛交由 RankedService 结算
+ */
+class MatchManager {
+  /**
+   * 创建对局
+   * 调用方订阅对局事件后再调用 match.start() 开始对局
+   * @param {Array<string>} playerIds - 玩家ID列表
+   * @param {Object} options - 选项
+   * @param {boolean} options.ranked - 是否为排位赛，默认是
+   * @param {Function} options.onSettled - 结算完成后的回调 (match, players)，用于推送结算结果
+   * @returns {Object} 操作结果 { success, match }
+   */
+  static createMatch(playerIds, options = {}) {
+    const ids = playerIds.map(id => id.toString());
+
+    if (ids.length < 2 || ids.length > config.game.maxPlayers) {
+      return { success: false, reason: 'INVALID_PLAYER_COUNT' };
+    }
+
+    if (new Set(ids).size !== ids.length) {
+      return { success: false, reason: 'DUPLICATE_PLAYER' };
+    }
+
+    if (ids.some(id => playerMatches.has(id))) {
+      return { success: false, reason: 'PLAYER_IN_MATCH' };
+    }
+
+    const match = new AutoChessMatch({
+      matchId: crypto.randomUUID(),
+      playerIds: ids,
+      ranked: options.ranked !== false
+    });
+
+    activeMatches.set(match.matchId, match);
+    ids.forEach(id => playerMatches.set(id, match.matchId));
+
+    // 每轮战斗写入战斗记录，失败不影响对局进行
+    match.on(MATCH_EVENT.COMBAT_RESOLVED, data => {
+      BattleHistoryService.recordAutoChessFights(match, data).catch(error => {
+        logger.error('保存自走棋战斗记录失败', { matchId: match.matchId, round: data.round, error: error.message });
+      });
+    });
+
+    match.once(MATCH_EVENT.FINISHED, ({ standings }) => {
+      this.settleMatch(match, standings).then(players => {
+        if (options.onSettled) options.onSettled(match, players);
+      }).catch(error => {
+        logger.error('自走棋对局结算失败', { matchId: match.matchId, error: error.message });
+      });
+    });
+
+    return { success: true, match };
+  }
+
+  /**
+   * 获取对局
+   * @param {string} matchId - 对局ID
+   * @returns {AutoChessMatch|null} 对局
+   */
+  static getMatch(matchId) {
+    return activeMatches.get(matchId) || null;
+  }
+
+  /**
+   * 获取玩家所在的进行中对局
+   * @param {string} playerId - 玩家ID
+   * @returns {AutoChessMatch|null} 对局
+   */
+  static getPlayerMatch(playerId) {
+    const matchId = playerMatches.get(playerId.toString());
+    return matchId ? this.getMatch(matchId) : null;
+  }
+
+  /**
+   * 保存对局结果并更新玩家战绩，排位赛同时结算MMR、排位积分和段位
+   * @param {AutoChessMatch} match - 已结束的对局
+   * @param {Array} standings - 最终排名
+   * @returns {Promise<Array>} 各玩家结果，排位赛附带 ranked 段位变化
+   */
+  static async settleMatch(match, standings) {
+    activeMatches.delete(match.matchId);
+    standings.forEach(standing => {
+      if (playerMatches.get(standing.playerId) === match.matchId) {
+        playerMatches.delete(standing.playerId);
+      }
+    });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const players = [];
+      const rankedResults = match.ranked
+        ? await RankedService.settleRankedMatch(standings, session)
+        : new Map();
+
+      for (const standing of standings) {
+        await User.updateOne(
+          { _id: standing.playerId },
+          {
+            $inc: {
+              'stats.totalGames': 1,
+              'stats.wins': standing.placement === 1 ? 1 : 0,
+              'stats.top4': standing.placement <= 4 ? 1 : 0
+            }
+          },
+          { session }
+        );
+
+        const ranked = rankedResults.get(standing.playerId);
+
+        players.push({
+          userId: standing.playerId,
+          placement: standing.placement,
+          hp: standing.hp,
+          level: standing.level,
+          eliminatedRound: standing.eliminatedRound,
+          rankPointsDelta: ranked ? ranked.rankPointsDelta : 0
+        });
+      }
+
+      await Match.create([{
+        matchId: match.matchId,
+        ranked: match.ranked,
+        seed: match.seed,
+        rounds: match.round,
+        players,
+        roundHistory: match.history,
+        startedAt: match.startedAt,
+        endedAt: match.endedAt
+      }], { session });
+
+      await session.commitTransaction();
+
+      logger.info('自走棋对局结果已保存', {
+        matchId: match.matchId,
+        ranked: match.ranked,
+        players: players.map(p => ({ userId: p.userId, placement: p.placement, rankPointsDelta: p.rankPointsDelta }))
+      });
+
+      for (const player of players) {
+        QuestService.recordEvent(player.userId, QuestService.QUEST_EVENT.BATTLE_PLAYED);
+        if (player.placement === 1) {
+          QuestService.recordEvent(player.userId, QuestService.QUEST_EVENT.BATTLE_WON);
+        }
+      }
+
+      return players.map(player => ({ ...player, ranked: rankedResults.get(player.userId) || null }));
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+      match.dispose();
+    }
+  }
+
+  /**
+   * 进行中的对局数量
+   * @returns {number} 对局数量
+   */
+  static getActiveMatchCount() {
+    return activeMatches.size;
+  }
+
+  /**
+   * 停止所有对局（服务关闭时调用），未结束的对局不结算
+   */
+  static disposeAll() {
+    for (const match of activeMatches.values()) {
+      match.dispose();
+    }
+
+    activeMatches.clear();
+    playerMatches.clear();
+  }
+}
+
+module.exports = MatchManager;
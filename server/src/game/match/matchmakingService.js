@@ -0,0 +1,168 @@
+const User = require('../../models/user.model');
+const MatchManager = require('./matchManager');
+const RankedService = require('./rankedService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 排位匹配队列：userId -> { userId, mmr, joinedAt }
+const queue = new Map();
+
+/**
+ * 排位匹配服务 - 按隐藏分（MMR）把排队玩家分组并创建排位对局
+ * 等待最久的玩家优先成组，可接受的MMR差距随等待时间扩大；队列由网络层定时调用 processQueue 推进
+ */
+class MatchmakingService {
+  /**
+   * 加入排位匹配队列
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 操作结果
+   */
+  static async joinQueue(userId) {
+    const id = userId.toString();
+
+    if (queue.has(id)) {
+      return { success: false, reason: 'ALREADY_QUEUED' };
+    }
+
+    if (MatchManager.getPlayerMatch(id)) {
+      return { success: false, reason: 'PLAYER_IN_MATCH' };
+    }
+
+    try {
+      const user = await User.findById(id).select('status').lean();
+      if (!user || user.status !== 'active') {
+        return { success: false, reason: 'USER_NOT_ACTIVE' };
+      }
+
+      const mmr = await RankedService.getMatchmakingRating(id);
+
+      // 读取数据期间可能已重复加入
+      if (queue.has(id)) {
+        return { success: false, reason: 'ALREADY_QUEUED' };
+      }
+
+      queue.set(id, { userId: id, mmr, joinedAt: Date.now() });
+
+      return { success: true, status: this.getQueueStatus(id) };
+    } catch (error) {
+      logger.error('加入排位匹配失败', { userId: id, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 退出排位匹配队列
+   * @param {string} userId - 用户ID
+   * @returns {Object} 操作结果
+   */
+  static leaveQueue(userId) {
+    if (!queue.delete(userId.toString())) {
+      return { success: false, reason: 'NOT_QUEUED' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * 获取玩家的排队状态（不包含MMR）
+   * @param {string} userId - 用户ID
+   * @returns {Object} { queued, waitedSeconds, queueSize }
+   */
+  static getQueueStatus(userId) {
+    const entry = queue.get(userId.toString());
+
+    return {
+      queued: !!entry,
+      waitedSeconds: entry ? Math.floor((Date.now() - entry.joinedAt) / 1000) : 0,
+      queueSize: queue.size
+    };
+  }
+
+  /**
+   * 处理匹配队列，为凑齐的玩家创建排位对局
+   * 人数达到 matchSize 立即开局；等待最久的玩家超过 relaxAfterSeconds 后，凑够 minMatchSize 即可开局
+   * 调用方负责为返回的对局建立房间、订阅事件并调用 match.start()
+   * @param {Object} options - 选项
+   * @param {Function} options.onSettled - 对局结算完成后的回调，透传给 MatchManager.createMatch
+   * @param {number} now - 当前时间戳
+   * @returns {Array<AutoChessMatch>} 新创建的对局
+   */
+  static processQueue(options = {}, now = Date.now()) {
+    const { matchSize, minMatchSize, relaxAfterSeconds } = config.ranked.matchmaking;
+    const waiting = Array.from(queue.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+    const assigned = new Set();
+    const matches = [];
+
+    for (const anchor of waiting) {
+      if (assigned.has(anchor.userId)) continue;
+
+      const range = this.getSearchRange(anchor, now);
+      const candidates = waiting
+        .filter(entry => entry !== anchor && !assigned.has(entry.userId) &&
+          Math.abs(entry.mmr - anchor.mmr) <= range)
+        .sort((a, b) => Math.abs(a.mmr - anchor.mmr) - Math.abs(b.mmr - anchor.mmr))
+        .slice(0, matchSize - 1);
+
+      const group = [anchor, ...candidates];
+      const waitedSeconds = (now - anchor.joinedAt) / 1000;
+      if (group.length < matchSize && (waitedSeconds < relaxAfterSeconds || group.length < minMatchSize)) {
+        continue;
+      }
+
+      const playerIds = group.map(entry => entry.userId);
+      const result = MatchManager.createMatch(playerIds, { ranked: true, onSettled: options.onSettled });
+      if (!result.success) {
+        // 已在其他对局中的玩家移出队列，其余玩家下次继续匹配
+        logger.warn('排位对局创建失败', { reason: result.reason, playerIds });
+        playerIds
+          .filter(id => MatchManager.getPlayerMatch(id))
+          .forEach(id => queue.delete(id));
+        continue;
+      }
+
+      group.forEach(entry => {
+        assigned.add(entry.userId);
+        queue.delete(entry.userId);
+      });
+      matches.push(result.match);
+
+      logger.info('排位匹配成功', {
+        matchId: result.match.matchId,
+        players: playerIds.length,
+        mmrSpread: Math.max(...group.map(e => e.mmr)) - Math.min(...group.map(e => e.mmr)),
+        waitedSeconds: Math.floor(waitedSeconds)
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * 玩家当前可接受的MMR差距
+   * @param {Object} entry - 队列条目
+   * @param {number} now - 当前时间戳
+   * @returns {number} MMR差距
+   */
+  static getSearchRange(entry, now = Date.now()) {
+    const { initialRange, rangeGrowthPerSecond, maxRange } = config.ranked.matchmaking;
+    const waitedSeconds = Math.max(0, (now - entry.joinedAt) / 1000);
+    return Math.min(maxRange, initialRange + waitedSeconds * rangeGrowthPerSecond);
+  }
+
+  /**
+   * 排队人数
+   * @returns {number} 人数
+   */
+  static getQueueSize() {
+    return queue.size;
+  }
+
+  /**
+   * 清空匹配队列（服务关闭时调用）
+   */
+  static clearQueue() {
+    queue.clear();
+  }
+}
+
+module.exports = MatchmakingService;
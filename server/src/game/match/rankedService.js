@@ -0,0 +1,372 @@
+const User = require('../../models/user.model');
+const PlayerRating = require('../../models/playerRating.model');
+const EconomyService = require('../economy/economyService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 排位服务 - 隐藏分（MMR）、排位积分、段位晋级和赛季软重置
+ * 段位和积分保存在 User.stats.rankTier / rankPoints，MMR 和晋级状态保存在 PlayerRating
+ * 规则数值来自 config.ranked，每局得分来自 config.game.placementRankPoints
+ */
+class RankedService {
+  /**
+   * 计算指定时间所在的赛季
+   * @param {Date} date - 参考时间
+   * @returns {Object} { season, startsAt, endsAt }
+   */
+  static getSeasonInfo(date = new Date()) {
+    const { epoch, lengthDays } = config.ranked.season;
+    const start = new Date(epoch).getTime();
+    const length = lengthDays * DAY_MS;
+    const index = Math.max(0, Math.floor((date.getTime() - start) / length));
+
+    return {
+      season: index + 1,
+      startsAt: new Date(start + index * length),
+      endsAt: new Date(start + (index + 1) * length)
+    };
+  }
+
+  /**
+   * 获取玩家排位数据，不存在时创建，属于旧赛季时先执行软重置
+   * @param {string} userId - 用户ID
+   * @param {Object} session - 事务会话
+   * @returns {Promise<Object>} PlayerRating 文档
+   */
+  static async getRating(userId, session) {
+    const { season } = this.getSeasonInfo();
+    const rating = await PlayerRating.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { mmr: config.ranked.mmr.initial, season } },
+      { upsert: true, new: true, session }
+    );
+
+    if (rating.season < season) {
+      await this.applySoftReset(rating, season, session);
+    }
+
+    return rating;
+  }
+
+  /**
+   * 获取用于匹配的MMR，只读不写；旧赛季的数据按软重置后的值计算
+   * @param {string} userId - 用户ID
+   * @returns {Promise<number>} MMR
+   */
+  static async getMatchmakingRating(userId) {
+    const rating = await PlayerRating.findOne({ userId }).select('mmr season').lean();
+    if (!rating) return config.ranked.mmr.initial;
+
+    const { season } = this.getSeasonInfo();
+    return rating.season < season ? this.getResetMmr(rating.mmr) : rating.mmr;
+  }
+
+  /**
+   * 获取玩家的排位信息（不包含MMR）
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 操作结果
+   */
+  static async getRankInfo(userId) {
+    try {
+      const rating = await EconomyService.runInTransaction(session => this.getRating(userId, session));
+      const user = await User.findById(userId).select('stats.rankPoints stats.rankTier').lean();
+      if (!user) {
+        return { success: false, reason: 'USER_NOT_FOUND' };
+      }
+
+      const { tiers } = config.ranked;
+      const tierIndex = this.getTierIndex(user.stats.rankTier);
+      const nextTier = tiers[tierIndex + 1] || null;
+
+      return {
+        success: true,
+        rank: {
+          season: this.getSeasonInfo(),
+          rankTier: user.stats.rankTier,
+          rankPoints: user.stats.rankPoints,
+          nextTier: nextTier ? { name: nextTier.name, minPoints: nextTier.minPoints } : null,
+          promotion: rating.promotion.active ? {
+            targetTier: rating.promotion.targetTier,
+            games: rating.promotion.games,
+            wins: rating.promotion.wins,
+            totalGames: config.ranked.promotion.games,
+            winsRequired: config.ranked.promotion.winsRequired
+          } : null,
+          demotionShield: rating.demotionShield,
+          seasonGames: rating.seasonGames,
+          peakTier: rating.peakTier || user.stats.rankTier,
+          previousSeason: rating.previousSeason?.season ? rating.previousSeason : null
+        }
+      };
+    } catch (error) {
+      logger.error('获取排位信息失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 结算一局排位赛：更新MMR、排位积分、段位、晋级赛和降级保护
+   * 在调用方的事务中执行
+   * @param {Array} standings - 最终排名 [{ playerId, placement }]
+   * @param {Object} session - 事务会话
+   * @returns {Promise<Map>} playerId -> { rankPointsDelta, rankPoints, rankTier, promoted, demoted, promotion }
+   */
+  static async settleRankedMatch(standings, session) {
+    const entries = [];
+
+    for (const standing of standings) {
+      const rating = await this.getRating(standing.playerId, session);
+      const user = await User.findById(standing.playerId)
+        .select('stats.rankPoints stats.rankTier')
+        .session(session);
+
+      if (!user) {
+        logger.warn('排位结算时玩家不存在', { userId: standing.playerId });
+        continue;
+      }
+
+      entries.push({ standing, rating, user });
+    }
+
+    const mmrChanges = this.calculateMmrChanges(entries.map(entry => ({
+      placement: entry.standing.placement,
+      mmr: entry.rating.mmr
+    })));
+
+    const results = new Map();
+
+    for (let i = 0; i < entries.length; i++) {
+      const { standing, rating, user } = entries[i];
+      const previousPoints = user.stats.rankPoints || 0;
+      const previousTier = user.stats.rankTier;
+      const progress = this.applyPlacement(rating, user.stats, standing.placement);
+
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'stats.rankPoints': progress.rankPoints, 'stats.rankTier': progress.rankTier } },
+        { session }
+      );
+
+      rating.mmr = Math.max(config.ranked.mmr.min, rating.mmr + mmrChanges[i]);
+      rating.seasonGames += 1;
+      rating.lastMatchAt = new Date();
+      if (this.getTierIndex(progress.rankTier) > this.getTierIndex(rating.peakTier || previousTier)) {
+        rating.peakTier = progress.rankTier;
+      }
+      await rating.save({ session });
+
+      results.set(standing.playerId, {
+        ...progress,
+        previousTier,
+        rankPointsDelta: progress.rankPoints - previousPoints,
+        promotion: rating.promotion.active ? {
+          targetTier: rating.promotion.targetTier,
+          games: rating.promotion.games,
+          wins: rating.promotion.wins
+        } : null,
+        demotionShield: rating.demotionShield
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * 对所有旧赛季的排位数据执行软重置（计划任务调用）
+   * 未被计划任务处理到的玩家会在下次读取排位数据时重置
+   * @param {number} batchSize - 每批处理数量
+   * @returns {Promise<number>} 重置的玩家数量
+   */
+  static async processSeasonResets(batchSize = 200) {
+    const { season } = this.getSeasonInfo();
+    let resetCount = 0;
+    let stale;
+    let batchResetCount;
+
+    do {
+      batchResetCount = 0;
+      stale = await PlayerRating.find({ season: { $lt: season } })
+        .select('_id')
+        .limit(batchSize)
+        .lean();
+
+      for (const { _id } of stale) {
+        try {
+          await EconomyService.runInTransaction(async (session) => {
+            const rating = await PlayerRating.findById(_id).session(session);
+            if (rating && rating.season < season) {
+              await this.applySoftReset(rating, season, session);
+            }
+          });
+          batchResetCount += 1;
+        } catch (error) {
+          logger.error('排位赛季软重置失败', { ratingId: _id, season, error: error.message });
+        }
+      }
+
+      resetCount += batchResetCount;
+    } while (stale.length === batchSize && batchResetCount > 0);
+
+    if (resetCount > 0) {
+      logger.info('排位赛季软重置完成', { season, resetCount });
+    }
+
+    return resetCount;
+  }
+
+  /**
+   * 按名次计算每名玩家的MMR变化
+   * 每名玩家与其余所有玩家两两比较，名次靠前记为胜，按 Elo 期望胜率计算后取平均
+   * @param {Array} players - [{ placement, mmr }]
+   * @returns {Array<number>} 与输入顺序一致的MMR变化
+   */
+  static calculateMmrChanges(players) {
+    if (players.length < 2) return players.map(() => 0);
+
+    const { kFactor } = config.ranked.mmr;
+
+    return players.map((player, i) => {
+      let score = 0;
+
+      players.forEach((opponent, j) => {
+        if (i === j) return;
+
+        const expected = 1 / (1 + Math.pow(10, (opponent.mmr - player.mmr) / 400));
+        const actual = player.placement < opponent.placement ? 1 : player.placement > opponent.placement ? 0 : 0.5;
+        score += actual - expected;
+      });
+
+      return Math.round(kFactor * score / (players.length - 1));
+    });
+  }
+
+  /**
+   * 段位在 config.ranked.tiers 中的下标，未知段位视为最低段位
+   * @param {string} tierName - 段位名称
+   * @returns {number} 下标
+   */
+  static getTierIndex(tierName) {
+    return Math.max(0, config.ranked.tiers.findIndex(tier => tier.name === tierName));
+  }
+
+  /**
+   * 按名次计算积分和段位变化，并更新 rating 上的晋级赛和降级保护状态
+   * 晋级赛期间积分停留在下一段位门槛；降级保护期间积分不会跌出当前段位
+   * @private
+   */
+  static applyPlacement(rating, stats, placement) {
+    const { tiers, promotion: promotionRules, demotionProtection } = config.ranked;
+    let points = stats.rankPoints || 0;
+    let tierIndex = this.getTierIndex(stats.rankTier);
+    let promoted = false;
+    let demoted = false;
+    let promotionFailed = false;
+
+    if (rating.promotion.active) {
+      rating.promotion.games += 1;
+      if (placement <= promotionRules.topPlacement) {
+        rating.promotion.wins += 1;
+      }
+
+      const losses = rating.promotion.games - rating.promotion.wins;
+      if (rating.promotion.wins >= promotionRules.winsRequired) {
+        tierIndex = this.getTierIndex(rating.promotion.targetTier);
+        promoted = true;
+      } else if (losses > promotionRules.games - promotionRules.winsRequired) {
+        points = Math.max(tiers[tierIndex].minPoints, points - promotionRules.failPenalty);
+        promotionFailed = true;
+      }
+
+      if (promoted || promotionFailed) {
+        rating.promotion = { active: false, targetTier: null, games: 0, wins: 0 };
+      }
+    } else {
+      points = Math.max(0, points + (config.game.placementRankPoints[placement] || 0));
+
+      const nextTier = tiers[tierIndex + 1];
+      if (nextTier && points >= nextTier.minPoints) {
+        points = nextTier.minPoints;
+        rating.promotion = { active: true, targetTier: nextTier.name, games: 0, wins: 0 };
+      }
+
+      if (points < tiers[tierIndex].minPoints) {
+        if (rating.demotionShield > 0) {
+          points = tiers[tierIndex].minPoints;
+        } else {
+          while (tierIndex > 0 && points < tiers[tierIndex].minPoints) {
+            tierIndex -= 1;
+          }
+          demoted = true;
+        }
+      }
+    }
+
+    if (promoted) {
+      rating.demotionShield = demotionProtection.games;
+    } else if (rating.demotionShield > 0) {
+      rating.demotionShield -= 1;
+    }
+
+    return {
+      rankPoints: points,
+      rankTier: tiers[tierIndex].name,
+      promoted,
+      demoted,
+      promotionFailed
+    };
+  }
+
+  /**
+   * 新赛季软重置：MMR向初始值回归，段位下降并重置为该段位起始积分
+   * @private
+   */
+  static async applySoftReset(rating, season, session) {
+    const { tiers, season: { softReset } } = config.ranked;
+    const user = await User.findById(rating.userId)
+      .select('stats.rankPoints stats.rankTier')
+      .session(session);
+
+    const previousTier = user ? user.stats.rankTier : tiers[0].name;
+    const tierIndex = Math.max(0, this.getTierIndex(previousTier) - softReset.tierDrop);
+
+    rating.previousSeason = {
+      season: rating.season,
+      rankTier: previousTier,
+      rankPoints: user ? user.stats.rankPoints : 0,
+      seasonGames: rating.seasonGames,
+      // 只为上赛季打过排位的玩家发放赛季奖励，见 LeaderboardService.processSeasonRewards
+      rewardPending: !!user && rating.seasonGames > 0,
+      finalRank: null
+    };
+    rating.mmr = this.getResetMmr(rating.mmr);
+    rating.season = season;
+    rating.promotion = { active: false, targetTier: null, games: 0, wins: 0 };
+    rating.demotionShield = 0;
+    rating.seasonGames = 0;
+    rating.peakTier = tiers[tierIndex].name;
+
+    if (user) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'stats.rankPoints': tiers[tierIndex].minPoints, 'stats.rankTier': tiers[tierIndex].name } },
+        { session }
+      );
+    }
+
+    await rating.save({ session });
+  }
+
+  /**
+   * 软重置后的MMR
+   * @private
+   */
+  static getResetMmr(mmr) {
+    const { mmr: { initial }, season: { softReset } } = config.ranked;
+    return Math.round(initial + (mmr - initial) * softReset.mmrRetention);
+  }
+}
+
+module.exports = RankedService;
@@ -0,0 +1,348 @@
+const QuestProgress = require('../../models/questProgress.model');
+const EconomyService = require('../economy/economyService');
+const {
+  QUEST_PERIOD,
+  QUEST_EVENT,
+  QUESTS,
+  ACTIVITY_CHESTS,
+  getQuest,
+  getActivityChest,
+  getQuestsByEvent
+} = require('../data/quests');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 计入“消耗金币”的交易类型，拍卖出价托管和玩家转账不算消耗
+const GOLD_SPENDING_TYPES = [
+  EconomyService.TRANSACTION_TYPES.ITEM_PURCHASE,
+  EconomyService.TRANSACTION_TYPES.EQUIPMENT_UPGRADE,
+  EconomyService.TRANSACTION_TYPES.GUILD_DONATION
+];
+
+/**
+ * 任务操作错误，用于在事务中中止并返回错误码
+ */
+class QuestError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 任务服务 - 每日/每周任务进度、奖励领取和活跃度宝箱
+ * 进度由服务端游戏事件推进（recordEvent），每日和每周任务在 config.quests.resetHour 重置
+ */
+class QuestService {
+  static QUEST_EVENT = QUEST_EVENT;
+
+  /**
+   * 获取玩家当前周期的每日和每周任务
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { success, daily, weekly }
+   */
+  static async getQuests(userId) {
+    try {
+      const result = { success: true };
+
+      for (const period of Object.values(QUEST_PERIOD)) {
+        const cycle = this.getCycle(period);
+        const progress = await QuestProgress.findOne({ userId, period, cycleKey: cycle.key }).lean();
+        result[period] = this.formatCycle(period, cycle, progress);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('获取任务列表失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 记录游戏事件，推进当前周期内所有监听该事件的任务
+   * 由各玩法在操作成功（事务提交）后调用，无需等待；失败只记录日志，不会抛出异常
+   * @param {string} userId - 用户ID
+   * @param {string} event - 游戏事件，见 QUEST_EVENT
+   * @param {number} amount - 累加数量
+   */
+  static async recordEvent(userId, event, amount = 1) {
+    if (!userId || !Number.isFinite(amount) || amount <= 0) return;
+
+    const quests = getQuestsByEvent(event);
+
+    for (const period of Object.values(QUEST_PERIOD)) {
+      const periodQuests = quests.filter(quest => quest.period === period);
+      if (periodQuests.length === 0) continue;
+
+      const cycle = this.getCycle(period);
+      const increments = Object.fromEntries(periodQuests.map(quest => [`progress.${quest.id}`, amount]));
+
+      try {
+        await this.upsertProgress(userId, period, cycle.key, { $inc: increments });
+      } catch (error) {
+        logger.error('记录任务进度失败', { userId, event, amount, period, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 记录回合制战斗结果，好友对战不计入任务
+   * @param {Object} battleState - 已结束的战斗状态
+   */
+  static async recordBattleResult(battleState) {
+    if (battleState.battleType === 'friendly') return;
+
+    for (const playerId of battleState.players) {
+      await this.recordEvent(playerId, QUEST_EVENT.BATTLE_PLAYED);
+      if (battleState.winner && battleState.winner.toString() === playerId) {
+        await this.recordEvent(playerId, QUEST_EVENT.BATTLE_WON);
+      }
+    }
+  }
+
+  /**
+   * 记录货币支出，只有金币的消耗类交易会推进任务
+   * @param {string} userId - 用户ID
+   * @param {string} currencyType - 货币类型
+   * @param {number} amount - 支出数量（正数）
+   * @param {string} transactionType - 交易类型
+   */
+  static async recordSpending(userId, currencyType, amount, transactionType) {
+    if (currencyType !== EconomyService.CURRENCY_TYPES.GOLD || !GOLD_SPENDING_TYPES.includes(transactionType)) {
+      return;
+    }
+
+    await this.recordEvent(userId, QUEST_EVENT.GOLD_SPENT, amount);
+  }
+
+  /**
+   * 领取任务奖励，奖励通过 QUEST_REWARD 交易发放，并获得活跃度
+   * @param {string} userId - 用户ID
+   * @param {string} questId - 任务ID
+   * @returns {Promise<Object>} { success, reason, quest, rewards, activityPoints }
+   */
+  static async claimQuest(userId, questId) {
+    const quest = getQuest(questId);
+    if (!quest) {
+      return { success: false, reason: 'QUEST_NOT_FOUND' };
+    }
+
+    try {
+      const cycle = this.getCycle(quest.period);
+      const progress = await EconomyService.runInTransaction(async (session) => {
+        const updated = await QuestProgress.findOneAndUpdate(
+          {
+            userId,
+            period: quest.period,
+            cycleKey: cycle.key,
+            [`progress.${quest.id}`]: { $gte: quest.target },
+            claimedQuests: { $ne: quest.id }
+          },
+          { $push: { claimedQuests: quest.id }, $inc: { activityPoints: quest.activityPoints } },
+          { new: true, session }
+        );
+
+        if (!updated) {
+          const current = await QuestProgress.findOne({ userId, period: quest.period, cycleKey: cycle.key })
+            .select('claimedQuests')
+            .session(session)
+            .lean();
+          throw new QuestError(current && current.claimedQuests.includes(quest.id) ? 'ALREADY_CLAIMED' : 'QUEST_NOT_COMPLETED');
+        }
+
+        await this.grantRewards(userId, quest.id, cycle.key, quest.rewards, session);
+        return updated;
+      });
+
+      logger.info('任务奖励已领取', { userId, questId, cycleKey: cycle.key });
+
+      return {
+        success: true,
+        quest: this.formatQuest(quest, progress.toObject()),
+        rewards: quest.rewards,
+        activityPoints: progress.activityPoints
+      };
+    } catch (error) {
+      if (error instanceof QuestError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('领取任务奖励失败', { userId, questId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 领取活跃度宝箱
+   * @param {string} userId - 用户ID
+   * @param {string} chestId - 宝箱ID
+   * @returns {Promise<Object>} { success, reason, chest, rewards }
+   */
+  static async claimChest(userId, chestId) {
+    const chest = getActivityChest(chestId);
+    if (!chest) {
+      return { success: false, reason: 'CHEST_NOT_FOUND' };
+    }
+
+    try {
+      const cycle = this.getCycle(chest.period);
+      await EconomyService.runInTransaction(async (session) => {
+        const updated = await QuestProgress.findOneAndUpdate(
+          {
+            userId,
+            period: chest.period,
+            cycleKey: cycle.key,
+            activityPoints: { $gte: chest.points },
+            claimedChests: { $ne: chest.id }
+          },
+          { $push: { claimedChests: chest.id } },
+          { new: true, session }
+        );
+
+        if (!updated) {
+          const current = await QuestProgress.findOne({ userId, period: chest.period, cycleKey: cycle.key })
+            .select('claimedChests')
+            .session(session)
+            .lean();
+          throw new QuestError(current && current.claimedChests.includes(chest.id) ? 'ALREADY_CLAIMED' : 'CHEST_LOCKED');
+        }
+
+        await this.grantRewards(userId, chest.id, cycle.key, chest.rewards, session);
+      });
+
+      logger.info('活跃度宝箱已领取', { userId, chestId, cycleKey: cycle.key });
+
+      return {
+        success: true,
+        chest: { id: chest.id, period: chest.period, points: chest.points, rewards: chest.rewards, claimed: true },
+        rewards: chest.rewards
+      };
+    } catch (error) {
+      if (error instanceof QuestError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('领取活跃度宝箱失败', { userId, chestId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 计算任务周期：每日周期从 resetHour 开始，每周周期从 weeklyResetDay 的 resetHour 开始
+   * @param {string} period - 任务周期
+   * @param {Date} date - 参考时间
+   * @returns {Object} { key, startsAt, resetsAt }
+   */
+  static getCycle(period, date = new Date()) {
+    const { resetHour, weeklyResetDay } = config.quests;
+    const startsAt = new Date(date);
+    startsAt.setHours(resetHour, 0, 0, 0);
+    if (startsAt > date) {
+      startsAt.setDate(startsAt.getDate() - 1);
+    }
+
+    if (period === QUEST_PERIOD.WEEKLY) {
+      startsAt.setDate(startsAt.getDate() - (startsAt.getDay() - weeklyResetDay + 7) % 7);
+    }
+
+    const resetsAt = new Date(startsAt);
+    resetsAt.setDate(resetsAt.getDate() + (period === QUEST_PERIOD.WEEKLY ? 7 : 1));
+
+    const pad = value => String(value).padStart(2, '0');
+    return {
+      key: `${startsAt.getFullYear()}-${pad(startsAt.getMonth() + 1)}-${pad(startsAt.getDate())}`,
+      startsAt,
+      resetsAt
+    };
+  }
+
+  /**
+   * 更新进度记录，不存在时创建；并发创建时重试一次
+   * @private
+   */
+  static async upsertProgress(userId, period, cycleKey, update) {
+    const filter = { userId, period, cycleKey };
+
+    try {
+      await QuestProgress.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await QuestProgress.updateOne(filter, update);
+    }
+  }
+
+  /**
+   * 发放任务或宝箱的货币奖励
+   * @private
+   * @param {string} userId - 用户ID
+   * @param {string} questId - 任务或宝箱ID，用于奖励校验
+   * @param {string} cycleKey - 周期标识，用于幂等
+   * @param {Object} rewards - { currency: amount }
+   * @param {Object} session - 事务会话
+   */
+  static async grantRewards(userId, questId, cycleKey, rewards, session) {
+    for (const [currency, amount] of Object.entries(rewards)) {
+      const result = await EconomyService.updateBalance(
+        userId,
+        currency,
+        amount,
+        EconomyService.TRANSACTION_TYPES.QUEST_REWARD,
+        { questId, cycleKey },
+        { session, idempotencyKey: `quest:${userId}:${cycleKey}:${questId}:${currency}` }
+      );
+
+      if (!result.success) {
+        throw new QuestError(result.reason);
+      }
+    }
+  }
+
+  /**
+   * 格式化一个周期的任务和宝箱
+   * @private
+   */
+  static formatCycle(period, cycle, progress) {
+    const activityPoints = progress ? progress.activityPoints : 0;
+    const claimedChests = progress ? progress.claimedChests : [];
+
+    return {
+      cycleKey: cycle.key,
+      resetsAt: cycle.resetsAt,
+      activityPoints,
+      quests: Object.values(QUESTS)
+        .filter(quest => quest.period === period)
+        .map(quest => this.formatQuest(quest, progress)),
+      chests: Object.values(ACTIVITY_CHESTS)
+        .filter(chest => chest.period === period)
+        .map(chest => ({
+          id: chest.id,
+          points: chest.points,
+          rewards: chest.rewards,
+          unlocked: activityPoints >= chest.points,
+          claimed: claimedChests.includes(chest.id)
+        }))
+    };
+  }
+
+  /**
+   * 格式化任务进度
+   * @private
+   */
+  static formatQuest(quest, progress) {
+    const counters = progress && progress.progress;
+    const value = counters ? (counters instanceof Map ? counters.get(quest.id) : counters[quest.id]) || 0 : 0;
+
+    return {
+      id: quest.id,
+      name: quest.name,
+      target: quest.target,
+      progress: Math.min(value, quest.target),
+      completed: value >= quest.target,
+      claimed: progress ? progress.claimedQuests.includes(quest.id) : false,
+      rewards: quest.rewards,
+      activityPoints: quest.activityPoints
+    };
+  }
+}
+
+module.exports = QuestService;
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const BattleStateStore = require('../battle/battleStateStore');
+const ChatService = require('../chat/chatService');
+const FriendService = require('./friendService');
+const PresenceService = require('./presenceService');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const { PRESENCE_STATUS } = PresenceService;
+
+// 邀请状态，随 battle_invite_update 事件推送给双方
+const INVITE_STATUS = {
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+// 待处理的邀请：inviteId -> { inviteId, fromId, toId, expiresAt }
+const invites = new Map();
+
+/**
+ * 好友对战邀请服务 - 邀请在线好友进入私人战斗房间
+ * 邀请只保存在进程内存中，超时或任一方下线后失效；对方接受后创建好友对战
+ */
+class BattleInviteService {
+  static INVITE_STATUS = INVITE_STATUS;
+
+  /**
+   * 邀请好友对战，对方必须在线且空闲，同一对玩家之间同时只有一条邀请
+   * @param {string} fromId - 邀请者ID
+   * @param {string} toId - 被邀请的好友ID
+   * @returns {Promise<Object>} { success, reason, invite }
+   */
+  static async createInvite(fromId, toId) {
+    try {
+      const from = fromId.toString();
+      const to = typeof toId === 'string' ? toId : '';
+
+      if (!to || to === from) {
+        return { success: false, reason: 'INVALID_TARGET' };
+      }
+
+      if (!(await FriendService.areFriends(from, to))) {
+        return { success: false, reason: 'NOT_FRIENDS' };
+      }
+
+      if (await ChatService.isBlockedEitherWay(from, to)) {
+        return { success: false, reason: 'BLOCKED' };
+      }
+
+      if (PresenceService.getPresence(from).status !== PRESENCE_STATUS.ONLINE) {
+        return { success: false, reason: 'ALREADY_IN_GAME' };
+      }
+
+      const targetStatus = PresenceService.getPresence(to).status;
+      if (targetStatus === PRESENCE_STATUS.OFFLINE) {
+        return { success: false, reason: 'FRIEND_OFFLINE' };
+      }
+      if (targetStatus !== PRESENCE_STATUS.ONLINE) {
+        return { success: false, reason: 'FRIEND_BUSY' };
+      }
+
+      const now = Date.now();
+      for (const invite of invites.values()) {
+        const samePair = (invite.fromId === from && invite.toId === to) ||
+          (invite.fromId === to && invite.toId === from);
+        if (samePair && invite.expiresAt > now) {
+          return { success: false, reason: 'INVITE_EXISTS' };
+        }
+      }
+
+      const invite = {
+        inviteId: crypto.randomUUID(),
+        fromId: from,
+        toId: to,
+        createdAt: now,
+        expiresAt: now + config.social.inviteExpirySeconds * 1000
+      };
+      invites.set(invite.inviteId, invite);
+
+      return { success: true, invite: { ...invite } };
+    } catch (error) {
+      logger.error('发送对战邀请失败', { fromId, toId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 接受邀请并创建好友对战，邀请者先手
+   * @param {string} userId - 被邀请者ID
+   * @param {string} inviteId - 邀请ID
+   * @returns {Promise<Object>} { success, reason, invite, battle: { battleId, state } }
+   */
+  static async acceptInvite(userId, inviteId) {
+    try {
+      const taken = this.takeInvite(inviteId, invite => invite.toId === userId.toString());
+      if (!taken.success) return taken;
+
+      const { invite } = taken;
+      if (PresenceService.getPresence(invite.fromId).status !== PRESENCE_STATUS.ONLINE) {
+        return { success: false, reason: 'INVITER_UNAVAILABLE', invite };
+      }
+      if (PresenceService.getPresence(invite.toId).status !== PRESENCE_STATUS.ONLINE) {
+        return { success: false, reason: 'ALREADY_IN_GAME', invite };
+      }
+
+      const players = [invite.fromId, invite.toId];
+      const state = await BattleStateStore.createBattle({
+        players,
+        entities: Object.fromEntries(players.map(playerId => [playerId, { ownerId: playerId }])),
+        battleType: 'friendly',
+        createdBy: invite.fromId
+      });
+
+      logger.info('好友对战已创建', { inviteId, battleId: state.id, players });
+
+      return { success: true, invite, battle: { battleId: state.id, state } };
+    } catch (error) {
+      logger.error('接受对战邀请失败', { userId, inviteId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 拒绝邀请
+   * @param {string} userId - 被邀请者ID
+   * @param {string} inviteId - 邀请ID
+   * @returns {Object} { success, reason, invite }
+   */
+  static declineInvite(userId, inviteId) {
+    return this.takeInvite(inviteId, invite => invite.toId === userId.toString());
+  }
+
+  /**
+   * 撤回自己发出的邀请
+   * @param {string} userId - 邀请者ID
+   * @param {string} inviteId - 邀请ID
+   * @returns {Object} { success, reason, invite }
+   */
+  static cancelInvite(userId, inviteId) {
+    return this.takeInvite(inviteId, invite => invite.fromId === userId.toString());
+  }
+
+  /**
+   * 移除玩家发出或收到的所有邀请（玩家下线或进入战斗）
+   * @param {string} userId - 用户ID
+   * @returns {Object[]} 被移除的邀请
+   */
+  static removeInvitesForUser(userId) {
+    const key = userId.toString();
+    const removed = [];
+
+    for (const [inviteId, invite] of invites) {
+      if (invite.fromId === key || invite.toId === key) {
+        invites.delete(inviteId);
+        removed.push(invite);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * 清理过期的邀请
+   * @param {number} [now] - 当前时间
+   * @returns {Object[]} 过期的邀请，由调用方通知双方
+   */
+  static cleanup(now = Date.now()) {
+    const expired = [];
+
+    for (const [inviteId, invite] of invites) {
+      if (invite.expiresAt <= now) {
+        invites.delete(inviteId);
+        expired.push(invite);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * 取出一条有效的邀请，取出后邀请不再可用
+   * @private
+   * @param {string} inviteId - 邀请ID
+   * @param {Function} canTake - 校验当前用户是否可以处理该邀请
+   * @returns {Object} { success, reason, invite }
+   */
+  static takeInvite(inviteId, canTake) {
+    const invite = typeof inviteId === 'string' ? invites.get(inviteId) : null;
+    if (!invite || !canTake(invite)) {
+      return { success: false, reason: 'INVITE_NOT_FOUND' };
+    }
+
+    invites.delete(inviteId);
+
+    if (invite.expiresAt <= Date.now()) {
+      return { success: false, reason: 'INVITE_EXPIRED', invite };
+    }
+
+    return { success: true, invite };
+  }
+}
+
+module.exports = BattleInviteService;
@@ -0,0 +1,419 @@
+const mongoose = require('mongoose');
+const Friendship = require('../../models/friendship.model');
+const FriendRequest = require('../../models/friendRequest.model');
+const User = require('../../models/user.model');
+const EconomyService = require('../economy/economyService');
+const ChatService = require('../chat/chatService');
+const PresenceService = require('./presenceService');
+const { sanitizeUserText } = require('../../utils/sanitize');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// 好友列表和申请中展示的用户字段
+const USER_FIELDS = 'username nickname avatar';
+
+/**
+ * 好友操作错误，用于在事务中中止并返回错误码
+ */
+class FriendError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * 好友服务 - 好友申请、同意、删除和屏蔽
+ * 好友关系保存为双向两条 Friendship 记录，屏蔽名单与聊天共用
+ */
+class FriendService {
+  /**
+   * 获取好友列表及在线状态
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { success, friends: [{ userId, username, nickname, avatar, since, presence }] }
+   */
+  static async getFriends(userId) {
+    try {
+      const friendships = await Friendship.find({ userId })
+        .populate('friendId', USER_FIELDS)
+        .lean();
+
+      const friends = friendships
+        .filter(friendship => friendship.friendId)
+        .map(friendship => ({
+          ...this.formatUser(friendship.friendId),
+          since: friendship.createdAt,
+          presence: PresenceService.getPresence(friendship.friendId._id)
+        }));
+
+      return { success: true, friends };
+    } catch (error) {
+      logger.error('获取好友列表失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 获取收到和发出的待处理好友申请
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { success, incoming, outgoing }
+   */
+  static async getRequests(userId) {
+    try {
+      const now = new Date();
+      const [incoming, outgoing] = await Promise.all([
+        FriendRequest.find({ toId: userId, expiresAt: { $gt: now } })
+          .sort({ createdAt: -1 })
+          .populate('fromId', USER_FIELDS)
+          .lean(),
+        FriendRequest.find({ fromId: userId, expiresAt: { $gt: now } })
+          .sort({ createdAt: -1 })
+          .populate('toId', USER_FIELDS)
+          .lean()
+      ]);
+
+      return {
+        success: true,
+        incoming: incoming.filter(request => request.fromId).map(request => this.formatRequest(request, 'fromId')),
+        outgoing: outgoing.filter(request => request.toId).map(request => this.formatRequest(request, 'toId'))
+      };
+    } catch (error) {
+      logger.error('获取好友申请失败', { userId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 发送好友申请，对方已向自己发出申请时直接成为好友
+   * @param {string} userId - 申请者ID
+   * @param {Object} params - { targetId, username, message }，targetId 与 username 二选一
+   * @returns {Promise<Object>} { success, reason, request } 或直接成为好友时 { success, accepted, friend }
+   */
+  static async sendRequest(userId, { targetId, username, message = '' } = {}) {
+    try {
+      const target = await this.findTarget(targetId, username);
+      if (!target) {
+        return { success: false, reason: 'USER_NOT_FOUND' };
+      }
+
+      const toId = target._id;
+      if (toId.toString() === userId.toString()) {
+        return { success: false, reason: 'CANNOT_ADD_SELF' };
+      }
+
+      if (await this.areFriends(userId, toId)) {
+        return { success: false, reason: 'ALREADY_FRIENDS' };
+      }
+
+      if (await ChatService.isBlockedEitherWay(userId, toId)) {
+        return { success: false, reason: 'BLOCKED' };
+      }
+
+      const now = new Date();
+      const reverse = await FriendRequest.findOne({ fromId: toId, toId: userId, expiresAt: { $gt: now } });
+      if (reverse) {
+        const accepted = await this.acceptRequest(userId, reverse._id);
+        return accepted.success ? { ...accepted, accepted: true } : accepted;
+      }
+
+      const pendingCount = await FriendRequest.countDocuments({ fromId: userId, expiresAt: { $gt: now } });
+      if (pendingCount >= config.social.maxPendingRequests) {
+        return { success: false, reason: 'TOO_MANY_REQUESTS' };
+      }
+
+      const existing = await FriendRequest.findOne({ fromId: userId, toId, expiresAt: { $gt: now } });
+      if (existing) {
+        return { success: false, reason: 'REQUEST_EXISTS' };
+      }
+
+      // 已过期但尚未被 TTL 清理的申请直接覆盖
+      const request = await FriendRequest.findOneAndUpdate(
+        { fromId: userId, toId },
+        {
+          $set: {
+            message: sanitizeUserText(message, 100),
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + config.social.requestExpiryDays * 24 * 60 * 60 * 1000)
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      const sender = await User.findById(userId).select(USER_FIELDS).lean();
+
+      return {
+        success: true,
+        request: {
+          id: request._id.toString(),
+          toId: toId.toString(),
+          user: this.formatUser(sender),
+          message: request.message,
+          createdAt: request.createdAt,
+          expiresAt: request.expiresAt
+        }
+      };
+    } catch (error) {
+      logger.error('发送好友申请失败', { userId, targetId, username, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 同意好友申请，在事务中创建双向好友关系并删除申请
+   * @param {string} userId - 接收申请的用户ID
+   * @param {string} requestId - 申请ID
+   * @returns {Promise<Object>} { success, reason, friend, requester }
+   */
+  static async acceptRequest(userId, requestId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        return { success: false, reason: 'REQUEST_NOT_FOUND' };
+      }
+
+      const fromId = await EconomyService.runInTransaction(async (session) => {
+        const request = await FriendRequest.findOneAndDelete(
+          { _id: requestId, toId: userId, expiresAt: { $gt: new Date() } },
+          { session }
+        );
+        if (!request) {
+          throw new FriendError('REQUEST_NOT_FOUND');
+        }
+
+        const requesterId = request.fromId;
+        const ownCount = await Friendship.countDocuments({ userId }).session(session);
+        const requesterCount = await Friendship.countDocuments({ userId: requesterId }).session(session);
+        if (ownCount >= config.social.maxFriends || requesterCount >= config.social.maxFriends) {
+          throw new FriendError('FRIEND_LIMIT_REACHED');
+        }
+
+        // 两人互相发出的申请一并清除
+        await FriendRequest.deleteMany({ fromId: userId, toId: requesterId }, { session });
+
+        const now = new Date();
+        await Friendship.bulkWrite([
+          {
+            updateOne: {
+              filter: { userId, friendId: requesterId },
+              update: { $setOnInsert: { createdAt: now } },
+              upsert: true
+            }
+          },
+          {
+            updateOne: {
+              filter: { userId: requesterId, friendId: userId },
+              update: { $setOnInsert: { createdAt: now } },
+              upsert: true
+            }
+          }
+        ], { session });
+
+        return requesterId;
+      });
+
+      const users = await User.find({ _id: { $in: [userId, fromId] } }).select(USER_FIELDS).lean();
+      const self = users.find(user => user._id.toString() === userId.toString());
+      const requester = users.find(user => user._id.toString() === fromId.toString());
+
+      logger.info('好友关系已建立', { userId: userId.toString(), friendId: fromId.toString() });
+
+      return {
+        success: true,
+        friend: { ...this.formatUser(requester), presence: PresenceService.getPresence(fromId) },
+        requester: { ...this.formatUser(self), presence: PresenceService.getPresence(userId) }
+      };
+    } catch (error) {
+      if (error instanceof FriendError) {
+        return { success: false, reason: error.reason };
+      }
+
+      logger.error('同意好友申请失败', { userId, requestId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 拒绝好友申请
+   * @param {string} userId - 接收申请的用户ID
+   * @param {string} requestId - 申请ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async declineRequest(userId, requestId) {
+    return this.deleteRequest({ _id: requestId, toId: userId }, userId);
+  }
+
+  /**
+   * 撤回自己发出的好友申请
+   * @param {string} userId - 申请者ID
+   * @param {string} requestId - 申请ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async cancelRequest(userId, requestId) {
+    return this.deleteRequest({ _id: requestId, fromId: userId }, userId);
+  }
+
+  /**
+   * 删除好友，双方的好友关系一并删除
+   * @param {string} userId - 用户ID
+   * @param {string} friendId - 好友ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async removeFriend(userId, friendId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(friendId)) {
+        return { success: false, reason: 'NOT_FRIENDS' };
+      }
+
+      const result = await Friendship.deleteMany({
+        $or: [
+          { userId, friendId },
+          { userId: friendId, friendId: userId }
+        ]
+      });
+
+      if (result.deletedCount === 0) {
+        return { success: false, reason: 'NOT_FRIENDS' };
+      }
+
+      logger.info('好友关系已解除', { userId: userId.toString(), friendId: friendId.toString() });
+      return { success: true };
+    } catch (error) {
+      logger.error('删除好友失败', { userId, friendId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 屏蔽玩家：加入屏蔽名单，同时解除好友关系并清除双方之间的好友申请
+   * @param {string} userId - 用户ID
+   * @param {string} targetId - 被屏蔽的玩家ID
+   * @returns {Promise<Object>} { success, reason, wasFriend }
+   */
+  static async blockUser(userId, targetId) {
+    try {
+      const blocked = await ChatService.blockUser(userId, targetId);
+      if (!blocked.success) return blocked;
+
+      const [friendships] = await Promise.all([
+        Friendship.deleteMany({
+          $or: [
+            { userId, friendId: targetId },
+            { userId: targetId, friendId: userId }
+          ]
+        }),
+        FriendRequest.deleteMany({
+          $or: [
+            { fromId: userId, toId: targetId },
+            { fromId: targetId, toId: userId }
+          ]
+        })
+      ]);
+
+      return { success: true, wasFriend: friendships.deletedCount > 0 };
+    } catch (error) {
+      logger.error('屏蔽玩家失败', { userId, targetId, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 取消屏蔽玩家，不会恢复之前的好友关系
+   * @param {string} userId - 用户ID
+   * @param {string} targetId - 被屏蔽的玩家ID
+   * @returns {Promise<Object>} { success, reason }
+   */
+  static async unblockUser(userId, targetId) {
+    return ChatService.unblockUser(userId, targetId);
+  }
+
+  /**
+   * 获取好友ID列表
+   * @param {string} userId - 用户ID
+   * @returns {Promise<string[]>} 好友ID
+   */
+  static async getFriendIds(userId) {
+    const friendIds = await Friendship.find({ userId }).distinct('friendId');
+    return friendIds.map(friendId => friendId.toString());
+  }
+
+  /**
+   * 两名玩家是否为好友
+   * @param {string} userId - 用户ID
+   * @param {string} friendId - 对方ID
+   * @returns {Promise<boolean>} 是否为好友
+   */
+  static async areFriends(userId, friendId) {
+    if (!mongoose.Types.ObjectId.isValid(friendId)) return false;
+    return !!(await Friendship.exists({ userId, friendId }));
+  }
+
+  /**
+   * 按用户ID或用户名查找申请目标
+   * @private
+   */
+  static async findTarget(targetId, username) {
+    if (targetId) {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) return null;
+      return User.findById(targetId).select('_id').lean();
+    }
+
+    if (typeof username === 'string' && username.trim()) {
+      return User.findOne({ username: username.trim() }).select('_id').lean();
+    }
+
+    return null;
+  }
+
+  /**
+   * 删除一条待处理的好友申请
+   * @private
+   */
+  static async deleteRequest(filter, userId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(filter._id)) {
+        return { success: false, reason: 'REQUEST_NOT_FOUND' };
+      }
+
+      const request = await FriendRequest.findOneAndDelete(filter).lean();
+      if (!request) {
+        return { success: false, reason: 'REQUEST_NOT_FOUND' };
+      }
+
+      return { success: true, fromId: request.fromId.toString(), toId: request.toId.toString() };
+    } catch (error) {
+      logger.error('删除好友申请失败', { userId, requestId: filter._id, error: error.message });
+      return { success: false, reason: 'INTERNAL_ERROR' };
+    }
+  }
+
+  /**
+   * 格式化用户信息
+   * @private
+   */
+  static formatUser(user) {
+    if (!user) return null;
+    return {
+      userId: user._id.toString(),
+      username: user.username,
+      nickname: user.nickname || user.username,
+      avatar: user.avatar
+    };
+  }
+
+  /**
+   * 格式化好友申请
+   * @private
+   * @param {Object} request - 申请文档
+   * @param {string} userField - 对方用户所在字段（fromId 或 toId）
+   */
+  static formatRequest(request, userField) {
+    return {
+      id: request._id.toString(),
+      user: this.formatUser(request[userField]),
+      message: request.message,
+      createdAt: request.createdAt,
+      expiresAt: request.expiresAt
+    };
+  }
+}
+
+module.exports = FriendService;
@@ -0,0 +1,100 @@
+/**
+ * 在线状态服务
+ * 记录已连接玩家的在线、战斗中、对局中状态，由 WebSocket 层在状态变化时推送给好友
+ * 数据保存在进程内存中，玩家的所有连接断开后清除
+ */
+
+// 在线状态
+const PRESENCE_STATUS = {
+  OFFLINE: 'offline',     // 离线
+  ONLINE: 'online',       // 在线空闲
+  IN_BATTLE: 'in_battle', // 回合制战斗中
+  IN_MATCH: 'in_match'    // 自走棋对局中
+};
+
+// 在线状态：userId -> { status, battleId, matchId, updatedAt }
+const presences = new Map();
+
+/**
+ * 在线状态服务
+ */
+class PresenceService {
+  static PRESENCE_STATUS = PRESENCE_STATUS;
+
+  /**
+   * 更新玩家状态
+   * @param {string} userId - 用户ID
+   * @param {string} status - 状态，见 PRESENCE_STATUS
+   * @param {Object} [details] - { battleId, matchId }
+   * @returns {Object|null} 状态有变化时返回新状态，否则为 null
+   */
+  static setPresence(userId, status, { battleId = null, matchId = null } = {}) {
+    const key = userId.toString();
+    const current = presences.get(key);
+
+    if (current && current.status === status && current.battleId === battleId && current.matchId === matchId) {
+      return null;
+    }
+
+    const presence = { status, battleId, matchId, updatedAt: Date.now() };
+    presences.set(key, presence);
+    return this.formatPresence(key, presence);
+  }
+
+  /**
+   * 已在线的玩家回到空闲状态，离线玩家不处理
+   * @param {string} userId - 用户ID
+   * @returns {Object|null} 状态有变化时返回新状态，否则为 null
+   */
+  static setIdle(userId) {
+    if (!this.isOnline(userId)) return null;
+    return this.setPresence(userId, PRESENCE_STATUS.ONLINE);
+  }
+
+  /**
+   * 清除玩家状态（所有连接断开）
+   * @param {string} userId - 用户ID
+   * @returns {Object|null} 清除前在线时返回离线状态，否则为 null
+   */
+  static clearPresence(userId) {
+    const key = userId.toString();
+    if (!presences.delete(key)) return null;
+
+    return this.formatPresence(key, { status: PRESENCE_STATUS.OFFLINE, updatedAt: Date.now() });
+  }
+
+  /**
+   * 获取玩家状态，未记录的玩家视为离线
+   * @param {string} userId - 用户ID
+   * @returns {Object} 状态 { userId, status, battleId, matchId, updatedAt }
+   */
+  static getPresence(userId) {
+    const key = userId.toString();
+    return this.formatPresence(key, presences.get(key) || { status: PRESENCE_STATUS.OFFLINE });
+  }
+
+  /**
+   * 玩家是否在线
+   * @param {string} userId - 用户ID
+   * @returns {boolean} 是否在线
+   */
+  static isOnline(userId) {
+    return presences.has(userId.toString());
+  }
+
+  /**
+   * 格式化状态
+   * @private
+   */
+  static formatPresence(userId, presence) {
+    return {
+      userId,
+      status: presence.status,
+      battleId: presence.battleId || null,
+      matchId: presence.matchId || null,
+      updatedAt: presence.updatedAt || null
+    };
+  }
+}
+
+module.exports = PresenceService;
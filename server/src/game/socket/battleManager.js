@@ -1,6 +1,6 @@
 const WebSocket = require('ws');
 const { verifyMessage, signMessage, logSecurityEvent } = require('../../security/middleware');
-const { validateBattleAction } = require('../battle/algorithms');
+const { validateBattleAction, applyBattleAction } = require('../battle/algorithms');
 const AntiCheatSystem = require('../../security/antiCheat');
 
 /**
@@ -150,13 +150,34 @@ class BattleManager {
       return;
     }
     
+    // 写回战斗状态
+    const applied = await applyBattleAction(playerId, battleId, action, result.data);
+    if (!applied.success) {
+      this.connections.get(playerId).send(JSON.stringify(signMessage({
+        type: 'ACTION_REJECTED',
+        reason: applied.reason
+      })));
+      return;
+    }
+    
     // 广播动作结果
     this.broadcastToBattle(battleId, {
       type: 'ACTION_RESULT',
       playerId,
       action,
-      result: result.data
+      result: result.data,
+      state: applied.state,
+      statusEvents: applied.statusEvents
     });
+    
+    if (applied.battleEnded) {
+      this.broadcastToBattle(battleId, {
+        type: 'BATTLE_ENDED',
+        battleId,
+        winner: applied.winner,
+        statistics: applied.statistics
+      });
+    }
   }
 
   async handleLeaveBattle(playerId, message) {
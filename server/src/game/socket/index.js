@@ -1,26 +1,61 @@
 /**
  * WebSocket服务模块
- * 提供实时游戏通信功能
+ * 提供实时游戏通信功能，协议定义见 ./protocol.js
  */
 
 const WebSocket = require('socket.io');
 const jwt = require('jsonwebtoken');
 const logger = require('../../utils/logger');
 const config = require('../../config');
-const { verifySignature } = require('../security/signature');
-const battleManager = require('../battle/battleManager');
-const securityManager = require('../security/securityManager');
-const socketNonceStore = require('../security/socketNonceStore');
-const rateLimiter = require('../security/rateLimiter');
+const securityConfig = require('../../config/security.config');
+const User = require('../../models/user.model');
+const BattleAlgorithms = require('../battle/algorithms');
+const BattleStateStore = require('../battle/battleStateStore');
+const socketNonceStore = require('../../security/socketNonceStore');
+const rateLimiter = require('../../security/rateLimiter');
+const AntiCheat = require('../../security/antiCheat');
+const MatchManager = require('../match/matchManager');
+const MatchmakingService = require('../match/matchmakingService');
+const { MATCH_EVENT } = require('../match/autoChessMatch');
+const ChatService = require('../chat/chatService');
+const FriendService = require('../social/friendService');
+const PresenceService = require('../social/presenceService');
+const BattleInviteService = require('../social/battleInviteService');
+const SocketSessionStore = require('./sessionStore');
+const {
+  PROTOCOL_VERSION,
+  HANDSHAKE_EVENT,
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+  verifyEnvelope,
+  createResponse
+} = require('./protocol');
 
+// Socket.IO实例，供HTTP接口等模块外调用推送事件
+let socketServer = null;
 // 活跃连接管理
 const activeConnections = new Map();
-// 房间管理
-const battleRooms = new Map();
 // 消息队列 - 用于限制消息处理速率
 const messageQueue = [];
 // 消息处理速率（毫秒）
 const MESSAGE_THROTTLE = 50;
+// 排队超过该时间（毫秒）的战斗动作不再处理
+const MESSAGE_EXPIRY = 5000;
+
+const { PRESENCE_STATUS } = PresenceService;
+const { INVITE_STATUS } = BattleInviteService;
+
+// 自走棋对局内允许的玩家操作
+const MATCH_ACTIONS = {
+  buy_hero: (match, userId, data) => match.buyHero(userId, data.slotIndex),
+  sell_unit: (match, userId, data) => match.sellUnit(userId, data.unitId),
+  refresh_shop: (match, userId) => match.refreshShop(userId),
+  lock_shop: (match, userId, data) => match.setShopLocked(userId, data.locked),
+  buy_experience: (match, userId) => match.buyExperience(userId),
+  deploy_unit: (match, userId, data) => match.deployUnit(userId, data.unitId, data.position),
+  bench_unit: (match, userId, data) => match.benchUnit(userId, data.unitId),
+  surrender: (match, userId) => match.surrender(userId)
+};
 
 /**
  * 初始化WebSocket服务
@@ -38,128 +73,111 @@ function initSocketServer(server) {
     pingInterval: 25000,
     transports: ['websocket', 'polling']
   });
+  socketServer = io;
 
   // 中间件 - 身份验证
   io.use(async (socket, next) => {
     try {
-      const token = socket.handshake.auth.token || socket.handshake.query.token;
-      
+      const { token, ...handshake } = socket.handshake.auth || {};
+
       if (!token) {
         return next(new Error('认证失败 - 未提供令牌'));
       }
-      
+
       try {
-        // 验证Token
-        const decoded = jwt.verify(token, config.security.jwtSecret, {
-          algorithms: ['HS256'] // 明确指定算法，防止算法替换攻击
+        // 验证Token，与HTTP接口使用相同的密钥和签发者
+        const decoded = jwt.verify(token, config.jwt.secret, {
+          algorithms: ['HS256'], // 明确指定算法，防止算法替换攻击
+          issuer: config.server.domain
         });
-        
-        // 验证签名 (防止重放攻击)
-        const signature = socket.handshake.auth.signature || socket.handshake.query.signature;
-        const timestamp = socket.handshake.auth.timestamp || socket.handshake.query.timestamp;
-        const nonce = socket.handshake.auth.nonce || socket.handshake.query.nonce;
-        
-        if (!signature || !timestamp || !nonce) {
-          throw new Error('认证失败 - 签名参数缺失');
-        }
-        
-        // 使用改进的签名验证方法
-        const payload = {
-          userId: decoded.userId,
-          timestamp,
-          nonce
-        };
-        
-        // 使用通用安全层的签名验证
-        const isValidSignature = await require('../../security').GameSecurity.createSignature(
-          payload, 
-          timestamp, 
-          nonce, 
-          config.security.battleSecretKey
-        ) === signature;
-        
-        if (!isValidSignature) {
-          logger.security('WebSocket非法签名尝试', {
-            userId: decoded.userId,
-            ip: socket.handshake.address
-          });
-          throw new Error('认证失败 - 签名无效');
-        }
-        
-        // 检查timestamp是否在允许范围内（防止重放攻击）
-        const currentTime = Math.floor(Date.now() / 1000);
-        const timestampNum = parseInt(timestamp, 10);
-        
-        if (isNaN(timestampNum) || 
-            timestampNum > currentTime || 
-            currentTime - timestampNum > config.security.signatureTimeWindow) {
-          logger.security('WebSocket时间戳无效', {
-            userId: decoded.userId,
+        const userId = decoded.id.toString();
+
+        // 验证握手签名和协议版本
+        const check = verifyEnvelope(handshake, {
+          event: HANDSHAKE_EVENT,
+          token,
+          secret: securityConfig.security.websocket.handshakeSecretKey,
+          timeWindow: securityConfig.security.signatureTimeWindow * 1000
+        });
+
+        if (!check.success) {
+          logger.security('WebSocket握手校验失败', {
+            userId,
             ip: socket.handshake.address,
-            timestamp
+            reason: check.reason
           });
-          throw new Error('认证失败 - 时间戳无效');
+          throw new Error(check.reason);
         }
-        
+
         // 检查nonce是否重复使用（防止重放攻击）
-        if (await socketNonceStore.isNonceUsed(nonce)) {
+        const handshakeNonce = `handshake:${handshake.nonce}`;
+        if (await socketNonceStore.isNonceUsed(handshakeNonce)) {
           logger.security('WebSocket nonce重复使用', {
-            userId: decoded.userId,
+            userId,
             ip: socket.handshake.address,
-            nonce
+            nonce: handshake.nonce
           });
-          throw new Error('认证失败 - nonce已使用');
+          throw new Error('NONCE_REUSED');
         }
-        
+
         // 记录nonce
-        await socketNonceStore.markNonceAsUsed(nonce, timestampNum);
-        
+        await socketNonceStore.markNonceAsUsed(handshakeNonce, handshake.timestamp);
+
         // 保存用户信息到socket
         socket.user = {
-          id: decoded.userId,
+          id: userId,
           role: decoded.role,
           username: decoded.username
         };
-        
+        socket.token = token;
+
         // 检查用户是否已被封禁
-        const isBanned = await securityManager.isUserBanned(decoded.userId);
-        if (isBanned) {
+        const account = await User.findById(userId).select('status').lean();
+        if (!account || account.status === 'banned') {
           logger.security('已封禁用户尝试连接', {
-            userId: decoded.userId,
+            userId,
             ip: socket.handshake.address
           });
           throw new Error('账号已被封禁');
         }
-        
+
+        // 恢复断线前的会话，失败时创建新会话
+        const resumed = handshake.sessionId
+          ? SocketSessionStore.resumeSession(handshake.sessionId, userId, socket.id)
+          : null;
+        socket.session = resumed || SocketSessionStore.createSession(userId, socket.id);
+        socket.session.resumed = !!resumed;
+
         // 记录连接信息
         logger.info('WebSocket用户已连接', {
-          userId: decoded.userId,
+          userId,
           ip: socket.handshake.address,
-          transport: socket.conn.transport.name
+          transport: socket.conn.transport.name,
+          resumed: !!resumed
         });
-        
+
         // 更新活跃连接，使用Map存储连接信息，便于管理
-        if (activeConnections.has(decoded.userId)) {
+        if (activeConnections.has(userId)) {
           // 存储之前的连接对象
-          const oldConnection = activeConnections.get(decoded.userId);
-          
+          const oldConnection = activeConnections.get(userId);
+
           // 如果策略是允许单一设备登录，则断开旧连接
           if (config.socketSingleDeviceLogin) {
-            oldConnection.socket.emit('forced_disconnect', { 
-              reason: '您的账号在其他设备登录' 
+            oldConnection.socket.emit(SERVER_EVENTS.FORCED_DISCONNECT, {
+              reason: '您的账号在其他设备登录'
             });
             oldConnection.socket.disconnect(true);
           }
         }
-        
+
         // 保存新连接
-        activeConnections.set(decoded.userId, {
+        activeConnections.set(userId, {
           socket,
           connectedAt: new Date(),
           deviceInfo: socket.handshake.headers['user-agent'],
           ip: socket.handshake.address
         });
-        
+
         next();
       } catch (tokenError) {
         logger.warn('WebSocket认证失败', {
@@ -180,134 +198,311 @@ function initSocketServer(server) {
   // 连接事件处理
   io.on('connection', (socket) => {
     const userId = socket.user.id;
-    
+
     // 加入用户频道
     socket.join(`user:${userId}`);
-    
-    // 客户端请求加入战斗
-    socket.on('join_battle', async (data) => {
-      try {
-        const { battleId } = data;
-        
-        // 防止频繁请求攻击
-        const isRateLimited = securityManager.checkRateLimit(userId, 'join_battle');
-        if (isRateLimited) {
-          socket.emit('error', { message: '操作过于频繁，请稍后再试' });
-          return;
-        }
-        
-        // 验证用户是否有权限加入此战斗
-        const canJoin = await battleManager.canJoinBattle(userId, battleId);
-        if (!canJoin) {
-          socket.emit('error', { message: '无权加入此战斗' });
-          return;
+
+    // 下发会话信息，之后的请求使用会话密钥签名
+    socket.emit(SERVER_EVENTS.SESSION, {
+      v: PROTOCOL_VERSION,
+      sessionId: socket.session.sessionId,
+      sessionKey: socket.session.sessionKey,
+      resumed: socket.session.resumed,
+      serverTime: Date.now()
+    });
+
+    // 断线重连时回到进行中的对局房间
+    const currentMatch = MatchManager.getPlayerMatch(userId);
+    if (currentMatch) {
+      socket.join(`match:${currentMatch.matchId}`);
+      socket.emit(SERVER_EVENTS.MATCH_STATE, {
+        state: currentMatch.getState(),
+        player: currentMatch.getPlayerView(userId)
+      });
+      publishPresence(PresenceService.setPresence(userId, PRESENCE_STATUS.IN_MATCH, { matchId: currentMatch.matchId }));
+    } else if (!PresenceService.isOnline(userId)) {
+      // 已有其他连接时保留当前状态（如战斗中）
+      publishPresence(PresenceService.setPresence(userId, PRESENCE_STATUS.ONLINE));
+    }
+
+    // 恢复会话：重新加入战斗房间并补发错过的战斗事件
+    // data.battles 为 { battleId: 客户端已收到的最后序号 }
+    registerRequest(socket, CLIENT_EVENTS.SESSION_RESUME, async (data) => {
+      const requested = data.battles && typeof data.battles === 'object' ? data.battles : {};
+      const battles = {};
+
+      for (const [battleId, lastSeq] of Object.entries(requested)) {
+        const isParticipant = await BattleStateStore.isParticipant(battleId, userId);
+        if (!isParticipant) {
+          battles[battleId] = { success: false, reason: 'NOT_IN_BATTLE' };
+          continue;
         }
-        
-        // 加入战斗房间
+
         socket.join(`battle:${battleId}`);
-        
-        // 更新战斗状态
-        await battleManager.playerJoinedBattle(battleId, userId);
-        
-        // 广播玩家加入消息
-        io.to(`battle:${battleId}`).emit('player_joined', {
-          userId,
-          username: socket.user.username,
-          timestamp: Date.now()
-        });
-        
-        // 发送战斗初始状态
-        const battleState = await battleManager.getBattleState(battleId);
-        socket.emit('battle_state', battleState);
-        
-        logger.info('玩家加入战斗', { 
-          userId, 
-          battleId 
-        });
-      } catch (error) {
-        logger.error('加入战斗失败', { 
-          error: error.message, 
-          userId, 
-          battleId: data.battleId 
-        });
-        
-        socket.emit('error', { message: '加入战斗失败: ' + error.message });
+        battles[battleId] = await replayBattleEvents(socket, battleId, lastSeq);
+      }
+
+      return { success: true, resumed: socket.session.resumed, battles };
+    });
+
+    // 加入排位匹配队列
+    registerRequest(socket, CLIENT_EVENTS.MATCHMAKING_JOIN, async () => {
+      const isRateLimited = await rateLimiter.isActionRateLimited(userId, 'matchmaking');
+      if (isRateLimited) {
+        return { success: false, reason: 'RATE_LIMITED' };
+      }
+
+      const result = await MatchmakingService.joinQueue(userId);
+      if (result.success) {
+        io.to(`user:${userId}`).emit(SERVER_EVENTS.MATCHMAKING_STATUS, result.status);
       }
+      return result;
+    });
+
+    // 退出排位匹配队列
+    registerRequest(socket, CLIENT_EVENTS.MATCHMAKING_LEAVE, async () => {
+      const result = MatchmakingService.leaveQueue(userId);
+      io.to(`user:${userId}`).emit(SERVER_EVENTS.MATCHMAKING_STATUS, MatchmakingService.getQueueStatus(userId));
+      return result;
+    });
+
+    // 自走棋对局内操作
+    registerRequest(socket, CLIENT_EVENTS.MATCH_ACTION, async (data) => {
+      const { action, payload = {} } = data;
+      const handler = MATCH_ACTIONS[action];
+      if (!handler) {
+        return { success: false, reason: 'INVALID_ACTION' };
+      }
+
+      const isRateLimited = await rateLimiter.isActionRateLimited(userId, 'match_action');
+      if (isRateLimited) {
+        return { success: false, reason: 'RATE_LIMITED' };
+      }
+
+      const match = MatchManager.getPlayerMatch(userId);
+      if (!match) {
+        return { success: false, reason: 'NOT_IN_MATCH' };
+      }
+
+      return { action, ...handler(match, userId, payload) };
     });
-    
-    // 处理战斗行动
-    socket.on('battle_action', (data) => {
-      // 使用消息队列进行节流控制
+
+    // 客户端请求加入战斗
+    registerRequest(socket, CLIENT_EVENTS.BATTLE_JOIN, async (data) => {
+      const { battleId } = data;
+
+      // 防止频繁请求攻击
+      const isRateLimited = await rateLimiter.isActionRateLimited(userId, 'join_battle');
+      if (isRateLimited) {
+        return { success: false, reason: 'RATE_LIMITED' };
+      }
+
+      // 验证用户是否有权限加入此战斗
+      const canJoin = await BattleStateStore.isParticipant(battleId, userId);
+      if (!canJoin) {
+        return { success: false, reason: 'NOT_IN_BATTLE' };
+      }
+
+      // 加入战斗房间
+      socket.join(`battle:${battleId}`);
+
+      // 广播玩家加入消息
+      emitBattleEvent(io, battleId, SERVER_EVENTS.PLAYER_JOINED, {
+        userId,
+        username: socket.user.username,
+        timestamp: Date.now()
+      });
+
+      logger.info('玩家加入战斗', {
+        userId,
+        battleId
+      });
+
+      // 进入战斗后不再接受或保留对战邀请
+      publishPresence(PresenceService.setPresence(userId, PRESENCE_STATUS.IN_BATTLE, { battleId }));
+      for (const invite of BattleInviteService.removeInvitesForUser(userId)) {
+        notifyInvite(invite, INVITE_STATUS.CANCELLED);
+      }
+
+      // 返回战斗初始状态和当前事件序号，客户端从该序号开始跟踪
+      const state = await BattleStateStore.getBattleState(battleId);
+      return { success: true, state, seq: SocketSessionStore.getBattleSeq(battleId) };
+    });
+
+    // 处理战斗行动，使用消息队列进行节流控制，处理完成后通过 ack 回复
+    registerRequest(socket, CLIENT_EVENTS.BATTLE_ACTION, (data) => new Promise(resolve => {
       messageQueue.push({
-        type: 'battle_action',
+        type: CLIENT_EVENTS.BATTLE_ACTION,
         userId,
-        socketId: socket.id,
         data,
+        timestamp: Date.now(),
+        resolve
+      });
+    }));
+
+    // 离开战斗
+    registerRequest(socket, CLIENT_EVENTS.BATTLE_LEAVE, async (data) => {
+      const { battleId } = data;
+
+      // 离开战斗房间
+      socket.leave(`battle:${battleId}`);
+
+      // 广播玩家离开消息
+      emitBattleEvent(io, battleId, SERVER_EVENTS.PLAYER_LEFT, {
+        userId,
+        username: socket.user.username,
         timestamp: Date.now()
       });
+
+      logger.info('玩家离开战斗', {
+        userId,
+        battleId
+      });
+
+      publishPresence(PresenceService.setIdle(userId));
+
+      return { success: true };
     });
-    
-    // 离开战斗
-    socket.on('leave_battle', async (data) => {
-      try {
-        const { battleId } = data;
-        
-        // 离开战斗房间
-        socket.leave(`battle:${battleId}`);
-        
-        // 更新战斗状态
-        await battleManager.playerLeftBattle(battleId, userId);
-        
-        // 广播玩家离开消息
-        io.to(`battle:${battleId}`).emit('player_left', {
-          userId,
-          username: socket.user.username,
-          timestamp: Date.now()
-        });
-        
-        logger.info('玩家离开战斗', { 
-          userId, 
-          battleId 
-        });
-      } catch (error) {
-        logger.error('离开战斗失败', { 
-          error: error.message, 
-          userId, 
-          battleId: data.battleId 
+
+    // 邀请在线好友进入私人战斗房间
+    registerRequest(socket, CLIENT_EVENTS.BATTLE_INVITE, async (data) => {
+      const isRateLimited = await rateLimiter.isActionRateLimited(userId, 'battle_invite');
+      if (isRateLimited) {
+        return { success: false, reason: 'RATE_LIMITED' };
+      }
+
+      const result = await BattleInviteService.createInvite(userId, data.friendId);
+      if (result.success) {
+        const { inviteId, toId, expiresAt } = result.invite;
+        io.to(`user:${toId}`).emit(SERVER_EVENTS.BATTLE_INVITE, {
+          inviteId,
+          from: { userId, username: socket.user.username },
+          expiresAt
         });
       }
+      return result;
+    });
+
+    // 接受或拒绝对战邀请；接受后双方加入新建的战斗房间
+    registerRequest(socket, CLIENT_EVENTS.BATTLE_INVITE_RESPOND, async (data) => {
+      const { inviteId, accept } = data;
+
+      if (!accept) {
+        const result = BattleInviteService.declineInvite(userId, inviteId);
+        if (result.invite) {
+          notifyInvite(result.invite, result.success ? INVITE_STATUS.DECLINED : INVITE_STATUS.EXPIRED);
+        }
+        return result.success ? { success: true } : result;
+      }
+
+      const result = await BattleInviteService.acceptInvite(userId, inviteId);
+      if (!result.success) {
+        if (result.invite) {
+          notifyInvite(result.invite, result.reason === 'INVITE_EXPIRED' ? INVITE_STATUS.EXPIRED : INVITE_STATUS.CANCELLED);
+        }
+        return result;
+      }
+
+      const { invite, battle } = result;
+      for (const playerId of [invite.fromId, invite.toId]) {
+        io.in(`user:${playerId}`).socketsJoin(`battle:${battle.battleId}`);
+        publishPresence(PresenceService.setPresence(playerId, PRESENCE_STATUS.IN_BATTLE, { battleId: battle.battleId }));
+        for (const other of BattleInviteService.removeInvitesForUser(playerId)) {
+          notifyInvite(other, INVITE_STATUS.CANCELLED);
+        }
+      }
+      notifyInvite(invite, INVITE_STATUS.ACCEPTED, { battleId: battle.battleId });
+
+      return { success: true, battleId: battle.battleId, state: battle.state };
+    });
+
+    // 撤回对战邀请
+    registerRequest(socket, CLIENT_EVENTS.BATTLE_INVITE_CANCEL, async (data) => {
+      const result = BattleInviteService.cancelInvite(userId, data.inviteId);
+      if (result.success) {
+        notifyInvite(result.invite, INVITE_STATUS.CANCELLED);
+        return { success: true };
+      }
+      return result;
+    });
+
+    // 加入聊天频道，私聊没有频道房间，消息通过用户房间推送
+    registerRequest(socket, CLIENT_EVENTS.CHAT_JOIN, async (data) => {
+      const result = await ChatService.joinChannel(userId, data);
+      if (result.success && result.channel.room) {
+        socket.join(result.channel.room);
+      }
+      return result;
+    });
+
+    // 离开聊天频道，data.channel 为加入时返回的频道标识
+    registerRequest(socket, CLIENT_EVENTS.CHAT_LEAVE, async (data) => {
+      if (typeof data.channel !== 'string' || !data.channel) {
+        return { success: false, reason: 'INVALID_CHANNEL' };
+      }
+      socket.leave(ChatService.getChannelRoom(data.channel));
+      return { success: true };
+    });
+
+    // 发送聊天消息
+    registerRequest(socket, CLIENT_EVENTS.CHAT_SEND, async (data) => {
+      const result = await ChatService.sendMessage(userId, data);
+      if (result.success) {
+        await emitChatEvent(result.message, SERVER_EVENTS.CHAT_MESSAGE, result.message);
+      }
+      return result;
     });
-    
+
+    // 断开前记录所在的战斗房间，disconnect 触发时连接已退出所有房间
+    socket.on('disconnecting', () => {
+      socket.battleIds = [...socket.rooms]
+        .filter(room => room.startsWith('battle:'))
+        .map(room => room.slice('battle:'.length));
+    });
+
     // 处理断开连接
     socket.on('disconnect', async () => {
       try {
         // 从活跃连接中移除
-        if (activeConnections.get(userId) === socket) {
+        const connection = activeConnections.get(userId);
+        if (connection && connection.socket === socket) {
           activeConnections.delete(userId);
         }
-        
-        // 处理所有战斗相关清理
-        const playerBattles = await battleManager.getActiveBattlesForPlayer(userId);
-        for (const battleId of playerBattles) {
-          await battleManager.playerLeftBattle(battleId, userId);
-          
-          // 广播玩家离开消息
-          io.to(`battle:${battleId}`).emit('player_left', {
-            userId,
-            username: socket.user.username,
-            timestamp: Date.now(),
-            reason: 'disconnected'
-          });
+
+        // 会话在恢复窗口内保留，等待重连
+        SocketSessionStore.markDisconnected(socket.session.sessionId, socket.id);
+
+        // 没有其他连接时退出匹配队列；对局中的玩家保留位置等待重连
+        const remaining = await io.in(`user:${userId}`).fetchSockets();
+        if (remaining.length === 0) {
+          MatchmakingService.leaveQueue(userId);
+
+          // 清除在线状态并通知好友，未处理的对战邀请随之失效
+          publishPresence(PresenceService.clearPresence(userId));
+          for (const invite of BattleInviteService.removeInvitesForUser(userId)) {
+            notifyInvite(invite, INVITE_STATUS.CANCELLED);
+          }
+
+          // 处理所有战斗相关清理，玩家的其他连接仍在战斗中时不视为离开
+          for (const battleId of socket.battleIds || []) {
+            // 广播玩家离开消息
+            emitBattleEvent(io, battleId, SERVER_EVENTS.PLAYER_LEFT, {
+              userId,
+              username: socket.user.username,
+              timestamp: Date.now(),
+              reason: 'disconnected'
+            });
+          }
         }
-        
-        logger.info('WebSocket用户已断开连接', { 
-          userId, 
-          reason: socket.disconnectReason 
+
+        logger.info('WebSocket用户已断开连接', {
+          userId,
+          reason: socket.disconnectReason
         });
       } catch (error) {
-        logger.error('处理断开连接时出错', { 
-          error: error.message, 
-          userId 
+        logger.error('处理断开连接时出错', {
+          error: error.message,
+          userId
         });
       }
     });
@@ -315,12 +510,196 @@ function initSocketServer(server) {
 
   // 启动消息处理器
   startMessageProcessor(io);
-  
-  logger.info('WebSocket服务器已初始化');
-  
+
+  // 启动排位匹配处理器
+  startMatchmakingProcessor(io);
+
+  // 定期清理过期会话、已结束战斗的事件和过期的对战邀请
+  setInterval(() => {
+    SocketSessionStore.cleanup();
+    for (const invite of BattleInviteService.cleanup()) {
+      notifyInvite(invite, INVITE_STATUS.EXPIRED);
+    }
+  }, config.realtime.cleanupInterval);
+
+  logger.info('WebSocket服务器已初始化', { protocolVersion: PROTOCOL_VERSION });
+
   return io;
 }
 
+/**
+ * 注册客户端请求事件
+ * 统一校验签名信封（协议版本、时间戳、会话密钥签名、nonce），处理结果通过 ack 以同一请求ID回复
+ * @param {Object} socket - 客户端连接
+ * @param {string} event - 事件名，见 CLIENT_EVENTS
+ * @param {Function} handler - 处理函数 (data, envelope) => 结果 { success, reason, ...data }
+ */
+function registerRequest(socket, event, handler) {
+  socket.on(event, async (envelope, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const id = envelope && envelope.id;
+    const userId = socket.user.id;
+
+    try {
+      // 会话已过期清理或已在其他连接上恢复，客户端需要重新连接
+      const secret = SocketSessionStore.getSessionKey(socket.session.sessionId, socket.id);
+      if (!secret) {
+        respond(createResponse(id, { success: false, reason: 'SESSION_EXPIRED' }));
+        return;
+      }
+
+      const check = verifyEnvelope(envelope, {
+        event,
+        token: socket.token,
+        secret,
+        timeWindow: securityConfig.security.actionSignatureTimeWindow * 1000
+      });
+
+      if (!check.success) {
+        if (check.reason === 'INVALID_SIGNATURE') {
+          // 记录可疑活动
+          recordSuspiciousActivity(userId, 'invalid_socket_signature', { event });
+          logger.security('WebSocket请求签名无效', { userId, event });
+        }
+        respond(createResponse(id, check));
+        return;
+      }
+
+      // 检查nonce是否重复使用（防止重放攻击）
+      const nonceKey = `${socket.session.sessionId}:${envelope.nonce}`;
+      if (await socketNonceStore.isNonceUsed(nonceKey)) {
+        logger.security('WebSocket请求nonce重复使用', { userId, event, nonce: envelope.nonce });
+        respond(createResponse(id, { success: false, reason: 'NONCE_REUSED' }));
+        return;
+      }
+      await socketNonceStore.markNonceAsUsed(nonceKey, envelope.timestamp);
+
+      const data = envelope.data && typeof envelope.data === 'object' ? envelope.data : {};
+      respond(createResponse(id, await handler(data, envelope)));
+    } catch (error) {
+      logger.error('处理WebSocket请求出错', { error: error.message, userId, event, id });
+      respond(createResponse(id, { success: false, reason: 'INTERNAL_ERROR' }));
+    }
+  });
+}
+
+/**
+ * 向战斗房间广播事件，事件带有序号并进入补发缓冲
+ * @param {Object} io - Socket.IO实例
+ * @param {string} battleId - 战斗ID
+ * @param {string} event - 事件名
+ * @param {Object} data - 事件数据
+ */
+function emitBattleEvent(io, battleId, event, data) {
+  const payload = SocketSessionStore.recordBattleEvent(battleId, event, data);
+  io.to(`battle:${battleId}`).emit(event, payload);
+}
+
+/**
+ * 向聊天消息所在频道推送事件：私聊推送给双方的用户房间，其他频道推送到频道房间
+ * 频道消息不会推送给屏蔽了发送者的玩家；私聊在发送时已拒绝存在屏蔽关系的双方
+ * @param {Object} message - 格式化后的消息 { channel, channelType, senderId, recipientId }
+ * @param {string} event - 事件名
+ * @param {Object} data - 事件数据
+ * @returns {Promise<boolean>} 是否已推送
+ */
+async function emitChatEvent(message, event, data) {
+  if (!socketServer) return false;
+
+  if (message.channelType === ChatService.CHANNEL_TYPE.PRIVATE) {
+    socketServer.to(`user:${message.senderId}`).to(`user:${message.recipientId}`).emit(event, data);
+    return true;
+  }
+
+  let target = socketServer.to(ChatService.getChannelRoom(message.channel));
+  try {
+    const blockerIds = await ChatService.getBlockerIds(message.senderId);
+    if (blockerIds.length > 0) {
+      target = target.except(blockerIds.map(blockerId => `user:${blockerId}`));
+    }
+  } catch (error) {
+    // 查询失败时仍然推送，由客户端按屏蔽名单隐藏
+    logger.error('查询屏蔽发送者的玩家失败', { senderId: message.senderId, error: error.message });
+  }
+
+  target.emit(event, data);
+  return true;
+}
+
+/**
+ * 向玩家的所有好友推送在线状态变化
+ * @param {Object|null} presence - PresenceService 返回的新状态，为 null 时表示没有变化
+ */
+async function publishPresence(presence) {
+  if (!presence || !socketServer) return;
+
+  try {
+    const friendIds = await FriendService.getFriendIds(presence.userId);
+    for (const friendId of friendIds) {
+      socketServer.to(`user:${friendId}`).emit(SERVER_EVENTS.FRIEND_PRESENCE, presence);
+    }
+  } catch (error) {
+    logger.error('推送在线状态失败', { userId: presence.userId, error: error.message });
+  }
+}
+
+/**
+ * 向邀请双方推送对战邀请的处理结果
+ * @param {Object} invite - 邀请 { inviteId, fromId, toId }
+ * @param {string} status - 邀请状态，见 INVITE_STATUS
+ * @param {Object} [extra] - 附加数据，如接受后的 battleId
+ */
+function notifyInvite(invite, status, extra = {}) {
+  if (!socketServer) return;
+
+  socketServer.to(`user:${invite.fromId}`).to(`user:${invite.toId}`).emit(SERVER_EVENTS.BATTLE_INVITE_UPDATE, {
+    inviteId: invite.inviteId,
+    fromId: invite.fromId,
+    toId: invite.toId,
+    status,
+    ...extra
+  });
+}
+
+/**
+ * 记录可疑的协议请求（签名无效、非法战斗操作），由反作弊模块统计
+ * @param {string} userId - 用户ID
+ * @param {string} reason - 可疑原因
+ * @param {Object} metadata - 附加数据
+ * @returns {Promise<boolean>} 异常次数是否达到反作弊阈值
+ */
+async function recordSuspiciousActivity(userId, reason, metadata = {}) {
+  try {
+    await AntiCheat.recordAnomaly(userId, 'packet', 1, 0, 1, { reason, ...metadata });
+    return await AntiCheat.checkAnomalyThreshold(userId, 'packet');
+  } catch (error) {
+    logger.error('记录可疑活动失败', { userId, reason, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * 向重连的客户端补发错过的战斗事件，缓冲不完整时改为发送完整战斗状态
+ * @param {Object} socket - 客户端连接
+ * @param {string} battleId - 战斗ID
+ * @param {number} lastSeq - 客户端已收到的最后序号
+ * @returns {Promise<Object>} 补发结果 { success, replayed, resynced, seq }
+ */
+async function replayBattleEvents(socket, battleId, lastSeq) {
+  const { events, complete, seq } = SocketSessionStore.getBattleEventsSince(battleId, lastSeq);
+
+  if (complete) {
+    for (const item of events) {
+      socket.emit(item.event, { ...item.payload, replayed: true });
+    }
+    return { success: true, replayed: events.length, resynced: false, seq };
+  }
+
+  const state = await BattleStateStore.getBattleState(battleId);
+  socket.emit(SERVER_EVENTS.BATTLE_STATE, { battleId, seq, state, resync: true });
+  return { success: true, replayed: 0, resynced: true, seq };
+}
+
 /**
  * 启动消息处理器 - 用于控制消息处理速率
  * @param {Object} io - Socket.IO实例
@@ -328,155 +707,118 @@ function initSocketServer(server) {
 function startMessageProcessor(io) {
   setInterval(() => {
     if (messageQueue.length === 0) return;
-    
+
     // 处理队列中的第一条消息
     const message = messageQueue.shift();
-    
-    // 忽略过时的消息 (超过5秒)
-    if (Date.now() - message.timestamp > 5000) {
+
+    // 忽略过时的消息
+    if (Date.now() - message.timestamp > MESSAGE_EXPIRY) {
+      message.resolve({ success: false, reason: 'REQUEST_EXPIRED' });
       return;
     }
-    
+
+    // 根据消息类型处理
+    switch (message.type) {
+      case CLIENT_EVENTS.BATTLE_ACTION:
+        processBattleAction(io, message).then(message.resolve);
+        break;
+      default:
+        logger.warn('未知的消息类型', { type: message.type });
+        message.resolve({ success: false, reason: 'INVALID_MESSAGE' });
+    }
+  }, MESSAGE_THROTTLE);
+}
+
+/**
+ * 启动排位匹配处理器 - 定时推进匹配队列，为成组的玩家创建对局房间
+ * @param {Object} io - Socket.IO实例
+ */
+function startMatchmakingProcessor(io) {
+  const onSettled = (match, players) => {
+    for (const player of players) {
+      publishPresence(PresenceService.setIdle(player.userId));
+      io.to(`user:${player.userId}`).emit(SERVER_EVENTS.MATCH_SETTLED, {
+        matchId: match.matchId,
+        placement: player.placement,
+        rankPointsDelta: player.rankPointsDelta,
+        ranked: player.ranked
+      });
+    }
+
+    io.in(`match:${match.matchId}`).socketsLeave(`match:${match.matchId}`);
+  };
+
+  setInterval(() => {
     try {
-      // 根据消息类型处理
-      switch (message.type) {
-        case 'battle_action':
-          processBattleAction(io, message);
-          break;
-        default:
-          logger.warn('未知的消息类型', { type: message.type });
+      const matches = MatchmakingService.processQueue({ onSettled });
+      for (const match of matches) {
+        setupMatchRoom(io, match);
       }
     } catch (error) {
-      logger.error('处理消息时出错', { 
-        error: error.message, 
-        messageType: message.type 
-      });
+      logger.error('处理排位匹配队列出错', { error: error.message });
     }
-  }, MESSAGE_THROTTLE);
+  }, config.ranked.matchmaking.tickInterval);
+}
+
+/**
+ * 建立对局房间：玩家加入房间，转发对局事件，然后开始对局
+ * 玩家私有状态（备战席、商店）只推送给玩家本人
+ * @param {Object} io - Socket.IO实例
+ * @param {AutoChessMatch} match - 对局
+ */
+function setupMatchRoom(io, match) {
+  const room = `match:${match.matchId}`;
+  const playerIds = Array.from(match.players.keys());
+
+  for (const playerId of playerIds) {
+    io.in(`user:${playerId}`).socketsJoin(room);
+    publishPresence(PresenceService.setPresence(playerId, PRESENCE_STATUS.IN_MATCH, { matchId: match.matchId }));
+  }
+
+  match.on(MATCH_EVENT.PHASE_CHANGED, (data) => {
+    io.to(room).emit(SERVER_EVENTS.MATCH_PHASE, { ...data, state: match.getState() });
+  });
+  match.on(MATCH_EVENT.ROUND_STARTED, (data) => io.to(room).emit(SERVER_EVENTS.MATCH_ROUND_STARTED, data));
+  match.on(MATCH_EVENT.COMBAT_RESOLVED, (data) => io.to(room).emit(SERVER_EVENTS.MATCH_COMBAT, data));
+  match.on(MATCH_EVENT.PLAYER_ELIMINATED, (data) => io.to(room).emit(SERVER_EVENTS.MATCH_PLAYER_ELIMINATED, data));
+  match.on(MATCH_EVENT.FINISHED, (data) => io.to(room).emit(SERVER_EVENTS.MATCH_FINISHED, data));
+  match.on(MATCH_EVENT.PLAYER_UPDATED, ({ matchId, playerId, player }) => {
+    io.to(`user:${playerId}`).emit(SERVER_EVENTS.MATCH_PLAYER_UPDATE, { matchId, player });
+  });
+
+  io.to(room).emit(SERVER_EVENTS.MATCH_FOUND, {
+    matchId: match.matchId,
+    ranked: match.ranked,
+    players: playerIds
+  });
+
+  match.start();
 }
 
 /**
  * 处理战斗动作
+ * 消息签名和nonce已在 registerRequest 中校验
  * @param {Object} io - Socket.IO实例
  * @param {Object} message - 消息对象
+ * @returns {Promise<Object>} 处理结果，作为请求响应返回给客户端
  */
 async function processBattleAction(io, message) {
-  const { userId, data, socketId } = message;
-  
+  const { userId, data } = message;
+  const { battleId, actionType, actionData = {} } = data;
+
   try {
-    // 增加防篡改验证 - 校验消息签名
-    if (!data || !data.signature || !data.timestamp || !data.nonce) {
-      logger.warn('战斗操作缺少签名信息', {
-        userId,
-        socketId
-      });
-      
-      io.to(socketId).emit('action_rejected', {
-        reason: 'missing_signature'
-      });
-      return;
-    }
-    
-    // 验证消息签名
-    const { battleId, actionType, actionData, signature, timestamp, nonce } = data;
-    
-    // 检查时间戳是否在允许范围内（防止重放攻击）
-    const currentTime = Math.floor(Date.now() / 1000);
-    const timestampNum = parseInt(timestamp, 10);
-    
-    if (isNaN(timestampNum) || 
-        timestampNum > currentTime || 
-        currentTime - timestampNum > config.security.actionSignatureTimeWindow) {
-      
-      logger.security('战斗操作时间戳无效', {
-        userId,
-        battleId,
-        timestamp,
-        currentTime
-      });
-      
-      io.to(socketId).emit('action_rejected', {
-        actionType,
-        reason: 'invalid_timestamp'
-      });
-      return;
-    }
-    
-    // 检查nonce是否重复使用（防止重放攻击）
-    const actionNonceKey = `battle:${battleId}:${nonce}`;
-    if (await socketNonceStore.isNonceUsed(actionNonceKey)) {
-      logger.security('战斗操作nonce重复使用', {
-        userId,
-        battleId,
-        nonce
-      });
-      
-      io.to(socketId).emit('action_rejected', {
-        actionType,
-        reason: 'nonce_reused'
-      });
-      return;
-    }
-    
-    // 准备签名验证payload
-    const signaturePayload = {
-      userId,
-      battleId,
-      actionType,
-      actionData,
-      timestamp,
-      nonce
-    };
-    
-    // 计算预期签名
-    const expectedSignature = await require('../../security').GameSecurity.createSignature(
-      signaturePayload, 
-      timestamp, 
-      nonce, 
-      config.security.battleSecretKey
-    );
-    
-    // 验证签名
-    if (signature !== expectedSignature) {
-      // 记录可疑活动
-      securityManager.detectSuspiciousActivity(
-        userId, 
-        'invalid_battle_signature', 
-        { battleId, actionType }
-      );
-      
-      logger.security('战斗操作签名无效', {
-        userId,
-        battleId,
-        actionType
-      });
-      
-      io.to(socketId).emit('action_rejected', {
-        actionType,
-        reason: 'invalid_signature'
-      });
-      return;
-    }
-    
-    // 记录nonce为已使用
-    await socketNonceStore.markNonceAsUsed(actionNonceKey, timestampNum);
-    
     // 是否具有执行该操作的权限（是否在战斗中）
-    const hasPermission = await battleManager.checkUserInBattle(battleId, userId);
+    const hasPermission = await BattleStateStore.isParticipant(battleId, userId);
     if (!hasPermission) {
       logger.warn('用户尝试在不属于自己的战斗中执行操作', {
         userId,
         battleId,
         actionType
       });
-      
-      io.to(socketId).emit('action_rejected', {
-        actionType,
-        reason: 'not_in_battle'
-      });
-      return;
+
+      return { success: false, reason: 'NOT_IN_BATTLE' };
     }
-    
+
     // 验证操作速率（防止操作频率过高）
     const isRateLimited = await rateLimiter.isActionRateLimited(userId, actionType);
     if (isRateLimited) {
@@ -485,34 +827,30 @@ async function processBattleAction(io, message) {
         battleId,
         actionType
       });
-      
-      io.to(socketId).emit('action_rejected', {
-        actionType,
-        reason: 'rate_limited'
-      });
-      return;
+
+      return { success: false, reason: 'RATE_LIMITED' };
     }
-  
-    // 验证动作是否合法
-    const validationResult = await battleManager.validateAction(
-      battleId, 
-      userId, 
-      actionType, 
-      actionData
+
+    // 验证动作是否合法（基于战斗状态仓库中的真实状态）
+    const action = { ...actionData, type: String(actionType).toUpperCase() };
+    const validationResult = await BattleAlgorithms.validateBattleAction(
+      userId,
+      battleId,
+      action
     );
-    
+
     if (!validationResult.valid) {
       // 非法操作检测
-      const isSuspicious = securityManager.detectSuspiciousActivity(
-        userId, 
-        'invalid_battle_action', 
-        { 
-          battleId, 
-          actionType, 
+      const isSuspicious = await recordSuspiciousActivity(
+        userId,
+        'invalid_battle_action',
+        {
+          battleId,
+          actionType,
           reason: validationResult.reason
         }
       );
-      
+
       if (isSuspicious) {
         logger.security('检测到可疑战斗操作', {
           userId,
@@ -521,60 +859,63 @@ async function processBattleAction(io, message) {
           reason: validationResult.reason
         });
       }
-      
-      // 通知客户端操作无效
-      io.to(socketId).emit('action_rejected', {
-        actionType,
-        reason: validationResult.reason
-      });
-      
-      return;
+
+      return { success: false, reason: validationResult.reason };
     }
-    
-    // 执行动作
-    const actionResult = await battleManager.executeAction(
-      battleId, 
-      userId, 
-      actionType, 
-      actionData
+
+    // 执行动作并写回战斗状态
+    const actionResult = await BattleAlgorithms.applyBattleAction(
+      userId,
+      battleId,
+      action,
+      validationResult.data
     );
-    
+
+    if (!actionResult.success) {
+      // 状态版本冲突等情况，要求客户端重新同步
+      return { success: false, reason: actionResult.reason };
+    }
+
     // 广播动作结果给所有战斗参与者
-    io.to(`battle:${battleId}`).emit('battle_update', {
-      battleId,
+    emitBattleEvent(io, battleId, SERVER_EVENTS.BATTLE_UPDATE, {
       actionType,
       actionBy: userId,
-      result: actionResult,
+      result: validationResult.data,
+      state: actionResult.state,
+      statusEvents: actionResult.statusEvents,
       timestamp: Date.now()
     });
-    
+
     // 检查战斗是否结束
     if (actionResult.battleEnded) {
       // 广播战斗结束通知
-      io.to(`battle:${battleId}`).emit('battle_ended', {
-        battleId,
+      emitBattleEvent(io, battleId, SERVER_EVENTS.BATTLE_ENDED, {
         winner: actionResult.winner,
         rewards: actionResult.rewards,
         statistics: actionResult.statistics,
         timestamp: Date.now()
       });
-      
-      // 清理战斗资源
-      await battleManager.cleanupBattle(battleId);
+
+      // 参战玩家回到空闲状态
+      for (const playerId of actionResult.state.players) {
+        publishPresence(PresenceService.setIdle(playerId));
+      }
+
+      // 清理战斗资源（最终状态已由战斗状态仓库保存），事件在恢复窗口内保留供掉线玩家补发
+      SocketSessionStore.expireBattle(battleId);
+      BattleStateStore.evict(battleId);
     }
+
+    return { success: true, seq: SocketSessionStore.getBattleSeq(battleId) };
   } catch (error) {
-    logger.error('处理战斗动作出错', { 
-      error: error.message, 
-      userId, 
-      battleId, 
-      actionType 
-    });
-    
-    // 通知客户端发生错误
-    io.to(socketId).emit('error', { 
-      message: '执行动作时发生错误',
+    logger.error('处理战斗动作出错', {
+      error: error.message,
+      userId,
+      battleId,
       actionType
     });
+
+    return { success: false, reason: 'INTERNAL_ERROR' };
   }
 }
 
@@ -587,13 +928,13 @@ async function processBattleAction(io, message) {
  */
 function sendToUser(userId, event, data) {
   try {
-    const socket = activeConnections.get(userId);
-    
-    if (!socket || !socket.connected) {
+    const connection = activeConnections.get(userId.toString());
+
+    if (!connection || !connection.socket.connected) {
       return false;
     }
-    
-    socket.emit(event, data);
+
+    connection.socket.emit(event, data);
     return true;
   } catch (error) {
     logger.error('向用户发送消息失败', {
@@ -635,5 +976,6 @@ module.exports = {
   initSocketServer,
   sendToUser,
   broadcastNotification,
+  emitChatEvent,
   activeConnections
-}; 
\ No newline at end of file
+};
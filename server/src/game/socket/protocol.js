@@ -0,0 +1,167 @@
+/**
+ * 实时通信协议
+ * 定义客户端与服务端共用的事件目录、请求信封格式和签名算法
+ * 客户端对应实现见 client/src/services/socketProtocol.js 和 client/src/utils/security/signature.js，修改时需同步并提升协议版本
+ */
+
+const crypto = require('crypto');
+
+// 协议版本，握手和每条请求都会校验
+const PROTOCOL_VERSION = 1;
+
+// 握手签名使用的事件名
+const HANDSHAKE_EVENT = 'handshake';
+
+// 客户端请求事件：载荷为签名信封，服务端通过 ack 回复同一 id 的响应
+const CLIENT_EVENTS = {
+  SESSION_RESUME: 'session_resume',       // 重连后恢复会话并补发错过的战斗事件
+  MATCHMAKING_JOIN: 'matchmaking_join',   // 加入排位匹配
+  MATCHMAKING_LEAVE: 'matchmaking_leave', // 退出排位匹配
+  MATCH_ACTION: 'match_action',           // 自走棋对局内操作
+  BATTLE_JOIN: 'join_battle',             // 加入回合制战斗
+  BATTLE_ACTION: 'battle_action',         // 回合制战斗动作
+  BATTLE_LEAVE: 'leave_battle',           // 离开回合制战斗
+  CHAT_JOIN: 'join_channel',              // 加入聊天频道
+  CHAT_LEAVE: 'leave_channel',            // 离开聊天频道
+  CHAT_SEND: 'chat_message',              // 发送聊天消息
+  BATTLE_INVITE: 'battle_invite',                 // 邀请好友对战
+  BATTLE_INVITE_RESPOND: 'battle_invite_respond', // 接受或拒绝对战邀请
+  BATTLE_INVITE_CANCEL: 'battle_invite_cancel'    // 撤回对战邀请
+};
+
+// 服务端推送事件
+const SERVER_EVENTS = {
+  SESSION: 'session',                                 // 连接建立后下发会话信息和签名密钥
+  FORCED_DISCONNECT: 'forced_disconnect',             // 被其他设备顶下线
+  MATCHMAKING_STATUS: 'matchmaking_status',
+  MATCH_FOUND: 'match_found',
+  MATCH_STATE: 'match_state',
+  MATCH_PHASE: 'match_phase',
+  MATCH_ROUND_STARTED: 'match_round_started',
+  MATCH_COMBAT: 'match_combat',
+  MATCH_PLAYER_ELIMINATED: 'match_player_eliminated',
+  MATCH_PLAYER_UPDATE: 'match_player_update',
+  MATCH_FINISHED: 'match_finished',
+  MATCH_SETTLED: 'match_settled',
+  BATTLE_STATE: 'battle_state',                       // 战斗完整状态，补发不完整时也用于重新同步
+  BATTLE_UPDATE: 'battle_update',
+  BATTLE_ENDED: 'battle_ended',
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  RESOURCE_UPDATE: 'resource_update',
+  GAME_NOTIFICATION: 'game_notification',
+  CHAT_MESSAGE: 'chat_message',                       // 频道新消息
+  CHAT_MESSAGE_DELETED: 'chat_message_deleted',       // 消息被版主删除
+  CHAT_MUTED: 'chat_muted',                           // 自己被禁言
+  FRIEND_PRESENCE: 'friend_presence',                 // 好友在线状态变化
+  FRIEND_REQUEST: 'friend_request',                   // 收到好友申请
+  FRIEND_UPDATE: 'friend_update',                     // 好友添加或删除
+  BATTLE_INVITE: 'battle_invite',                     // 收到好友对战邀请
+  BATTLE_INVITE_UPDATE: 'battle_invite_update',       // 对战邀请被接受、拒绝、撤回或过期
+  MAIL_RECEIVED: 'mail_received'                      // 收到新邮件
+};
+
+// 带序号、断线后可补发的战斗房间事件
+const REPLAYABLE_BATTLE_EVENTS = [
+  SERVER_EVENTS.BATTLE_UPDATE,
+  SERVER_EVENTS.BATTLE_ENDED,
+  SERVER_EVENTS.PLAYER_JOINED,
+  SERVER_EVENTS.PLAYER_LEFT
+];
+
+/**
+ * 递归排序对象键，保证签名前的序列化结果与客户端一致
+ * @param {*} value - 任意值
+ * @returns {*} 键已排序的副本
+ */
+function normalizeObject(value) {
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeObject(item));
+  }
+
+  const result = {};
+  for (const key of Object.keys(value).sort()) {
+    result[key] = normalizeObject(value[key]);
+  }
+  return result;
+}
+
+/**
+ * 计算消息签名：HMAC-SHA256(JSON(键排序后的 { ...message, timestamp, nonce, token }))
+ * @param {Object} message - 不含 timestamp/nonce/signature 的消息
+ * @param {number} timestamp - 毫秒时间戳
+ * @param {string} nonce - 随机串
+ * @param {string} token - 连接使用的访问令牌
+ * @param {string} secret - 签名密钥
+ * @returns {string} 十六进制签名
+ */
+function createSignature(message, timestamp, nonce, token, secret) {
+  const payload = JSON.stringify(normalizeObject({ ...message, timestamp, nonce, token: token || '' }));
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * 校验签名信封的版本、时间戳和签名，nonce 去重由调用方处理
+ * @param {Object} envelope - 客户端发来的信封 { v, id, event, data, timestamp, nonce, signature }
+ * @param {Object} options - 校验选项
+ * @param {string} options.event - 期望的事件名
+ * @param {string} options.token - 连接使用的访问令牌
+ * @param {string} options.secret - 签名密钥
+ * @param {number} options.timeWindow - 允许的时间偏差（毫秒）
+ * @returns {Object} 校验结果 { success, reason }
+ */
+function verifyEnvelope(envelope, { event, token, secret, timeWindow }) {
+  if (!envelope || typeof envelope !== 'object' || envelope.event !== event ||
+      typeof envelope.nonce !== 'string' || typeof envelope.signature !== 'string') {
+    return { success: false, reason: 'INVALID_MESSAGE' };
+  }
+
+  if (envelope.v !== PROTOCOL_VERSION) {
+    return { success: false, reason: 'PROTOCOL_VERSION_MISMATCH' };
+  }
+
+  const timestamp = Number(envelope.timestamp);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > timeWindow) {
+    return { success: false, reason: 'INVALID_TIMESTAMP' };
+  }
+
+  const { signature, timestamp: _timestamp, nonce, ...message } = envelope;
+  const expected = createSignature(message, envelope.timestamp, nonce, token, secret);
+
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  return valid ? { success: true } : { success: false, reason: 'INVALID_SIGNATURE' };
+}
+
+/**
+ * 构造请求响应，通过 ack 返回给客户端
+ * @param {string|number} id - 请求ID
+ * @param {Object} result - 服务层结果 { success, reason, ...data }
+ * @returns {Object} 响应 { v, id, success, reason, data }
+ */
+function createResponse(id, result) {
+  const { success, reason, ...data } = result || {};
+
+  if (!success) {
+    return { v: PROTOCOL_VERSION, id, success: false, reason: reason || 'INTERNAL_ERROR' };
+  }
+
+  return { v: PROTOCOL_VERSION, id, success: true, data };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  HANDSHAKE_EVENT,
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+  REPLAYABLE_BATTLE_EVENTS,
+  normalizeObject,
+  createSignature,
+  verifyEnvelope,
+  createResponse
+};
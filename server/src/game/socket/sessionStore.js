@@ -0,0 +1,179 @@
+/**
+ * 实时会话存储
+ * 保存每个连接会话的签名密钥，以及每场战斗最近的房间事件，断线重连后据此补发错过的事件
+ * 数据保存在进程内存中，服务重启后客户端会通过完整战斗状态重新同步
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+
+// 会话：sessionId -> { userId, sessionKey, socketId, connected, expiresAt }，socketId 为当前持有会话的连接
+const sessions = new Map();
+// 战斗事件缓冲：battleId -> { seq, events: [{ seq, event, payload }], expiresAt }
+const battleEvents = new Map();
+
+/**
+ * 实时会话存储
+ */
+class SocketSessionStore {
+  /**
+   * 创建新会话
+   * @param {string} userId - 用户ID
+   * @param {string} socketId - 持有会话的连接ID
+   * @returns {Object} 会话 { sessionId, sessionKey }
+   */
+  static createSession(userId, socketId) {
+    const sessionId = crypto.randomUUID();
+    const sessionKey = crypto.randomBytes(32).toString('hex');
+
+    sessions.set(sessionId, { userId: userId.toString(), sessionKey, socketId, connected: true, expiresAt: null });
+
+    return { sessionId, sessionKey };
+  }
+
+  /**
+   * 恢复断线前的会话，会话不存在、已过期或不属于该用户时返回 null
+   * 恢复后轮换签名密钥并转移到新连接，旧连接上截获的签名无法在新连接上使用
+   * @param {string} sessionId - 会话ID
+   * @param {string} userId - 用户ID
+   * @param {string} socketId - 新连接ID
+   * @returns {Object|null} 会话 { sessionId, sessionKey }
+   */
+  static resumeSession(sessionId, userId, socketId) {
+    const session = typeof sessionId === 'string' ? sessions.get(sessionId) : null;
+    if (!session || session.userId !== userId.toString()) {
+      return null;
+    }
+
+    if (session.expiresAt && session.expiresAt <= Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+
+    session.sessionKey = crypto.randomBytes(32).toString('hex');
+    session.socketId = socketId;
+    session.connected = true;
+    session.expiresAt = null;
+
+    return { sessionId, sessionKey: session.sessionKey };
+  }
+
+  /**
+   * 获取会话的签名密钥
+   * 会话已过期清理或已被其他连接恢复时返回 null
+   * @param {string} sessionId - 会话ID
+   * @param {string} socketId - 连接ID
+   * @returns {string|null} 签名密钥
+   */
+  static getSessionKey(sessionId, socketId) {
+    const session = sessions.get(sessionId);
+    return session && session.socketId === socketId ? session.sessionKey : null;
+  }
+
+  /**
+   * 连接断开，会话在恢复窗口内保留
+   * 会话已被其他连接恢复时不做处理，避免旧连接断开把新连接的会话标记为断线
+   * @param {string} sessionId - 会话ID
+   * @param {string} socketId - 断开的连接ID
+   */
+  static markDisconnected(sessionId, socketId) {
+    const session = sessions.get(sessionId);
+    if (!session || session.socketId !== socketId) return;
+
+    session.connected = false;
+    session.expiresAt = Date.now() + config.realtime.resumeWindowSeconds * 1000;
+  }
+
+  /**
+   * 记录战斗房间事件并分配序号
+   * @param {string} battleId - 战斗ID
+   * @param {string} event - 事件名
+   * @param {Object} data - 事件数据
+   * @returns {Object} 带 battleId 和 seq 的事件载荷
+   */
+  static recordBattleEvent(battleId, event, data) {
+    const key = battleId.toString();
+    let buffer = battleEvents.get(key);
+    if (!buffer) {
+      buffer = { seq: 0, events: [], expiresAt: null };
+      battleEvents.set(key, buffer);
+    }
+
+    buffer.seq += 1;
+    const payload = { ...data, battleId: key, seq: buffer.seq };
+    buffer.events.push({ seq: buffer.seq, event, payload });
+
+    if (buffer.events.length > config.realtime.battleEventBufferSize) {
+      buffer.events.shift();
+    }
+
+    return payload;
+  }
+
+  /**
+   * 获取战斗当前的最新事件序号
+   * @param {string} battleId - 战斗ID
+   * @returns {number} 序号，没有事件时为 0
+   */
+  static getBattleSeq(battleId) {
+    const buffer = battleEvents.get(battleId.toString());
+    return buffer ? buffer.seq : 0;
+  }
+
+  /**
+   * 获取指定序号之后的战斗事件
+   * complete 为 false 表示缓冲区已不包含全部错过的事件，客户端需要用完整状态重新同步
+   * @param {string} battleId - 战斗ID
+   * @param {number} lastSeq - 客户端已收到的最后序号
+   * @returns {Object} { events, complete, seq }
+   */
+  static getBattleEventsSince(battleId, lastSeq) {
+    const buffer = battleEvents.get(battleId.toString());
+    const since = Math.max(0, parseInt(lastSeq, 10) || 0);
+
+    if (!buffer) {
+      return { events: [], complete: since === 0, seq: 0 };
+    }
+
+    // 客户端序号超前说明服务端缓冲已重建，只能重新同步
+    if (since > buffer.seq) {
+      return { events: [], complete: false, seq: buffer.seq };
+    }
+
+    const events = buffer.events.filter(item => item.seq > since);
+    const complete = events.length === 0 || events[0].seq === since + 1;
+
+    return { events, complete, seq: buffer.seq };
+  }
+
+  /**
+   * 战斗结束后在恢复窗口内保留事件，供掉线玩家补发结算事件
+   * @param {string} battleId - 战斗ID
+   */
+  static expireBattle(battleId) {
+    const buffer = battleEvents.get(battleId.toString());
+    if (buffer) {
+      buffer.expiresAt = Date.now() + config.realtime.resumeWindowSeconds * 1000;
+    }
+  }
+
+  /**
+   * 清理过期会话和已结束战斗的事件
+   * @param {number} [now] - 当前时间
+   */
+  static cleanup(now = Date.now()) {
+    for (const [sessionId, session] of sessions) {
+      if (session.expiresAt && session.expiresAt <= now) {
+        sessions.delete(sessionId);
+      }
+    }
+
+    for (const [battleId, buffer] of battleEvents) {
+      if (buffer.expiresAt && buffer.expiresAt <= now) {
+        battleEvents.delete(battleId);
+      }
+    }
+  }
+}
+
+module.exports = SocketSessionStore;
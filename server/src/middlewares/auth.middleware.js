@@ -214,6 +214,33 @@ exports.checkAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * 检查版主权限，管理员和超级管理员同样具有版主权限
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+exports.checkModerator = (req, res, next) => {
+  // 验证是否已经通过了令牌验证
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: '未经身份验证'
+    });
+  }
+  
+  // 检查用户角色是否为版主及以上
+  if (!['moderator', 'admin', 'superadmin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: '需要版主权限'
+    });
+  }
+  
+  // 继续后续处理
+  next();
+};
+
 /**
  * 检查超级管理员权限
  * @param {Object} req - Express请求对象
@@ -0,0 +1,153 @@
+/**
+ * 拍卖行模型
+ * 上架物品和当前最高出价都由系统托管，成交或流拍后结算
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 拍卖状态
+const AUCTION_STATUS = {
+  ACTIVE: 'active',       // 拍卖中
+  SOLD: 'sold',           // 已成交
+  EXPIRED: 'expired',     // 流拍，物品已退回
+  CANCELLED: 'cancelled', // 卖家撤销
+  SETTLEMENT_FAILED: 'settlement_failed' // 多次结算失败，等待人工处理
+};
+
+/**
+ * 出价记录 Schema
+ */
+const bidSchema = new Schema({
+  bidderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 托管出价的账本交易ID
+  escrowTransactionId: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * 拍卖 Schema
+ */
+const auctionSchema = new Schema({
+  sellerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 托管的物品
+  item: {
+    itemId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  },
+  currencyType: {
+    type: String,
+    enum: ['gold', 'diamond'],
+    required: true
+  },
+  // 起拍价
+  startPrice: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 一口价（可选）
+  buyoutPrice: {
+    type: Number,
+    min: 1
+  },
+  // 当前最高出价
+  currentBid: {
+    type: bidSchema,
+    default: null
+  },
+  // 出价历史
+  bids: [bidSchema],
+  status: {
+    type: String,
+    enum: Object.values(AUCTION_STATUS),
+    default: AUCTION_STATUS.ACTIVE
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // 上架时的税率，结算时使用
+  taxRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  // 结算信息
+  settlement: {
+    buyerId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    finalPrice: Number,
+    taxAmount: Number,
+    sellerPayout: Number,
+    transactionId: String,
+    settledAt: Date
+  },
+  // 结算失败次数和最近一次失败原因
+  settlementAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastSettlementError: {
+    type: String,
+    default: null
+  },
+  // 乐观并发控制版本号
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+auctionSchema.index({ status: 1, expiresAt: 1 });
+auctionSchema.index({ sellerId: 1, status: 1 });
+auctionSchema.index({ 'item.itemId': 1, status: 1, currencyType: 1 });
+auctionSchema.index({ 'currentBid.bidderId': 1, status: 1 });
+
+// 方法：计算下一次出价的最低金额
+auctionSchema.methods.getMinimumBid = function(minIncrementRate) {
+  if (!this.currentBid) {
+    return this.startPrice;
+  }
+
+  return this.currentBid.amount + Math.max(1, Math.ceil(this.currentBid.amount * minIncrementRate));
+};
+
+const Auction = mongoose.model('Auction', auctionSchema);
+
+module.exports = Auction;
+module.exports.AUCTION_STATUS = AUCTION_STATUS;
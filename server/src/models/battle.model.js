@@ -0,0 +1,129 @@
+/**
+ * 战斗模型
+ * 用于持久化回合制战斗的实时状态和最终结果
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 战斗状态
+const BATTLE_STATUS = {
+  WAITING: 'waiting',         // 等待玩家加入
+  IN_PROGRESS: 'in_progress', // 战斗进行中
+  ENDED: 'ended',             // 正常结束
+  ABORTED: 'aborted'          // 异常中止
+};
+
+/**
+ * 战斗 Schema
+ */
+const battleSchema = new Schema({
+  // 战斗类型
+  battleType: {
+    type: String,
+    enum: ['pve', 'pvp', 'arena', 'guild_war', 'friendly'],
+    default: 'pvp'
+  },
+  // 战斗发起者
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 参战玩家（顺序即行动顺序）
+  participants: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: Object.values(BATTLE_STATUS),
+    default: BATTLE_STATUS.WAITING
+  },
+  // 当前行动玩家
+  currentTurn: {
+    type: String
+  },
+  // 当前行动玩家在participants中的下标
+  turnIndex: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // 当前回合数
+  round: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // 最大回合数，超过后按剩余生命判定胜负
+  maxRounds: {
+    type: Number,
+    default: 30,
+    min: 1
+  },
+  // 战斗单位状态，以实体ID为键：{ ownerId, position, hp, maxHp, mp, maxMp, status, alive }
+  entities: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // 开战时的战斗单位快照，用于战斗回放
+  initialEntities: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // 行动日志：每次行动的回合、行动者、动作结果、状态效果事件和行动后的单位快照
+  // 只在生成战斗记录时读取，默认不随战斗状态加载
+  actionLog: {
+    type: [Schema.Types.Mixed],
+    default: [],
+    select: false
+  },
+  // 技能冷却账本：{ playerId: { skillId: 可再次使用的回合数 } }
+  cooldowns: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // 胜利者ID（平局为null）
+  winner: {
+    type: String,
+    default: null
+  },
+  // 结束原因
+  endReason: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  lastActionAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  },
+  // 状态版本号，用于乐观并发控制
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// 索引
+battleSchema.index({ participants: 1, status: 1 });
+battleSchema.index({ status: 1, lastActionAt: -1 });
+battleSchema.index({ createdAt: -1 });
+
+// 方法：检查玩家是否参与了该战斗
+battleSchema.methods.hasParticipant = function(userId) {
+  const userIdStr = userId.toString();
+  return (this.userId && this.userId.toString() === userIdStr) ||
+         this.participants.some(id => id.toString() === userIdStr);
+};
+
+const Battle = mongoose.model('Battle', battleSchema);
+
+module.exports = Battle;
+module.exports.BATTLE_STATUS = BATTLE_STATUS;
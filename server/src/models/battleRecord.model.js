@@ -0,0 +1,136 @@
+/**
+ * 战斗记录模型
+ * 保存已结束战斗的回放数据：自走棋战斗保存种子、双方阵容和模拟事件，可按种子确定性重放；
+ * 回合制战斗保存初始单位和逐步行动日志
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const config = require('../config');
+
+// 战斗记录来源
+const RECORD_SOURCE = {
+  AUTO_CHESS: 'auto_chess', // 自走棋对局中的一轮战斗
+  TURN_BASED: 'turn_based'  // 回合制战斗
+};
+
+/**
+ * 战斗记录 Schema
+ */
+const battleRecordSchema = new Schema({
+  // 可分享的回放ID
+  replayId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  source: {
+    type: String,
+    enum: Object.values(RECORD_SOURCE),
+    required: true
+  },
+  // 来源内的唯一标识，自走棋为 matchId:round:index，回合制为战斗ID，用于防止重复记录
+  sourceId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 战斗类型：自走棋为 ranked/casual，回合制沿用 Battle.battleType
+  battleType: {
+    type: String,
+    required: true
+  },
+  matchId: {
+    type: String,
+    default: null
+  },
+  battleId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Battle',
+    default: null
+  },
+  // 自走棋对局中的回合数
+  round: {
+    type: Number,
+    default: null
+  },
+  // 参战玩家，镜像战斗只包含真实玩家
+  participants: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 镜像方的玩家ID（阵容来源），只用于展示
+  ghostOf: {
+    type: String,
+    default: null
+  },
+  winnerId: {
+    type: String,
+    default: null
+  },
+  endReason: {
+    type: String,
+    default: null
+  },
+  // 自走棋模拟种子和模拟器版本，二者相同即可重放出相同的事件序列
+  seed: {
+    type: String,
+    default: null
+  },
+  simulatorVersion: {
+    type: Number,
+    default: null
+  },
+  // 开战时的阵容：自走棋为 { A, B } 双方棋盘，回合制为初始单位状态
+  boards: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // 自走棋模拟器生成的初始单位快照和羁绊
+  units: {
+    type: [Schema.Types.Mixed],
+    default: []
+  },
+  synergies: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // 事件日志：自走棋为模拟事件元组，回合制为行动日志
+  events: {
+    type: [Schema.Types.Mixed],
+    default: []
+  },
+  // 战斗时长：自走棋为 tick 数，回合制为回合数
+  duration: {
+    type: Number,
+    default: 0
+  },
+  checksum: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+battleRecordSchema.index({ participants: 1, endedAt: -1 });
+battleRecordSchema.index({ matchId: 1, round: 1 });
+battleRecordSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.battleHistory.retentionDays * 24 * 60 * 60 }
+);
+
+const BattleRecord = mongoose.model('BattleRecord', battleRecordSchema);
+
+module.exports = BattleRecord;
+module.exports.RECORD_SOURCE = RECORD_SOURCE;
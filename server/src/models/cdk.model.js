@@ -41,9 +41,9 @@ const cdkSchema = new mongoose.Schema({
       default: 0
     },
     items: [{
+      // 物品模板ID，见 game/data/items.js
       itemId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Item'
+        type: String
       },
       quantity: {
         type: Number,
@@ -0,0 +1,91 @@
+/**
+ * 聊天消息模型
+ * 保存世界、公会、战斗房间和私聊频道的消息，按频道分页查询历史记录
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const config = require('../config');
+
+// 频道类型
+const CHANNEL_TYPE = {
+  WORLD: 'world',     // 世界频道，所有在线玩家
+  GUILD: 'guild',     // 公会频道，公会成员
+  BATTLE: 'battle',   // 战斗房间，战斗参与者
+  PRIVATE: 'private'  // 私聊，两名玩家之间
+};
+
+/**
+ * 聊天消息 Schema
+ */
+const chatMessageSchema = new Schema({
+  // 频道标识：world、guild:<公会ID>、battle:<战斗ID>、private:<较小用户ID>:<较大用户ID>
+  channel: {
+    type: String,
+    required: true
+  },
+  channelType: {
+    type: String,
+    enum: Object.values(CHANNEL_TYPE),
+    required: true
+  },
+  senderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 发送时的昵称，避免查询历史时逐条关联用户
+  senderName: {
+    type: String,
+    default: ''
+  },
+  // 私聊接收者
+  recipientId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: config.chat.maxMessageLength
+  },
+  // 是否命中屏蔽词被替换过
+  filtered: {
+    type: Boolean,
+    default: false
+  },
+  // 版主删除
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedAt: {
+    type: Date
+  },
+  deleteReason: {
+    type: String,
+    maxlength: 200
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+chatMessageSchema.index({ channel: 1, _id: -1 });
+chatMessageSchema.index({ senderId: 1, createdAt: -1 });
+chatMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.chat.retentionDays * 24 * 60 * 60 }
+);
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+
+module.exports = ChatMessage;
+module.exports.CHANNEL_TYPE = CHANNEL_TYPE;
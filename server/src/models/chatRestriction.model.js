@@ -0,0 +1,68 @@
+/**
+ * 聊天限制模型
+ * 玩家自己的屏蔽名单（屏蔽对方的消息和私聊），以及版主对玩家的禁言记录
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 限制类型
+const RESTRICTION_TYPE = {
+  BLOCK: 'block', // 玩家屏蔽另一名玩家
+  MUTE: 'mute'    // 版主禁言玩家
+};
+
+/**
+ * 聊天限制 Schema
+ */
+const chatRestrictionSchema = new Schema({
+  type: {
+    type: String,
+    enum: Object.values(RESTRICTION_TYPE),
+    required: true
+  },
+  // 屏蔽：屏蔽发起者；禁言：被禁言的玩家
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 屏蔽：被屏蔽的玩家
+  targetId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 禁言：执行禁言的版主
+  operatorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  // 禁言到期时间，屏蔽没有到期时间
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+chatRestrictionSchema.index({ type: 1, userId: 1, targetId: 1 }, { unique: true });
+// 推送频道消息时查询屏蔽了发送者的玩家
+chatRestrictionSchema.index({ type: 1, targetId: 1 });
+// 禁言到期后自动删除
+chatRestrictionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ChatRestriction = mongoose.model('ChatRestriction', chatRestrictionSchema);
+
+module.exports = ChatRestriction;
+module.exports.RESTRICTION_TYPE = RESTRICTION_TYPE;
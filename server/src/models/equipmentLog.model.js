@@ -0,0 +1,98 @@
+/**
+ * 装备养成记录模型
+ * 记录每一次强化、精炼和宝石镶嵌/拆除的消耗与结果
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 养成操作
+const EQUIPMENT_ACTION = {
+  ENHANCE: 'enhance',
+  REFINE: 'refine',
+  SOCKET: 'socket',
+  UNSOCKET: 'unsocket'
+};
+
+// 操作结果
+const UPGRADE_OUTCOME = {
+  SUCCESS: 'success',       // 成功
+  FAILED: 'failed',         // 失败，等级不变
+  PROTECTED: 'protected',   // 失败，保护卷轴生效
+  DOWNGRADED: 'downgraded', // 失败并降级
+  DESTROYED: 'destroyed'    // 失败并破碎
+};
+
+/**
+ * 装备养成记录 Schema
+ */
+const equipmentLogSchema = new Schema({
+  ownerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 装备实例ID（装备破碎后实例已删除，记录仍保留）
+  itemId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  templateId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: Object.values(EQUIPMENT_ACTION),
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: Object.values(UPGRADE_OUTCOME),
+    required: true
+  },
+  // 操作前后的装备属性快照 { enchantLevel, refineLevel, gems }
+  before: {
+    type: Schema.Types.Mixed
+  },
+  after: {
+    type: Schema.Types.Mixed
+  },
+  cost: {
+    gold: {
+      type: Number,
+      default: 0
+    },
+    items: [{
+      itemId: String,
+      quantity: Number
+    }]
+  },
+  protectionUsed: {
+    type: Boolean,
+    default: false
+  },
+  // 概率判定结果，便于客服核查
+  roll: {
+    type: Number
+  },
+  transactionId: {
+    type: String
+  },
+  // 操作后重新计算的装备校验哈希
+  equipmentHash: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// 索引
+equipmentLogSchema.index({ ownerId: 1, createdAt: -1 });
+equipmentLogSchema.index({ itemId: 1, createdAt: -1 });
+
+const EquipmentLog = mongoose.model('EquipmentLog', equipmentLogSchema);
+
+module.exports = EquipmentLog;
+module.exports.EQUIPMENT_ACTION = EQUIPMENT_ACTION;
+module.exports.UPGRADE_OUTCOME = UPGRADE_OUTCOME;
@@ -0,0 +1,46 @@
+/**
+ * 好友申请模型
+ * 只保存等待处理的申请，同意、拒绝或撤回后删除，过期后自动清理
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * 好友申请 Schema
+ */
+const friendRequestSchema = new Schema({
+  fromId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 附言
+  message: {
+    type: String,
+    maxlength: 100,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+friendRequestSchema.index({ fromId: 1, toId: 1 }, { unique: true });
+friendRequestSchema.index({ toId: 1, createdAt: -1 });
+friendRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FriendRequest = mongoose.model('FriendRequest', friendRequestSchema);
+
+module.exports = FriendRequest;
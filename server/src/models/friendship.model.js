@@ -0,0 +1,34 @@
+/**
+ * 好友关系模型
+ * 每对好友保存双向两条记录，查询某个玩家的好友只需按 userId 查找
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * 好友关系 Schema
+ */
+const friendshipSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  friendId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+friendshipSchema.index({ userId: 1, friendId: 1 }, { unique: true });
+
+const Friendship = mongoose.model('Friendship', friendshipSchema);
+
+module.exports = Friendship;
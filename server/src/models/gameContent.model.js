@@ -0,0 +1,75 @@
+/**
+ * 游戏内容版本模型
+ * 保存物品、套装和皮肤定义的完整快照，同一时间只有一个版本处于发布状态
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 内容版本状态
+const CONTENT_STATUS = {
+  DRAFT: 'draft',         // 草稿，可编辑
+  PUBLISHED: 'published', // 当前生效版本
+  ARCHIVED: 'archived'    // 历史版本，可重新发布用于回滚
+};
+
+/**
+ * 游戏内容版本 Schema
+ */
+const gameContentSchema = new Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(CONTENT_STATUS),
+    default: CONTENT_STATUS.DRAFT
+  },
+  // 内容快照 { items: { id: 模板 }, sets: { id: 套装 }, skins: { id: 皮肤 } }
+  content: {
+    items: {
+      type: Schema.Types.Mixed,
+      default: {}
+    },
+    sets: {
+      type: Schema.Types.Mixed,
+      default: {}
+    },
+    skins: {
+      type: Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  // 内容摘要，用于确认各实例加载的内容一致
+  checksum: {
+    type: String
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// 索引
+gameContentSchema.index({ status: 1, version: -1 });
+
+const GameContent = mongoose.model('GameContent', gameContentSchema);
+
+module.exports = GameContent;
+module.exports.CONTENT_STATUS = CONTENT_STATUS;
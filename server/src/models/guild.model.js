@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { MAX_GUILD_LEVEL, getLevelUpExperience, getLevelBenefits } = require('../game/data/guildLevels');
 
 /**
  * 公会公告 Schema
@@ -42,6 +43,39 @@ const applicationSchema = new Schema({
   }
 });
 
+/**
+ * 公会增益 Schema
+ */
+const activeBuffSchema = new Schema({
+  buffId: {
+    type: String,
+    required: true
+  },
+  // 开启时的效果快照，增益定义调整不影响已开启的增益
+  effect: {
+    type: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true
+    }
+  },
+  activatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 /**
  * 公会 Schema
  */
@@ -81,7 +115,7 @@ const guildSchema = new Schema({
     type: Number,
     default: 1,
     min: 1,
-    max: 100
+    max: MAX_GUILD_LEVEL
   },
   experience: {
     type: Number,
@@ -99,6 +133,8 @@ const guildSchema = new Schema({
   },
   announcements: [announcementSchema],
   applications: [applicationSchema],
+  // 已开启的公会增益，过期条目在下次开启增益时清理
+  activeBuffs: [activeBuffSchema],
   settings: {
     joinRequiresApproval: {
       type: Boolean,
@@ -129,29 +165,45 @@ guildSchema.virtual('memberCount').get(function() {
 
 // 虚拟字段：下一级所需经验
 guildSchema.virtual('nextLevelExperience').get(function() {
-  // 自定义公式计算下一级所需的总经验
-  return Math.floor(1000 * Math.pow(1.5, this.level - 1));
+  return getLevelUpExperience(this.level);
 });
 
-// 方法：增加公会经验
-guildSchema.methods.addExperience = async function(experienceAmount) {
+// 方法：增加公会经验并处理升级，只修改文档不保存
+// 升级后按等级里程碑提升成员上限
+guildSchema.methods.gainExperience = function(experienceAmount) {
   this.experience += experienceAmount;
   
   let levelsGained = 0;
   let nextLevelExp = this.nextLevelExperience;
   
   // 检查是否可以升级
-  while (this.experience >= nextLevelExp && this.level < 100) {
+  while (this.experience >= nextLevelExp && this.level < MAX_GUILD_LEVEL) {
     this.level += 1;
     levelsGained += 1;
     this.experience -= nextLevelExp;
-    nextLevelExp = Math.floor(1000 * Math.pow(1.5, this.level - 1));
+    nextLevelExp = getLevelUpExperience(this.level);
   }
   
-  await this.save();
+  if (levelsGained > 0) {
+    const { memberLimit } = getLevelBenefits(this.level);
+    this.settings.memberLimit = Math.max(this.settings.memberLimit, memberLimit);
+  }
+  
+  return levelsGained;
+};
+
+// 方法：增加公会经验并保存
+guildSchema.methods.addExperience = async function(experienceAmount, options = {}) {
+  const levelsGained = this.gainExperience(experienceAmount);
+  await this.save(options);
   return levelsGained;
 };
 
+// 方法：获取生效中的增益
+guildSchema.methods.getActiveBuffs = function(now = new Date()) {
+  return this.activeBuffs.filter(buff => buff.expiresAt > now);
+};
+
 // 方法：检查成员是否为干部或会长
 guildSchema.methods.isOfficerOrLeader = function(userId) {
   const userIdStr = userId.toString();
@@ -162,6 +214,7 @@ guildSchema.methods.isOfficerOrLeader = function(userId) {
 // 索引
 guildSchema.index({ name: 1 }, { unique: true });
 guildSchema.index({ level: -1 });
+guildSchema.index({ members: 1 });
 guildSchema.index({ createdAt: -1 });
 
 const Guild = mongoose.model('Guild', guildSchema);
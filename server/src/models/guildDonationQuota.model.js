@@ -0,0 +1,46 @@
+/**
+ * 公会捐献每日额度模型
+ * 按玩家和自然日累计捐献数量，更换公会不会重置额度
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * 每日捐献额度 Schema
+ */
+const guildDonationQuotaSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 自然日，如 2026-10-19
+  day: {
+    type: String,
+    required: true
+  },
+  gold: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  diamond: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+guildDonationQuotaSchema.index({ userId: 1, day: 1 }, { unique: true });
+// 额度记录保留7天后自动删除
+guildDonationQuotaSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const GuildDonationQuota = mongoose.model('GuildDonationQuota', guildDonationQuotaSchema);
+
+module.exports = GuildDonationQuota;
@@ -0,0 +1,90 @@
+/**
+ * 公会金库流水模型
+ * 记录公会资金和经验的每一次变动：成员捐献、开启增益、公会战奖励
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 流水类型
+const TREASURY_LOG_TYPE = {
+  DONATION: 'donation',           // 成员捐献
+  BUFF_PURCHASE: 'buff_purchase', // 消耗资金开启增益
+  WAR_REWARD: 'war_reward'        // 公会战结算奖励
+};
+
+/**
+ * 公会金库流水 Schema
+ */
+const guildTreasuryLogSchema = new Schema({
+  guildId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Guild',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(TREASURY_LOG_TYPE),
+    required: true
+  },
+  // 操作者，系统发放时为空
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 捐献的货币类型和数量
+  currencyType: {
+    type: String,
+    enum: ['gold', 'diamond']
+  },
+  amount: {
+    type: Number,
+    min: 0
+  },
+  // 公会资金变动及变动后余额
+  fundsDelta: {
+    type: Number,
+    required: true
+  },
+  fundsAfter: {
+    type: Number,
+    required: true
+  },
+  // 公会经验变动及变动后等级
+  experienceGained: {
+    type: Number,
+    default: 0
+  },
+  levelAfter: {
+    type: Number
+  },
+  // 捐献者获得的公会贡献
+  contributionGained: {
+    type: Number,
+    default: 0
+  },
+  buffId: {
+    type: String
+  },
+  // 关联的账本交易ID
+  transactionIds: [{
+    type: String
+  }],
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// 索引
+guildTreasuryLogSchema.index({ guildId: 1, createdAt: -1 });
+guildTreasuryLogSchema.index({ guildId: 1, type: 1, createdAt: -1 });
+guildTreasuryLogSchema.index({ userId: 1, createdAt: -1 });
+
+const GuildTreasuryLog = mongoose.model('GuildTreasuryLog', guildTreasuryLogSchema);
+
+module.exports = GuildTreasuryLog;
+module.exports.TREASURY_LOG_TYPE = TREASURY_LOG_TYPE;
@@ -0,0 +1,157 @@
+/**
+ * 公会战赛季模型
+ * 每周一个赛季：报名 -> 按公会等级和战力匹配 -> 战斗时段内累计PVP积分 -> 结算奖励
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 赛季状态
+const GUILD_WAR_STATUS = {
+  SIGNUP: 'signup',   // 报名中
+  MATCHED: 'matched', // 已匹配，等待或正在进行战斗
+  SETTLED: 'settled'  // 已结算
+};
+
+// 对阵结果
+const MATCHUP_RESULT = {
+  WIN: 'win',
+  DRAW: 'draw',
+  LOSS: 'loss',
+  BYE: 'bye'
+};
+
+/**
+ * 报名记录 Schema
+ */
+const registrationSchema = new Schema({
+  guildId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Guild',
+    required: true
+  },
+  guildName: {
+    type: String
+  },
+  // 匹配时使用的公会等级和战力快照
+  level: {
+    type: Number,
+    default: 1
+  },
+  power: {
+    type: Number,
+    default: 0
+  },
+  signedUpBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signedUpAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 战斗时段内累计的积分
+  score: {
+    type: Number,
+    default: 0
+  },
+  // 成员胜场：{ userId: 胜场数 }
+  memberWins: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false, minimize: false });
+
+/**
+ * 对阵 Schema
+ */
+const matchupSchema = new Schema({
+  guildA: {
+    type: Schema.Types.ObjectId,
+    ref: 'Guild',
+    required: true
+  },
+  // 轮空时为null
+  guildB: {
+    type: Schema.Types.ObjectId,
+    ref: 'Guild',
+    default: null
+  },
+  // 胜方公会ID，平局和轮空为null
+  winner: {
+    type: Schema.Types.ObjectId,
+    ref: 'Guild',
+    default: null
+  },
+  scoreA: {
+    type: Number,
+    default: 0
+  },
+  scoreB: {
+    type: Number,
+    default: 0
+  },
+  settled: {
+    type: Boolean,
+    default: false
+  },
+  settledAt: {
+    type: Date
+  }
+});
+
+/**
+ * 公会战赛季 Schema
+ */
+const guildWarSeasonSchema = new Schema({
+  // 赛季标识，取当周周一的日期，如 2026-10-19
+  seasonKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(GUILD_WAR_STATUS),
+    default: GUILD_WAR_STATUS.SIGNUP
+  },
+  signupEndsAt: {
+    type: Date,
+    required: true
+  },
+  warStartsAt: {
+    type: Date,
+    required: true
+  },
+  warEndsAt: {
+    type: Date,
+    required: true
+  },
+  registrations: [registrationSchema],
+  matchups: [matchupSchema],
+  // 已计分的战斗ID，防止同一场战斗重复计分
+  scoredBattles: {
+    type: [String],
+    select: false
+  },
+  matchedAt: {
+    type: Date
+  },
+  settledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// 索引
+guildWarSeasonSchema.index({ status: 1, signupEndsAt: 1 });
+guildWarSeasonSchema.index({ status: 1, warEndsAt: 1 });
+guildWarSeasonSchema.index({ 'registrations.guildId': 1, warStartsAt: -1 });
+
+const GuildWarSeason = mongoose.model('GuildWarSeason', guildWarSeasonSchema);
+
+module.exports = GuildWarSeason;
+module.exports.GUILD_WAR_STATUS = GUILD_WAR_STATUS;
+module.exports.MATCHUP_RESULT = MATCHUP_RESULT;
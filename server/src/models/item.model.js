@@ -0,0 +1,67 @@
+/**
+ * 物品实例模型
+ * 每个文档占用一个背包格子：可堆叠物品为一组堆叠，不可堆叠物品为单个实例
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * 物品实例 Schema
+ */
+const itemSchema = new Schema({
+  ownerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 物品模板ID
+  templateId: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: '物品数量必须为整数'
+    }
+  },
+  // 是否已绑定（绑定后不可交易）
+  bound: {
+    type: Boolean,
+    default: false
+  },
+  // 获得来源，如 purchase / cdk / shop / mail / chest
+  source: {
+    type: String
+  },
+  // 实例属性，装备为 { enchantLevel, refineLevel, gems }
+  attributes: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // 已装备的槽位，未装备时为空
+  equippedSlot: {
+    type: String,
+    default: null
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// 索引
+itemSchema.index({ ownerId: 1, templateId: 1, bound: 1 });
+itemSchema.index({ ownerId: 1, acquiredAt: 1 });
+itemSchema.index({ ownerId: 1, equippedSlot: 1 });
+
+const Item = mongoose.model('Item', itemSchema);
+
+module.exports = Item;
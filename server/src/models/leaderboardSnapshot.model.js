@@ -0,0 +1,62 @@
+/**
+ * 排行榜每日快照模型
+ * 每天为每个排行榜保存一次全量排名，用于显示排名升降
+ * subjectId 为玩家或公会ID；subjectId 为 null 的记录是快照完成标记，value 为参与排名的总数
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const config = require('../config');
+
+/**
+ * 排行榜快照 Schema
+ */
+const leaderboardSnapshotSchema = new Schema({
+  // 排行榜类型，见 LeaderboardService.LEADERBOARD_TYPE
+  board: {
+    type: String,
+    required: true
+  },
+  // 快照日期，如 2026-10-19
+  day: {
+    type: String,
+    required: true
+  },
+  subjectId: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  // 全服排名
+  rank: {
+    type: Number,
+    default: 0
+  },
+  // 玩家当时的段位和段位内排名，公会榜为空
+  tier: {
+    type: String,
+    default: null
+  },
+  tierRank: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+leaderboardSnapshotSchema.index({ board: 1, day: 1, subjectId: 1 }, { unique: true });
+leaderboardSnapshotSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.leaderboard.snapshotRetentionDays * 24 * 60 * 60 }
+);
+
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
+
+module.exports = LeaderboardSnapshot;
@@ -0,0 +1,119 @@
+/**
+ * 货币账本模型
+ * 复式记账：每笔交易写入一条借方(debit)和一条贷方(credit)记录，
+ * 玩家余额可以由账本记录完整推导
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 记账方向：debit 表示资金从账户流出，credit 表示资金流入账户
+const LEDGER_DIRECTION = {
+  DEBIT: 'debit',
+  CREDIT: 'credit'
+};
+
+// 系统账户前缀，系统账户不对应真实玩家，不参与余额审计
+const SYSTEM_ACCOUNT_PREFIX = 'system:';
+
+/**
+ * 账本记录 Schema
+ */
+const ledgerEntrySchema = new Schema({
+  // 交易ID，同一交易的借贷两条记录共享
+  transactionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // 幂等键，与direction组成唯一索引，重复请求不会重复记账
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: Object.values(LEDGER_DIRECTION),
+    required: true
+  },
+  // 账户ID：玩家ID，或 system:<交易类型> 形式的系统账户
+  accountId: {
+    type: String,
+    required: true
+  },
+  // 对手账户ID
+  counterAccountId: {
+    type: String,
+    required: true
+  },
+  currencyType: {
+    type: String,
+    enum: ['gold', 'diamond', 'honor', 'guild_contribution'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: '记账金额必须为整数'
+    }
+  },
+  transactionType: {
+    type: String,
+    required: true
+  },
+  // 记账后的账户余额（仅玩家账户）
+  balanceAfter: {
+    type: Number
+  },
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// 索引
+ledgerEntrySchema.index({ idempotencyKey: 1, direction: 1 }, { unique: true });
+ledgerEntrySchema.index({ accountId: 1, currencyType: 1, createdAt: 1 });
+// 账本审计按 _id 重放，同一批写入的记录 createdAt 可能相同
+ledgerEntrySchema.index({ accountId: 1, currencyType: 1, _id: 1 });
+ledgerEntrySchema.index({ transactionType: 1, createdAt: -1 });
+
+// 静态方法：由账本推导账户余额
+ledgerEntrySchema.statics.getAccountBalance = async function(accountId, currencyType, session = null) {
+  const [result] = await this.aggregate([
+    { $match: { accountId: accountId.toString(), currencyType } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [{ $eq: ['$direction', LEDGER_DIRECTION.CREDIT] }, '$amount', { $multiply: ['$amount', -1] }]
+          }
+        },
+        entries: { $sum: 1 }
+      }
+    }
+  ]).session(session);
+
+  return {
+    balance: result ? result.balance : 0,
+    entries: result ? result.entries : 0
+  };
+};
+
+// 静态方法：判断是否为系统账户
+ledgerEntrySchema.statics.isSystemAccount = function(accountId) {
+  return accountId.toString().startsWith(SYSTEM_ACCOUNT_PREFIX);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
+module.exports.LEDGER_DIRECTION = LEDGER_DIRECTION;
+module.exports.SYSTEM_ACCOUNT_PREFIX = SYSTEM_ACCOUNT_PREFIX;
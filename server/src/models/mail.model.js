@@ -0,0 +1,118 @@
+/**
+ * 邮件模型
+ * 系统邮件及其附件（物品、货币、英雄、皮肤）
+ * 分群或全服邮件由 MailBroadcast 记录，玩家打开邮箱时生成各自的副本
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// 邮件状态
+const MAIL_STATUS = {
+  UNREAD: 'unread',   // 未读
+  READ: 'read',       // 已读
+  CLAIMED: 'claimed'  // 附件已领取
+};
+
+/**
+ * 附件 Schema，MailBroadcast 共用
+ */
+const attachmentsSchema = new Schema({
+  items: [{
+    _id: false,
+    itemId: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  currencies: [{
+    _id: false,
+    currencyType: { type: String, required: true },
+    amount: { type: Number, required: true, min: 1 }
+  }],
+  heroes: [{
+    _id: false,
+    heroId: { type: String, required: true }
+  }],
+  // 皮肤ID，皮肤定义见内容库
+  skins: [{
+    _id: false,
+    skinId: { type: String, required: true }
+  }]
+}, { _id: false });
+
+/**
+ * 邮件 Schema
+ */
+const mailSchema = new Schema({
+  recipientId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 发件人，系统邮件为空，管理员邮件为管理员ID
+  senderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  content: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  },
+  attachments: {
+    type: attachmentsSchema,
+    default: () => ({})
+  },
+  // 由分群或全服邮件生成的副本，记录来源广播，每个玩家只生成一次
+  broadcastId: {
+    type: Schema.Types.ObjectId,
+    ref: 'MailBroadcast',
+    default: null
+  },
+  // 邮件来源，用于追溯（如 { type: 'auction_return', refId: 拍卖ID }）
+  source: {
+    type: {
+      type: String
+    },
+    refId: {
+      type: String
+    }
+  },
+  status: {
+    type: String,
+    enum: Object.values(MAIL_STATUS),
+    default: MAIL_STATUS.UNREAD
+  },
+  claimedAt: {
+    type: Date
+  },
+  // 玩家删除邮件，保留记录用于追溯和防止广播邮件重复生成
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+mailSchema.index({ recipientId: 1, createdAt: -1 });
+mailSchema.index({ expiresAt: 1 });
+mailSchema.index(
+  { recipientId: 1, broadcastId: 1 },
+  { unique: true, partialFilterExpression: { broadcastId: { $type: 'objectId' } } }
+);
+
+const Mail = mongoose.model('Mail', mailSchema);
+
+module.exports = Mail;
+module.exports.MAIL_STATUS = MAIL_STATUS;
+module.exports.attachmentsSchema = attachmentsSchema;
@@ -0,0 +1,75 @@
+/**
+ * 广播邮件模型
+ * 发给一个玩家分群（VIP等级、段位、公会）或全服玩家的邮件
+ * 不预先为每个玩家写入邮件，玩家打开邮箱时按分群条件生成 Mail 副本
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { attachmentsSchema } = require('./mail.model');
+
+/**
+ * 广播邮件 Schema
+ */
+const mailBroadcastSchema = new Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  content: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  },
+  attachments: {
+    type: attachmentsSchema,
+    default: () => ({})
+  },
+  // 分群条件，各条件同时满足；全部为空表示全服邮件
+  segment: {
+    // 最低VIP等级
+    minVipLevel: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // 段位，满足其一即可
+    tiers: [{
+      type: String
+    }],
+    guildId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Guild',
+      default: null
+    }
+  },
+  // 发送的管理员
+  senderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  source: {
+    type: {
+      type: String
+    },
+    refId: {
+      type: String
+    }
+  },
+  // 生成的邮件副本与广播同时过期，过期后不再生成
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+mailBroadcastSchema.index({ expiresAt: 1, createdAt: 1 });
+
+const MailBroadcast = mongoose.model('MailBroadcast', mailBroadcastSchema);
+
+module.exports = MailBroadcast;
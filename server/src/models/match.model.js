@@ -0,0 +1,89 @@
+/**
+ * 自走棋对局记录模型
+ * 对局结束后保存最终排名和排位积分变化
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * 对局玩家结果 Schema
+ */
+const matchPlayerSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  placement: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 结束时剩余生命值和等级
+  hp: {
+    type: Number,
+    default: 0
+  },
+  level: {
+    type: Number,
+    default: 1
+  },
+  // 被淘汰的回合，存活到最后为null
+  eliminatedRound: {
+    type: Number,
+    default: null
+  },
+  // 排位积分变化，非排位赛为0
+  rankPointsDelta: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * 对局 Schema
+ */
+const matchSchema = new Schema({
+  matchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ranked: {
+    type: Boolean,
+    default: true
+  },
+  // 对局种子，各回合战斗种子由此派生
+  seed: {
+    type: String,
+    required: true
+  },
+  rounds: {
+    type: Number,
+    default: 0
+  },
+  players: [matchPlayerSchema],
+  // 每回合的对阵、战斗种子和胜者
+  roundHistory: {
+    type: Schema.Types.Mixed,
+    default: []
+  },
+  startedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// 索引
+matchSchema.index({ 'players.userId': 1, endedAt: -1 });
+matchSchema.index({ endedAt: -1 });
+
+const Match = mongoose.model('Match', matchSchema);
+
+module.exports = Match;
@@ -0,0 +1,94 @@
+/**
+ * 玩家排位数据模型
+ * 保存隐藏分（MMR）、晋级赛和降级保护状态；排位积分和段位仍保存在 User.stats 中
+ * MMR 只用于匹配和结算，不对客户端展示
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * 晋级赛状态 Schema
+ */
+const promotionSchema = new Schema({
+  active: {
+    type: Boolean,
+    default: false
+  },
+  // 晋级目标段位
+  targetTier: {
+    type: String,
+    default: null
+  },
+  games: {
+    type: Number,
+    default: 0
+  },
+  wins: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * 玩家排位 Schema
+ */
+const playerRatingSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  mmr: {
+    type: Number,
+    required: true
+  },
+  // 数据所属的赛季编号，落后于当前赛季时需要软重置
+  season: {
+    type: Number,
+    required: true
+  },
+  promotion: {
+    type: promotionSchema,
+    default: () => ({})
+  },
+  // 剩余的降级保护场次
+  demotionShield: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // 本赛季排位场次和最高段位
+  seasonGames: {
+    type: Number,
+    default: 0
+  },
+  peakTier: {
+    type: String,
+    default: null
+  },
+  // 上赛季的最终段位和积分，软重置时写入；rewardPending 表示赛季奖励待发放，finalRank 为发放时计算的最终排名
+  previousSeason: {
+    season: Number,
+    rankTier: String,
+    rankPoints: Number,
+    seasonGames: Number,
+    rewardPending: Boolean,
+    finalRank: Number
+  },
+  lastMatchAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+playerRatingSchema.index({ season: 1 });
+playerRatingSchema.index({ 'previousSeason.season': 1, 'previousSeason.rankPoints': -1 });
+playerRatingSchema.index({ 'previousSeason.rewardPending': 1 });
+
+const PlayerRating = mongoose.model('PlayerRating', playerRatingSchema);
+
+module.exports = PlayerRating;
@@ -0,0 +1,62 @@
+/**
+ * 任务进度模型
+ * 每个玩家每个任务周期（某天或某周）一条记录，周期重置后使用新记录，旧记录自动清理
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { QUEST_PERIOD } = require('../game/data/quests');
+
+/**
+ * 任务进度 Schema
+ */
+const questProgressSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: Object.values(QUEST_PERIOD),
+    required: true
+  },
+  // 周期开始的日期，如 2026-10-19
+  cycleKey: {
+    type: String,
+    required: true
+  },
+  // 任务ID -> 事件累计数量，可能超过任务目标
+  progress: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // 已领取奖励的任务ID
+  claimedQuests: [{
+    type: String
+  }],
+  // 领取任务奖励获得的活跃度
+  activityPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // 已领取的活跃度宝箱ID
+  claimedChests: [{
+    type: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 索引
+questProgressSchema.index({ userId: 1, period: 1, cycleKey: 1 }, { unique: true });
+// 进度记录保留21天后自动删除，足够覆盖每周任务周期
+questProgressSchema.index({ createdAt: 1 }, { expireAfterSeconds: 21 * 24 * 60 * 60 });
+
+const QuestProgress = mongoose.model('QuestProgress', questProgressSchema);
+
+module.exports = QuestProgress;
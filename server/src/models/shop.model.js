@@ -67,9 +67,9 @@ const shopSchema = new mongoose.Schema({
       }
     }],
     items: [{
+      // 物品模板ID，见 game/data/items.js
       itemId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Item'
+        type: String
       },
       quantity: {
         type: Number,
@@ -4,7 +4,7 @@
  */
 
 const mongoose = require('mongoose');
-const bcrypt = require('bcrypt'); // 使用bcrypt而非bcryptjs，性能更好
+const bcrypt = require('bcryptjs');
 const config = require('../config');
 const crypto = require('crypto');
 
@@ -49,7 +49,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'superadmin'],
+    enum: ['user', 'moderator', 'admin', 'superadmin'],
     default: 'user'
   },
   
@@ -86,14 +86,37 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // PVP荣誉点数
+    honor: {
+      type: Number,
+      default: 0
+    },
+    // 公会贡献
+    guildContribution: {
+      type: Number,
+      default: 0
+    },
     heroes: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Hero'
     }],
-    items: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Item'
+    // 已拥有的皮肤ID，皮肤定义见内容库
+    skins: [{
+      type: String
     }],
+    // 当前使用的皮肤ID
+    activeSkinId: {
+      type: String
+    },
+    // 装备校验哈希，装备状态变化时由 EquipmentEngine 重新计算
+    equipmentHash: {
+      type: String
+    },
+    // 背包格子数，物品实例见 Item 模型
+    bagCapacity: {
+      type: Number,
+      default: config.inventory.defaultBagCapacity
+    },
   },
   
   // 游戏统计
@@ -156,6 +179,12 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // 注册渠道，注册时写入后不再变更，CDK批次的渠道规则按此判断
+  channel: {
+    type: String,
+    default: config.account.defaultChannel,
+    index: true
+  },
   passwordChangedAt: {
     type: Date
   },
@@ -364,7 +393,7 @@ userSchema.methods.getGameData = function() {
     gold: this.gameProfile.gold,
     diamond: this.gameProfile.diamond,
     heroes: this.gameProfile.heroes,
-    items: this.gameProfile.items,
+    bagCapacity: this.gameProfile.bagCapacity,
     stats: this.stats,
     vipLevel: this.paymentInfo.vipLevel
   };
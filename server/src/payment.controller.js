@@ -10,6 +10,8 @@ const Shop = require('./models/shop.model');
 const config = require('./config');
 const mongoose = require('mongoose');
 const { maskSensitiveData } = require('./controllers/encryption');
+const InventoryService = require('./game/inventory/inventoryService');
+const MailService = require('./game/mail/mailService');
 const { 
   generateOrderId, 
   generatePaymentSignature, 
@@ -344,6 +346,24 @@ exports.handlePaymentCallback = async (req, res) => {
             user.paymentInfo.vipExpiry = new Date(vipExpiry.getTime() + msToAdd);
           }
           
+          // 发放物品 - 背包已满时改为邮件发放，不影响已支付的订单
+          if (product.rewards.items && product.rewards.items.length > 0) {
+            const items = product.rewards.items.map(item => ({ itemId: item.itemId, quantity: item.quantity }));
+            const grantResult = await InventoryService.grantItems(userId, items, { source: 'shop', session });
+            
+            if (grantResult.reason === 'BAG_FULL') {
+              await MailService.sendSystemMail({
+                recipientId: userId,
+                title: '商品物品补发',
+                content: `您购买的 ${product.name} 因背包空间不足，物品已通过邮件发放`,
+                attachments: { items },
+                source: { type: 'payment', refId: orderId }
+              }, session);
+            } else if (!grantResult.success) {
+              throw new Error(`物品发放失败: ${grantResult.reason}`);
+            }
+          }
+          
           // 更新用户总消费金额 - 使用安全的数值操作
           const currentSpent = user.paymentInfo.totalSpent || 0;
           user.paymentInfo.totalSpent = currentSpent + parseFloat(payment._rawAmount || amount);
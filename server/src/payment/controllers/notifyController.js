@@ -10,6 +10,8 @@ const PaymentTransaction = require('../models/PaymentTransaction');
 const PaymentConfig = require('../models/PaymentConfig');
 const User = require('../../models/user.model');
 const logger = require('../../utils/logger');
+const InventoryService = require('../../game/inventory/inventoryService');
+const MailService = require('../../game/mail/mailService');
 
 // 导入支付处理控制器以使用商品发放函数
 const paymentController = require('./paymentController');
@@ -437,27 +439,24 @@ async function handleProductDelivery(userId, productId, quantity, session) {
         }
         break;
         
-      case 'item':
-        // 发放道具
-        if (!user.gameProfile.items) {
-          user.gameProfile.items = [];
-        }
-        
-        const existingItem = user.gameProfile.items.find(item => item.itemId === product.itemId);
+      case 'item': {
+        // 发放道具，背包已满时改为邮件发放
+        const items = [{ itemId: product.itemId, quantity }];
+        const grantResult = await InventoryService.grantItems(userId, items, { source: 'payment', session });
         
-        if (existingItem) {
-          // 已有道具，增加数量
-          existingItem.quantity += quantity;
-        } else {
-          // 新道具
-          user.gameProfile.items.push({
-            itemId: product.itemId,
-            name: product.name,
-            quantity,
-            expiryDate: product.itemInfo?.expiry ? new Date(Date.now() + product.itemInfo.expiry * 1000) : null
-          });
+        if (grantResult.reason === 'BAG_FULL') {
+          await MailService.sendSystemMail({
+            recipientId: userId,
+            title: '商品道具补发',
+            content: `您购买的 ${product.name} 因背包空间不足，道具已通过邮件发放`,
+            attachments: { items },
+            source: { type: 'payment', refId: productId.toString() }
+          }, session);
+        } else if (!grantResult.success) {
+          throw new Error(`道具发放失败: ${grantResult.reason}`);
         }
         break;
+      }
         
       default:
         logger.warn('未知的商品类型', { type: product.type, productId });
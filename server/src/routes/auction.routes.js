@@ -0,0 +1,27 @@
+/**
+ * 拍卖行路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const auctionController = require('../controllers/auction.controller');
+
+// 搜索在售拍卖 - GET /api/auction
+router.get('/', auctionController.searchListings);
+
+// 我的拍卖 - GET /api/auction/mine?role=selling|bidding
+router.get('/mine', auctionController.getMyAuctions);
+
+// 上架物品 - POST /api/auction
+router.post('/', auctionController.createListing);
+
+// 出价 - POST /api/auction/:auctionId/bid
+router.post('/:auctionId/bid', auctionController.placeBid);
+
+// 一口价购买 - POST /api/auction/:auctionId/buyout
+router.post('/:auctionId/buyout', auctionController.buyout);
+
+// 撤销拍卖 - DELETE /api/auction/:auctionId
+router.delete('/:auctionId', auctionController.cancelListing);
+
+module.exports = router;
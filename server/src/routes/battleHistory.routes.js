@@ -0,0 +1,15 @@
+/**
+ * 战斗记录路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const battleHistoryController = require('../controllers/battleHistory.controller');
+
+// 战斗记录 - GET /api/battles/history?source=&battleType=&result=&from=&to=&page=&pageSize=
+router.get('/history', battleHistoryController.getHistory);
+
+// 战斗回放 - GET /api/battles/replays/:replayId
+router.get('/replays/:replayId', battleHistoryController.getReplay);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * 聊天路由
+ * 消息发送和频道加入通过 WebSocket 完成
+ */
+
+const express = require('express');
+const router = express.Router();
+const chatController = require('../controllers/chat.controller');
+const { checkModerator } = require('../middlewares/auth.middleware');
+
+// 频道历史消息 - GET /api/chat/history?channelType=&channelId=&before=&pageSize=
+router.get('/history', chatController.getHistory);
+
+// 屏蔽名单 - GET /api/chat/blocks
+router.get('/blocks', chatController.getBlockList);
+
+// 屏蔽玩家 - POST /api/chat/blocks/:userId
+router.post('/blocks/:userId', chatController.blockUser);
+
+// 取消屏蔽 - DELETE /api/chat/blocks/:userId
+router.delete('/blocks/:userId', chatController.unblockUser);
+
+// 自己的禁言状态 - GET /api/chat/mute
+router.get('/mute', chatController.getMuteStatus);
+
+// 版主删除消息 - DELETE /api/chat/moderation/messages/:messageId
+router.delete('/moderation/messages/:messageId', checkModerator, chatController.deleteMessage);
+
+// 版主禁言玩家 - POST /api/chat/moderation/mutes/:userId
+router.post('/moderation/mutes/:userId', checkModerator, chatController.muteUser);
+
+// 版主解除禁言 - DELETE /api/chat/moderation/mutes/:userId
+router.delete('/moderation/mutes/:userId', checkModerator, chatController.unmuteUser);
+
+module.exports = router;
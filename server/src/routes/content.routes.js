@@ -0,0 +1,30 @@
+/**
+ * 游戏内容管理路由（仅管理员）
+ */
+
+const express = require('express');
+const router = express.Router();
+const contentController = require('../controllers/content.controller');
+
+// 版本列表 - GET /api/content?status=
+router.get('/', contentController.listVersions);
+
+// 当前生效版本 - GET /api/content/current
+router.get('/current', contentController.getCurrentVersion);
+
+// 版本详情 - GET /api/content/:version
+router.get('/:version', contentController.getVersion);
+
+// 创建草稿 - POST /api/content
+router.post('/', contentController.createDraft);
+
+// 更新草稿 - PUT /api/content/:version
+router.put('/:version', contentController.updateDraft);
+
+// 校验版本 - POST /api/content/:version/validate
+router.post('/:version/validate', contentController.validateVersion);
+
+// 发布版本 - POST /api/content/:version/publish
+router.post('/:version/publish', contentController.publishVersion);
+
+module.exports = router;
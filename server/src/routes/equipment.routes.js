@@ -0,0 +1,24 @@
+/**
+ * 装备养成路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const equipmentController = require('../controllers/equipment.controller');
+
+// 养成记录 - GET /api/equipment/history?itemId=
+router.get('/history', equipmentController.getHistory);
+
+// 强化 - POST /api/equipment/:instanceId/enhance
+router.post('/:instanceId/enhance', equipmentController.enhance);
+
+// 精炼 - POST /api/equipment/:instanceId/refine
+router.post('/:instanceId/refine', equipmentController.refine);
+
+// 镶嵌宝石 - POST /api/equipment/:instanceId/sockets/:socketIndex
+router.post('/:instanceId/sockets/:socketIndex', equipmentController.socketGem);
+
+// 拆除宝石 - DELETE /api/equipment/:instanceId/sockets/:socketIndex
+router.delete('/:instanceId/sockets/:socketIndex', equipmentController.unsocketGem);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * 好友路由
+ * 好友对战邀请通过 WebSocket 完成
+ */
+
+const express = require('express');
+const router = express.Router();
+const friendController = require('../controllers/friend.controller');
+
+// 好友列表及在线状态 - GET /api/friends
+router.get('/', friendController.getFriends);
+
+// 待处理的好友申请 - GET /api/friends/requests
+router.get('/requests', friendController.getRequests);
+
+// 发送好友申请 - POST /api/friends/requests { userId | username, message }
+router.post('/requests', friendController.sendRequest);
+
+// 同意好友申请 - POST /api/friends/requests/:requestId/accept
+router.post('/requests/:requestId/accept', friendController.acceptRequest);
+
+// 拒绝好友申请 - POST /api/friends/requests/:requestId/decline
+router.post('/requests/:requestId/decline', friendController.declineRequest);
+
+// 撤回好友申请 - DELETE /api/friends/requests/:requestId
+router.delete('/requests/:requestId', friendController.cancelRequest);
+
+// 屏蔽玩家 - POST /api/friends/blocks/:userId
+router.post('/blocks/:userId', friendController.blockUser);
+
+// 取消屏蔽 - DELETE /api/friends/blocks/:userId
+router.delete('/blocks/:userId', friendController.unblockUser);
+
+// 删除好友 - DELETE /api/friends/:friendId
+router.delete('/:friendId', friendController.removeFriend);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * 公会金库路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const guildTreasuryController = require('../controllers/guildTreasury.controller');
+
+// 金库概览 - GET /api/guild-treasury
+router.get('/', guildTreasuryController.getTreasury);
+
+// 金库流水 - GET /api/guild-treasury/logs?type=&page=&limit=
+router.get('/logs', guildTreasuryController.getLogs);
+
+// 捐献 - POST /api/guild-treasury/donate
+router.post('/donate', guildTreasuryController.donate);
+
+// 开启公会增益 - POST /api/guild-treasury/buffs/:buffId
+router.post('/buffs/:buffId', guildTreasuryController.purchaseBuff);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * 公会战路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const guildWarController = require('../controllers/guildWar.controller');
+
+// 本周赛季 - GET /api/guild-war/season
+router.get('/season', guildWarController.getCurrentSeason);
+
+// 所在公会的公会战状态 - GET /api/guild-war/me
+router.get('/me', guildWarController.getMyStatus);
+
+// 报名 - POST /api/guild-war/signup
+router.post('/signup', guildWarController.signUp);
+
+module.exports = router;
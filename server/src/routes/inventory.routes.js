@@ -0,0 +1,21 @@
+/**
+ * 背包路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventory.controller');
+
+// 获取背包 - GET /api/inventory
+router.get('/', inventoryController.getInventory);
+
+// 使用物品 - POST /api/inventory/:instanceId/use
+router.post('/:instanceId/use', inventoryController.useItem);
+
+// 出售物品 - POST /api/inventory/:instanceId/sell
+router.post('/:instanceId/sell', inventoryController.sellItem);
+
+// 丢弃物品 - DELETE /api/inventory/:instanceId
+router.delete('/:instanceId', inventoryController.discardItem);
+
+module.exports = router;
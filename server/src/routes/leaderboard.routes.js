@@ -0,0 +1,15 @@
+/**
+ * 排行榜路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const leaderboardController = require('../controllers/leaderboard.controller');
+
+// 排行榜 - GET /api/leaderboard?type=&scope=&tier=&page=&pageSize=
+router.get('/', leaderboardController.getLeaderboard);
+
+// 自己的排名 - GET /api/leaderboard/me?type=&scope=&tier=
+router.get('/me', leaderboardController.getMyRank);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * 邮件路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const mailController = require('../controllers/mail.controller');
+const { checkAdmin } = require('../middlewares/auth.middleware');
+
+// 邮箱列表 - GET /api/mail?page=&pageSize=
+router.get('/', mailController.getMails);
+
+// 未读和未领取附件的邮件数 - GET /api/mail/summary
+router.get('/summary', mailController.getSummary);
+
+// 一键领取所有附件 - POST /api/mail/claim-all
+router.post('/claim-all', mailController.claimAll);
+
+// 管理员发送邮件 - POST /api/mail/admin/send { recipientIds | segment, title, content, attachments, ttlDays }
+router.post('/admin/send', checkAdmin, mailController.sendMail);
+
+// 阅读邮件 - GET /api/mail/:mailId
+router.get('/:mailId', mailController.readMail);
+
+// 领取附件 - POST /api/mail/:mailId/claim
+router.post('/:mailId/claim', mailController.claimAttachments);
+
+// 删除邮件 - DELETE /api/mail/:mailId
+router.delete('/:mailId', mailController.deleteMail);
+
+module.exports = router;
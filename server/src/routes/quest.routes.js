@@ -0,0 +1,18 @@
+/**
+ * 任务路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const questController = require('../controllers/quest.controller');
+
+// 当前的每日和每周任务 - GET /api/quests
+router.get('/', questController.getQuests);
+
+// 领取活跃度宝箱 - POST /api/quests/chests/:chestId/claim
+router.post('/chests/:chestId/claim', questController.claimChest);
+
+// 领取任务奖励 - POST /api/quests/:questId/claim
+router.post('/:questId/claim', questController.claimQuest);
+
+module.exports = router;
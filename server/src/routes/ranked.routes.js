@@ -0,0 +1,18 @@
+/**
+ * 排位赛路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const rankedController = require('../controllers/ranked.controller');
+
+// 当前赛季 - GET /api/ranked/season
+router.get('/season', rankedController.getSeason);
+
+// 自己的段位 - GET /api/ranked/me
+router.get('/me', rankedController.getMyRank);
+
+// 匹配状态 - GET /api/ranked/queue
+router.get('/queue', rankedController.getQueueStatus);
+
+module.exports = router;
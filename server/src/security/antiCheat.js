@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const config = require('../config/security.config');
 const logger = require('../utils/logger');
+const LedgerEntry = require('../models/ledger.model');
 const Redis = require('ioredis');
 
 // 是否使用Redis存储异常检测数据
@@ -186,15 +187,21 @@ class AntiCheat {
       // 设置过期时间
       await redisClient.expire(key, windowHours * 60 * 60);
     } else {
-      // 使用数据库查询
-      const resourceRecords = await mongoose.model('ResourceTransaction').find({
-        userId,
-        resourceType,
-        timestamp: { $gte: windowStartTime },
-        type: 'gain'
-      });
+      // 使用货币账本查询窗口内的入账总额（不含期初余额和出价退还）
+      const [result] = await LedgerEntry.aggregate([
+        {
+          $match: {
+            accountId: userId.toString(),
+            currencyType: resourceType,
+            direction: 'credit',
+            transactionType: { $nin: ['opening_balance', 'auction_refund'] },
+            createdAt: { $gte: windowStartTime }
+          }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
       
-      totalResourceInWindow = resourceRecords.reduce((total, record) => total + record.amount, 0);
+      totalResourceInWindow = result ? result.total : 0;
     }
     
     // 获取该用户的资源获取基线（根据等级、游戏进度等）
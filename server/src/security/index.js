@@ -10,6 +10,7 @@ const dbEncryption = require('./dbEncryption');        // 新增: 数据库加
 const auditLog = require('./auditLogEnhanced');       // 新增: 增强版审计日志
 const paymentSignature = require('./paymentSignature'); // 新增: 支付签名验证
 const rbac = require('./rbac');                       // 新增: 基于角色的访问控制
+const BattleStateStore = require('../game/battle/battleStateStore');
 const config = require('../config/security.config');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
@@ -413,21 +414,8 @@ class GameSecurity {
    */
   static async verifyBattleExists(battleId, userId) {
     try {
-      // 实际实现中，应该查询数据库验证战斗ID是否存在
-      // 并且验证该用户是否有权限访问该战斗记录
-      
-      // 示例实现：
-      const Battle = mongoose.model('Battle');
-      const battle = await Battle.findOne({ 
-        _id: battleId,
-        $or: [
-          { userId: userId },
-          { participants: userId },
-          { 'teamMembers.userId': userId }
-        ]
-      });
-      
-      return !!battle;
+      // 通过战斗状态仓库查询（优先命中热缓存），并验证该用户是否参与了该战斗
+      return await BattleStateStore.isParticipant(battleId, userId);
     } catch (error) {
       logger.error('验证战斗存在性失败', {
         error: error.message,
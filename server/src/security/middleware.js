@@ -0,0 +1,18 @@
+/**
+ * 游戏服务安全事件记录
+ * 战斗、经济、背包等游戏服务通过这里记录安全相关事件，统一写入安全日志
+ */
+const logger = require('../utils/logger');
+
+/**
+ * 记录安全事件
+ * @param {string} event - 事件类型，如 BALANCE_VERIFICATION_FAILED
+ * @param {Object} details - 事件详情
+ */
+function logSecurityEvent(event, details = {}) {
+  logger.security(`安全事件: ${event}`, { event, ...details });
+}
+
+module.exports = {
+  logSecurityEvent
+};
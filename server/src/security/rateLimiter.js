@@ -67,6 +67,41 @@ const ACTION_LIMITS = {
     maxCount: 5,       // 5条/3秒
     windowMs: 3000
   },
+  // 世界频道发言
+  'chat_world': {
+    maxCount: 1,       // 1条/5秒
+    windowMs: 5000
+  },
+  // 公会频道发言
+  'chat_guild': {
+    maxCount: 5,       // 5条/5秒
+    windowMs: 5000
+  },
+  // 战斗房间发言
+  'chat_battle': {
+    maxCount: 3,       // 3条/3秒
+    windowMs: 3000
+  },
+  // 私聊
+  'chat_private': {
+    maxCount: 5,       // 5条/3秒
+    windowMs: 3000
+  },
+  // 好友对战邀请
+  'battle_invite': {
+    maxCount: 3,       // 3次/10秒
+    windowMs: 10000
+  },
+  // 加入或退出排位匹配
+  'matchmaking': {
+    maxCount: 3,       // 3次/5秒
+    windowMs: 5000
+  },
+  // 加入战斗房间
+  'join_battle': {
+    maxCount: 5,       // 5次/5秒
+    windowMs: 5000
+  },
   // 其他操作默认配置
   'default': {
     maxCount: 15,      // 15次/秒
@@ -225,7 +260,7 @@ class RateLimiter {
   static startCleanupInterval(interval = 30000) {
     // 仅在使用内存存储时需要定期清理
     if (!useRedis || !redisClient || redisClient.status !== 'ready') {
-      setInterval(() => this.cleanupExpiredRecords(), interval);
+      setInterval(() => this.cleanupExpiredRecords(), interval).unref();
     }
   }
 }
@@ -158,7 +158,7 @@ class SocketNonceStore {
   static startCleanupInterval(interval = 60000) {
     // 仅在使用内存存储时需要定期清理
     if (!useRedis || !redisClient || redisClient.status !== 'ready') {
-      setInterval(() => this.cleanExpiredNonces(), interval);
+      setInterval(() => this.cleanExpiredNonces(), interval).unref();
     }
   }
 }
@@ -303,6 +303,15 @@ async function cleanupLogs(maxAgeDays = 30) {
 module.exports = {
   ...logger,
   
+  // 日志级别方法在winston实例的原型上，展开运算不会复制，需要单独绑定
+  log: logger.log.bind(logger),
+  error: logger.error.bind(logger),
+  warn: logger.warn.bind(logger),
+  info: logger.info.bind(logger),
+  http: logger.http.bind(logger),
+  verbose: logger.verbose.bind(logger),
+  debug: logger.debug.bind(logger),
+  
   /**
    * 记录敏感操作，添加额外安全标记
    * @param {string} message - 日志消息
@@ -0,0 +1,61 @@
+/**
+ * 屏蔽词过滤工具
+ * 将玩家文本中的屏蔽词替换为 *，词库见 config.chat.profanityWords
+ */
+
+const config = require('../config');
+
+// 屏蔽词字符之间允许夹杂的分隔符，防止用空格、标点拆字绕过
+const SEPARATOR = '[\\s\\p{P}\\p{S}_]*';
+
+let cachedWords = null;
+let cachedPattern = null;
+
+/**
+ * 转义正则特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 根据词库构造匹配正则，词库未变化时复用
+ * @param {string[]} words - 屏蔽词列表
+ * @returns {RegExp|null} 匹配正则，词库为空时为 null
+ */
+function getPattern(words) {
+  if (words === cachedWords) return cachedPattern;
+
+  const alternatives = words
+    .filter(word => typeof word === 'string' && word.trim())
+    // 长词优先匹配，避免短词只替换掉长词的一部分
+    .sort((a, b) => b.length - a.length)
+    .map(word => Array.from(word.trim()).map(escapeRegExp).join(SEPARATOR));
+
+  cachedWords = words;
+  cachedPattern = alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'giu') : null;
+  return cachedPattern;
+}
+
+/**
+ * 过滤文本中的屏蔽词
+ * @param {string} text - 原始文本
+ * @param {string[]} [words] - 屏蔽词列表，默认使用配置词库
+ * @returns {Object} { text: 过滤后的文本, filtered: 是否命中屏蔽词 }
+ */
+exports.filterProfanity = (text, words = config.chat.profanityWords) => {
+  const pattern = getPattern(words);
+  if (!pattern || typeof text !== 'string') {
+    return { text, filtered: false };
+  }
+
+  let filtered = false;
+  const result = text.replace(pattern, (match) => {
+    filtered = true;
+    return '*'.repeat(Array.from(match).length);
+  });
+
+  return { text: result, filtered };
+};
@@ -183,4 +183,30 @@ exports.sanitizeLogData = (logData) => {
   };
 
   return sanitizeObject(sanitized);
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * 清理玩家输入的文本（聊天、签名等），移除HTML标签、控制字符和零宽字符
+ * 输出到页面时仍需由前端转义
+ * @param {string} text - 原始文本
+ * @param {number} [maxLength] - 最大长度，超出部分截断
+ * @returns {string} 清理后的文本
+ */
+exports.sanitizeUserText = (text, maxLength) => {
+  if (typeof text !== 'string') return '';
+
+  let sanitized = text
+    // 移除HTML标签
+    .replace(/<[^>]*>/g, '')
+    // 移除控制字符（保留换行）和零宽字符
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F\u200B-\u200F\u2028-\u202E\uFEFF]/g, '')
+    // 合并多余的空行
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (maxLength && sanitized.length > maxLength) {
+    sanitized = sanitized.slice(0, maxLength);
+  }
+
+  return sanitized;
+};
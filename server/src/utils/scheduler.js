@@ -157,6 +157,355 @@ function startLogCleanupTask(options = {}) {
   return taskId;
 }
 
+/**
+ * 启动账本审计任务
+ * 定期重放货币账本，检查玩家余额与账本是否一致
+ * @param {Object} options - 配置选项
+ * @returns {string} 任务ID
+ */
+function startLedgerAuditTask(options = {}) {
+  const taskId = 'ledger-audit';
+  
+  // 如果任务已存在，先停止它
+  if (scheduledTasks.has(taskId)) {
+    stopTask(taskId);
+  }
+  
+  // 设置检查间隔 - 默认每天执行一次
+  const checkInterval = options.checkInterval || 24 * 60 * 60 * 1000; // 24小时
+  
+  logger.info('启动账本审计任务', {
+    taskId,
+    checkInterval: `${checkInterval/1000/60/60}小时`
+  });
+  
+  // 定义任务函数
+  const auditTask = async () => {
+    try {
+      // 延迟加载，避免启动时的循环依赖
+      const EconomyService = require('../game/economy/economyService');
+      const result = await EconomyService.auditLedger();
+      
+      const task = scheduledTasks.get(taskId);
+      if (task) {
+        task.lastRun = new Date();
+        task.nextRun = new Date(Date.now() + checkInterval);
+      }
+      
+      if (result.success && (result.mismatches.length > 0 || result.unbalancedTransactions.length > 0)) {
+        // 在实际环境中，这里应该调用告警系统
+        logger.error('账本审计发现不一致', {
+          mismatches: result.mismatches.length,
+          unbalancedTransactions: result.unbalancedTransactions.length
+        });
+      }
+    } catch (err) {
+      logger.error('账本审计任务发生错误', { error: err.message });
+    }
+  };
+  
+  // 启动定时任务
+  const timerId = setInterval(auditTask, checkInterval);
+  
+  // 存储任务信息
+  scheduledTasks.set(taskId, {
+    id: timerId,
+    type: 'interval',
+    name: '账本审计',
+    interval: checkInterval,
+    lastRun: null,
+    nextRun: new Date(Date.now() + checkInterval),
+    status: 'running'
+  });
+  
+  return taskId;
+}
+
+/**
+ * 启动拍卖结算任务
+ * 定期结算已到期的拍卖：成交的付款给卖家，流拍的物品邮寄退回
+ * @param {Object} options - 配置选项
+ * @returns {string} 任务ID
+ */
+function startAuctionSettlementTask(options = {}) {
+  const taskId = 'auction-settlement';
+  
+  // 如果任务已存在，先停止它
+  if (scheduledTasks.has(taskId)) {
+    stopTask(taskId);
+  }
+  
+  // 设置检查间隔 - 默认每分钟执行一次
+  const checkInterval = options.checkInterval || 60 * 1000;
+  
+  logger.info('启动拍卖结算任务', {
+    taskId,
+    checkInterval: `${checkInterval/1000}秒`
+  });
+  
+  // 定义任务函数
+  const settlementTask = async () => {
+    try {
+      // 延迟加载，避免启动时的循环依赖
+      const AuctionService = require('../game/economy/auctionService');
+      await AuctionService.processExpiredAuctions({ limit: options.batchSize || 100 });
+      
+      const task = scheduledTasks.get(taskId);
+      if (task) {
+        task.lastRun = new Date();
+        task.nextRun = new Date(Date.now() + checkInterval);
+      }
+    } catch (err) {
+      logger.error('拍卖结算任务发生错误', { error: err.message });
+    }
+  };
+  
+  // 启动定时任务
+  const timerId = setInterval(settlementTask, checkInterval);
+  
+  // 存储任务信息
+  scheduledTasks.set(taskId, {
+    id: timerId,
+    type: 'interval',
+    name: '拍卖结算',
+    interval: checkInterval,
+    lastRun: null,
+    nextRun: new Date(Date.now() + checkInterval),
+    status: 'running'
+  });
+  
+  return taskId;
+}
+
+/**
+ * 启动游戏内容热更新任务
+ * 定期检查内容库是否发布了新版本，多实例部署时保证各实例使用同一版本
+ * @param {Object} options - 配置选项
+ * @returns {string} 任务ID
+ */
+function startContentReloadTask(options = {}) {
+  const taskId = 'content-reload';
+  
+  // 如果任务已存在，先停止它
+  if (scheduledTasks.has(taskId)) {
+    stopTask(taskId);
+  }
+  
+  // 设置检查间隔 - 默认每30秒检查一次
+  const checkInterval = options.checkInterval || 30 * 1000;
+  
+  logger.info('启动游戏内容热更新任务', {
+    taskId,
+    checkInterval: `${checkInterval/1000}秒`
+  });
+  
+  // 定义任务函数
+  const reloadTask = async () => {
+    try {
+      // 延迟加载，避免启动时的循环依赖
+      const ContentStore = require('../game/content/contentStore');
+      await ContentStore.refresh();
+      
+      const task = scheduledTasks.get(taskId);
+      if (task) {
+        task.lastRun = new Date();
+        task.nextRun = new Date(Date.now() + checkInterval);
+      }
+    } catch (err) {
+      logger.error('游戏内容热更新任务发生错误', { error: err.message });
+    }
+  };
+  
+  // 启动定时任务
+  const timerId = setInterval(reloadTask, checkInterval);
+  
+  // 存储任务信息
+  scheduledTasks.set(taskId, {
+    id: timerId,
+    type: 'interval',
+    name: '游戏内容热更新',
+    interval: checkInterval,
+    lastRun: null,
+    nextRun: new Date(Date.now() + checkInterval),
+    status: 'running'
+  });
+  
+  // 启动时立即加载已发布的内容，不等待第一个检查周期
+  reloadTask();
+  
+  return taskId;
+}
+
+/**
+ * 启动公会战赛季任务
+ * 定期推进公会战赛季：创建本周赛季、报名截止后匹配对手、战斗时段结束后结算奖励
+ * @param {Object} options - 配置选项
+ * @returns {string} 任务ID
+ */
+function startGuildWarTask(options = {}) {
+  const taskId = 'guild-war';
+  
+  // 如果任务已存在，先停止它
+  if (scheduledTasks.has(taskId)) {
+    stopTask(taskId);
+  }
+  
+  // 设置检查间隔 - 默认每5分钟执行一次
+  const checkInterval = options.checkInterval || 5 * 60 * 1000;
+  
+  logger.info('启动公会战赛季任务', {
+    taskId,
+    checkInterval: `${checkInterval/1000}秒`
+  });
+  
+  // 定义任务函数
+  const guildWarTask = async () => {
+    try {
+      // 延迟加载，避免启动时的循环依赖
+      const GuildWarService = require('../game/guild/guildWarService');
+      await GuildWarService.processSeasons();
+      
+      const task = scheduledTasks.get(taskId);
+      if (task) {
+        task.lastRun = new Date();
+        task.nextRun = new Date(Date.now() + checkInterval);
+      }
+    } catch (err) {
+      logger.error('公会战赛季任务发生错误', { error: err.message });
+    }
+  };
+  
+  // 启动定时任务
+  const timerId = setInterval(guildWarTask, checkInterval);
+  
+  // 存储任务信息
+  scheduledTasks.set(taskId, {
+    id: timerId,
+    type: 'interval',
+    name: '公会战赛季',
+    interval: checkInterval,
+    lastRun: null,
+    nextRun: new Date(Date.now() + checkInterval),
+    status: 'running'
+  });
+  
+  return taskId;
+}
+
+/**
+ * 启动排位赛季任务
+ * 新赛季开始后对上赛季的排位数据执行软重置，全部完成后发放赛季奖励
+ * @param {Object} options - 配置选项
+ * @returns {string} 任务ID
+ */
+function startRankedSeasonTask(options = {}) {
+  const taskId = 'ranked-season';
+  
+  // 如果任务已存在，先停止它
+  if (scheduledTasks.has(taskId)) {
+    stopTask(taskId);
+  }
+  
+  // 设置检查间隔 - 默认每小时执行一次
+  const checkInterval = options.checkInterval || 60 * 60 * 1000;
+  
+  logger.info('启动排位赛季任务', {
+    taskId,
+    checkInterval: `${checkInterval/1000}秒`
+  });
+  
+  // 定义任务函数
+  const rankedSeasonTask = async () => {
+    try {
+      // 延迟加载，避免启动时的循环依赖
+      const RankedService = require('../game/match/rankedService');
+      const LeaderboardService = require('../game/leaderboard/leaderboardService');
+      await RankedService.processSeasonResets();
+      await LeaderboardService.processSeasonRewards();
+      
+      const task = scheduledTasks.get(taskId);
+      if (task) {
+        task.lastRun = new Date();
+        task.nextRun = new Date(Date.now() + checkInterval);
+      }
+    } catch (err) {
+      logger.error('排位赛季任务发生错误', { error: err.message });
+    }
+  };
+  
+  // 启动定时任务
+  const timerId = setInterval(rankedSeasonTask, checkInterval);
+  
+  // 存储任务信息
+  scheduledTasks.set(taskId, {
+    id: timerId,
+    type: 'interval',
+    name: '排位赛季',
+    interval: checkInterval,
+    lastRun: null,
+    nextRun: new Date(Date.now() + checkInterval),
+    status: 'running'
+  });
+  
+  return taskId;
+}
+
+/**
+ * 启动排行榜快照任务
+ * 每天保存一次各排行榜的全量排名，用于显示排名升降
+ * @param {Object} options - 配置选项
+ * @returns {string} 任务ID
+ */
+function startLeaderboardSnapshotTask(options = {}) {
+  const taskId = 'leaderboard-snapshot';
+  
+  // 如果任务已存在，先停止它
+  if (scheduledTasks.has(taskId)) {
+    stopTask(taskId);
+  }
+  
+  // 设置检查间隔 - 默认每小时检查一次当天快照是否已完成
+  const checkInterval = options.checkInterval || 60 * 60 * 1000;
+  
+  logger.info('启动排行榜快照任务', {
+    taskId,
+    checkInterval: `${checkInterval/1000}秒`
+  });
+  
+  // 定义任务函数
+  const snapshotTask = async () => {
+    try {
+      // 延迟加载，避免启动时的循环依赖
+      const LeaderboardService = require('../game/leaderboard/leaderboardService');
+      await LeaderboardService.takeDailySnapshots();
+      
+      const task = scheduledTasks.get(taskId);
+      if (task) {
+        task.lastRun = new Date();
+        task.nextRun = new Date(Date.now() + checkInterval);
+      }
+    } catch (err) {
+      logger.error('排行榜快照任务发生错误', { error: err.message });
+    }
+  };
+  
+  // 启动定时任务
+  const timerId = setInterval(snapshotTask, checkInterval);
+  
+  // 存储任务信息
+  scheduledTasks.set(taskId, {
+    id: timerId,
+    type: 'interval',
+    name: '排行榜快照',
+    interval: checkInterval,
+    lastRun: null,
+    nextRun: new Date(Date.now() + checkInterval),
+    status: 'running'
+  });
+  
+  return taskId;
+}
+
 /**
  * 停止指定的计划任务
  * @param {string} taskId - 任务ID
@@ -225,6 +574,20 @@ function initScheduledTasks() {
     });
   }
   
+  if (config.economy?.ledgerAudit !== false) {
+    startLedgerAuditTask();
+  }
+  
+  startAuctionSettlementTask();
+  
+  startContentReloadTask();
+  
+  startGuildWarTask();
+  
+  startRankedSeasonTask();
+  
+  startLeaderboardSnapshotTask();
+  
   logger.info('计划任务初始化完成');
 }
 
@@ -243,6 +606,12 @@ function stopAllTasks() {
 module.exports = {
   startKeyRotationTask,
   startLogCleanupTask,
+  startLedgerAuditTask,
+  startAuctionSettlementTask,
+  startContentReloadTask,
+  startGuildWarTask,
+  startRankedSeasonTask,
+  startLeaderboardSnapshotTask,
   stopTask,
   getTasksStatus,
   initScheduledTasks,
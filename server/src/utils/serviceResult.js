@@ -0,0 +1,65 @@
+/**
+ * 服务层结果响应工具
+ * 游戏服务返回 { success, reason, ... }，控制器通过这里统一转换为HTTP响应
+ */
+
+// 通用错误码对应的提示信息，各控制器可以按业务覆盖
+const REASON_MESSAGES = {
+  USER_NOT_FOUND: '玩家不存在',
+  INVALID_TARGET: '目标玩家无效',
+  ITEM_NOT_FOUND: '物品不存在',
+  INVALID_QUANTITY: '物品数量无效',
+  INSUFFICIENT_BALANCE: '余额不足',
+  BAG_FULL: '背包空间不足',
+  NOT_IN_GUILD: '你还没有加入公会',
+  CANNOT_BLOCK_SELF: '不能屏蔽自己',
+  BLOCK_LIST_FULL: '屏蔽名单已满',
+  NOT_BLOCKED: '该玩家不在屏蔽名单中',
+  CONCURRENT_UPDATE: '数据已变化，请刷新后重试'
+};
+
+// 通用错误码对应的HTTP状态码，未列出的错误码返回400
+const REASON_STATUS = {
+  USER_NOT_FOUND: 404,
+  CONCURRENT_UPDATE: 409,
+  INTERNAL_ERROR: 500
+};
+
+/**
+ * 创建控制器使用的 sendResult 函数
+ * @param {Object} options - 选项
+ * @param {string} options.fallbackMessage - 没有对应提示信息时返回的消息
+ * @param {Object} options.messages - 本模块的错误码提示信息，覆盖通用提示
+ * @param {Object} options.statuses - 本模块的错误码HTTP状态码，覆盖通用状态码
+ * @returns {Function} sendResult(res, result, successStatus)
+ */
+function createResultSender({ fallbackMessage, messages = {}, statuses = {} }) {
+  const reasonMessages = { ...REASON_MESSAGES, ...messages };
+  const reasonStatuses = { ...REASON_STATUS, ...statuses };
+
+  /**
+   * 将服务层结果转换为HTTP响应
+   * @param {Object} res - 响应对象
+   * @param {Object} result - 服务层返回结果
+   * @param {number} successStatus - 成功时的状态码
+   */
+  return function sendResult(res, result, successStatus = 200) {
+    if (result.success) {
+      const { success, ...data } = result;
+      return res.status(successStatus).json({ success: true, data });
+    }
+
+    return res.status(reasonStatuses[result.reason] || 400).json({
+      success: false,
+      message: reasonMessages[result.reason] || fallbackMessage,
+      code: result.reason,
+      errors: result.errors
+    });
+  };
+}
+
+module.exports = {
+  REASON_MESSAGES,
+  REASON_STATUS,
+  createResultSender
+};
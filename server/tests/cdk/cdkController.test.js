@@ -0,0 +1,88 @@
+jest.mock('../../src/cdk/models/CDK', () => ({
+  CDK: {},
+  CDK_STATUS: {},
+  CDK_TYPES: {},
+  CDK_MODES: { SHARED: 'shared' }
+}));
+jest.mock('../../src/cdk/models/CDKBatch', () => ({}));
+jest.mock('../../src/cdk/services/cdkGenerator', () => ({}));
+jest.mock('../../src/cdk/services/cdkService', () => ({ redeemCDK: jest.fn() }));
+jest.mock('../../src/cdk/services/excelExporter', () => ({}));
+jest.mock('../../src/cdk/services/batchExporter', () => ({}));
+jest.mock('../../src/cdk/services/twoFactorAuth', () => ({ verifyTwoFactorCode: jest.fn() }));
+jest.mock('../../src/cdk/services/auditService', () => ({}));
+jest.mock('../../src/cdk/services/abuseDetection', () => ({
+  CHALLENGES: { CAPTCHA: 'captcha', TWO_FACTOR: 'two_factor' },
+  assessRequest: jest.fn(),
+  recordFailure: jest.fn()
+}));
+jest.mock('../../src/cdk/services/captchaVerifier', () => ({
+  isCaptchaEnabled: jest.fn(),
+  verifyCaptcha: jest.fn()
+}));
+
+const cdkService = require('../../src/cdk/services/cdkService');
+const twoFactorAuth = require('../../src/cdk/services/twoFactorAuth');
+const abuseDetection = require('../../src/cdk/services/abuseDetection');
+const captchaVerifier = require('../../src/cdk/services/captchaVerifier');
+const cdkController = require('../../src/cdk/controllers/cdkController');
+
+const createRequest = (twoFactor = null, body = {}) => {
+  const user = { id: 'user-1', twoFactorAuth: twoFactor };
+  user.populate = jest.fn().mockResolvedValue(user);
+  return { ip: '10.0.0.1', headers: {}, body: { code: 'ABCD-EFGH', ...body }, user };
+};
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('cdkController.redeemCDK 兑换风控验证', () => {
+  beforeEach(() => {
+    abuseDetection.assessRequest.mockResolvedValue({ blocked: false, challenge: 'captcha' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('未配置人机验证密钥时拒绝兑换，不跳过验证', async () => {
+    captchaVerifier.isCaptchaEnabled.mockReturnValue(false);
+    const res = createResponse();
+
+    await cdkController.redeemCDK(createRequest(null, { captchaToken: 'any-token' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CAPTCHA_UNAVAILABLE' }));
+    expect(captchaVerifier.verifyCaptcha).not.toHaveBeenCalled();
+    expect(cdkService.redeemCDK).not.toHaveBeenCalled();
+  });
+
+  test('未配置人机验证密钥时已开启2FA的账号改为要求2FA', async () => {
+    captchaVerifier.isCaptchaEnabled.mockReturnValue(false);
+    twoFactorAuth.verifyTwoFactorCode.mockReturnValue(false);
+    const res = createResponse();
+
+    await cdkController.redeemCDK(createRequest({ activated: true, secretKey: 'secret' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(428);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TWO_FACTOR_REQUIRED' }));
+    expect(cdkService.redeemCDK).not.toHaveBeenCalled();
+  });
+
+  test('已配置人机验证密钥时要求人机验证', async () => {
+    captchaVerifier.isCaptchaEnabled.mockReturnValue(true);
+    captchaVerifier.verifyCaptcha.mockResolvedValue(false);
+    const res = createResponse();
+
+    await cdkController.redeemCDK(createRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(428);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CAPTCHA_REQUIRED', requiresCaptcha: true }));
+    expect(cdkService.redeemCDK).not.toHaveBeenCalled();
+  });
+});
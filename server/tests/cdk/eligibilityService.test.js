@@ -0,0 +1,51 @@
+jest.mock('../../src/cdk/models/CDKBatch', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/cdk/models/CDKCampaignClaim', () => ({ exists: jest.fn(), create: jest.fn() }));
+jest.mock('../../src/models/user.model', () => ({ findById: jest.fn() }));
+
+const CDKBatch = require('../../src/cdk/models/CDKBatch');
+const User = require('../../src/models/user.model');
+const { checkEligibility } = require('../../src/cdk/services/eligibilityService');
+
+// 模拟 mongoose 查询链 findOne().select().lean()
+const query = (result) => ({
+  select: () => ({ lean: () => Promise.resolve(result) })
+});
+
+describe('eligibilityService 渠道规则', () => {
+  beforeEach(() => {
+    CDKBatch.findOne.mockReturnValue(query({
+      batchId: 'BATCH_TT',
+      eligibilityRules: { channels: ['tt'] }
+    }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('请求头伪造渠道时按账号注册渠道拒绝', async () => {
+    User.findById.mockReturnValue(query({ _id: 'u1', channel: 'official' }));
+
+    // 资格校验不接收客户端声明的渠道，X-Client-Channel: tt 不影响结果
+    const result = await checkEligibility('BATCH_TT', 'u1');
+
+    expect(User.findById).toHaveBeenCalledWith('u1');
+    expect(result).toMatchObject({ eligible: false, code: 'CDK_CHANNEL_NOT_ALLOWED', rule: 'channels' });
+  });
+
+  test('请求未携带渠道头时按账号注册渠道放行', async () => {
+    User.findById.mockReturnValue(query({ _id: 'u2', channel: 'tt' }));
+
+    const result = await checkEligibility('BATCH_TT', 'u2');
+
+    expect(result).toEqual({ eligible: true });
+  });
+
+  test('账号不存在时拒绝', async () => {
+    User.findById.mockReturnValue(query(null));
+
+    const result = await checkEligibility('BATCH_TT', 'missing');
+
+    expect(result).toMatchObject({ eligible: false, code: 'USER_NOT_FOUND' });
+  });
+});
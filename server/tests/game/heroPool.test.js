@@ -0,0 +1,40 @@
+const config = require('../../src/config');
+const HeroPool = require('../../src/game/match/heroPool');
+const { CHARACTERS, getCharacter } = require('../../src/game/data/heroes');
+
+describe('HeroPool', () => {
+  test('英雄名单读取自客户端 CharacterStats.ts', () => {
+    expect(CHARACTERS.length).toBeGreaterThan(0);
+    for (const character of CHARACTERS) {
+      expect(getCharacter(character.id)).toBe(character);
+      expect(config.game.shop.poolSizes[character.cost]).toBeGreaterThan(0);
+    }
+  });
+
+  test.each(Object.keys(config.game.shop.odds))('%s级商店的每个概率段都能刷出英雄', (level) => {
+    const odds = config.game.shop.odds[level];
+    const totalWeight = odds.reduce((sum, weight) => sum + weight, 0);
+
+    // 逐个命中每个概率不为0的费用段
+    let offset = 0;
+    for (const weight of odds) {
+      if (weight > 0) {
+        const target = (offset + weight / 2) / totalWeight;
+        const pool = new HeroPool({ random: () => target });
+        const [heroId] = pool.roll(Number(level), 1);
+
+        expect(getCharacter(heroId)).toBeDefined();
+      }
+      offset += weight;
+    }
+  });
+
+  test('抽中的费用段抽空后改为最接近的费用段，整个卡池抽空才返回null', () => {
+    const pool = new HeroPool({ random: () => 0 });
+    const total = Object.values(pool.getRemaining()).reduce((sum, remaining) => sum + remaining, 0);
+
+    const rolled = pool.roll(1, total);
+    expect(rolled.every(heroId => heroId !== null)).toBe(true);
+    expect(pool.roll(1, 1)).toEqual([null]);
+  });
+});
@@ -0,0 +1,9 @@
+describe('WebSocket服务模块', () => {
+  test('模块及其依赖可以正常加载', () => {
+    const socketServer = require('../../../src/game/socket');
+
+    expect(typeof socketServer.initSocketServer).toBe('function');
+    expect(typeof socketServer.sendToUser).toBe('function');
+    expect(typeof socketServer.broadcastNotification).toBe('function');
+  });
+});